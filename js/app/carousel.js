@@ -0,0 +1,396 @@
+/**
+ * BarGen Carousel Engine
+ *
+ * @description Shared rotation engine for DataMatrix, Weight Carousel and
+ * GS1 Pack tabs: timing, pause/resume, per-item dwell time, shuffle,
+ * loop/once modes and events. Tabs only render what the engine shows.
+ * @module Carousel
+ *
+ * @example
+ * var carousel = BarGen.Carousel.create({ interval: 0.7 });
+ * carousel.on('show', function(item, index, info) { render(item); });
+ * carousel.setItems(items);
+ * carousel.start();
+ *
+ * // Page hidden: pause every playing carousel
+ * BarGen.Carousel.pauseAll();
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+
+    var Config = global.BarGen.Config;
+    var Utils = global.BarGen.Utils;
+
+    /**
+     * Countdown tick period in milliseconds
+     * @type {number}
+     * @private
+     */
+    var TICK_MS = 100;
+
+    /**
+     * All created carousels (for pauseAll/resumeAll)
+     * @type {Array}
+     * @private
+     */
+    var instances = [];
+
+    /**
+     * Create carousel
+     *
+     * @description Items may be an array (finite list) or null (endless stream:
+     * 'show' fires with an undefined item, the listener produces content).
+     * An item's own `dwell` (seconds) overrides the common interval.
+     *
+     * Events:
+     * - show(item, index, info) - item displayed; info = { manual, position, total }
+     * - tick(remaining) - countdown update while playing (seconds)
+     * - play() / pause() - playback state changed
+     * - end() - last item shown in 'once' mode, playback stopped
+     *
+     * @param {Object} [options] - Options
+     * @param {number} [options.interval] - Default dwell in seconds
+     * @param {string} [options.mode='loop'] - 'loop' or 'once'
+     * @param {boolean} [options.shuffle=false] - Random order (reshuffled every pass)
+     * @returns {Object} Carousel instance
+     */
+    function create(options) {
+        var opts = options || {};
+
+        var items = null;
+        var order = [];
+        var position = -1;
+        var interval = opts.interval || Config.DEFAULT_INTERVAL;
+        var mode = opts.mode || 'loop';
+        var shuffle = !!opts.shuffle;
+
+        var playing = false;
+        var holds = {};
+        var remaining = 0;
+        var deadline = 0;
+        var timer = null;
+
+        var listeners = { show: [], tick: [], play: [], pause: [], end: [] };
+
+        /**
+         * Call event listeners
+         * @private
+         */
+        function emit(event) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            listeners[event].forEach(function(handler) {
+                handler.apply(null, args);
+            });
+        }
+
+        /**
+         * Build play order (shuffled with seeded rng so replays match)
+         * @private
+         */
+        function buildOrder() {
+            order = [];
+            if (!items) return;
+
+            for (var i = 0; i < items.length; i++) order.push(i);
+
+            if (shuffle) {
+                for (var j = order.length - 1; j > 0; j--) {
+                    var k = Utils.rng.int(j + 1);
+                    var tmp = order[j];
+                    order[j] = order[k];
+                    order[k] = tmp;
+                }
+            }
+        }
+
+        /**
+         * Get dwell time of item at current position
+         * @private
+         */
+        function currentDwell() {
+            var item = items && position >= 0 ? items[order[position]] : null;
+            return item && item.dwell > 0 ? item.dwell : interval;
+        }
+
+        /**
+         * Clear pending timer
+         * @private
+         */
+        function clearTimer() {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+        }
+
+        /**
+         * Schedule countdown ticks and the next advance
+         * @private
+         */
+        function schedule(seconds) {
+            clearTimer();
+            remaining = seconds;
+            deadline = Date.now() + seconds * 1000;
+            loop();
+        }
+
+        /**
+         * Timer step: emit tick, advance when dwell is over
+         * @private
+         */
+        function loop() {
+            remaining = Math.max(0, (deadline - Date.now()) / 1000);
+            emit('tick', remaining);
+
+            if (remaining <= 0) {
+                timer = null;
+                advance(1, false);
+                return;
+            }
+
+            timer = setTimeout(loop, Math.min(TICK_MS, remaining * 1000));
+        }
+
+        /**
+         * Move to next/previous item and show it
+         * @private
+         */
+        function advance(direction, manual) {
+            var total = items ? items.length : Infinity;
+            if (total === 0) return;
+
+            var next = position + direction;
+
+            if (items && next >= total) {
+                if (mode === 'once' && !manual) {
+                    pause();
+                    emit('end');
+                    return;
+                }
+                if (shuffle) buildOrder();
+                next = 0;
+            } else if (next < 0) {
+                next = items ? total - 1 : 0;
+            }
+
+            position = next;
+
+            var index = items ? order[position] : position;
+            emit('show', items ? items[index] : undefined, index, {
+                manual: manual,
+                position: position,
+                total: total
+            });
+
+            if (playing) {
+                schedule(currentDwell());
+            }
+        }
+
+        /**
+         * Set items and restart from the beginning
+         *
+         * @param {Array|null} list - Items or null for endless stream
+         */
+        function setItems(list) {
+            items = list;
+            position = -1;
+            buildOrder();
+        }
+
+        /**
+         * Show first item and start playback
+         */
+        function start() {
+            position = -1;
+            buildOrder();
+            playing = true;
+            holds = {};
+            emit('play');
+            advance(1, false);
+        }
+
+        /**
+         * Start playback with full dwell for current item
+         */
+        function play() {
+            holds = {};
+            playing = true;
+            emit('play');
+            schedule(currentDwell());
+        }
+
+        /**
+         * Pause playback
+         */
+        function pause() {
+            clearTimer();
+            holds = {};
+            if (playing) {
+                playing = false;
+                remaining = Math.max(0, (deadline - Date.now()) / 1000);
+                emit('pause');
+            }
+        }
+
+        /**
+         * Check whether playback is stopped by hold()
+         * @private
+         */
+        function isHeld() {
+            return Object.keys(holds).length > 0;
+        }
+
+        /**
+         * Pause temporarily (tab switch, hidden page), see release()
+         *
+         * @description Holds are counted per reason: a carousel held by a tab
+         * switch and then by a hidden page resumes only after both are released.
+         *
+         * @param {string} [reason='tab'] - 'tab' (tab switch) or 'page' (hidden page)
+         */
+        function hold(reason) {
+            var key = reason || 'tab';
+
+            if (playing) {
+                pause();
+                holds[key] = true;
+            } else if (isHeld()) {
+                holds[key] = true;
+            }
+        }
+
+        /**
+         * Continue playback stopped by hold() with remaining dwell time
+         *
+         * @param {string} [reason='tab'] - Reason passed to hold()
+         */
+        function release(reason) {
+            var key = reason || 'tab';
+
+            if (!holds[key]) return;
+            delete holds[key];
+            if (isHeld()) return;
+
+            playing = true;
+            emit('play');
+            schedule(remaining);
+        }
+
+        /**
+         * Stop playback and forget position
+         */
+        function stop() {
+            pause();
+            position = -1;
+        }
+
+        /**
+         * Show next item
+         *
+         * @param {boolean} [manual=true] - Navigation by user
+         */
+        function next(manual) {
+            advance(1, manual !== false);
+        }
+
+        /**
+         * Show previous item
+         */
+        function prev() {
+            advance(-1, true);
+        }
+
+        /**
+         * Set default dwell time; restarts current dwell when playing
+         *
+         * @param {number} seconds - Interval in seconds
+         */
+        function setInterval(seconds) {
+            if (isNaN(seconds) || seconds <= 0) return;
+            interval = seconds;
+            if (playing) schedule(currentDwell());
+        }
+
+        /**
+         * Set playback mode
+         *
+         * @param {string} value - 'loop' or 'once'
+         */
+        function setMode(value) {
+            mode = value === 'once' ? 'once' : 'loop';
+        }
+
+        /**
+         * Enable or disable random order (applies from next pass)
+         *
+         * @param {boolean} value - Shuffle flag
+         */
+        function setShuffle(value) {
+            shuffle = !!value;
+        }
+
+        /**
+         * Subscribe to event
+         *
+         * @param {string} event - Event name (show, tick, play, pause, end)
+         * @param {Function} handler - Listener
+         */
+        function on(event, handler) {
+            listeners[event].push(handler);
+        }
+
+        var instance = {
+            setItems: setItems,
+            start: start,
+            play: play,
+            pause: pause,
+            hold: hold,
+            release: release,
+            stop: stop,
+            next: next,
+            prev: prev,
+            setInterval: setInterval,
+            setMode: setMode,
+            setShuffle: setShuffle,
+            on: on,
+            isPlaying: function() { return playing; },
+            getRemaining: function() { return remaining; },
+            getInterval: function() { return interval; },
+            getMode: function() { return mode; },
+            isShuffled: function() { return shuffle; }
+        };
+
+        instances.push(instance);
+        return instance;
+    }
+
+    /**
+     * Pause all playing carousels (page hidden)
+     */
+    function pauseAll() {
+        instances.forEach(function(carousel) {
+            carousel.hold('page');
+        });
+    }
+
+    /**
+     * Resume carousels paused by pauseAll() (those held by tab switch stay held)
+     */
+    function resumeAll() {
+        instances.forEach(function(carousel) {
+            carousel.release('page');
+        });
+    }
+
+    // Export to namespace
+    global.BarGen.Carousel = {
+        create: create,
+        pauseAll: pauseAll,
+        resumeAll: resumeAll
+    };
+
+})(window);
@@ -8,8 +8,8 @@
  * // Access demo GTINs
  * var gtin = BarGen.Config.DEMO_GTINS[0];
  *
- * // Get barcode config
- * var cfg = BarGen.Config.BARCODE_CONFIGS.code128_19_piece;
+ * // Get weight label layout
+ * var layout = BarGen.Config.WEIGHT_LAYOUTS.code128_19_piece;
  */
 (function(global) {
     'use strict';
@@ -24,11 +24,18 @@
     var VERSION = '2.5.0';
 
     /**
-     * LocalStorage key for persisting data
+     * LocalStorage key for persisting data (fallback when IndexedDB is
+     * unavailable; data of older versions is moved from here to IndexedDB)
      * @type {string}
      */
     var STORAGE_KEY = 'barcode_gen_v5';
 
+    /**
+     * IndexedDB database name
+     * @type {string}
+     */
+    var DB_NAME = 'bargen';
+
     /**
      * Default timer interval in seconds
      * @type {number}
@@ -41,6 +48,107 @@
      */
     var MAX_HISTORY_ITEMS = 50;
 
+    /**
+     * Maximum issued serials kept in registry (oldest are dropped)
+     * @type {number}
+     */
+    var MAX_SERIALS = 5000;
+
+    /**
+     * Maximum scanner verification results kept in log
+     * @type {number}
+     */
+    var MAX_VERIFY_LOG = 200;
+
+    /**
+     * Maximum test sessions kept (oldest are dropped)
+     * @type {number}
+     */
+    var MAX_SESSIONS = 20;
+
+    /**
+     * Maximum shown codes / scans recorded per session
+     * @type {number}
+     */
+    var MAX_SESSION_EVENTS = 1000;
+
+    /**
+     * Scanner (keyboard wedge) capture settings
+     *
+     * @description Scanner input ends with the suffix key; without suffix
+     * (or if it never comes) the scan is closed after IDLE_MS without keys.
+     * Scanners type much faster than people, so the pause is short.
+     *
+     * @type {Object}
+     */
+    var WEDGE = {
+        IDLE_MS: 300,
+        SUFFIXES: {
+            enter: { name: 'Enter', key: 'Enter' },
+            tab: { name: 'Tab', key: 'Tab' },
+            none: { name: 'Нет (пауза)', key: null }
+        },
+        GS_TOKENS: ['<GS>', '^]', '{GS}', '\\x1D']
+    };
+
+    /**
+     * CSV/TSV tables of folder contents
+     *
+     * @description GS_ESCAPES keys are the text written instead of GS
+     * (ASCII 29) in exported codes; the last one keeps GS as is.
+     *
+     * @type {Object}
+     */
+    var TABLE = {
+        DELIMITERS: {
+            ';': 'Точка с запятой (;)',
+            ',': 'Запятая (,)',
+            '\t': 'Табуляция (TSV)'
+        },
+        GS_ESCAPES: {
+            '<GS>': '<GS>',
+            '{GS}': '{GS}',
+            '^]': '^]',
+            '\\x1D': '\\x1D',
+            '\u001D': 'Символ GS (0x1D)'
+        }
+    };
+
+    /**
+     * Label print layouts (sizes in mm)
+     *
+     * @description Sheet layouts put cols × rows labels on a page; roll
+     * layouts print one label per page of label size (thermal printers
+     * feed to the next label).
+     *
+     * @type {Object}
+     */
+    var PRINT_LAYOUTS = {
+        a4_3x8: { name: 'A4, 3×8 (70×37)', page: [210, 297], label: [70, 37], cols: 3, rows: 8 },
+        a4_4x10: { name: 'A4, 4×10 (52.5×29.7)', page: [210, 297], label: [52.5, 29.7], cols: 4, rows: 10 },
+        a4_2x5: { name: 'A4, 2×5 (105×57)', page: [210, 297], label: [105, 57], cols: 2, rows: 5 },
+        roll58: { name: 'Рулон 58 мм (58×40)', page: [58, 40], label: [58, 40], cols: 1, rows: 1 },
+        roll80: { name: 'Рулон 80 мм (80×50)', page: [80, 50], label: [80, 50], cols: 1, rows: 1 },
+        label40x30: { name: 'Термоэтикетка 40×30', page: [40, 30], label: [40, 30], cols: 1, rows: 1 }
+    };
+
+    /**
+     * Label printer command languages
+     *
+     * @description Label size is taken from selected print layout; DPMM is
+     * printer resolution in dots per mm (8 = 203 dpi).
+     *
+     * @type {Object}
+     */
+    var PRINTER = {
+        DPMM: 8,
+        LANGUAGES: {
+            zpl: 'ZPL (Zebra)',
+            tspl: 'TSPL (TSC)',
+            epl: 'EPL (Zebra, старые модели)'
+        }
+    };
+
     /**
      * Real GTIN codes for demo mode
      * These are actual product barcodes for testing
@@ -82,6 +190,11 @@
      * @description Templates for generating DataMatrix codes
      * Type 1: Tobacco/Water products (shorter serial)
      * Type 2: Clothing/Shoes (longer serial with crypto)
+     * dairy, beer, pharma, tyres, perfume, water: product group formats
+     * with their own serial lengths and crypto tails
+     *
+     * `mode` is the default DataMatrix encoding (see DM_MODES),
+     * a folder may override it with its own `dmMode`.
      *
      * @type {Object}
      */
@@ -89,6 +202,7 @@
         type1: {
             name: 'Тип 1',
             description: 'Табак/Вода - короткий серийник',
+            mode: 'gs1',
             /**
              * Generate Type 1 DataMatrix code
              * @param {string} barcode - GTIN barcode
@@ -105,6 +219,7 @@
         type2: {
             name: 'Тип 2',
             description: 'Одежда/Обувь - длинный серийник',
+            mode: 'gs1',
             /**
              * Generate Type 2 DataMatrix code
              * @param {string} barcode - GTIN barcode
@@ -118,77 +233,494 @@
                 var crypto = BarGen.Utils.randomBase64(44);
                 return '01' + gtin + '21' + serial + gs + '91' + hex + gs + '92' + crypto;
             }
+        },
+        dairy: {
+            name: 'Молочка',
+            description: 'Молочная продукция - срок годности: дата (17), дата и время (7003)',
+            mode: 'gs1',
+            /**
+             * Generate dairy DataMatrix code
+             * @param {string} barcode - GTIN barcode
+             * @returns {string} Generated code
+             */
+            generate: function(barcode) {
+                var gs = String.fromCharCode(29);
+                var gtin = BarGen.Utils.padBarcode(barcode);
+                var serial = BarGen.Utils.generateSerial('', 6);
+                var crypto = BarGen.Utils.randomBase64(4);
+                // 7003 is the same expiry with time of day
+                var expiryDate = BarGen.Utils.addDays(BarGen.Utils.randomWeight(3, 30));
+                var expiry = BarGen.Utils.formatGS1Date(expiryDate);
+                var expiryTime = BarGen.Utils.formatGS1Date(expiryDate, true);
+                return '01' + gtin + '21' + serial + gs + '93' + crypto + gs + '17' + expiry + '7003' + expiryTime;
+            }
+        },
+        beer: {
+            name: 'Пиво',
+            description: 'Пиво/Кеги - серийник 7, код проверки 93',
+            mode: 'gs1',
+            /**
+             * Generate beer DataMatrix code
+             * @param {string} barcode - GTIN barcode
+             * @returns {string} Generated code
+             */
+            generate: function(barcode) {
+                var gs = String.fromCharCode(29);
+                var gtin = BarGen.Utils.padBarcode(barcode);
+                var serial = BarGen.Utils.generateSerial('', 7);
+                var crypto = BarGen.Utils.randomBase64(4);
+                return '01' + gtin + '21' + serial + gs + '93' + crypto;
+            }
+        },
+        pharma: {
+            name: 'Лекарства',
+            description: 'Лекарства - срок годности (17), партия (10), 91/92',
+            mode: 'gs1',
+            /**
+             * Generate pharmaceutical DataMatrix code
+             * @param {string} barcode - GTIN barcode
+             * @returns {string} Generated code
+             */
+            generate: function(barcode) {
+                var gs = String.fromCharCode(29);
+                var gtin = BarGen.Utils.padBarcode(barcode);
+                var serial = BarGen.Utils.generateSerial('', 13);
+                var expiry = BarGen.Utils.formatGS1Date(BarGen.Utils.addDays(BarGen.Utils.randomWeight(180, 1095)));
+                var batch = BarGen.Utils.randomHex(6);
+                var hex = BarGen.Utils.randomHex(4);
+                var crypto = BarGen.Utils.randomBase64(44);
+                return '01' + gtin + '21' + serial + gs + '17' + expiry + '10' + batch + gs +
+                    '91' + hex + gs + '92' + crypto;
+            }
+        },
+        tyres: {
+            name: 'Шины',
+            description: 'Шины - серийник 20, 91/92',
+            mode: 'gs1',
+            /**
+             * Generate tyres DataMatrix code
+             * @param {string} barcode - GTIN barcode
+             * @returns {string} Generated code
+             */
+            generate: function(barcode) {
+                var gs = String.fromCharCode(29);
+                var gtin = BarGen.Utils.padBarcode(barcode);
+                var serial = BarGen.Utils.generateSerial('', 20);
+                var hex = BarGen.Utils.randomHex(4);
+                var crypto = BarGen.Utils.randomBase64(44);
+                return '01' + gtin + '21' + serial + gs + '91' + hex + gs + '92' + crypto;
+            }
+        },
+        perfume: {
+            name: 'Духи',
+            description: 'Парфюмерия - серийник 13, 91/92',
+            mode: 'gs1',
+            /**
+             * Generate perfume DataMatrix code
+             * @param {string} barcode - GTIN barcode
+             * @returns {string} Generated code
+             */
+            generate: function(barcode) {
+                var gs = String.fromCharCode(29);
+                var gtin = BarGen.Utils.padBarcode(barcode);
+                var serial = BarGen.Utils.generateSerial('', 13);
+                var hex = BarGen.Utils.randomHex(4);
+                var crypto = BarGen.Utils.randomBase64(44);
+                return '01' + gtin + '21' + serial + gs + '91' + hex + gs + '92' + crypto;
+            }
+        },
+        water: {
+            name: 'Вода',
+            description: 'Упакованная вода - серийник 13, код проверки 93',
+            mode: 'gs1',
+            /**
+             * Generate packaged water DataMatrix code
+             * @param {string} barcode - GTIN barcode
+             * @returns {string} Generated code
+             */
+            generate: function(barcode) {
+                var gs = String.fromCharCode(29);
+                var gtin = BarGen.Utils.padBarcode(barcode);
+                var serial = BarGen.Utils.generateSerial('', 13);
+                var crypto = BarGen.Utils.randomBase64(4);
+                return '01' + gtin + '21' + serial + gs + '93' + crypto;
+            }
+        }
+    };
+
+    /**
+     * Segment sources for user-defined DataMatrix templates
+     *
+     * @description Each segment of a custom template is an AI followed by a value
+     * taken from one of these sources. `param` names the segment field that the
+     * editor's parameter input controls (value, length or offset).
+     *
+     * @type {Object}
+     */
+    var TEMPLATE_SOURCES = {
+        fixed: { name: 'Текст', param: 'value' },
+        gtin: { name: 'GTIN товара', param: null },
+        alnum: { name: 'Случайные A-z0-9', param: 'length' },
+        digits: { name: 'Случайные цифры', param: 'length' },
+        hex: { name: 'Случайные HEX', param: 'length' },
+        base64: { name: 'Случайные Base64', param: 'length' },
+        date: { name: 'Дата YYMMDD (+дни)', param: 'offset' },
+        datetime: { name: 'Дата YYMMDDhhmm (+дни)', param: 'offset' },
+        counter: { name: 'Счётчик', param: 'length' }
+    };
+
+    /**
+     * DataMatrix encoding modes
+     *
+     * @description
+     * - gs1: GS1 DataMatrix with leading FNC1, rendered from AI bracket notation
+     * - raw: plain DataMatrix with raw GS characters (for negative tests)
+     *
+     * @type {Object}
+     */
+    var DM_MODES = {
+        gs1: { name: 'GS1 (FNC1)', bcid: 'gs1datamatrix' },
+        raw: { name: 'Без FNC1', bcid: 'datamatrix' }
+    };
+
+    /**
+     * Data corruptions of broken DataMatrix and GS1 Pack codes
+     *
+     * @description reason is the rejection expected from the cash register
+     * (or marking check) for the corrupted code. gs1 - variant for GS1 Pack
+     * codes (99MPUC...) with its own name/reason; corruptions without gs1 do
+     * not apply to GS1 Pack. A code without the element a corruption needs
+     * (e.g. no AI 21) is broken by removeChars instead.
+     *
+     * @type {Object}
+     */
+    var CORRUPTIONS = {
+        removeChars: {
+            name: 'Удалить символы',
+            reason: 'Код не разбирается: не хватает данных',
+            gs1: {}
+        },
+        wrongChecksum: {
+            name: 'Испортить контрольную цифру',
+            reason: 'Неверная контрольная цифра GTIN'
+        },
+        replaceGS: {
+            name: 'Заменить GS символы',
+            reason: 'Реквизиты не разделяются: вместо GS посторонние символы',
+            gs1: {}
+        },
+        addJunk: {
+            name: 'Добавить мусорные символы',
+            reason: 'Посторонние символы в коде',
+            gs1: {}
+        },
+        truncatedCrypto: {
+            name: 'Обрезан код проверки (AI 93/92)',
+            reason: 'Код проверки неполный: КМ не прошёл проверку',
+            gs1: { name: 'Обрезан реквизит в конце кода', reason: 'Реквизит неполный: неверная длина или значение' }
+        },
+        missingGS: {
+            name: 'Нет GS перед 91/93',
+            reason: 'Код проверки слился с серийным номером: неверный формат КМ',
+            gs1: { name: 'Нет GS между реквизитами', reason: 'Реквизиты слились: неверное значение или длина' }
+        },
+        swappedAI: {
+            name: 'AI не по порядку',
+            reason: 'КМ должен начинаться с AI 01 (GTIN)',
+            gs1: { reason: 'Код фасовки должен начинаться с 99MPUC' }
+        },
+        wrongGtinLength: {
+            name: 'Неверная длина GTIN (AI 01)',
+            reason: 'GTIN не 14 цифр: неверный формат КМ',
+            gs1: { name: 'Неверная длина кол-ва / веса (AI 37, 3103)', reason: 'Количество или вес неверной длины' }
+        },
+        badSerialCharset: {
+            name: 'Недопустимые символы в AI 21',
+            reason: 'Серийный номер вне набора символов GS1',
+            gs1: {}
+        },
+        duplicateSerial: {
+            name: 'AI 21 дважды',
+            reason: 'Реквизит AI 21 повторяется',
+            gs1: {}
+        },
+        cyrillic: {
+            name: 'Кириллица вместо латиницы',
+            reason: 'Код не совпадает с выданным: КМ не найден',
+            gs1: { reason: 'Кириллица в реквизитах: код фасовки не распознан' }
+        },
+        unknownGtin: {
+            name: 'Неизвестный товар (верный GTIN)',
+            reason: 'Товар не найден в каталоге',
+            gs1: { name: 'Неизвестный GoodsId', reason: 'GoodsId не найден в справочнике фасовки' }
         }
     };
 
     /**
-     * Barcode type configurations
+     * Raster damage effects for DataMatrix and QR images
+     *
+     * @description Applied in key order (module damage first, then geometry,
+     * then pixel effects). Severity of every effect is 0-100, 0 disables it.
+     *
+     * @type {Object}
+     */
+    var DAMAGE_EFFECTS = {
+        missingModules: { name: 'Пропавшие модули' },
+        scratches: { name: 'Царапины' },
+        quietZone: { name: 'Мусор в свободной зоне' },
+        skew: { name: 'Перспектива' },
+        rotation: { name: 'Поворот' },
+        blur: { name: 'Размытие' },
+        crumple: { name: 'Мятая этикетка' },
+        lowContrast: { name: 'Низкий контраст' }
+    };
+
+    /**
+     * Fields of weight label layouts
+     *
+     * @description decimals is the default for new layout fields: weight
+     * with 3 decimals is written in grams, with 2 - in tens of grams; price
+     * with 2 - in kopecks. Weight Carousel weights (grams) are converted by
+     * the decimals of layout field.
+     *
+     * @type {Object}
+     */
+    var WEIGHT_FIELDS = {
+        plu: { name: 'Код товара (PLU)' },
+        weight: { name: 'Вес, кг', decimals: 3 },
+        discount: { name: 'Скидка, %' },
+        quantity: { name: 'Кол-во' },
+        price: { name: 'Цена, руб', decimals: 2 },
+        verifier: { name: 'Контр. цифра цены' }
+    };
+
+    /**
+     * Check digit algorithms of weight label layouts
      *
-     * @description Defines structure for different barcode formats:
-     * - code128_19_piece: Piece goods (prefix 47)
-     * - code128_19_weight: Weight goods with discount (prefix 49)
-     * - code128_19_price: Price-based (prefix 44)
-     * - code128_16_cas: CAS system (prefix 77)
-     * - ean13_weight: EAN-13 weight (prefix 22)
+     * @description
+     * - ean13: GTIN check digit (mod 10, weights 3/1 from the right)
+     * - sum: sum of digits mod 10 (Code128 formats 47/49/44)
+     * - fixed: constant digit from layout.control (CAS)
+     * - none: no check digit
      *
      * @type {Object}
      */
-    var BARCODE_CONFIGS = {
+    var WEIGHT_CHECKS = {
+        ean13: 'GTIN (EAN-13)',
+        sum: 'Сумма цифр mod 10',
+        fixed: 'Фиксированная цифра',
+        none: 'Нет'
+    };
+
+    /**
+     * Deliberate errors of Weight Carousel items (item.error), shown in the
+     * list so the tester knows which codes the scanner should reject
+     * @type {Object}
+     */
+    var WEIGHT_ERRORS = {
+        wrongVerifier: 'Неверная контр. цифра цены',
+        wrongCheck: 'Неверная контр. цифра',
+        overweight: 'Вес не помещается в поле',
+        wrongPrefix: 'Неверный префикс',
+        zeroWeight: 'Нулевой вес'
+    };
+
+    /**
+     * Weight label layouts (scale label formats)
+     *
+     * @description Code = prefix + fields in order (zero padded to length) +
+     * check digit. A verifier field holds the price check digit
+     * (Utils.calcPriceCheck) of the 4/5-digit field named in its 'of'.
+     * Used by Barcode tab (all layouts) and Weight Carousel (layouts with
+     * weight or price field; price = weight * price per kg). User layouts from Barcode tab editor are
+     * added by Generators.syncWeightLayouts with custom: true.
+     *
+     * Store formats (Штрих-Принт, Mettler Toledo, DIGI) use typical prefixes;
+     * the prefix and field widths are set in the scale, so compare with the
+     * scale settings and copy the layout if they differ.
+     *
+     * @type {Object}
+     */
+    var WEIGHT_LAYOUTS = {
         code128_19_piece: {
+            name: '47-Code128: штучный (19)',
+            short: '47 C128',
             prefix: '47',
             fields: [
-                { name: 'productCode', label: 'Код товара (9)', length: 9 },
-                { name: 'discount', label: 'Скидка (2)', length: 2 },
-                { name: 'quantity', label: 'Кол-во (5)', length: 5 }
+                { name: 'plu', length: 9 },
+                { name: 'discount', length: 2 },
+                { name: 'quantity', length: 5 }
             ],
+            check: 'sum',
             format: 'CODE128',
             description: 'Штучный товар - 19 символов'
         },
         code128_19_weight: {
+            name: '49-Code128: весовой (19)',
+            short: '49 C128',
             prefix: '49',
             fields: [
-                { name: 'productCode', label: 'Код товара (9)', length: 9 },
-                { name: 'discount', label: 'Скидка (2)', length: 2 },
-                { name: 'weight', label: 'Вес (5)', length: 5 }
+                { name: 'plu', length: 9 },
+                { name: 'discount', length: 2 },
+                { name: 'weight', length: 5, decimals: 3 }
             ],
+            check: 'sum',
             format: 'CODE128',
             description: 'Весовой товар со скидкой - 19 символов'
         },
         code128_19_price: {
+            name: '44-Code128: с ценой (19)',
+            short: '44 C128',
             prefix: '44',
             fields: [
-                { name: 'productCode', label: 'Код товара (9)', length: 9 },
-                { name: 'price', label: 'Цена (7)', length: 7 }
+                { name: 'plu', length: 9 },
+                { name: 'price', length: 7, decimals: 2 }
             ],
+            check: 'sum',
             format: 'CODE128',
             description: 'Товар с ценой - 19 символов'
         },
         code128_16_cas: {
+            name: '77-Code128: CAS (16)',
+            short: '77 CAS',
             prefix: '77',
             fields: [
-                { name: 'productCode', label: 'Код товара (6)', length: 6 },
-                { name: 'weight', label: 'Вес (7)', length: 7 }
+                { name: 'plu', length: 6 },
+                { name: 'weight', length: 7, decimals: 3 }
             ],
+            check: 'fixed',
+            control: '0',
             format: 'CODE128',
-            fixedControl: '0',
             description: 'CAS весы - 16 символов'
         },
         ean13_weight: {
+            name: '22-EAN-13: весовой (13)',
+            short: '22 EAN',
             prefix: '22',
             fields: [
-                { name: 'productCode', label: 'Код товара (5)', length: 5 },
-                { name: 'weight', label: 'Вес (5)', length: 5 }
+                { name: 'plu', length: 5 },
+                { name: 'weight', length: 5, decimals: 3 }
             ],
+            check: 'ean13',
             format: 'EAN13',
             description: 'EAN-13 весовой - 13 символов'
+        },
+        shtrih_ean13_weight: {
+            name: '21-EAN-13: Штрих-Принт, вес (13)',
+            short: '21 Штрих',
+            prefix: '21',
+            fields: [
+                { name: 'plu', length: 5 },
+                { name: 'weight', length: 5, decimals: 3 }
+            ],
+            check: 'ean13',
+            format: 'EAN13',
+            description: 'Штрих-Принт: 21 + товар (5) + вес в граммах (5)'
+        },
+        mettler_ean13_price: {
+            name: '23-EAN-13: Mettler Toledo, цена (13)',
+            short: '23 Mettler',
+            prefix: '23',
+            fields: [
+                { name: 'plu', length: 5 },
+                { name: 'price', length: 5, decimals: 2 }
+            ],
+            check: 'ean13',
+            format: 'EAN13',
+            description: 'Mettler Toledo: 23 + товар (5) + цена в копейках (5)'
+        },
+        ean13_price4: {
+            name: '20-EAN-13: цена (4) с контр. цифрой (13)',
+            short: '20 Цена',
+            prefix: '20',
+            fields: [
+                { name: 'plu', length: 5 },
+                { name: 'verifier', length: 1, of: 'price' },
+                { name: 'price', length: 4, decimals: 0 }
+            ],
+            check: 'ean13',
+            format: 'EAN13',
+            description: '20 + товар (5) + контр. цифра цены + цена в рублях (4)'
+        },
+        ean13_price5: {
+            name: '24-EAN-13: цена (5) с контр. цифрой (13)',
+            short: '24 Цена',
+            prefix: '24',
+            fields: [
+                { name: 'plu', length: 4 },
+                { name: 'verifier', length: 1, of: 'price' },
+                { name: 'price', length: 5, decimals: 2 }
+            ],
+            check: 'ean13',
+            format: 'EAN13',
+            description: '24 + товар (4) + контр. цифра цены + цена в копейках (5)'
+        },
+        ean13_weight_verified: {
+            name: '25-EAN-13: вес (5) с контр. цифрой (13)',
+            short: '25 Вес+КЦ',
+            prefix: '25',
+            fields: [
+                { name: 'plu', length: 4 },
+                { name: 'verifier', length: 1, of: 'weight' },
+                { name: 'weight', length: 5, decimals: 3 }
+            ],
+            check: 'ean13',
+            format: 'EAN13',
+            description: '25 + товар (4) + контр. цифра веса + вес в граммах (5)'
+        },
+        digi_ean13_weight: {
+            name: '28-EAN-13: DIGI, вес по 10 г (13)',
+            short: '28 DIGI',
+            prefix: '28',
+            fields: [
+                { name: 'plu', length: 6 },
+                { name: 'weight', length: 4, decimals: 2 }
+            ],
+            check: 'ean13',
+            format: 'EAN13',
+            description: 'DIGI: 28 + товар (6) + вес в десятках граммов (4)'
         }
     };
 
     /**
-     * Supported simple barcode formats
-     * @type {string[]}
+     * Weight layout used for items without layout by their prefix (items
+     * created before layouts were configurable)
+     * @type {Object}
      */
-    var SIMPLE_FORMATS = ['CODE128', 'EAN13', 'UPC', 'ITF14'];
+    var WEIGHT_LEGACY_PREFIXES = {
+        '77': 'code128_16_cas',
+        '22': 'ean13_weight',
+        '49': 'code128_19_weight'
+    };
+
+    /**
+     * Supported simple barcode formats (Constructor tab)
+     *
+     * @description Key is stored in item.type. Formats with 'jsbarcode' are
+     * drawn by JsBarcode, the others by bwip-js with options from 'bwip'
+     * (text is added by the generator). twoD marks 2D symbols. Check digits
+     * are completed by Generators.generateSimple.
+     *
+     * @type {Object}
+     */
+    var SIMPLE_FORMATS = {
+        CODE128: { name: 'Code 128', jsbarcode: 'CODE128', placeholder: 'Текст ASCII' },
+        EAN13: { name: 'EAN-13', jsbarcode: 'EAN13', placeholder: '12 цифр (контрольная добавится) или 13' },
+        EAN8: { name: 'EAN-8', jsbarcode: 'EAN8', placeholder: '7 цифр (контрольная добавится) или 8' },
+        UPC: { name: 'UPC-A', jsbarcode: 'UPC', placeholder: '11 цифр (контрольная добавится) или 12' },
+        UPCE: { name: 'UPC-E', jsbarcode: 'UPCE', placeholder: 'UPC-E (6-8 цифр) или UPC-A (11-12 цифр) для сжатия' },
+        ITF14: { name: 'ITF-14', jsbarcode: 'ITF14', placeholder: '13 цифр (контрольная добавится) или 14' },
+        CODE39: { name: 'Code 39', jsbarcode: 'CODE39', placeholder: 'A-Z, 0-9, пробел и - . $ / + %' },
+        CODE93: { name: 'Code 93', bwip: { bcid: 'code93', includecheck: true }, placeholder: 'A-Z, 0-9, пробел и - . $ / + %' },
+        CODABAR: { name: 'Codabar', jsbarcode: 'codabar', placeholder: 'Цифры и - $ : / . + (старт/стоп A-D добавятся)' },
+        GS1_128: { name: 'GS1-128', bwip: { bcid: 'gs1-128' }, placeholder: '(01)04601234567893(10)ABC или GTIN' },
+        DATABAR: { name: 'GS1 DataBar Omni', bwip: { bcid: 'databaromni' }, placeholder: 'GTIN или (01) + 13 цифр (контрольная добавится)' },
+        DATABAR_LIMITED: { name: 'GS1 DataBar Limited', bwip: { bcid: 'databarlimited' }, placeholder: 'GTIN, GTIN-14 начинается с 0 или 1' },
+        DATABAR_EXPANDED: { name: 'GS1 DataBar Expanded', bwip: { bcid: 'databarexpanded' }, placeholder: '(01)04601234567893(3103)001500' },
+        PDF417: { name: 'PDF417', bwip: { bcid: 'pdf417' }, twoD: true, placeholder: 'Любой текст' },
+        AZTEC: { name: 'Aztec', bwip: { bcid: 'azteccode' }, twoD: true, placeholder: 'Любой текст' },
+        QRCODE: { name: 'QR Code', bwip: { bcid: 'qrcode', eclevel: 'M' }, twoD: true, placeholder: 'Любой текст' }
+    };
 
     /**
      * Weight range defaults (in grams)
@@ -225,6 +757,45 @@
         AI_DECIMAL_POS: '97'
     };
 
+    /**
+     * Deliberate errors of GS1 Pack items (item.error), shown in the list
+     * so the tester knows which codes the register should reject
+     * @type {Object}
+     */
+    var GS1_ERRORS = {
+        noUniqueId: 'Скидка без UniqueID',
+        discountOver99: 'Скидка больше 99%',
+        wholeDecimalPos: 'AI 97 без дробной части',
+        longGoodsId: 'GoodsId длиннее 8 цифр'
+    };
+
+    /**
+     * GS1 Application Identifier definitions
+     *
+     * @description Used by the GS1 parser to split raw strings into AI/value pairs.
+     * Fixed-length AIs declare `length`, variable-length AIs declare `maxLength`
+     * and are terminated by GS (ASCII 29) or end of data.
+     *
+     * @type {Object}
+     */
+    var GS1_AI = {
+        '01': { name: 'GTIN', length: 14, numeric: true },
+        '10': { name: 'Партия', maxLength: 20 },
+        '11': { name: 'Дата производства', length: 6, numeric: true },
+        '17': { name: 'Годен до', length: 6, numeric: true },
+        '21': { name: 'Серийный номер', maxLength: 20 },
+        '37': { name: 'Количество', maxLength: 8, numeric: true },
+        '91': { name: 'Ключ проверки', maxLength: 90 },
+        '92': { name: 'Код проверки', maxLength: 90 },
+        '93': { name: 'Код проверки', maxLength: 90 },
+        '97': { name: 'Позиция запятой', maxLength: 90, numeric: true },
+        '98': { name: 'Скидка', maxLength: 90, numeric: true },
+        '99': { name: 'Префикс MPUC', maxLength: 90 },
+        '240': { name: 'GoodsId', maxLength: 30 },
+        '3103': { name: 'Вес (г)', length: 6, numeric: true },
+        '7003': { name: 'Годен до (дата и время)', length: 10, numeric: true }
+    };
+
     /**
      * GS1 defaults for quantity/weight/discount
      * @type {Object}
@@ -252,15 +823,34 @@
     global.BarGen.Config = {
         VERSION: VERSION,
         STORAGE_KEY: STORAGE_KEY,
+        DB_NAME: DB_NAME,
         DEFAULT_INTERVAL: DEFAULT_INTERVAL,
         MAX_HISTORY_ITEMS: MAX_HISTORY_ITEMS,
+        MAX_SERIALS: MAX_SERIALS,
+        MAX_VERIFY_LOG: MAX_VERIFY_LOG,
+        MAX_SESSIONS: MAX_SESSIONS,
+        MAX_SESSION_EVENTS: MAX_SESSION_EVENTS,
+        WEDGE: WEDGE,
+        TABLE: TABLE,
+        PRINT_LAYOUTS: PRINT_LAYOUTS,
+        PRINTER: PRINTER,
         DEMO_GTINS: DEMO_GTINS,
         TEMPLATES: TEMPLATES,
-        BARCODE_CONFIGS: BARCODE_CONFIGS,
+        DM_MODES: DM_MODES,
+        CORRUPTIONS: CORRUPTIONS,
+        DAMAGE_EFFECTS: DAMAGE_EFFECTS,
+        TEMPLATE_SOURCES: TEMPLATE_SOURCES,
+        WEIGHT_FIELDS: WEIGHT_FIELDS,
+        WEIGHT_CHECKS: WEIGHT_CHECKS,
+        WEIGHT_ERRORS: WEIGHT_ERRORS,
+        WEIGHT_LAYOUTS: WEIGHT_LAYOUTS,
+        WEIGHT_LEGACY_PREFIXES: WEIGHT_LEGACY_PREFIXES,
         SIMPLE_FORMATS: SIMPLE_FORMATS,
         WEIGHT_DEFAULTS: WEIGHT_DEFAULTS,
         DISCOUNT_DEFAULTS: DISCOUNT_DEFAULTS,
         GS1_CONSTANTS: GS1_CONSTANTS,
+        GS1_ERRORS: GS1_ERRORS,
+        GS1_AI: GS1_AI,
         GS1_DEFAULTS: GS1_DEFAULTS
     };
 
@@ -0,0 +1,420 @@
+/**
+ * BarGen Backup Schema Module
+ *
+ * @description Validates data document of a backup file before import:
+ * folder structure, item shape per module, GS1 fields, templates, history
+ * and sessions. Small defects are repaired in place (missing or duplicate
+ * IDs, missing `active` flags), everything else is reported with its path.
+ * @module Schema
+ *
+ * @example
+ * var report = BarGen.Schema.validate(data);
+ * if (!report.valid) {
+ *     console.log(report.errors); // [{ path: 'wcFolders[0].items[3].code', message: '...' }]
+ * }
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+
+    var Utils = global.BarGen.Utils;
+
+    /**
+     * Item rules per folder collection
+     *
+     * @description `fields` maps field name to check function (returns error
+     * text or null); `active` - items carry an `active` flag; `idPrefix` is
+     * used for repaired IDs.
+     * @type {Object}
+     * @private
+     */
+    var FOLDER_RULES = {
+        dmFolders: {
+            idPrefix: 'dmf',
+            active: true,
+            fields: {
+                barcode: function(v) { return digits(v, 8, 14); },
+                template: function(v) { return text(v); }
+            }
+        },
+        wcFolders: {
+            idPrefix: 'wcf',
+            active: true,
+            fields: {
+                code: function(v) { return digits(v, 8, 30); }, // built-in layouts: 13-19, user layouts may differ
+                weight: function(v) { return number(v, true); }
+            }
+        },
+        sgFolders: {
+            idPrefix: 'sgf',
+            active: false,
+            fields: {
+                code: function(v) { return text(v); },
+                type: function(v) { return text(v); }
+            }
+        },
+        gs1Folders: {
+            idPrefix: 'gs1f',
+            active: true,
+            fields: {
+                code: function(v) { return text(v); },
+                // Deliberate-error copy keeps the over-long GoodsId of its code (AI 240 allows 30)
+                goodsId: function(v, item) { return digits(v, 1, item.error === 'longGoodsId' ? 30 : 8); },
+                type: function(v) {
+                    return v === 'piece' || v === 'weight' ? null : 'ожидается "piece" или "weight"';
+                },
+                quantity: function(v) { return v === undefined || v === null ? null : number(v); },
+                weight: function(v) { return v === undefined || v === null ? null : number(v); }
+            }
+        }
+    };
+
+    /**
+     * Sections of data document (absent ones are listed in report.missing)
+     * @type {string[]}
+     * @private
+     */
+    var SECTIONS = Object.keys(FOLDER_RULES).concat(['dmTemplates', 'weightLayouts', 'history', 'sessions', 'serials']);
+
+    /**
+     * Counter making repaired IDs unique within one validation
+     * @type {number}
+     * @private
+     */
+    var idCounter = 0;
+
+    /**
+     * Check non-empty string
+     * @private
+     */
+    function text(value) {
+        return typeof value === 'string' && value.length > 0 ? null : 'ожидается непустая строка';
+    }
+
+    /**
+     * Check string of digits with length in range
+     * @private
+     */
+    function digits(value, min, max) {
+        if (typeof value !== 'string' || !/^\d+$/.test(value)) return 'ожидается строка из цифр';
+        if (value.length < min || value.length > max) {
+            return min === max ? 'ожидается ' + min + ' цифр' : 'ожидается от ' + min + ' до ' + max + ' цифр';
+        }
+        return null;
+    }
+
+    /**
+     * Check non-negative number
+     * @private
+     */
+    function number(value, optional) {
+        if (optional && value === undefined) return null;
+        return typeof value === 'number' && isFinite(value) && value >= 0 ? null : 'ожидается число ≥ 0';
+    }
+
+    /**
+     * Check plain object (not array, not null)
+     * @private
+     */
+    function isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Give entries of a list unique IDs, repairing missing and duplicate ones
+     *
+     * @param {Array} list - Objects with `id`
+     * @param {string} path - Path of list
+     * @param {string} prefix - Prefix for new IDs
+     * @param {Object} report - Report to add repairs to
+     * @param {boolean} [allowDuplicates=false] - Repair missing IDs only
+     * @private
+     */
+    function repairIds(list, path, prefix, report, allowDuplicates) {
+        var seen = {};
+
+        list.forEach(function(entry, index) {
+            if (!isObject(entry)) return;
+
+            var missing = entry.id === undefined || entry.id === null || entry.id === '';
+            var id = missing ? null : String(entry.id);
+
+            if (missing || (seen[id] && !allowDuplicates)) {
+                entry.id = Utils.generateId(prefix) + '_' + (++idCounter);
+                report.repaired.push({
+                    path: path + '[' + index + '].id',
+                    message: (missing ? 'нет ID' : 'повтор ID ' + id) + ', назначен ' + entry.id
+                });
+            } else if (typeof entry.id !== 'string' && typeof entry.id !== 'number') {
+                report.errors.push({ path: path + '[' + index + '].id', message: 'ожидается строка или число' });
+            }
+            seen[String(entry.id)] = true;
+        });
+    }
+
+    /**
+     * Check field rules of one object
+     * @private
+     */
+    function checkFields(entry, fields, path, report) {
+        Object.keys(fields).forEach(function(field) {
+            var error = fields[field](entry[field], entry);
+            if (error) {
+                report.errors.push({ path: path + '.' + field, message: error });
+            }
+        });
+    }
+
+    /**
+     * Get collection from data checking that it is an array
+     *
+     * @returns {Array|null} Array or null if absent/invalid
+     * @private
+     */
+    function list(data, name, report) {
+        if (data[name] === undefined || data[name] === null) return null;
+
+        if (!Array.isArray(data[name])) {
+            report.errors.push({ path: name, message: 'ожидается массив' });
+            return null;
+        }
+        return data[name];
+    }
+
+    /**
+     * Validate folder collection with its items
+     * @private
+     */
+    function validateFolders(data, name, report) {
+        var folders = list(data, name, report);
+        if (!folders) return;
+
+        var rules = FOLDER_RULES[name];
+
+        folders.forEach(function(folder, index) {
+            var path = name + '[' + index + ']';
+
+            if (!isObject(folder)) {
+                report.errors.push({ path: path, message: 'ожидается объект папки' });
+                return;
+            }
+            if (text(folder.name)) {
+                report.errors.push({ path: path + '.name', message: 'нет названия папки' });
+            }
+            if (folder.items === undefined) {
+                folder.items = [];
+                report.repaired.push({ path: path + '.items', message: 'нет списка записей, создан пустой' });
+            }
+            if (!Array.isArray(folder.items)) {
+                report.errors.push({ path: path + '.items', message: 'ожидается массив' });
+                return;
+            }
+
+            repairIds(folder.items, path + '.items', 'item', report);
+
+            folder.items.forEach(function(item, itemIndex) {
+                var itemPath = path + '.items[' + itemIndex + ']';
+
+                if (!isObject(item)) {
+                    report.errors.push({ path: itemPath, message: 'ожидается объект записи' });
+                    return;
+                }
+
+                checkFields(item, rules.fields, itemPath, report);
+
+                if (rules.active && typeof item.active !== 'boolean') {
+                    item.active = true;
+                    report.repaired.push({ path: itemPath + '.active', message: 'нет флага active, включена' });
+                }
+                if (item.dwell !== undefined && item.dwell !== null && (typeof item.dwell !== 'number' || !(item.dwell > 0))) {
+                    delete item.dwell;
+                    report.repaired.push({ path: itemPath + '.dwell', message: 'неверное время показа, сброшено' });
+                }
+            });
+        });
+
+        repairIds(folders, name, rules.idPrefix, report);
+    }
+
+    /**
+     * Validate custom DataMatrix templates
+     * @private
+     */
+    function validateTemplates(data, report) {
+        var templates = list(data, 'dmTemplates', report);
+        if (!templates) return;
+
+        templates.forEach(function(template, index) {
+            var path = 'dmTemplates[' + index + ']';
+
+            if (!isObject(template)) {
+                report.errors.push({ path: path, message: 'ожидается объект шаблона' });
+                return;
+            }
+            if (text(template.name)) {
+                report.errors.push({ path: path + '.name', message: 'нет названия шаблона' });
+            }
+            if (template.mode !== 'gs1' && template.mode !== 'raw') {
+                report.errors.push({ path: path + '.mode', message: 'ожидается "gs1" или "raw"' });
+            }
+            if (!Array.isArray(template.segments) || template.segments.length === 0) {
+                report.errors.push({ path: path + '.segments', message: 'ожидается непустой массив сегментов' });
+                return;
+            }
+            template.segments.forEach(function(segment, segIndex) {
+                if (!isObject(segment) || text(segment.source)) {
+                    report.errors.push({ path: path + '.segments[' + segIndex + '].source', message: 'нет источника значения' });
+                }
+            });
+        });
+
+        repairIds(templates, 'dmTemplates', 'tpl', report);
+    }
+
+    /**
+     * Validate user-defined weight label layouts
+     * @private
+     */
+    function validateWeightLayouts(data, report) {
+        var layouts = list(data, 'weightLayouts', report);
+        if (!layouts) return;
+
+        layouts.forEach(function(layout, index) {
+            var path = 'weightLayouts[' + index + ']';
+
+            if (!isObject(layout)) {
+                report.errors.push({ path: path, message: 'ожидается объект формата' });
+                return;
+            }
+            if (text(layout.name)) {
+                report.errors.push({ path: path + '.name', message: 'нет названия формата' });
+            }
+            var prefixError = digits(layout.prefix, 1, 4);
+            if (prefixError) {
+                report.errors.push({ path: path + '.prefix', message: prefixError });
+            }
+            if (!Array.isArray(layout.fields) || layout.fields.length === 0) {
+                report.errors.push({ path: path + '.fields', message: 'ожидается непустой массив полей' });
+                return;
+            }
+            layout.fields.forEach(function(field, fieldIndex) {
+                if (!isObject(field) || text(field.name) || !(field.length > 0)) {
+                    report.errors.push({ path: path + '.fields[' + fieldIndex + ']', message: 'ожидается поле с длиной' });
+                }
+            });
+        });
+
+        repairIds(layouts, 'weightLayouts', 'wl', report);
+    }
+
+    /**
+     * Validate history entries
+     * @private
+     */
+    function validateHistory(data, report) {
+        var history = list(data, 'history', report);
+        if (!history) return;
+
+        history.forEach(function(entry, index) {
+            var path = 'history[' + index + ']';
+
+            if (!isObject(entry)) {
+                report.errors.push({ path: path, message: 'ожидается объект записи истории' });
+                return;
+            }
+            checkFields(entry, {
+                type: text,
+                code: text,
+                timestamp: function(v) { return isNaN(Date.parse(v)) ? 'ожидается дата ISO' : null; }
+            }, path, report);
+        });
+
+        // Entries added within one millisecond share ID (Date.now)
+        repairIds(history, 'history', 'h', report, true);
+    }
+
+    /**
+     * Validate test sessions
+     * @private
+     */
+    function validateSessions(data, report) {
+        var sessions = list(data, 'sessions', report);
+        if (!sessions) return;
+
+        sessions.forEach(function(session, index) {
+            var path = 'sessions[' + index + ']';
+
+            if (!isObject(session)) {
+                report.errors.push({ path: path, message: 'ожидается объект сессии' });
+                return;
+            }
+            checkFields(session, {
+                source: text,
+                startedAt: function(v) { return isNaN(Date.parse(v)) ? 'ожидается дата ISO' : null; },
+                shown: function(v) { return Array.isArray(v) ? null : 'ожидается массив'; },
+                scans: function(v) { return Array.isArray(v) ? null : 'ожидается массив'; }
+            }, path, report);
+        });
+
+        repairIds(sessions, 'sessions', 'ses', report);
+    }
+
+    /**
+     * Validate backup data document
+     *
+     * @description Runs on migrated data (current schema version). Repairs
+     * are applied to `data` in place; data with errors must not be imported.
+     *
+     * @param {Object} data - Data document
+     * @returns {Object} Report: { valid, errors: [{path, message}], repaired: [{path, message}],
+     *   missing: [section names absent from data] }
+     *
+     * @example
+     * BarGen.Schema.validate({ wcFolders: [{ name: 'A', items: [{ code: '2200001005001' }] }] });
+     * // → { valid: true, errors: [], repaired: [ ...items[0].id, ...items[0].active, wcFolders[0].id ] }
+     */
+    function validate(data) {
+        var report = { valid: false, errors: [], repaired: [], missing: [] };
+
+        if (!isObject(data)) {
+            report.errors.push({ path: '', message: 'файл не содержит объект данных BarGen' });
+            return report;
+        }
+
+        report.missing = SECTIONS.filter(function(name) {
+            return data[name] === undefined || data[name] === null;
+        });
+
+        Object.keys(FOLDER_RULES).forEach(function(name) {
+            validateFolders(data, name, report);
+        });
+        validateTemplates(data, report);
+        validateWeightLayouts(data, report);
+        validateHistory(data, report);
+        validateSessions(data, report);
+
+        if (data.serials !== undefined && data.serials !== null && !isObject(data.serials)) {
+            report.errors.push({ path: 'serials', message: 'ожидается объект' });
+        }
+        if (data.verify !== undefined && data.verify !== null && !isObject(data.verify)) {
+            report.errors.push({ path: 'verify', message: 'ожидается объект' });
+        }
+        if (data.damage !== undefined && data.damage !== null && !isObject(data.damage)) {
+            report.errors.push({ path: 'damage', message: 'ожидается объект' });
+        }
+        if (data.wcLayouts !== undefined && data.wcLayouts !== null && !Array.isArray(data.wcLayouts)) {
+            report.errors.push({ path: 'wcLayouts', message: 'ожидается массив' });
+        }
+
+        report.valid = report.errors.length === 0;
+        return report;
+    }
+
+    // Export to namespace
+    global.BarGen.Schema = {
+        validate: validate
+    };
+
+})(window);
@@ -29,10 +29,17 @@
      * Application State Object
      *
      * @description Holds all application data organized by feature:
-     * - dm: DataMatrix generator state
-     * - wc: Weight Carousel state
+     * - dm: DataMatrix generator state (incl. user-defined templates)
+     * - wc: Weight Carousel state (incl. user-defined weight label layouts)
      * - sg: Simple Generator state
-     * - savedItems: Legacy items (migrated to folders)
+     * - rng: Random generator settings (pinned seed)
+     * - serials: Registry of issued serial numbers
+     * - verify: Scanner verification settings and results
+     * - damage: Raster damage simulation settings
+     * - sessions: Test session reports (one per rotation run)
+     * - table: CSV/TSV import/export settings
+     * - images: PNG/SVG export settings
+     * - print: label sheet settings
      * - history: Code generation history
      *
      * @type {Object}
@@ -43,12 +50,12 @@
          */
         dm: {
             timerValue: Config.DEFAULT_INTERVAL,
-            remaining: Config.DEFAULT_INTERVAL,
-            timerInterval: null,
             isRotating: false,
             rotationList: [],
+            rotationFolderId: null,
             rotationIndex: 0,
             selectedTemplate: 'type1',
+            customTemplates: [],
             generatedCodes: [],
             codeHistoryIndex: -1,
             folders: [],
@@ -61,11 +68,6 @@
             }
         },
 
-        /**
-         * Legacy saved items (migrated to dm.folders on load)
-         */
-        savedItems: [],
-
         /**
          * Weight Carousel module state
          */
@@ -73,11 +75,11 @@
             folders: [],
             selectedFolderId: null,
             timerValue: Config.DEFAULT_INTERVAL,
-            remaining: Config.DEFAULT_INTERVAL,
-            timerInterval: null,
             isRotating: false,
-            rotationIndex: 0,
-            rotationItems: []
+            rotationItems: [],
+            rotationSeed: undefined,               // seed of rotated folder (for history)
+            customLayouts: [],                     // user-defined weight label layouts
+            selectedLayouts: ['code128_16_cas']    // layouts used by addItems
         },
 
         /**
@@ -97,11 +99,78 @@
             folders: [],
             selectedFolderId: null,
             timerValue: Config.DEFAULT_INTERVAL,
-            remaining: Config.DEFAULT_INTERVAL,
-            timerInterval: null,
             isRotating: false,
-            rotationIndex: 0,
-            rotationItems: []
+            rotationItems: [],
+            rotationSeed: undefined // seed of rotated folder (for history)
+        },
+
+        /**
+         * Random generator settings
+         */
+        rng: {
+            fixedSeed: null // seed pinned by user; null = fresh seed for every run
+        },
+
+        /**
+         * Issued serial numbers (DM AI 21 and GS1 UniqueID)
+         */
+        serials: {
+            registry: {}, // 'GTIN|serial' or 'uid|UniqueID' → seed of the run that issued it
+            reuseDm: false,
+            reuseGs1: false
+        },
+
+        /**
+         * Scanner verification (keyboard wedge)
+         */
+        verify: {
+            enabled: false,
+            prefix: '',      // stripped from the start of scanned text
+            suffix: 'enter', // key from Config.WEDGE.SUFFIXES
+            gsToken: '<GS>', // text the scanner sends instead of GS (ASCII 29)
+            log: []          // results, newest first
+        },
+
+        /**
+         * Raster damage of rendered DataMatrix and QR images
+         */
+        damage: {
+            enabled: false,
+            effects: {}      // key from Config.DAMAGE_EFFECTS → severity 0-100
+        },
+
+        /**
+         * Test sessions (newest first)
+         */
+        sessions: {
+            items: []
+        },
+
+        /**
+         * CSV/TSV table settings (Library tab)
+         */
+        table: {
+            module: 'dm',     // 'dm' | 'wc' | 'sg' | 'gs1'
+            delimiter: ';',   // key from Config.TABLE.DELIMITERS
+            gsEscape: '<GS>'  // key from Config.TABLE.GS_ESCAPES
+        },
+
+        /**
+         * Image (PNG/SVG ZIP) export settings (Library tab)
+         */
+        images: {
+            scale: 4,            // module size in pixels
+            padding: 2,          // quiet zone in modules
+            pattern: '{n}_{key}',
+            formats: 'both'      // 'both' | 'png' | 'svg'
+        },
+
+        /**
+         * Label sheet print settings (Library tab)
+         */
+        print: {
+            layout: 'a4_3x8',    // key from Config.PRINT_LAYOUTS
+            language: 'zpl'      // key from Config.PRINTER.LANGUAGES
         },
 
         /**
@@ -213,14 +282,26 @@
      * @param {Object} entry - History entry
      * @param {string} entry.type - Code type ('DM', 'BC', 'WC')
      * @param {string} entry.code - Generated code
+     * @param {string} [entry.mode] - DataMatrix encoding mode ('gs1' or 'raw')
+     * @param {Object} [entry.broken] - { method, reason } of intentionally broken code
+     * @param {number} [entry.seed] - Seed of the run that made the code (default: current sequence)
+     *
+     * @description The seed of the current random sequence is stored with
+     * the entry so the session can be replayed. Codes generated in advance
+     * (folder items) pass the seed of their own run.
      */
     function addToHistory(entry) {
-        AppState.history.items.unshift({
+        var item = {
             id: Date.now().toString(),
             timestamp: new Date().toISOString(),
             type: entry.type,
-            code: entry.code
-        });
+            code: entry.code,
+            seed: entry.seed !== undefined ? entry.seed : global.BarGen.Utils.rng.getSeed()
+        };
+        if (entry.mode) item.mode = entry.mode;
+        if (entry.broken) item.broken = entry.broken;
+
+        AppState.history.items.unshift(item);
 
         // Trim history if exceeds max
         if (AppState.history.items.length > AppState.history.maxItems) {
@@ -232,6 +313,27 @@
         global.BarGen.UI.renderHistory();
     }
 
+    /**
+     * Mark newest history entry as intentionally broken
+     *
+     * @description Generators add the valid code to history; when the code
+     * is broken before it is shown, the entry gets the shown code.
+     *
+     * @param {string} code - Valid code added to history
+     * @param {string} brokenCode - Code actually shown
+     * @param {Object} broken - { method, reason }
+     */
+    function markHistoryBroken(code, brokenCode, broken) {
+        var item = AppState.history.items[0];
+        if (!item || item.code !== code) return;
+
+        item.code = brokenCode;
+        item.broken = broken;
+
+        global.BarGen.Storage.save();
+        global.BarGen.UI.renderHistory();
+    }
+
     /**
      * Clear all history items
      */
@@ -241,6 +343,90 @@
         global.BarGen.UI.renderHistory();
     }
 
+    /**
+     * Keys registered per random sequence (run number → keys)
+     *
+     * @description A run nested by Utils.rng.run returns to the suspended one,
+     * so keys of a few recent runs are kept, not only of the current.
+     * @type {Object}
+     */
+    var serialRuns = {};
+
+    /**
+     * Number of recent runs whose keys are kept
+     * @type {number}
+     */
+    var SERIAL_RUNS_KEPT = 16;
+
+    /**
+     * Register serial number if it was not issued before
+     *
+     * @description A key issued under the same seed in an earlier run counts
+     * as free: that is a replay of a pinned-seed session, which must yield the
+     * same codes. Oldest entries are dropped above Config.MAX_SERIALS.
+     *
+     * @param {string} key - Registry key ('GTIN|serial' or 'uid|UniqueID')
+     * @returns {boolean} True if serial is free and now registered
+     *
+     * @example
+     * claimSerial('04810099003310|5Ab3xYzQw12Er') // true (first time)
+     */
+    function claimSerial(key) {
+        var rng = global.BarGen.Utils.rng;
+        var registry = AppState.serials.registry;
+        var seed = rng.getSeed();
+        var run = rng.getRun();
+
+        if (!serialRuns[run]) {
+            serialRuns[run] = {};
+            var runs = Object.keys(serialRuns); // integer keys: ascending
+            for (var r = 0; r < runs.length - SERIAL_RUNS_KEPT; r++) {
+                delete serialRuns[runs[r]];
+            }
+        }
+        var runKeys = serialRuns[run];
+
+        if (Object.prototype.hasOwnProperty.call(registry, key) &&
+            (registry[key] !== seed || runKeys[key])) {
+            return false;
+        }
+
+        delete registry[key]; // re-insert as newest
+        registry[key] = seed;
+        runKeys[key] = true;
+
+        var keys = Object.keys(registry);
+        for (var i = 0; i < keys.length - Config.MAX_SERIALS; i++) {
+            delete registry[keys[i]];
+        }
+
+        return true;
+    }
+
+    /**
+     * Find most recently issued serial with given key prefix
+     *
+     * @param {string} prefix - Key prefix ('GTIN|' or 'uid|')
+     * @returns {string|null} Serial (key without prefix) or null
+     */
+    function findUsedSerial(prefix) {
+        var keys = Object.keys(AppState.serials.registry);
+        for (var i = keys.length - 1; i >= 0; i--) {
+            if (keys[i].indexOf(prefix) === 0) {
+                return keys[i].substring(prefix.length);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Clear serial registry
+     */
+    function clearSerials() {
+        AppState.serials.registry = {};
+        global.BarGen.Storage.save();
+    }
+
     /**
      * Get next demo GTIN (cycles through list)
      *
@@ -280,7 +466,11 @@
     global.BarGen.State.getGs1Folder = getGs1Folder;
     global.BarGen.State.getGs1FolderItems = getGs1FolderItems;
     global.BarGen.State.addToHistory = addToHistory;
+    global.BarGen.State.markHistoryBroken = markHistoryBroken;
     global.BarGen.State.clearHistory = clearHistory;
+    global.BarGen.State.claimSerial = claimSerial;
+    global.BarGen.State.findUsedSerial = findUsedSerial;
+    global.BarGen.State.clearSerials = clearSerials;
     global.BarGen.State.getNextDemoGtin = getNextDemoGtin;
     global.BarGen.State.resetDemoIndex = resetDemoIndex;
     global.BarGen.State.getDemoIndex = getDemoIndex;
@@ -1,18 +1,24 @@
 /**
  * BarGen Storage Module
  *
- * @description Handles localStorage persistence, import/export
+ * @description Handles persistence (IndexedDB with localStorage fallback),
+ * schema migrations, import/export
  * @module Storage
  *
  * @example
- * // Load data on startup
- * BarGen.Storage.load();
+ * // Load data on startup (asynchronous)
+ * BarGen.Storage.load(function() {
+ *     render();
+ * });
  *
- * // Save after changes
+ * // Save after changes (batched, only changed collections are written)
  * BarGen.Storage.save();
  *
  * // Export backup
  * BarGen.Storage.exportData();
+ *
+ * // Read backup (merging is done by Controllers.Import)
+ * BarGen.Storage.readBackup(file, function(data, report) { ... });
  */
 (function(global) {
     'use strict';
@@ -21,128 +27,617 @@
     global.BarGen = global.BarGen || {};
 
     var Config = global.BarGen.Config;
+    var Utils = global.BarGen.Utils;
+    var Schema = global.BarGen.Schema;
 
     /**
-     * Load data from localStorage
-     *
-     * @description Loads persisted data and handles migration of legacy items
-     * Legacy savedItems are moved to a new folder on first load
+     * IndexedDB structure version (object stores, not data format)
+     * @type {number}
+     * @private
      */
-    function load() {
-        var State = global.BarGen.State;
+    var DB_VERSION = 2;
 
-        try {
-            var data = localStorage.getItem(Config.STORAGE_KEY);
-            if (data) {
-                var parsed = JSON.parse(data);
-
-                // Restore state
-                State.savedItems = parsed.savedItems || [];
-                State.dm.folders = parsed.dmFolders || [];
-                State.wc.folders = parsed.wcFolders || [];
-                State.sg.folders = parsed.sgFolders || [];
-                State.gs1.folders = parsed.gs1Folders || [];
-                State.history.items = parsed.history || [];
+    /**
+     * Delay for batching save() calls in milliseconds
+     * @type {number}
+     * @private
+     */
+    var SAVE_DELAY_MS = 200;
+
+    /**
+     * Persisted collections: one object store each (IndexedDB) or one field of
+     * the JSON document (localStorage, backup file)
+     * @type {Array}
+     * @private
+     */
+    var COLLECTIONS = [
+        {
+            name: 'dmFolders',
+            get: function(State) { return State.dm.folders; },
+            set: function(State, value) { State.dm.folders = value || []; }
+        },
+        {
+            name: 'dmTemplates',
+            get: function(State) { return State.dm.customTemplates; },
+            set: function(State, value) { State.dm.customTemplates = value || []; }
+        },
+        {
+            name: 'wcFolders',
+            get: function(State) { return State.wc.folders; },
+            set: function(State, value) { State.wc.folders = value || []; }
+        },
+        {
+            name: 'weightLayouts',
+            get: function(State) { return State.wc.customLayouts; },
+            set: function(State, value) { State.wc.customLayouts = value || []; }
+        },
+        {
+            name: 'sgFolders',
+            get: function(State) { return State.sg.folders; },
+            set: function(State, value) { State.sg.folders = value || []; }
+        },
+        {
+            name: 'gs1Folders',
+            get: function(State) { return State.gs1.folders; },
+            set: function(State, value) { State.gs1.folders = value || []; }
+        },
+        {
+            name: 'history',
+            get: function(State) { return State.history.items; },
+            set: function(State, value) { State.history.items = value || []; }
+        },
+        {
+            name: 'sessions',
+            get: function(State) { return State.sessions.items; },
+            set: function(State, value) { State.sessions.items = value || []; }
+        }
+    ];
+
+    /**
+     * Persisted single values (IndexedDB 'meta' store)
+     * @type {Array}
+     * @private
+     */
+    var SETTINGS = [
+        {
+            name: 'serials',
+            get: function(State) { return State.serials.registry; },
+            set: function(State, value) { State.serials.registry = value || {}; }
+        },
+        {
+            name: 'verify',
+            get: function(State) {
+                return {
+                    prefix: State.verify.prefix,
+                    suffix: State.verify.suffix,
+                    gsToken: State.verify.gsToken
+                };
+            },
+            set: function(State, value) {
+                if (!value) return;
+                State.verify.prefix = value.prefix || '';
+                State.verify.suffix = value.suffix || 'enter';
+                State.verify.gsToken = value.gsToken !== undefined ? value.gsToken : '<GS>';
             }
+        },
+        {
+            name: 'damage',
+            get: function(State) { return State.damage; },
+            set: function(State, value) {
+                if (!value) return;
+                State.damage.enabled = !!value.enabled;
+                State.damage.effects = value.effects || {};
+            }
+        },
+        {
+            // Unknown IDs (deleted layouts) are dropped by Generators.syncWeightLayouts
+            name: 'wcLayouts',
+            get: function(State) { return State.wc.selectedLayouts; },
+            set: function(State, value) {
+                if (Array.isArray(value)) State.wc.selectedLayouts = value;
+            }
+        }
+    ];
 
-            // Migration: Move legacy items to folder
-            if (State.savedItems.length > 0 && State.dm.folders.length === 0) {
-                State.dm.folders.push({
+    /**
+     * Data migrations in order; migration N upgrades data from schema
+     * version N to N + 1. Data without schemaVersion is version 0.
+     * Migrations work on the plain data document, so stored data and
+     * imported backups are upgraded the same way.
+     * @type {Function[]}
+     * @private
+     */
+    var MIGRATIONS = [
+        // 0 → 1: legacy flat savedItems list moved to a DataMatrix folder
+        function(data) {
+            if (data.savedItems && data.savedItems.length > 0) {
+                data.dmFolders = (data.dmFolders || []).concat({
                     id: 'dmf_legacy',
                     name: 'Импортированные',
-                    items: State.savedItems.slice()
+                    items: data.savedItems.slice()
                 });
-                State.savedItems = [];
-                save();
             }
-        } catch (e) {
-            console.error('[BarGen Storage] Load error:', e);
+            delete data.savedItems;
         }
+    ];
+
+    /**
+     * Current data schema version
+     * @type {number}
+     */
+    var SCHEMA_VERSION = MIGRATIONS.length;
+
+    /**
+     * Active backend: 'indexeddb' or 'localstorage'
+     * @type {string}
+     * @private
+     */
+    var backend = 'localstorage';
+
+    /**
+     * Open IndexedDB connection
+     * @type {IDBDatabase|null}
+     * @private
+     */
+    var database = null;
+
+    /**
+     * Last written JSON per collection/setting (to write changed ones only)
+     * @type {Object}
+     * @private
+     */
+    var written = {};
+
+    /**
+     * Pending batched save
+     * @type {number|null}
+     * @private
+     */
+    var saveTimer = null;
+
+    /**
+     * Save error already shown to user (shown once per page load)
+     * @type {boolean}
+     * @private
+     */
+    var errorShown = false;
+
+    /**
+     * Stored data could not be loaded (newer schema, failed migration, unreadable):
+     * state is left empty and nothing is written, so stored data is not overwritten
+     * @type {boolean}
+     * @private
+     */
+    var readOnly = false;
+
+    /**
+     * Build data document from current state
+     *
+     * @returns {Object} Data with all collections, settings and schemaVersion
+     */
+    function collect() {
+        var State = global.BarGen.State;
+        var data = { schemaVersion: SCHEMA_VERSION };
+
+        COLLECTIONS.concat(SETTINGS).forEach(function(entry) {
+            data[entry.name] = entry.get(State);
+        });
+        return data;
     }
 
     /**
-     * Save current state to localStorage
+     * Put data document into state
+     *
+     * @param {Object} data - Data document (already migrated)
+     * @private
      */
-    function save() {
+    function apply(data) {
         var State = global.BarGen.State;
 
+        COLLECTIONS.concat(SETTINGS).forEach(function(entry) {
+            entry.set(State, data[entry.name]);
+        });
+    }
+
+    /**
+     * Upgrade data document to current schema version
+     *
+     * @param {Object} data - Data document (modified in place)
+     * @returns {boolean} True if any migration was applied
+     * @throws {Error} If data comes from a newer version of the application
+     */
+    function migrate(data) {
+        var version = data.schemaVersion || 0;
+
+        if (version > SCHEMA_VERSION) {
+            throw new Error('Данные из более новой версии BarGen (схема ' + version + ')');
+        }
+
+        for (var v = version; v < SCHEMA_VERSION; v++) {
+            MIGRATIONS[v](data);
+        }
+
+        data.schemaVersion = SCHEMA_VERSION;
+        return version !== SCHEMA_VERSION;
+    }
+
+    /**
+     * Report save error to user once
+     * @private
+     */
+    function reportError(error) {
+        console.error('[BarGen Storage] Save error:', error);
+
+        if (!errorShown) {
+            errorShown = true;
+            alert('Не удалось сохранить данные (' + (error && error.name || error) + '). ' +
+                'Скачайте резервную копию в Библиотеке, чтобы не потерять изменения.');
+        }
+    }
+
+    /* ==========================================================================
+       localStorage backend
+       ========================================================================== */
+
+    /**
+     * Read data document from localStorage
+     *
+     * @returns {Object|null} Parsed data or null if nothing stored
+     * @private
+     */
+    function readLocal() {
+        var text = localStorage.getItem(Config.STORAGE_KEY);
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Write data document to localStorage
+     * @private
+     */
+    function writeLocal(data) {
+        localStorage.setItem(Config.STORAGE_KEY, JSON.stringify(data));
+    }
+
+    /* ==========================================================================
+       IndexedDB backend
+       ========================================================================== */
+
+    /**
+     * Open database, creating object stores on first run
+     *
+     * @param {Function} callback - callback(error, db)
+     * @private
+     */
+    function openDb(callback) {
+        if (!global.indexedDB) {
+            callback(new Error('IndexedDB is not supported'));
+            return;
+        }
+
+        var request;
         try {
-            var data = {
-                savedItems: State.savedItems,
-                dmFolders: State.dm.folders,
-                wcFolders: State.wc.folders,
-                sgFolders: State.sg.folders,
-                gs1Folders: State.gs1.folders,
-                history: State.history.items
-            };
-            localStorage.setItem(Config.STORAGE_KEY, JSON.stringify(data));
+            request = global.indexedDB.open(Config.DB_NAME, DB_VERSION);
         } catch (e) {
-            console.error('[BarGen Storage] Save error:', e);
+            callback(e); // e.g. blocked in private mode
+            return;
         }
+
+        request.onupgradeneeded = function() {
+            var db = request.result;
+
+            COLLECTIONS.forEach(function(entry) {
+                if (!db.objectStoreNames.contains(entry.name)) {
+                    db.createObjectStore(entry.name);
+                }
+            });
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta');
+            }
+        };
+
+        request.onsuccess = function() {
+            callback(null, request.result);
+        };
+
+        request.onerror = function() {
+            callback(request.error);
+        };
     }
 
     /**
-     * Export all data as JSON file
+     * Read data document from database
      *
-     * @description Creates downloadable backup file with current date
+     * @param {Function} callback - callback(error, data); data.schemaVersion
+     * is undefined when database is empty
+     * @private
      */
-    function exportData() {
-        var State = global.BarGen.State;
+    function readDb(callback) {
+        var names = COLLECTIONS.map(function(entry) { return entry.name; });
+        var tx = database.transaction(names.concat('meta'), 'readonly');
+        var data = {};
+
+        names.forEach(function(name) {
+            var request = tx.objectStore(name).getAll();
+            request.onsuccess = function() {
+                data[name] = request.result;
+            };
+        });
 
-        var data = {
-            savedItems: State.savedItems,
-            dmFolders: State.dm.folders,
-            wcFolders: State.wc.folders,
-            sgFolders: State.sg.folders,
-            gs1Folders: State.gs1.folders,
-            history: State.history.items
+        SETTINGS.map(function(entry) { return entry.name; }).concat('schemaVersion').forEach(function(name) {
+            var request = tx.objectStore('meta').get(name);
+            request.onsuccess = function() {
+                data[name] = request.result;
+            };
+        });
+
+        tx.oncomplete = function() {
+            callback(null, data);
+        };
+        tx.onerror = tx.onabort = function() {
+            callback(tx.error);
         };
+    }
 
-        var blob = new Blob(
-            [JSON.stringify(data, null, 2)],
-            { type: 'application/json' }
-        );
+    /**
+     * Write collections/settings to database in one transaction
+     *
+     * @description Collection items are stored under their position, so
+     * order is kept and a collection is rewritten as a whole.
+     *
+     * @param {Object} data - Data document
+     * @param {string[]} names - Names to write
+     * @param {Function} callback - callback(error)
+     * @private
+     */
+    function writeDb(data, names, callback) {
+        var collections = COLLECTIONS.map(function(entry) { return entry.name; });
+        var stores = names.filter(function(name) { return collections.indexOf(name) !== -1; });
+        var tx = database.transaction(stores.concat('meta'), 'readwrite');
 
-        var filename = 'bargen_backup_' + new Date().toISOString().slice(0, 10) + '.json';
+        names.forEach(function(name) {
+            if (stores.indexOf(name) === -1) {
+                tx.objectStore('meta').put(data[name], name);
+                return;
+            }
 
-        var link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = filename;
-        link.click();
+            var store = tx.objectStore(name);
+            store.clear();
+            data[name].forEach(function(item, index) {
+                store.put(item, index);
+            });
+        });
 
-        // Clean up
-        URL.revokeObjectURL(link.href);
+        tx.objectStore('meta').put(data.schemaVersion, 'schemaVersion');
+
+        tx.oncomplete = function() {
+            callback(null);
+        };
+        tx.onerror = tx.onabort = function() {
+            callback(tx.error);
+        };
     }
 
+    /* ==========================================================================
+       Public API
+       ========================================================================== */
+
     /**
-     * Import data from JSON file
+     * Load data into state
+     *
+     * @description Opens IndexedDB (falls back to localStorage if unavailable),
+     * moves data saved by older versions from localStorage into IndexedDB on
+     * first run and applies schema migrations.
      *
-     * @param {File} file - JSON file to import
+     * @param {Function} [callback] - Called when state is ready
      */
-    function importData(file) {
-        var State = global.BarGen.State;
+    function load(callback) {
+        var done = callback || function() {};
+
+        var finish = function(data, fromLocal) {
+            var changed = false;
+
+            try {
+                changed = migrate(data);
+            } catch (e) {
+                console.error('[BarGen Storage] Migration error:', e);
+                lock(e.message);
+                done();
+                return;
+            }
+
+            apply(data);
+
+            if (changed || fromLocal) {
+                written = {};
+                flush(function(error) {
+                    // Data now lives in IndexedDB, free localStorage quota
+                    if (!error && fromLocal && backend === 'indexeddb') {
+                        localStorage.removeItem(Config.STORAGE_KEY);
+                    }
+                });
+            } else {
+                remember(collect());
+            }
+
+            done();
+        };
+
+        var fallback = function(error) {
+            if (error) console.warn('[BarGen Storage] IndexedDB unavailable, using localStorage:', error);
+            backend = 'localstorage';
+            database = null;
+
+            var data;
+            try {
+                data = readLocal() || {};
+            } catch (e) {
+                console.error('[BarGen Storage] Load error:', e);
+                lock('Не удалось прочитать сохранённые данные');
+                done();
+                return;
+            }
+            finish(data, false);
+        };
+
+        openDb(function(error, db) {
+            if (error) {
+                fallback(error);
+                return;
+            }
+
+            database = db;
+            backend = 'indexeddb';
+
+            readDb(function(readError, data) {
+                if (readError) {
+                    fallback(readError);
+                    return;
+                }
+
+                if (data.schemaVersion === undefined) {
+                    // Empty database: take over data of localStorage version
+                    var legacy = null;
+                    try {
+                        legacy = readLocal();
+                    } catch (e) {
+                        console.error('[BarGen Storage] Load error:', e);
+                    }
+                    finish(legacy || {}, !!legacy);
+                } else {
+                    finish(data, false);
+                }
+            });
+        });
+    }
+
+    /**
+     * Switch to read-only mode and tell user why
+     *
+     * @param {string} reason - Why stored data was not loaded
+     * @private
+     */
+    function lock(reason) {
+        readOnly = true;
+        alert(reason + '.\nДанные не загружены, изменения в этом окне не сохраняются, ' +
+            'чтобы не повредить сохранённую базу.');
+    }
+
+    /**
+     * Remember written JSON of every collection/setting
+     * @private
+     */
+    function remember(data) {
+        COLLECTIONS.concat(SETTINGS).forEach(function(entry) {
+            written[entry.name] = JSON.stringify(data[entry.name]);
+        });
+    }
+
+    /**
+     * Save current state (batched)
+     *
+     * @description Many changes in a row are written once, after SAVE_DELAY_MS.
+     * Use flush() when data must be written right now.
+     */
+    function save() {
+        if (saveTimer || readOnly) return;
+        saveTimer = setTimeout(function() {
+            saveTimer = null;
+            flush();
+        }, SAVE_DELAY_MS);
+    }
+
+    /**
+     * Write pending changes immediately
+     *
+     * @param {Function} [callback] - callback(error) after data is written
+     */
+    function flush(callback) {
+        var done = callback || function() {};
 
+        clearTimeout(saveTimer);
+        saveTimer = null;
+
+        if (readOnly) {
+            done(new Error('Storage is read-only'));
+            return;
+        }
+
+        var data = collect();
+
+        if (backend !== 'indexeddb') {
+            try {
+                writeLocal(data);
+                done(null);
+            } catch (e) {
+                reportError(e);
+                done(e);
+            }
+            return;
+        }
+
+        var changed = [];
+        var json = {};
+
+        COLLECTIONS.concat(SETTINGS).forEach(function(entry) {
+            json[entry.name] = JSON.stringify(data[entry.name]);
+            if (json[entry.name] !== written[entry.name]) {
+                changed.push(entry.name);
+            }
+        });
+
+        if (changed.length === 0) {
+            done(null);
+            return;
+        }
+
+        writeDb(data, changed, function(error) {
+            if (error) {
+                reportError(error);
+            } else {
+                changed.forEach(function(name) {
+                    written[name] = json[name];
+                });
+            }
+            done(error);
+        });
+    }
+
+    /**
+     * Export all data as JSON file
+     *
+     * @description Creates downloadable backup file with current date
+     */
+    function exportData() {
+        var filename = 'bargen_backup_' + new Date().toISOString().slice(0, 10) + '.json';
+
+        Utils.downloadFile(JSON.stringify(collect(), null, 2), filename, 'application/json');
+    }
+
+    /**
+     * Read backup file
+     *
+     * @description Backups of older versions are migrated to current schema
+     * and checked by Schema.validate (small defects are repaired). What to do
+     * with the data (merge, replace or refuse) is decided by the caller.
+     *
+     * @param {File} file - JSON file
+     * @param {Function} callback - callback(data, report) with migrated data
+     * document and validation report
+     */
+    function readBackup(file, callback) {
         var reader = new FileReader();
 
         reader.onload = function(e) {
+            var data;
             try {
-                var data = JSON.parse(e.target.result);
-
-                if (confirm('Заменить текущие данные загруженным файлом?')) {
-                    State.savedItems = data.savedItems || [];
-                    State.dm.folders = data.dmFolders || [];
-                    State.wc.folders = data.wcFolders || [];
-                    State.sg.folders = data.sgFolders || [];
-                    State.gs1.folders = data.gs1Folders || [];
-                    State.history.items = data.history || [];
-
-                    save();
-                    location.reload();
-                }
+                data = JSON.parse(e.target.result);
+                migrate(data);
             } catch (err) {
                 alert('Ошибка чтения файла. Проверьте формат JSON.');
                 console.error('[BarGen Storage] Import error:', err);
+                return;
             }
+            callback(data, Schema.validate(data));
         };
 
         reader.onerror = function() {
@@ -152,6 +647,17 @@
         reader.readAsText(file);
     }
 
+    /**
+     * Replace all data with data document and write it
+     *
+     * @param {Object} data - Migrated data document
+     * @param {Function} [callback] - callback(error) after data is written
+     */
+    function replaceAll(data, callback) {
+        apply(data);
+        flush(callback);
+    }
+
     /**
      * Clear all stored data
      *
@@ -163,19 +669,32 @@
             return false;
         }
 
+        clearTimeout(saveTimer);
+        saveTimer = null;
         localStorage.removeItem(Config.STORAGE_KEY);
-        location.reload();
+
+        if (database) {
+            database.close();
+            database = null;
+
+            var request = global.indexedDB.deleteDatabase(Config.DB_NAME);
+            request.onsuccess = request.onerror = request.onblocked = function() {
+                location.reload();
+            };
+        } else {
+            location.reload();
+        }
         return true;
     }
 
     /**
-     * Get storage size in bytes
+     * Get size of stored data in bytes
      *
-     * @returns {number} Size in bytes
+     * @returns {number} Approximate size in bytes (JSON, UTF-16)
      */
     function getSize() {
-        var data = localStorage.getItem(Config.STORAGE_KEY);
-        return data ? data.length * 2 : 0; // UTF-16 = 2 bytes per char
+        var json = JSON.stringify(collect());
+        return json.length * 2; // UTF-16 = 2 bytes per char
     }
 
     /**
@@ -194,15 +713,40 @@
         }
     }
 
+    /**
+     * Get active storage backend
+     *
+     * @returns {string} 'indexeddb' or 'localstorage'
+     */
+    function getBackend() {
+        return backend;
+    }
+
+    /**
+     * Check if stored data failed to load and nothing is written
+     *
+     * @returns {boolean} True in read-only mode
+     */
+    function isReadOnly() {
+        return readOnly;
+    }
+
     // Export to namespace
     global.BarGen.Storage = {
+        SCHEMA_VERSION: SCHEMA_VERSION,
         load: load,
         save: save,
+        flush: flush,
+        collect: collect,
+        migrate: migrate,
         exportData: exportData,
-        importData: importData,
+        readBackup: readBackup,
+        replaceAll: replaceAll,
         clearAll: clearAll,
         getSize: getSize,
-        isAvailable: isAvailable
+        isAvailable: isAvailable,
+        getBackend: getBackend,
+        isReadOnly: isReadOnly
     };
 
 })(window);
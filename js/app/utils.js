@@ -27,12 +27,174 @@
         base64: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
     };
 
+    /**
+     * Seedable pseudo-random number generator
+     *
+     * @description All random generation goes through this generator so that a
+     * test session can be replayed: the same seed and the same inputs produce
+     * the same codes. Uses mulberry32 (32-bit state, fast, good enough for test data).
+     *
+     * @example
+     * rng.seed(12345);
+     * rng.random() // 0.9797282677609473 (always the same after seed 12345)
+     */
+    var rng = (function() {
+        var currentSeed = 0;
+        var state = 0;
+        var runNumber = 0;
+
+        /**
+         * Set seed and restart sequence
+         *
+         * @param {number|string} value - Seed (numeric string is used as is, other strings are hashed)
+         * @returns {number} Normalized 32-bit seed
+         */
+        function seed(value) {
+            if (typeof value === 'string' && !/^\d+$/.test(value.trim())) {
+                // FNV-1a hash for text seeds
+                var hash = 2166136261;
+                for (var i = 0; i < value.length; i++) {
+                    hash ^= value.charCodeAt(i);
+                    hash = Math.imul(hash, 16777619);
+                }
+                value = hash;
+            }
+            currentSeed = Number(value) >>> 0;
+            state = currentSeed;
+            runNumber++;
+            return currentSeed;
+        }
+
+        /**
+         * Get seed of current sequence
+         *
+         * @returns {number} Current seed
+         */
+        function getSeed() {
+            return currentSeed;
+        }
+
+        /**
+         * Get number of current sequence (incremented by every seed() call)
+         *
+         * @returns {number} Sequence number
+         */
+        function getRun() {
+            return runNumber;
+        }
+
+        /**
+         * Get next random number
+         *
+         * @returns {number} Float in range [0, 1)
+         */
+        function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            var t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        /**
+         * Get random integer
+         *
+         * @param {number} max - Upper bound (exclusive)
+         * @returns {number} Integer in range [0, max)
+         */
+        function int(max) {
+            return Math.floor(random() * max);
+        }
+
+        /**
+         * Make a fresh seed (the only place real randomness is used)
+         *
+         * @returns {number} Random 32-bit seed
+         */
+        function newSeed() {
+            return Math.floor(Math.random() * 4294967296) >>> 0;
+        }
+
+        /**
+         * Start a generation run
+         *
+         * @description Reseeds with the fixed seed if given, otherwise with a fresh one.
+         * Takes over the shared sequence, so only the DataMatrix output (whose
+         * codes are drawn as they are shown) starts runs this way; batch
+         * generation uses run().
+         *
+         * @param {number|null} [fixedSeed] - Seed pinned by user
+         * @returns {number} Seed used for the run
+         */
+        function start(fixedSeed) {
+            return seed(fixedSeed !== null && fixedSeed !== undefined ? fixedSeed : newSeed());
+        }
+
+        /**
+         * Start a generation run of its own, then continue the current one
+         *
+         * @description For runs that must not take over the shared sequence
+         * (items added or imported while a DataMatrix rotation is running): the
+         * current seed, position and run number are restored afterwards, so the
+         * rotation and its replay yield the same codes.
+         *
+         * @param {number|null} fixedSeed - Seed pinned by user (null = fresh seed)
+         * @param {Function} fn - Function to run, gets the seed of its run
+         * @returns {*} Result of fn
+         *
+         * @example
+         * rng.run(State.rng.fixedSeed, function(seed) { folder.seed = seed; ... });
+         */
+        function run(fixedSeed, fn) {
+            var savedSeed = currentSeed;
+            var savedState = state;
+            var savedRun = runNumber;
+
+            try {
+                return fn(start(fixedSeed));
+            } finally {
+                currentSeed = savedSeed;
+                state = savedState;
+                runNumber = savedRun;
+            }
+        }
+
+        /**
+         * Run function on a fresh separate sequence, then continue the current one
+         *
+         * @description For codes that go to files while a run is in progress
+         * (export, printing): they are not replayed, so the pinned seed is not used.
+         *
+         * @param {Function} fn - Function to run
+         * @returns {*} Result of fn
+         */
+        function isolate(fn) {
+            return run(null, function() {
+                return fn();
+            });
+        }
+
+        seed(newSeed());
+
+        return {
+            seed: seed,
+            getSeed: getSeed,
+            getRun: getRun,
+            random: random,
+            int: int,
+            newSeed: newSeed,
+            start: start,
+            run: run,
+            isolate: isolate
+        };
+    })();
+
     /**
      * Get random character from alphanumeric set
      * @returns {string} Single random character
      */
     function getRandomChar() {
-        return CHARS.alphanumeric.charAt(Math.floor(Math.random() * CHARS.alphanumeric.length));
+        return CHARS.alphanumeric.charAt(rng.int(CHARS.alphanumeric.length));
     }
 
     /**
@@ -66,7 +228,7 @@
     function randomDigits(n) {
         var result = '';
         for (var i = 0; i < n; i++) {
-            result += Math.floor(Math.random() * 10);
+            result += rng.int(10);
         }
         return result;
     }
@@ -83,7 +245,7 @@
     function randomHex(n) {
         var result = '';
         for (var i = 0; i < n; i++) {
-            result += CHARS.hex[Math.floor(Math.random() * 16)];
+            result += CHARS.hex[rng.int(16)];
         }
         return result;
     }
@@ -100,7 +262,7 @@
     function randomBase64(n) {
         var result = '';
         for (var i = 0; i < n; i++) {
-            result += CHARS.base64[Math.floor(Math.random() * 64)];
+            result += CHARS.base64[rng.int(64)];
         }
         return result;
     }
@@ -182,6 +344,74 @@
         return (10 - (sum % 10)) % 10;
     }
 
+    /**
+     * Calculate GTIN check digit (GTIN-8/12/13/14)
+     *
+     * @description Weights are applied from the right: the digit next to the
+     * check digit is multiplied by 3, the one before it by 1, and so on.
+     * Works for any GTIN length, unlike calcControlEAN13 which assumes 12 digits.
+     *
+     * @param {string} code - GTIN digits without check digit
+     * @returns {number} Check digit (0-9)
+     *
+     * @example
+     * calcControlGTIN('0481009900331') // 0
+     */
+    function calcControlGTIN(code) {
+        var sum = 0;
+        for (var i = code.length - 1, w = 3; i >= 0; i--, w = 4 - w) {
+            sum += (parseInt(code.charAt(i)) || 0) * w;
+        }
+        return (10 - (sum % 10)) % 10;
+    }
+
+    /**
+     * Weighted digit products of price check digit (GS1 General
+     * Specifications, weighting factors 2-, 3, 5+ and 5-)
+     * @type {Object}
+     * @private
+     */
+    var PRICE_WEIGHTS = {
+        '2-': [0, 2, 4, 6, 8, 9, 1, 3, 5, 7],
+        '3': [0, 3, 6, 9, 2, 5, 8, 1, 4, 7],
+        '5+': [0, 5, 1, 6, 2, 7, 3, 8, 4, 9],
+        '5-': [0, 5, 9, 4, 8, 3, 7, 2, 6, 1]
+    };
+
+    /**
+     * Calculate price check digit (price verifier of restricted
+     * circulation EAN-13)
+     *
+     * @description Defined by GS1 for 4- and 5-digit price (or weight)
+     * fields:
+     * - 4 digits: factors 2-, 2-, 3, 5-; check digit = units of sum * 3
+     * - 5 digits: factors 5+, 2-, 5-, 5+, 2-; check digit is the digit
+     *   whose 5- product equals (10 - sum mod 10) mod 10
+     *
+     * @param {string} digits - 4 or 5 digits of price field
+     * @returns {number|null} Check digit (0-9) or null for other lengths
+     *
+     * @example
+     * calcPriceCheck('2875')  // 9
+     * calcPriceCheck('14685') // 6
+     */
+    function calcPriceCheck(digits) {
+        var factors = digits.length === 4 ? ['2-', '2-', '3', '5-'] :
+            digits.length === 5 ? ['5+', '2-', '5-', '5+', '2-'] : null;
+
+        if (!factors) return null;
+
+        var sum = 0;
+        for (var i = 0; i < factors.length; i++) {
+            sum += PRICE_WEIGHTS[factors[i]][parseInt(digits.charAt(i)) || 0];
+        }
+
+        if (digits.length === 4) {
+            return (sum * 3) % 10;
+        }
+        return PRICE_WEIGHTS['5-'].indexOf((10 - (sum % 10)) % 10);
+    }
+
     /**
      * Generate random weight in grams
      *
@@ -193,7 +423,7 @@
      * randomWeight(150, 8000) // 3427
      */
     function randomWeight(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return rng.int(max - min + 1) + min;
     }
 
     /**
@@ -299,6 +529,53 @@
         return (grams / 1000).toFixed(3) + ' кг';
     }
 
+    /**
+     * Format price in roubles
+     *
+     * @param {number} roubles - Price
+     * @returns {string} Formatted price
+     *
+     * @example
+     * formatPrice(146.85) // '146.85 ₽'
+     */
+    function formatPrice(roubles) {
+        return Number(roubles || 0).toFixed(2) + ' ₽';
+    }
+
+    /**
+     * Format date for GS1 date AIs
+     *
+     * @description YYMMDD for AI 11/17, YYMMDDhhmm for AI 7003
+     *
+     * @param {Date} date - Date to format
+     * @param {boolean} [withTime=false] - Append hours and minutes
+     * @returns {string} Formatted date
+     *
+     * @example
+     * formatGS1Date(new Date(2024, 0, 15)) // '240115'
+     */
+    function formatGS1Date(date, withTime) {
+        var parts = [date.getFullYear() % 100, date.getMonth() + 1, date.getDate()];
+        if (withTime) {
+            parts.push(date.getHours(), date.getMinutes());
+        }
+        return parts.map(function(n) {
+            return padZeros(n, 2);
+        }).join('');
+    }
+
+    /**
+     * Get date shifted by number of days from today
+     *
+     * @param {number} days - Offset in days (negative for past)
+     * @returns {Date} Shifted date
+     */
+    function addDays(days) {
+        var date = new Date();
+        date.setDate(date.getDate() + days);
+        return date;
+    }
+
     /**
      * Generate unique ID
      *
@@ -312,8 +589,138 @@
         return (prefix || 'id') + '_' + Date.now();
     }
 
+    /**
+     * Save content as file download
+     *
+     * @param {string|Blob} content - File content
+     * @param {string} filename - File name
+     * @param {string} [type='text/plain'] - MIME type (ignored for Blob)
+     *
+     * @example
+     * downloadFile('a;b\n1;2', 'report.csv', 'text/csv')
+     */
+    function downloadFile(content, filename, type) {
+        var blob = content instanceof Blob ? content :
+            new Blob([content], { type: (type || 'text/plain') + ';charset=utf-8' });
+
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+
+        // Clean up
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Build delimited text (CSV/TSV) from rows
+     *
+     * @description Values containing delimiter, quote or line break are quoted.
+     *
+     * @param {Array[]} rows - Rows of values (null/undefined → empty cell)
+     * @param {string} [delimiter=';'] - Column delimiter
+     * @returns {string} Text with CRLF line breaks
+     *
+     * @example
+     * buildCsv([['a', 'b;c'], [1, null]]) // 'a;"b;c"\r\n1;'
+     */
+    function buildCsv(rows, delimiter) {
+        var sep = delimiter || ';';
+
+        var quote = function(value) {
+            var text = value === null || value === undefined ? '' : String(value);
+            return text.indexOf(sep) !== -1 || /["\r\n]/.test(text) ?
+                '"' + text.replace(/"/g, '""') + '"' : text;
+        };
+
+        return rows.map(function(row) { return row.map(quote).join(sep); }).join('\r\n');
+    }
+
+    /**
+     * Parse delimited text (CSV/TSV)
+     *
+     * @description Handles quoted values (with delimiters, quotes and line
+     * breaks inside), CRLF/LF line breaks and UTF-8 BOM. Without delimiter
+     * it is detected from the first line (tab, semicolon or comma).
+     * Empty lines are skipped.
+     *
+     * @param {string} text - File content
+     * @param {string} [delimiter] - Column delimiter
+     * @returns {Array[]} Rows of string values
+     *
+     * @example
+     * parseCsv('gtin;name\n4810099003310;"Молоко; 1л"')
+     * // [['gtin', 'name'], ['4810099003310', 'Молоко; 1л']]
+     */
+    function parseCsv(text, delimiter) {
+        var source = text.charAt(0) === '\uFEFF' ? text.substring(1) : text;
+        var sep = delimiter || detectDelimiter(source);
+        var rows = [];
+        var row = [];
+        var value = '';
+        var quoted = false;
+
+        var endRow = function() {
+            row.push(value);
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+            value = '';
+        };
+
+        for (var i = 0; i < source.length; i++) {
+            var ch = source.charAt(i);
+
+            if (quoted) {
+                if (ch === '"' && source.charAt(i + 1) === '"') {
+                    value += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    value += ch;
+                }
+            } else if (ch === '"' && value === '') {
+                quoted = true;
+            } else if (ch === sep) {
+                row.push(value);
+                value = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source.charAt(i + 1) === '\n') i++;
+                endRow();
+            } else {
+                value += ch;
+            }
+        }
+        endRow();
+
+        return rows;
+    }
+
+    /**
+     * Detect column delimiter by first line
+     *
+     * @param {string} text - File content
+     * @returns {string} Tab, semicolon or comma (the most frequent one)
+     * @private
+     */
+    function detectDelimiter(text) {
+        var line = text.split(/\r?\n/)[0];
+        var best = ';';
+        var bestCount = 0;
+
+        ['\t', ';', ','].forEach(function(sep) {
+            var count = line.split(sep).length - 1;
+            if (count > bestCount) {
+                best = sep;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
     // Export to namespace
     global.BarGen.Utils = {
+        rng: rng,
         getRandomChar: getRandomChar,
         generateSerial: generateSerial,
         randomDigits: randomDigits,
@@ -323,6 +730,8 @@
         padZeros: padZeros,
         calcControlCore: calcControlCore,
         calcControlEAN13: calcControlEAN13,
+        calcControlGTIN: calcControlGTIN,
+        calcPriceCheck: calcPriceCheck,
         randomWeight: randomWeight,
         escapeHtml: escapeHtml,
         scrollToElement: scrollToElement,
@@ -332,7 +741,13 @@
         on: on,
         formatTime: formatTime,
         formatWeight: formatWeight,
-        generateId: generateId
+        formatPrice: formatPrice,
+        formatGS1Date: formatGS1Date,
+        addDays: addDays,
+        generateId: generateId,
+        downloadFile: downloadFile,
+        buildCsv: buildCsv,
+        parseCsv: parseCsv
     };
 
 })(window);
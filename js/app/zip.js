@@ -0,0 +1,166 @@
+/**
+ * BarGen ZIP Module
+ *
+ * @description Minimal in-browser ZIP writer (files are stored without
+ * compression: PNG is already compressed, SVG/CSV are small). Enough for
+ * exporting generated images without a library.
+ * @module Zip
+ *
+ * @example
+ * var zip = BarGen.Zip.create();
+ * zip.add('manifest.csv', 'file;code\r\n0001.png;4810099003310');
+ * zip.add('0001.png', pngBytes);
+ * BarGen.Utils.downloadFile(zip.toBlob(), 'codes.zip');
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+
+    /**
+     * CRC-32 lookup table
+     * @type {Uint32Array|null}
+     * @private
+     */
+    var crcTable = null;
+
+    /**
+     * Calculate CRC-32 of bytes
+     *
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC-32
+     * @private
+     */
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (var n = 0; n < 256; n++) {
+                var c = n;
+                for (var k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c;
+            }
+        }
+
+        var crc = 0xFFFFFFFF;
+        for (var i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Encode string as UTF-8 bytes
+     * @private
+     */
+    function utf8(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    /**
+     * Get date and time in MS-DOS format
+     *
+     * @param {Date} date - Date
+     * @returns {Object} { time, date }
+     * @private
+     */
+    function dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Create ZIP archive
+     *
+     * @returns {Object} Archive: add(name, data), toBlob(), count()
+     */
+    function create() {
+        var entries = [];
+        var stamp = dosDateTime(new Date());
+
+        /**
+         * Add file
+         *
+         * @param {string} name - Path inside archive (UTF-8)
+         * @param {string|Uint8Array} data - Content (strings are written as UTF-8)
+         */
+        function add(name, data) {
+            var bytes = typeof data === 'string' ? utf8(data) : data;
+            entries.push({ name: utf8(name), data: bytes, crc: crc32(bytes) });
+        }
+
+        /**
+         * Build archive
+         *
+         * @returns {Blob} application/zip
+         */
+        function toBlob() {
+            var parts = [];
+            var directory = [];
+            var offset = 0;
+
+            entries.forEach(function(entry) {
+                // Local file header
+                var local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, 0x04034B50, true);
+                local.setUint16(4, 20, true);          // version needed
+                local.setUint16(6, 0x0800, true);      // UTF-8 names
+                local.setUint16(8, 0, true);           // stored
+                local.setUint16(10, stamp.time, true);
+                local.setUint16(12, stamp.date, true);
+                local.setUint32(14, entry.crc, true);
+                local.setUint32(18, entry.data.length, true);
+                local.setUint32(22, entry.data.length, true);
+                local.setUint16(26, entry.name.length, true);
+                local.setUint16(28, 0, true);
+
+                // Central directory header
+                var central = new DataView(new ArrayBuffer(46));
+                central.setUint32(0, 0x02014B50, true);
+                central.setUint16(4, 20, true);        // version made by
+                central.setUint16(6, 20, true);
+                central.setUint16(8, 0x0800, true);
+                central.setUint16(10, 0, true);
+                central.setUint16(12, stamp.time, true);
+                central.setUint16(14, stamp.date, true);
+                central.setUint32(16, entry.crc, true);
+                central.setUint32(20, entry.data.length, true);
+                central.setUint32(24, entry.data.length, true);
+                central.setUint16(28, entry.name.length, true);
+                central.setUint32(42, offset, true);   // other fields stay 0
+
+                parts.push(local.buffer, entry.name, entry.data);
+                directory.push(central.buffer, entry.name);
+                offset += 30 + entry.name.length + entry.data.length;
+            });
+
+            var size = directory.reduce(function(sum, part) { return sum + part.byteLength; }, 0);
+
+            // End of central directory
+            var end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054B50, true);
+            end.setUint16(8, entries.length, true);
+            end.setUint16(10, entries.length, true);
+            end.setUint32(12, size, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob(parts.concat(directory, [end.buffer]), { type: 'application/zip' });
+        }
+
+        return {
+            add: add,
+            toBlob: toBlob,
+            count: function() { return entries.length; }
+        };
+    }
+
+    // Export to namespace
+    global.BarGen.Zip = {
+        create: create
+    };
+
+})(window);
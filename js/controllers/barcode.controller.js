@@ -23,69 +23,49 @@
     /**
      * Generate barcode from form fields
      *
-     * @description Reads form values, validates, generates barcode with check digit
+     * @description Reads form values of selected weight label layout,
+     * validates field widths, generates barcode with check digit (and price
+     * check digit for layouts with verifier field)
      */
     function generate() {
         var typeSelect = Utils.$('barcodeType');
         var type = typeSelect.value;
-        var cfg = Config.BARCODE_CONFIGS[type];
+        var cfg = Config.WEIGHT_LAYOUTS[type];
 
         if (!cfg) return;
 
-        // Clear previous errors
-        cfg.fields.forEach(function(field) {
-            var errorEl = Utils.$(field.name + '-error');
-            if (errorEl) errorEl.textContent = '';
-        });
-
-        // Build code from fields
-        var code = cfg.prefix;
-        var hasError = false;
+        var values = {};
 
+        // Clear previous errors, read values
         cfg.fields.forEach(function(field) {
+            var errorEl = Utils.$(field.name + '-error');
             var inputEl = Utils.$(field.name);
-            var value = inputEl ? inputEl.value.replace(/\D/g, '') : '';
 
-            if (value.length > field.length) {
-                Utils.$(field.name + '-error').textContent = 'Максимум ' + field.length + ' цифр';
-                hasError = true;
-            }
-
-            code += Utils.padZeros(value, field.length);
+            if (errorEl) errorEl.textContent = '';
+            values[field.name] = inputEl ? inputEl.value : '';
         });
 
-        if (hasError) return;
-
-        // Calculate control digit
-        var ctrl;
-        if (cfg.fixedControl !== undefined) {
-            ctrl = cfg.fixedControl;
-        } else if (type === 'ean13_weight') {
-            ctrl = Utils.calcControlEAN13(code).toString();
-        } else {
-            ctrl = Utils.calcControlCore(code).toString();
-        }
+        // Wrong check digits if checkboxes checked
+        var bc = Generators.buildWeightCode(cfg, values, {
+            wrongCheck: Utils.$('simulateError').checked,
+            wrongVerifier: Utils.$('simulatePriceError').checked
+        });
 
-        // Simulate error if checkbox checked
-        var simulateError = Utils.$('simulateError').checked;
-        if (simulateError && cfg.fixedControl === undefined) {
-            var badCtrl = Math.floor(Math.random() * 10).toString();
-            while (badCtrl === ctrl) {
-                badCtrl = Math.floor(Math.random() * 10).toString();
-            }
-            ctrl = badCtrl;
+        if (bc.errors.length > 0) {
+            bc.errors.forEach(function(error) {
+                Utils.$(error.field + '-error').textContent = error.message;
+            });
+            return;
         }
 
-        var finalCode = code + ctrl;
-
         // Display result
         Utils.$('barcodeResult').style.display = 'block';
-        Utils.$('barcodeText').textContent = finalCode;
+        Utils.$('barcodeText').textContent = bc.code;
 
-        Generators.renderBarcode(Utils.$('barcodeSvg'), finalCode, cfg.format);
+        Generators.renderBarcode(Utils.$('barcodeSvg'), bc.code, bc.format);
 
         // Add to history
-        State.addToHistory({ type: 'BC', code: finalCode });
+        State.addToHistory({ type: 'BC', code: bc.code });
     }
 
     // Export to namespace
@@ -0,0 +1,81 @@
+/**
+ * BarGen Damage Controller
+ *
+ * @description Handles raster damage settings (Config.DAMAGE_EFFECTS) applied
+ * to every DataMatrix and GS1 QR rendered after the change, with a preview
+ * of sample DataMatrix in the damage panel
+ * @module Controllers.Damage
+ *
+ * @example
+ * // Turn damage on and scratch the symbol
+ * BarGen.Controllers.Damage.setEnabled(true);
+ * BarGen.Controllers.Damage.setSeverity('scratches', 60);
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Config = global.BarGen.Config;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var UI = global.BarGen.UI;
+
+    /**
+     * Enable or disable damage
+     *
+     * @param {boolean} enabled - Damage flag
+     */
+    function setEnabled(enabled) {
+        State.damage.enabled = !!enabled;
+        Storage.save();
+        UI.renderDamage();
+    }
+
+    /**
+     * Update effect severity
+     *
+     * @description Called while slider moves; the value is saved by save().
+     *
+     * @param {string} name - Key of Config.DAMAGE_EFFECTS
+     * @param {number|string} value - Severity 0-100
+     */
+    function setSeverity(name, value) {
+        if (!Config.DAMAGE_EFFECTS[name]) return;
+
+        var severity = Math.max(0, Math.min(100, parseInt(value, 10) || 0));
+        if (severity > 0) {
+            State.damage.effects[name] = severity;
+        } else {
+            delete State.damage.effects[name];
+        }
+        UI.renderDamage();
+    }
+
+    /**
+     * Save settings (slider released)
+     */
+    function save() {
+        Storage.save();
+    }
+
+    /**
+     * Set all effects to 0
+     */
+    function reset() {
+        State.damage.effects = {};
+        Storage.save();
+        UI.renderDamage();
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Damage = {
+        setEnabled: setEnabled,
+        setSeverity: setSeverity,
+        save: save,
+        reset: reset
+    };
+
+})(window);
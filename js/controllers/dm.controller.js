@@ -23,6 +23,40 @@
     var State = global.BarGen.State;
     var UI = global.BarGen.UI;
     var Generators = global.BarGen.Generators;
+    var Carousel = global.BarGen.Carousel;
+
+    /**
+     * Rotation engine: endless stream in demo mode, folder items in rotation mode
+     * @type {Object}
+     */
+    var carousel = Carousel.create({ interval: State.dm.timerValue });
+
+    carousel.on('show', function(item, index, info) {
+        if (State.dm.isRotating) {
+            State.dm.rotationIndex = index;
+
+            // Manual navigation shows code already generated for item again
+            var cached = info.manual ? findCached(index) : -1;
+            if (cached !== -1) {
+                displayFromCache(cached);
+                return;
+            }
+        }
+        generateAndDisplay();
+    });
+
+    // 'once' mode: last item shown, rotation is over
+    carousel.on('end', stopRotation);
+
+    carousel.on('tick', updateCountdown);
+
+    carousel.on('play', function() {
+        togglePlayState(true);
+    });
+
+    carousel.on('pause', function() {
+        togglePlayState(false);
+    });
 
     /**
      * Generate DataMatrix code and display it
@@ -42,7 +76,7 @@
             // Rotation mode: use items from folder
             var item = dm.rotationList[dm.rotationIndex];
             barcode = item.barcode;
-            result = Generators.generateDM(barcode, item.template);
+            result = Generators.generateDM(barcode, item.template, State.getDmFolder(dm.rotationFolderId));
             var currentRotationIdx = dm.rotationIndex;
             dm.rotationIndex = (dm.rotationIndex + 1) % dm.rotationList.length;
         } else {
@@ -50,9 +84,12 @@
             result = Generators.generateDM();
         }
 
-        // Check if "Broken DataMatrix" checkbox is enabled
+        // Check if "Broken DataMatrix" checkbox is enabled and this code is one of "1 of N"
         var brokenDmCheckbox = Utils.$('brokenDataMatrix');
-        if (brokenDmCheckbox && brokenDmCheckbox.checked) {
+        var everyInput = Utils.$('brokenDmEvery');
+        var every = everyInput ? parseInt(everyInput.value, 10) || 1 : 1;
+        if (brokenDmCheckbox && brokenDmCheckbox.checked &&
+            isBrokenPosition(dm.generatedCodes.length, every, Utils.rng.getSeed())) {
             // Get selected break method
             var selectedMethod = 'removeChars'; // default
             var methodRadios = document.getElementsByName('brokenDmType');
@@ -64,7 +101,11 @@
             }
             
             // Apply the break method to the code
-            result.code = Generators.breakDataMatrix(result.code, selectedMethod);
+            var validCode = result.code;
+            var broken = Generators.breakDataMatrix(validCode, selectedMethod);
+            result.code = broken.code;
+            result.broken = { method: broken.method, reason: broken.reason };
+            State.markHistoryBroken(validCode, result.code, result.broken);
         }
 
         // Generate secondary code if double scan enabled
@@ -74,7 +115,8 @@
                     secondaryResult = {
                         type: 'DM',
                         code: result.code,
-                        barcode: barcode
+                        barcode: barcode,
+                        mode: result.mode
                     };
                     break;
                 case 'dmEan':
@@ -104,11 +146,13 @@
                     var templateId = dm.isRotating ? 
                         dm.rotationList[(dm.rotationIndex - 1 + dm.rotationList.length) % dm.rotationList.length].template :
                         dm.selectedTemplate;
-                    var result2 = Generators.generateDM(nextBarcode, templateId);
+                    var result2 = Generators.generateDM(nextBarcode, templateId,
+                        dm.isRotating ? State.getDmFolder(dm.rotationFolderId) : null);
                     secondaryResult = {
                         type: 'DM',
                         code: result2.code,
-                        barcode: nextBarcode
+                        barcode: nextBarcode,
+                        mode: result2.mode
                     };
                     break;
             }
@@ -120,14 +164,16 @@
                 code: result.code,
                 barcode: barcode,
                 templateName: result.templateName,
+                mode: result.mode,
                 rotationIdx: currentRotationIdx,
                 doubleScanMode: doubleScanMode,
                 primaryDisplayAsEan: result.displayAsEan || false,
-                secondaryCode: secondaryResult
+                secondaryCode: secondaryResult,
+                broken: result.broken || null
             });
             dm.codeHistoryIndex = dm.generatedCodes.length - 1;
 
-            showCodeInfo(barcode, result.templateName, currentRotationIdx + 1, dm.rotationList.length);
+            showCodeInfo(barcode, result.templateName, currentRotationIdx + 1, dm.rotationList.length, result.mode, result.code);
             updateBadge(true, dm.rotationList.length);
         } else {
             // Cache demo codes too
@@ -135,14 +181,17 @@
                 code: result.code,
                 barcode: result.barcode,
                 templateName: result.templateName,
+                mode: result.mode,
                 rotationIdx: dm.generatedCodes.length,
                 doubleScanMode: doubleScanMode,
                 primaryDisplayAsEan: result.displayAsEan || false,
-                secondaryCode: secondaryResult
+                secondaryCode: secondaryResult,
+                broken: result.broken || null
             });
             dm.codeHistoryIndex = dm.generatedCodes.length - 1;
 
-            showCodeInfo(result.barcode, result.templateName, dm.codeHistoryIndex + 1, Config.DEMO_GTINS.length);
+            showCodeInfo(result.barcode, result.templateName, dm.codeHistoryIndex + 1, Config.DEMO_GTINS.length,
+                result.mode, result.code);
             updateBadge(true, Config.DEMO_GTINS.length);
         }
 
@@ -157,7 +206,49 @@
 
         // Update code text with flash animation
         var primaryCodeText = result.displayAsEan ? result.ean13Code : result.code;
-        updateCodeText(primaryCodeText, secondaryResult)
+        updateCodeText(primaryCodeText, secondaryResult, result.broken || null);
+        UI.renderBrokenReason('broken-reason', result.broken || null);
+    }
+
+    /**
+     * Check whether code at position in run is broken by ratio "1 of every"
+     *
+     * @description One code of each block of `every` codes is broken. Its place
+     * in the block is derived from the run seed (without consuming Utils.rng),
+     * so broken codes do not come at a fixed step, yet a replayed run breaks
+     * the same positions.
+     *
+     * @param {number} index - Position of code in run (0-based)
+     * @param {number} every - Block size (1 - every code is broken)
+     * @param {number} seed - Seed of run
+     * @returns {boolean} True if code is broken
+     * @private
+     */
+    function isBrokenPosition(index, every, seed) {
+        if (every <= 1) return true;
+
+        var block = Math.floor(index / every);
+        var hash = (seed ^ Math.imul(block + 1, 0x9E3779B1)) >>> 0;
+        hash = Math.imul(hash ^ (hash >>> 16), 0x45D9F3B) >>> 0;
+        hash = Math.imul(hash ^ (hash >>> 16), 0x45D9F3B) >>> 0;
+        hash = (hash ^ (hash >>> 16)) >>> 0;
+
+        return index % every === hash % every;
+    }
+
+    /**
+     * Find last cached code of rotation item
+     *
+     * @param {number} rotationIdx - Index of item in rotation list
+     * @returns {number} Cache index or -1
+     * @private
+     */
+    function findCached(rotationIdx) {
+        var codes = State.dm.generatedCodes;
+        for (var i = codes.length - 1; i >= 0; i--) {
+            if (codes[i].rotationIdx === rotationIdx) return i;
+        }
+        return -1;
     }
 
     /**
@@ -176,6 +267,7 @@
         // Restore primary code display
         var primaryResult = {
             code: cached.code,
+            mode: cached.mode,
             displayAsEan: cached.primaryDisplayAsEan,
             ean13Code: cached.primaryDisplayAsEan ? Generators.extractEAN13FromDM(cached.code) : null
         };
@@ -191,14 +283,15 @@
 
         // Update code text
         var primaryCodeText = cached.primaryDisplayAsEan ? primaryResult.ean13Code : cached.code;
-        updateCodeText(primaryCodeText, cached.secondaryCode)
+        updateCodeText(primaryCodeText, cached.secondaryCode, cached.broken || null);
+        UI.renderBrokenReason('broken-reason', cached.broken || null);
 
         // Update info display
         var isRotationMode = dm.rotationList.length > 0;
         var displayIdx = cached.rotationIdx !== undefined ? cached.rotationIdx + 1 : index + 1;
         var total = isRotationMode ? dm.rotationList.length : Config.DEMO_GTINS.length;
 
-        showCodeInfo(cached.barcode, cached.templateName, displayIdx, total);
+        showCodeInfo(cached.barcode, cached.templateName, displayIdx, total, cached.mode, cached.code);
         updateBadge(true, total);
     }
 
@@ -208,42 +301,20 @@
     function startTimer() {
         var dm = State.dm;
 
-        stopTimer();
-
-        // If viewing history, jump to end first
-        if (dm.generatedCodes.length > 0 && dm.codeHistoryIndex < dm.generatedCodes.length - 1) {
+        // If viewing demo history, jump to end first (rotation continues from carousel position)
+        if (!dm.isRotating && dm.generatedCodes.length > 0 && dm.codeHistoryIndex < dm.generatedCodes.length - 1) {
             dm.codeHistoryIndex = dm.generatedCodes.length - 1;
             displayFromCache(dm.codeHistoryIndex);
         }
 
-        dm.remaining = dm.timerValue;
-        updateCountdown();
-        togglePlayState(true);
-
-        dm.timerInterval = window.setInterval(function() {
-            dm.remaining -= 0.1;
-
-            if (dm.remaining <= 0.05) {
-                generateAndDisplay();
-                dm.remaining = dm.timerValue;
-            }
-
-            updateCountdown();
-        }, 100);
+        carousel.play();
     }
 
     /**
      * Stop automatic timer
      */
     function stopTimer() {
-        var dm = State.dm;
-
-        if (dm.timerInterval) {
-            window.clearInterval(dm.timerInterval);
-            dm.timerInterval = null;
-        }
-
-        togglePlayState(false);
+        carousel.pause();
     }
 
     /**
@@ -255,10 +326,19 @@
         if (isNaN(value) || value <= 0) return;
 
         State.dm.timerValue = value;
-        State.dm.remaining = value;
+        carousel.setInterval(value);
         startTimer();
     }
 
+    /**
+     * Check if timer is running
+     *
+     * @returns {boolean} True if codes change automatically
+     */
+    function isPlaying() {
+        return carousel.isPlaying();
+    }
+
     /**
      * Start rotation from selected folder
      */
@@ -277,8 +357,13 @@
             return;
         }
 
+        // Fresh (or pinned) seed per run, remembered on folder for replay
+        folder.seed = Utils.rng.start(State.rng.fixedSeed);
+        global.BarGen.Storage.save();
+
         var dm = State.dm;
         dm.rotationList = active;
+        dm.rotationFolderId = folder.id;
         dm.rotationIndex = 0;
         dm.isRotating = true;
         dm.generatedCodes = [];
@@ -292,8 +377,29 @@
         Utils.$('stop-btn').style.display = 'inline-flex';
 
         UI.updateRotationStatus();
-        generateAndDisplay();
-        startTimer();
+        UI.renderDmFolders();
+        UI.renderSeed();
+
+        global.BarGen.Controllers.Session.start('DM', folder, carousel, uniqueTemplateNames(active));
+
+        carousel.setItems(active);
+        carousel.start();
+    }
+
+    /**
+     * Get names of templates used by items
+     *
+     * @param {Array} items - Folder items
+     * @returns {string[]} Template names without duplicates
+     * @private
+     */
+    function uniqueTemplateNames(items) {
+        var names = [];
+        items.forEach(function(item) {
+            var template = Config.TEMPLATES[item.template] || Config.TEMPLATES.type1;
+            if (names.indexOf(template.name) === -1) names.push(template.name);
+        });
+        return names;
     }
 
     /**
@@ -303,10 +409,13 @@
         var dm = State.dm;
 
         dm.isRotating = false;
-        stopTimer();
+        carousel.stop();
+        carousel.setItems(null);
+        global.BarGen.Controllers.Session.stop('DM');
 
         // Reset rotation state
         dm.rotationList = [];
+        dm.rotationFolderId = null;
         dm.rotationIndex = 0;
         dm.generatedCodes = [];
         dm.codeHistoryIndex = -1;
@@ -323,45 +432,53 @@
         generateAndDisplay();
     }
 
+    /**
+     * Start output over from the first code
+     *
+     * @description Used after reseeding: clears code cache and shows the first
+     * code of the rotation (or the next demo code) again.
+     */
+    function replay() {
+        var dm = State.dm;
+
+        dm.rotationIndex = 0;
+        dm.generatedCodes = [];
+        dm.codeHistoryIndex = -1;
+
+        if (dm.isRotating) {
+            carousel.setItems(dm.rotationList);
+            carousel.next(false);
+        } else {
+            generateAndDisplay();
+        }
+    }
+
+    /**
+     * Set playback mode and order of rotation
+     *
+     * @param {string} mode - 'loop' or 'once'
+     * @param {boolean} shuffle - Random order
+     */
+    function setPlayback(mode, shuffle) {
+        carousel.setMode(mode);
+        carousel.setShuffle(shuffle);
+    }
+
     /**
      * Manual navigation: next code
+     *
+     * @description Rotation goes through the carousel (position, 'once' mode);
+     * demo stream first steps forward through codes already shown.
      */
     function manualNext() {
         var dm = State.dm;
 
-        // In rotation mode, check if all codes have been generated at least once
-        if (dm.rotationList.length > 0 && dm.generatedCodes.length >= dm.rotationList.length) {
-            // All codes from rotation list have been generated, cycle through history
-            var nextIndex = (dm.codeHistoryIndex + 1) % dm.rotationList.length;
-            displayFromCache(nextIndex);
+        if (!dm.isRotating && dm.codeHistoryIndex < dm.generatedCodes.length - 1) {
+            displayFromCache(dm.codeHistoryIndex + 1);
             return;
         }
 
-        // If viewing history, show next from cache
-        if (dm.generatedCodes.length > 0 && dm.codeHistoryIndex < dm.generatedCodes.length - 1) {
-            displayFromCache(dm.codeHistoryIndex + 1);
-        } else {
-            // At the end of history - check if we can generate more
-            if (dm.rotationList.length > 0) {
-                // Rotation mode: check if all unique GTINs already generated at least once
-                // Count unique rotation indices in generated codes
-                var uniqueIndices = {};
-                for (var i = 0; i < dm.generatedCodes.length; i++) {
-                    if (dm.generatedCodes[i].rotationIdx !== undefined) {
-                        uniqueIndices[dm.generatedCodes[i].rotationIdx] = true;
-                    }
-                }
-                var uniqueCount = Object.keys(uniqueIndices).length;
-                
-                if (uniqueCount >= dm.rotationList.length) {
-                    // All unique codes generated, cycle back to start
-                    displayFromCache(0);
-                    return;
-                }
-            }
-            // Generate new code (rotation or demo mode)
-            generateAndDisplay();
-        }
+        carousel.next();
     }
 
     /**
@@ -370,29 +487,26 @@
     function manualPrev() {
         var dm = State.dm;
 
-        // In rotation mode with full history, cycle backwards
-        if (dm.rotationList.length > 0 && dm.generatedCodes.length >= dm.rotationList.length) {
-            var prevIndex = dm.codeHistoryIndex - 1;
-            if (prevIndex < 0) {
-                prevIndex = dm.rotationList.length - 1;
-            }
-            displayFromCache(prevIndex);
+        if (dm.isRotating) {
+            carousel.prev();
             return;
         }
 
-        // Navigate back in cache if possible
-        if (dm.generatedCodes.length > 0 && dm.codeHistoryIndex > 0) {
+        // Demo stream has no previous item, step back through shown codes
+        if (dm.codeHistoryIndex > 0) {
             displayFromCache(dm.codeHistoryIndex - 1);
         }
     }
 
     /**
      * Update countdown display
+     *
+     * @param {number} remaining - Seconds until next code
      */
-    function updateCountdown() {
+    function updateCountdown(remaining) {
         var el = Utils.$('countdown');
         if (el) {
-            el.textContent = 'через ' + Math.max(0, State.dm.remaining).toFixed(1) + ' сек';
+            el.textContent = 'через ' + Math.max(0, remaining).toFixed(1) + ' сек';
         }
     }
 
@@ -424,11 +538,22 @@
      * @param {string} templateName - Template name
      * @param {number} index - Current index
      * @param {number} total - Total count
+     * @param {string} [mode] - Encoding mode ('gs1' or 'raw')
+     * @param {string} [code] - Shown code (GS1 mode code that is not GS1 is marked)
      */
-    function showCodeInfo(barcode, templateName, index, total) {
+    function showCodeInfo(barcode, templateName, index, total, mode, code) {
         Utils.$('code-info').style.display = 'block';
         Utils.$('info-barcode').textContent = barcode;
         Utils.$('info-template').textContent = templateName;
+        var modeEl = Utils.$('info-mode');
+        if (modeEl) {
+            var encoding = code !== undefined ? Generators.getDMEncoding(code, mode) : mode;
+            var fallback = Config.DM_MODES[mode] && encoding !== mode;
+
+            modeEl.textContent = !Config.DM_MODES[mode] ? '-' : Config.DM_MODES[encoding].name +
+                (fallback ? ' — код не разбирается как GS1' : '');
+            modeEl.style.color = fallback ? '#ef4444' : '';
+        }
         // Ensure index doesn't exceed total in rotation mode
         var displayIndex = index;
         if (displayIndex > total) {
@@ -505,7 +630,7 @@
             if (existingSvg) {
                 existingSvg.style.display = 'none';
             }
-            Generators.renderDM(dmContainer, result.code);
+            Generators.renderDM(dmContainer, result.code, result.mode);
         }
     }
 
@@ -520,7 +645,7 @@
         if (secondary.type === 'DM') {
             Utils.$('datamatrix-container-2').style.display = 'flex';
             Utils.$('ean13-barcode').style.display = 'none';
-            Generators.renderDM(Utils.$('datamatrix-container-2'), secondary.code);
+            Generators.renderDM(Utils.$('datamatrix-container-2'), secondary.code, secondary.mode);
         } else if (secondary.type === 'EAN13') {
             Utils.$('datamatrix-container-2').style.display = 'none';
             Utils.$('ean13-barcode').style.display = 'block';
@@ -553,12 +678,18 @@
      * 
      * @param {string} primaryCode - Primary code text
      * @param {Object|null} secondaryCode - Secondary code object or null
+     * @param {Object|null} [broken] - { method, reason } if primary code is intentionally broken
      */
-    function updateCodeText(primaryCode, secondaryCode) {
+    function updateCodeText(primaryCode, secondaryCode, broken) {
         var primaryEl = Utils.$('current-code');
         var secondaryEl = Utils.$('secondary-code-text');
         var secondaryDisplay = Utils.$('secondary-code-display');
 
+        // Scanner verification compares the next scan with these codes
+        var shownCodes = [primaryCode, secondaryCode && secondaryCode.code];
+        global.BarGen.Controllers.Verify.show('DM', shownCodes);
+        global.BarGen.Controllers.Session.recordShown('DM', shownCodes, broken);
+
         // Update primary code
         if (primaryEl) {
             primaryEl.textContent = primaryCode;
@@ -588,8 +719,12 @@
         startTimer: startTimer,
         stopTimer: stopTimer,
         setInterval: setInterval,
+        isPlaying: isPlaying,
         startRotation: startRotation,
         stopRotation: stopRotation,
+        replay: replay,
+        setPlayback: setPlayback,
+        carousel: carousel,
         manualNext: manualNext,
         manualPrev: manualPrev,
         updateCountdown: updateCountdown,
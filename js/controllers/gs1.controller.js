@@ -18,16 +18,124 @@
     global.BarGen = global.BarGen || {};
     global.BarGen.Controllers = global.BarGen.Controllers || {};
 
+    var Config = global.BarGen.Config;
     var Utils = global.BarGen.Utils;
     var State = global.BarGen.State;
     var Storage = global.BarGen.Storage;
     var UI = global.BarGen.UI;
     var Generators = global.BarGen.Generators;
+    var Carousel = global.BarGen.Carousel;
+
+    /**
+     * Rotation engine for selected codes
+     * @type {Object}
+     */
+    var carousel = Carousel.create({ interval: State.gs1.timerValue });
+
+    carousel.on('show', displayCode);
+
+    // 'once' mode: last item shown, rotation is over
+    carousel.on('end', stopRotation);
+
+    /**
+     * Create carousel item with generated GS1 code
+     *
+     * @param {string} id - Item ID
+     * @param {Object} params - Parameters of Generators.generateGS1Code
+     * (goodsId, type, quantity or weight, discount, measureDiv, legacyDecimal)
+     * @param {string} [error] - Deliberate error, key of Config.GS1_ERRORS
+     * (params are already changed by errorParams)
+     * @returns {Object} Folder item
+     * @throws {Error} If code cannot be generated (see generateGS1Code)
+     */
+    function createItem(id, params, error) {
+        var code = Generators.generateGS1Code(params, {
+            noUniqueId: error === 'noUniqueId',
+            longGoodsId: error === 'longGoodsId'
+        });
+        var measureDiv = params.measureDiv || 1;
+        var item = {
+            id: id,
+            code: code,
+            goodsId: params.goodsId,
+            type: params.type,
+            quantity: params.quantity,
+            weight: params.weight,
+            discount: params.discount,
+            uniqueId: params.discount > 0 && params.uniqueId ? params.uniqueId : null,
+            decimalPosition: params.decimalPosition !== undefined ? params.decimalPosition :
+                params.type === 'piece' && params.quantity ?
+                    Generators.calculateDecimalPosition(params.quantity) : 0,
+            active: true
+        };
+
+        if (error) item.error = error;
+
+        if (measureDiv !== 1) {
+            item.measureDiv = measureDiv;
+            item.desiredQuantity = params.quantity;
+
+            if (params.legacyDecimal) {
+                item.legacyDecimal = true;
+            } else {
+                // quantity = portions as encoded in AI 37
+                item.quantity = Generators.calculatePortions(params.quantity, measureDiv);
+                item.actualQuantity = Math.round(item.quantity * measureDiv * 1000) / 1000;
+                item.decimalPosition = 0;
+            }
+        }
+
+        return item;
+    }
+
+    /**
+     * Make parameters of code with deliberate error
+     *
+     * @description Copy of valid code parameters (taken before a UniqueID is
+     * issued for them) changed so that the code breaks the pack rules.
+     * Errors omitting AI 21 or keeping long GoodsId are made by generateGS1Code.
+     * Long GoodsId is stored on the item too, so labels and exports show the
+     * GoodsId that is in the code.
+     *
+     * @param {Object} params - Parameters of valid code
+     * @param {string} error - Key of Config.GS1_ERRORS
+     * @returns {Object|null} Parameters, or null if error does not apply
+     * @private
+     */
+    function errorParams(params, error) {
+        var copy = JSON.parse(JSON.stringify(params));
+
+        switch (error) {
+            case 'noUniqueId':
+                if (!(copy.discount > 0)) copy.discount = Utils.randomWeight(1, 99);
+                break;
+            case 'discountOver99':
+                copy.discount = Utils.randomWeight(100, 999);
+                break;
+            case 'wholeDecimalPos':
+                // AI 97 is allowed only with fractional quantity
+                if (copy.type !== 'piece') return null;
+                copy.quantity = Math.max(1, Math.round(copy.quantity));
+                copy.measureDiv = 1;
+                copy.legacyDecimal = false;
+                copy.decimalPosition = Utils.randomWeight(1, 3);
+                break;
+            case 'longGoodsId':
+                while (copy.goodsId.length <= 8) {
+                    copy.goodsId += Utils.rng.int(10);
+                }
+                break;
+        }
+
+        return copy;
+    }
 
     /**
      * Add items to GS1 carousel
      *
-     * @description Generates GS1 codes based on form inputs and adds to folder
+     * @description Generates GS1 codes based on form inputs and adds to folder.
+     * For every error checked in the form (Config.GS1_ERRORS) each valid code
+     * gets a copy with that error, flagged with item.error.
      */
     function addItems() {
         var folderName = Utils.$('gs1FolderName').value.trim();
@@ -74,7 +182,26 @@
         // Get quantity/weight settings
         var qtyMin, qtyMax, fixedQty, weightMin, weightMax, fixedWeight;
 
+        // Packing coefficient (piece goods only): quantity is sent as portions
+        var measureDiv = 1;
+        var legacyDecimal = false;
+        var portionMin, portionMax;
+
         if (productType === 'piece') {
+            measureDiv = parseFloat(Utils.$('gs1MeasureDiv').value) || 1;
+            legacyDecimal = Utils.$('gs1LegacyDecimal').checked;
+
+            if (measureDiv <= 0) {
+                alert('Коэффициент фасовки должен быть больше 0!');
+                return;
+            }
+
+            // Quantity is sent with at most 3 decimals (AI 37 / AI 97)
+            if (Math.abs(measureDiv * 1000 - Math.round(measureDiv * 1000)) > 1e-6) {
+                alert('Коэффициент фасовки может иметь не больше 3 знаков после запятой!');
+                return;
+            }
+
             if (qtyMode === 'fixed') {
                 fixedQty = parseFloat(Utils.$('gs1FixedQuantity').value) || 50;
             } else {
@@ -86,6 +213,24 @@
                     return;
                 }
             }
+
+            if (measureDiv !== 1 && !legacyDecimal) {
+                if (qtyMode === 'fixed') {
+                    if (Generators.calculatePortions(fixedQty, measureDiv) === null) {
+                        alert('Количество ' + fixedQty + ' не кратно коэффициенту фасовки ' + measureDiv + '!');
+                        return;
+                    }
+                } else {
+                    // Random quantity is picked as a whole number of portions within the range
+                    portionMin = Math.max(1, Math.ceil(qtyMin / measureDiv - 1e-9));
+                    portionMax = Math.floor(qtyMax / measureDiv + 1e-9);
+
+                    if (portionMin > portionMax) {
+                        alert('В диапазоне ' + qtyMin + ' — ' + qtyMax + ' нет количества, кратного ' + measureDiv + '!');
+                        return;
+                    }
+                }
+            }
         } else {
             if (qtyMode === 'fixed') {
                 fixedWeight = parseInt(Utils.$('gs1FixedWeight').value) || 500;
@@ -100,58 +245,74 @@
             }
         }
 
-        // Generate items
+        // Deliberate errors: copies of each code the register should reject
+        var errors = Array.prototype.map.call(
+            document.querySelectorAll('input[name="gs1Errors"]:checked'),
+            function(el) { return el.value; }
+        );
+
+        // Generate items on a run of their own (fresh or pinned seed, remembered
+        // on folder for replay), a running DataMatrix rotation keeps its sequence
+        var seed;
         var items = [];
+        var failed = [];
         var baseId = Date.now();
 
-        goodsIdList.forEach(function(goodsId, gIdx) {
-            for (var i = 0; i < variations; i++) {
-                var discount = discMode === 'fixed' ? fixedDisc : Utils.randomWeight(discMin, discMax);
-                var params = {
-                    goodsId: goodsId,
-                    type: productType,
-                    discount: discount
-                };
-
-                if (productType === 'piece') {
-                    var quantity = qtyMode === 'fixed' ? fixedQty : 
-                        (qtyMin + Math.random() * (qtyMax - qtyMin));
-                    
-                    // По ТЗ: всегда передаём фактическое количество (дробное если нужно)
-                    // measureDiv НЕ влияет на генерацию QR - это данные в БД кассы
-                    // Округляем до 3 знаков после запятой (максимум по ТЗ)
-                    quantity = Math.round(quantity * 1000) / 1000;
-                    params.quantity = quantity;
-                } else {
-                    var weight = qtyMode === 'fixed' ? fixedWeight : 
-                        Utils.randomWeight(weightMin, weightMax);
-                    params.weight = weight;
-                }
+        Utils.rng.run(State.rng.fixedSeed, function(runSeed) {
+            seed = runSeed;
 
-                try {
-                    var code = Generators.generateGS1Code(params);
-                    
-                    items.push({
-                        id: baseId + '_' + gIdx + '_' + i,
-                        code: code,
+            goodsIdList.forEach(function(goodsId, gIdx) {
+                for (var i = 0; i < variations; i++) {
+                    var discount = discMode === 'fixed' ? fixedDisc : Utils.randomWeight(discMin, discMax);
+                    var params = {
                         goodsId: goodsId,
                         type: productType,
-                        quantity: params.quantity,
-                        weight: params.weight,
-                        discount: discount,
-                        uniqueId: discount > 0 ? (params.uniqueId || Generators.generateUniqueId()) : null,
-                        decimalPosition: productType === 'piece' && params.quantity ? 
-                            Generators.calculateDecimalPosition(params.quantity) : 0,
-                        active: true
-                    });
-                } catch (e) {
-                    console.error('[GS1] Error generating code:', e);
+                        discount: discount
+                    };
+
+                    if (productType === 'piece') {
+                        var quantity;
+
+                        if (portionMin !== undefined) {
+                            quantity = Utils.randomWeight(portionMin, portionMax) * measureDiv;
+                        } else {
+                            quantity = qtyMode === 'fixed' ? fixedQty :
+                                (qtyMin + Utils.rng.random() * (qtyMax - qtyMin));
+                        }
+
+                        // Округляем до 3 знаков после запятой (максимум по ТЗ)
+                        quantity = Math.round(quantity * 1000) / 1000;
+                        params.quantity = quantity;
+                        params.measureDiv = measureDiv;
+                        params.legacyDecimal = legacyDecimal;
+                    } else {
+                        var weight = qtyMode === 'fixed' ? fixedWeight : 
+                            Utils.randomWeight(weightMin, weightMax);
+                        params.weight = weight;
+                    }
+
+                    var id = baseId + '_' + gIdx + '_' + i;
+                    var valid = JSON.parse(JSON.stringify(params));
+
+                    try {
+                        items.push(createItem(id, params));
+
+                        errors.forEach(function(error) {
+                            var errParams = errorParams(valid, error);
+                            if (errParams) items.push(createItem(id + '_' + error, errParams, error));
+                        });
+                    } catch (e) {
+                        failed.push(e.message);
+                    }
                 }
-            }
+            });
         });
 
+        var failedText = failed.length > 0 ?
+            '\nНе удалось сгенерировать: ' + failed.length + ' (' + failed[0] + ')' : '';
+
         if (items.length === 0) {
-            alert('Не удалось сгенерировать коды!');
+            alert('Не удалось сгенерировать коды!' + failedText);
             return;
         }
 
@@ -187,9 +348,11 @@
 
         // Replace items in folder (не добавлять к существующим)
         folder.items = items;
+        folder.seed = seed;
         State.gs1.selectedFolderId = folder.id;
 
         Storage.save();
+        UI.renderSeed();
         UI.renderGs1Folders();
         UI.renderGs1Items();
 
@@ -197,7 +360,7 @@
         Utils.$('gs1FolderName').value = '';
         Utils.$('gs1GoodsIds').value = '';
 
-        alert('Добавлено ' + items.length + ' кодов');
+        alert('Добавлено ' + items.length + ' кодов' + failedText);
     }
 
     /**
@@ -219,7 +382,7 @@
         }
 
         State.gs1.rotationItems = active;
-        State.gs1.rotationIndex = 0;
+        State.gs1.rotationSeed = folder.seed;
         State.gs1.isRotating = true;
 
         // Update UI
@@ -228,8 +391,10 @@
         Utils.$('gs1CarouselDisplay').style.display = 'block';
 
         UI.updateGs1Status();
-        displayCode();
-        startTimer();
+        global.BarGen.Controllers.Session.start('GS1', folder, carousel);
+
+        carousel.setItems(active);
+        carousel.start();
 
         // Scroll to carousel
         setTimeout(function() {
@@ -242,7 +407,8 @@
      */
     function stopRotation() {
         State.gs1.isRotating = false;
-        stopTimer();
+        carousel.pause();
+        global.BarGen.Controllers.Session.stop('GS1');
 
         Utils.$('gs1-start-btn').style.display = 'inline-flex';
         Utils.$('gs1-stop-btn').style.display = 'none';
@@ -258,84 +424,73 @@
     }
 
     /**
-     * Display code with animation (auto-rotation)
+     * Display code shown by carousel
+     *
+     * @description Auto-rotation uses pulse animation and is written to
+     * history, manual navigation uses slide animation.
+     *
+     * @param {Object} item - GS1 item
+     * @param {number} index - Item index in rotation list
+     * @param {Object} info - Carousel info
+     * @param {boolean} info.manual - Navigation by user
+     * @param {number} info.position - Position in play order
+     * @param {number} info.total - Item count
      */
-    function displayCode() {
-        var items = State.gs1.rotationItems;
-        if (items.length === 0) return;
-
-        var item = items[State.gs1.rotationIndex % items.length];
-
+    function displayCode(item, index, info) {
         // Update info display
         var infoText = '<b>GoodsId:</b> ' + item.goodsId + ' | ';
         if (item.type === 'piece') {
-            infoText += '<b>Кол-во:</b> ' + item.quantity + ' шт';
+            infoText += '<b>Кол-во:</b> ' + UI.formatGs1Quantity(item);
         } else {
             infoText += '<b>Вес:</b> ' + Utils.formatWeight(item.weight);
         }
         if (item.discount > 0) {
             infoText += ' | <b>Скидка:</b> ' + item.discount + '%';
         }
+        if (item.error) {
+            infoText += ' | <b style="color:#ef4444">' + Config.GS1_ERRORS[item.error] + '</b>';
+        }
+
+        // "Broken code": shown code is corrupted, item keeps the valid one
+        var code = item.code;
+        var broken = null;
+        var brokenCheckbox = Utils.$('brokenGs1');
+        if (brokenCheckbox && brokenCheckbox.checked) {
+            var methodEl = document.querySelector('input[name="brokenGs1Type"]:checked');
+            var result = Generators.breakGS1Code(code, methodEl ? methodEl.value : 'removeChars');
+            code = result.code;
+            broken = { method: result.method, reason: result.reason };
+        }
 
         Utils.$('gs1CodeInfo').innerHTML = infoText;
-        Utils.$('gs1CodeText').textContent = item.code;
-        Utils.$('gs1CarouselCounter').textContent =
-            ((State.gs1.rotationIndex % items.length) + 1) + '/' + items.length;
+        Utils.$('gs1CodeText').textContent = code;
+        Utils.$('gs1CarouselCounter').textContent = (info.position + 1) + '/' + info.total;
+        UI.renderBrokenReason('gs1BrokenReason', broken, true);
 
         // Render QR code
         var qrContainer = Utils.$('gs1QRContainer');
-        Generators.renderGS1QR(qrContainer, item.code);
+        Generators.renderGS1QR(qrContainer, code);
 
-        // Animation
+        // Pulse animation for auto-rotation, slide for manual nav
         var wrapper = document.querySelector('.gs1-qr-wrapper');
         if (wrapper) {
             wrapper.classList.remove('qr-pulse', 'qr-static', 'qr-slide');
             void wrapper.offsetWidth; // Force reflow
-            wrapper.classList.add('qr-pulse');
+            wrapper.classList.add(info.manual ? 'qr-slide' : 'qr-pulse');
         }
 
-        State.gs1.rotationIndex++;
-
-        // Add to history
-        State.addToHistory({ type: 'GS1', code: item.code });
-    }
-
-    /**
-     * Display code with slide animation (manual navigation)
-     */
-    function displayCodeManual() {
-        var items = State.gs1.rotationItems;
-        if (items.length === 0) return;
-
-        var item = items[State.gs1.rotationIndex % items.length];
-
-        var infoText = '<b>GoodsId:</b> ' + item.goodsId + ' | ';
-        if (item.type === 'piece') {
-            infoText += '<b>Кол-во:</b> ' + item.quantity + ' шт';
-        } else {
-            infoText += '<b>Вес:</b> ' + Utils.formatWeight(item.weight);
-        }
-        if (item.discount > 0) {
-            infoText += ' | <b>Скидка:</b> ' + item.discount + '%';
+        // Deliberate-error copy is marked as broken in session and history
+        if (!broken && item.error) {
+            broken = { method: item.error, reason: Config.GS1_ERRORS[item.error] };
         }
 
-        Utils.$('gs1CodeInfo').innerHTML = infoText;
-        Utils.$('gs1CodeText').textContent = item.code;
-        Utils.$('gs1CarouselCounter').textContent =
-            ((State.gs1.rotationIndex % items.length) + 1) + '/' + items.length;
+        global.BarGen.Controllers.Verify.show('GS1', [code]);
+        global.BarGen.Controllers.Session.recordShown('GS1', [code], broken);
 
-        var qrContainer = Utils.$('gs1QRContainer');
-        Generators.renderGS1QR(qrContainer, item.code);
-
-        // Simple slide animation for manual nav
-        var wrapper = document.querySelector('.gs1-qr-wrapper');
-        if (wrapper) {
-            wrapper.classList.remove('qr-pulse', 'qr-static', 'qr-slide');
-            void wrapper.offsetWidth;
-            wrapper.classList.add('qr-slide');
+        // Add to history
+        if (!info.manual) {
+            State.addToHistory({ type: 'GS1', code: code, broken: broken, seed: State.gs1.rotationSeed });
         }
-
-        State.gs1.rotationIndex++;
     }
 
     /**
@@ -343,7 +498,7 @@
      */
     function manualNext() {
         if (State.gs1.rotationItems.length > 0) {
-            displayCodeManual();
+            carousel.next();
         }
     }
 
@@ -352,38 +507,7 @@
      */
     function manualPrev() {
         if (State.gs1.rotationItems.length > 0) {
-            var len = State.gs1.rotationItems.length;
-            // Декремент с учётом того, что displayCodeManual() увеличивает индекс
-            State.gs1.rotationIndex = (State.gs1.rotationIndex - 2 + len * 100) % len;
-            displayCodeManual();
-        }
-    }
-
-    /**
-     * Start automatic timer
-     */
-    function startTimer() {
-        stopTimer();
-
-        State.gs1.remaining = State.gs1.timerValue;
-
-        State.gs1.timerInterval = window.setInterval(function() {
-            State.gs1.remaining -= 0.1;
-
-            if (State.gs1.remaining <= 0.05) {
-                displayCode();
-                State.gs1.remaining = State.gs1.timerValue;
-            }
-        }, 100);
-    }
-
-    /**
-     * Stop automatic timer
-     */
-    function stopTimer() {
-        if (State.gs1.timerInterval) {
-            window.clearInterval(State.gs1.timerInterval);
-            State.gs1.timerInterval = null;
+            carousel.prev();
         }
     }
 
@@ -396,10 +520,18 @@
         if (isNaN(value) || value <= 0) return;
 
         State.gs1.timerValue = value;
+        carousel.setInterval(value);
+    }
 
-        if (State.gs1.isRotating) {
-            startTimer();
-        }
+    /**
+     * Set playback mode and order of rotation
+     *
+     * @param {string} mode - 'loop' or 'once'
+     * @param {boolean} shuffle - Random order
+     */
+    function setPlayback(mode, shuffle) {
+        carousel.setMode(mode);
+        carousel.setShuffle(shuffle);
     }
 
     /**
@@ -472,16 +604,15 @@
 
     // Export to namespace
     global.BarGen.Controllers.GS1 = {
+        createItem: createItem,
         addItems: addItems,
         startRotation: startRotation,
         stopRotation: stopRotation,
-        displayCode: displayCode,
-        displayCodeManual: displayCodeManual,
         manualNext: manualNext,
         manualPrev: manualPrev,
-        startTimer: startTimer,
-        stopTimer: stopTimer,
         setInterval: setInterval,
+        setPlayback: setPlayback,
+        carousel: carousel,
         selectAll: selectAll,
         deselectAll: deselectAll,
         clearSelected: clearSelected,
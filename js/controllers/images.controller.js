@@ -0,0 +1,270 @@
+/**
+ * BarGen Images Controller
+ *
+ * @description Batch export of folder codes as PNG/SVG images bundled into
+ * a ZIP archive with a manifest CSV (file → code)
+ * @module Controllers.Images
+ *
+ * @example
+ * // Export folder selected in Library tab (module from State.table)
+ * BarGen.Controllers.Images.exportFolder(folderId);
+ *
+ * // File name from pattern
+ * BarGen.Controllers.Images.fileName('{n}_{key}', { n: '0007', key: '4810099003310' });
+ * // '0007_4810099003310'
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Config = global.BarGen.Config;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var Utils = global.BarGen.Utils;
+    var UI = global.BarGen.UI;
+    var Generators = global.BarGen.Generators;
+    var Zip = global.BarGen.Zip;
+
+    var GS = Config.GS1_CONSTANTS.GS_CHAR;
+
+    /**
+     * Items rendered per timer step (keeps page responsive on big folders)
+     * @type {number}
+     * @private
+     */
+    var CHUNK_SIZE = 20;
+
+    /**
+     * Symbol of folder item per module: symbol(item, folder) → renderSymbol
+     * argument, key(item) → {key} of file name pattern
+     * @type {Object}
+     * @private
+     */
+    var SYMBOLS = {
+        dm: {
+            symbol: function(item, folder) {
+                return {
+                    kind: 'datamatrix',
+                    code: Generators.issueDM(item.barcode, item.template),
+                    mode: Generators.getDMMode(item.template, folder)
+                };
+            },
+            key: function(item) { return item.barcode; }
+        },
+        wc: {
+            symbol: function(item) {
+                return { kind: 'linear', code: item.code, format: item.format };
+            },
+            key: function(item) { return item.plu; }
+        },
+        sg: {
+            symbol: function(item) {
+                return { kind: 'linear', code: item.code, format: item.type };
+            },
+            key: function(item) { return item.name; }
+        },
+        gs1: {
+            symbol: function(item) {
+                return { kind: 'qrcode', code: item.code };
+            },
+            key: function(item) { return item.goodsId; }
+        }
+    };
+
+    /**
+     * Export in progress
+     * @type {boolean}
+     */
+    var busy = false;
+
+    /**
+     * Make text safe for file name
+     * @private
+     */
+    function safeName(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .split(GS).join('_')
+            .replace(/[^\w.\-а-яё]+/gi, '_')
+            .substring(0, 60);
+    }
+
+    /**
+     * Build file name (without extension) from pattern
+     *
+     * @description Tokens: {n} - item number (zero padded), {key} - GTIN /
+     * PLU / name / GoodsId, {code} - code, {folder} - folder name.
+     *
+     * @param {string} pattern - Pattern, e.g. '{n}_{key}'
+     * @param {Object} values - Token values
+     * @returns {string} Safe file name
+     */
+    function fileName(pattern, values) {
+        var name = (pattern || '{n}').replace(/\{(\w+)\}/g, function(match, token) {
+            return values[token] !== undefined ? safeName(values[token]) : match;
+        });
+        return safeName(name) || String(values.n);
+    }
+
+    /**
+     * Convert data URL to bytes
+     * @private
+     */
+    function dataUrlBytes(url) {
+        var binary = atob(url.substring(url.indexOf(',') + 1));
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Render folder items into archive
+     *
+     * @param {string} module - Module key ('dm', 'wc', 'sg', 'gs1')
+     * @param {Object} folder - Folder
+     * @param {Object} options - { scale, padding, pattern, formats, gsEscape }
+     * @param {Function} onProgress - onProgress(done, total)
+     * @param {Function} callback - callback(zip, errors)
+     */
+    function buildArchive(module, folder, options, onProgress, callback) {
+        var definition = SYMBOLS[module];
+        var zip = Zip.create();
+        var used = {};
+        var errors = 0;
+        var width = String(folder.items.length).length;
+        var types = options.formats === 'both' ? ['png', 'svg'] : [options.formats];
+        var manifest = [['n', 'png', 'svg', 'code', 'key', 'error']];
+        var index = 0;
+
+        var renderItem = function(item) {
+            var n = Utils.padZeros(index + 1, Math.max(width, 4));
+            var row = [n, '', '', '', definition.key(item), ''];
+
+            try {
+                var symbol = definition.symbol(item, folder);
+                var name = fileName(options.pattern, {
+                    n: n,
+                    key: definition.key(item),
+                    code: symbol.code,
+                    folder: folder.name
+                });
+
+                // Same key in several items: keep every file
+                if (used[name]) name += '_' + n;
+                used[name] = true;
+
+                row[3] = symbol.code.split(GS).join(options.gsEscape);
+
+                types.forEach(function(type) {
+                    var content = Generators.renderSymbol(symbol, type, options);
+                    zip.add(name + '.' + type, type === 'png' ? dataUrlBytes(content) : content);
+                    row[type === 'png' ? 1 : 2] = name + '.' + type;
+                });
+            } catch (e) {
+                errors++;
+                row[5] = e.message || String(e);
+                console.error('[BarGen Images] Render error:', e);
+            }
+
+            manifest.push(row);
+        };
+
+        var step = function() {
+            var end = Math.min(index + CHUNK_SIZE, folder.items.length);
+
+            // Separate random sequence: running session keeps its codes
+            Utils.rng.isolate(function() {
+                for (; index < end; index++) {
+                    renderItem(folder.items[index]);
+                }
+            });
+            onProgress(index, folder.items.length);
+
+            if (index < folder.items.length) {
+                setTimeout(step, 0);
+                return;
+            }
+
+            zip.add('manifest.csv', '\uFEFF' + Utils.buildCsv(manifest, ';'));
+            callback(zip, errors);
+        };
+
+        step();
+    }
+
+    /**
+     * Export folder of module selected in Library tab as ZIP
+     *
+     * @description DataMatrix codes are issued at export time (serials are
+     * registered as issued) on a separate random sequence, like in table export.
+     *
+     * @param {string} folderId - Folder ID
+     */
+    function exportFolder(folderId) {
+        if (busy) return;
+
+        var module = State.table.module;
+        var Table = global.BarGen.Controllers.Table;
+        var folder = Table.MODULES[module].folders().find(function(f) { return f.id === folderId; });
+
+        if (!folder || folder.items.length === 0) {
+            alert('Выберите папку с записями!');
+            return;
+        }
+
+        var options = {
+            scale: State.images.scale,
+            padding: State.images.padding,
+            pattern: State.images.pattern,
+            formats: State.images.formats,
+            gsEscape: State.table.gsEscape
+        };
+
+        busy = true;
+
+        buildArchive(module, folder, options, function(done, total) {
+            UI.renderImagesProgress(done, total);
+        }, function(zip, errors) {
+            busy = false;
+            UI.renderImagesProgress(null);
+
+            Utils.downloadFile(zip.toBlob(), 'bargen_' + module + '_' + safeName(folder.name) + '.zip');
+
+            if (module === 'dm') {
+                Storage.save();
+                UI.renderSerials();
+            }
+            if (errors > 0) {
+                alert('Не удалось нарисовать кодов: ' + errors + ' (см. столбец error в manifest.csv)');
+            }
+        });
+    }
+
+    /**
+     * Update image export setting
+     *
+     * @param {string} name - 'scale', 'padding', 'pattern' or 'formats'
+     * @param {string|number} value - New value
+     */
+    function setOption(name, value) {
+        if (name === 'scale' || name === 'padding') {
+            var number = parseInt(value, 10);
+            if (isNaN(number) || number < (name === 'scale' ? 1 : 0)) return;
+            value = number;
+        }
+        State.images[name] = value;
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Images = {
+        fileName: fileName,
+        buildArchive: buildArchive,
+        exportFolder: exportFolder,
+        setOption: setOption
+    };
+
+})(window);
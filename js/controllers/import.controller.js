@@ -0,0 +1,546 @@
+/**
+ * BarGen Import Controller
+ *
+ * @description Merge import of backup files: per-folder choice (add, merge,
+ * rename, skip), item dedupe, preview of changes before applying. Files that
+ * fail schema validation are shown with their error report and not imported.
+ * @module Controllers.Import
+ *
+ * @example
+ * // Backup file chosen
+ * BarGen.Storage.readBackup(file, BarGen.Controllers.Import.open);
+ *
+ * // Apply previewed plan
+ * BarGen.Controllers.Import.apply();
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Config = global.BarGen.Config;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var UI = global.BarGen.UI;
+    var Generators = global.BarGen.Generators;
+
+    /**
+     * Folder collections: data document field, state access, item dedupe key
+     * @type {Array}
+     * @private
+     */
+    var FOLDER_COLLECTIONS = [
+        {
+            name: 'dmFolders',
+            label: 'DataMatrix',
+            folders: function() { return State.dm.folders; },
+            key: function(item) { return item.barcode + '|' + item.template; }
+        },
+        {
+            name: 'wcFolders',
+            label: 'Карусель',
+            folders: function() { return State.wc.folders; },
+            key: function(item) { return item.code; }
+        },
+        {
+            name: 'sgFolders',
+            label: 'Конструктор',
+            folders: function() { return State.sg.folders; },
+            key: function(item) { return item.code + '|' + item.type; }
+        },
+        {
+            name: 'gs1Folders',
+            label: 'Фасовка GS1',
+            folders: function() { return State.gs1.folders; },
+            key: function(item) { return item.code; }
+        }
+    ];
+
+    /**
+     * User definitions referenced by folder items: data document field,
+     * referencing folder collection and item field, local list and registry
+     * @type {Array}
+     * @private
+     */
+    var DEFINITION_COLLECTIONS = [
+        {
+            name: 'dmTemplates',
+            label: 'Шаблон DM',
+            folders: 'dmFolders',
+            ref: 'template',
+            list: function() { return State.dm.customTemplates; },
+            registry: function() { return Config.TEMPLATES; }
+        },
+        {
+            name: 'weightLayouts',
+            label: 'Формат этикетки',
+            folders: 'wcFolders',
+            ref: 'layout',
+            list: function() { return State.wc.customLayouts; },
+            registry: function() { return Config.WEIGHT_LAYOUTS; }
+        }
+    ];
+
+    /**
+     * Import plan being previewed or null
+     * @type {Object|null}
+     */
+    var plan = null;
+
+    /**
+     * Make ID that is not in list
+     *
+     * @param {string} id - Wanted ID
+     * @param {Array} list - Objects with `id`
+     * @returns {string} ID (suffixed if taken)
+     * @private
+     */
+    function freeId(id, list) {
+        var taken = function(candidate) {
+            return list.some(function(x) { return x.id === candidate; });
+        };
+
+        var result = id;
+        for (var n = 2; taken(result); n++) {
+            result = id + '_' + n;
+        }
+        return result;
+    }
+
+    /**
+     * Make folder (template, layout) name that is not in list ("Name (2)", "Name (3)", ...)
+     * @private
+     */
+    function freeName(name, folders) {
+        var taken = function(candidate) {
+            return folders.some(function(f) { return f.name.toLowerCase() === candidate.toLowerCase(); });
+        };
+
+        var result = name;
+        for (var n = 2; taken(result); n++) {
+            result = name + ' (' + n + ')';
+        }
+        return result;
+    }
+
+    /**
+     * Get incoming items that are not duplicates
+     *
+     * @param {Array} items - Incoming items
+     * @param {Array} existing - Items already in target folder
+     * @param {Function} key - Dedupe key
+     * @returns {Array} Items to add
+     * @private
+     */
+    function newItems(items, existing, key) {
+        var seen = {};
+        existing.forEach(function(item) { seen[key(item)] = true; });
+
+        return items.filter(function(item) {
+            var k = key(item);
+            if (seen[k]) return false;
+            seen[k] = true;
+            return true;
+        });
+    }
+
+    /**
+     * Map incoming template and layout IDs to IDs they get locally
+     *
+     * @description Added definitions keep their ID unless it is taken (then
+     * suffixed), skipped ones with a name clash are replaced by the local
+     * definition of that name. Skipped definitions without a clash are not mapped.
+     *
+     * @param {Array} definitions - Definition rows of plan
+     * @returns {Object} { dmTemplates: { oldId: newId }, weightLayouts: {...} }
+     * @private
+     */
+    function mapIds(definitions) {
+        var map = {};
+        var taken = {};
+
+        DEFINITION_COLLECTIONS.forEach(function(collection) {
+            map[collection.name] = {};
+            taken[collection.name] = Object.keys(collection.registry()).map(function(id) {
+                return { id: id };
+            });
+        });
+
+        definitions.forEach(function(row) {
+            var name = row.collection.name;
+            var id = String(row.incoming.id);
+
+            if (row.action === 'skip') {
+                if (row.target) map[name][id] = row.target.id;
+                return;
+            }
+
+            map[name][id] = freeId(id, taken[name]);
+            taken[name].push({ id: map[name][id] });
+        });
+
+        return map;
+    }
+
+    /**
+     * Point template/layout references of incoming items to local IDs
+     *
+     * @param {string} collection - Folder collection name ('dmFolders', ...)
+     * @param {Array} items - Items (changed in place)
+     * @param {Object} map - Result of mapIds
+     * @returns {Array} Items
+     * @private
+     */
+    function remapItems(collection, items, map) {
+        DEFINITION_COLLECTIONS.forEach(function(definition) {
+            if (definition.folders !== collection) return;
+
+            var ids = map[definition.name];
+            items.forEach(function(item) {
+                var id = item[definition.ref];
+                if (id !== undefined && Object.prototype.hasOwnProperty.call(ids, id)) {
+                    item[definition.ref] = ids[id];
+                }
+            });
+        });
+        return items;
+    }
+
+    /**
+     * Recalculate counts of folder row for its current action
+     * @private
+     */
+    function count(row, map) {
+        var items = remapItems(row.collection.name, copy(row.incoming.items || []), map);
+        var added = newItems(items, row.action === 'merge' ? row.target.items : [], row.collection.key);
+
+        row.added = row.action === 'skip' ? 0 : added.length;
+        row.duplicates = row.action === 'skip' ? 0 : items.length - added.length;
+    }
+
+    /**
+     * Count items of imported folders left without their template or layout
+     *
+     * @description A definition skipped without a local one of the same name
+     * is not mapped: items referring to it get a template ID that does not
+     * exist here (DataMatrix falls back to Type 1). Sets row.orphans.
+     *
+     * @param {Array} definitions - Definition rows of plan
+     * @param {Array} folders - Folder rows of plan
+     * @private
+     */
+    function countOrphans(definitions, folders) {
+        definitions.forEach(function(row) {
+            row.orphans = 0;
+            if (row.action !== 'skip' || row.target) return;
+
+            folders.forEach(function(folder) {
+                if (folder.action === 'skip' || folder.collection.name !== row.collection.folders) return;
+
+                (folder.incoming.items || []).forEach(function(item) {
+                    if (String(item[row.collection.ref]) === String(row.incoming.id)) row.orphans++;
+                });
+            });
+        });
+    }
+
+    /**
+     * Recalculate counts of all folder rows (references depend on definition actions)
+     * @private
+     */
+    function countAll() {
+        var map = mapIds(plan.definitions);
+        plan.folders.forEach(function(row) {
+            count(row, map);
+        });
+        countOrphans(plan.definitions, plan.folders);
+    }
+
+    /**
+     * Build import plan for data document
+     *
+     * @description Folders with a name already present default to 'merge',
+     * other folders to 'add'. Templates and layouts with a name already
+     * present default to 'skip' (items use the local one), others to 'add'.
+     * History, sessions and serial registry are merged by ID.
+     *
+     * @param {Object} data - Migrated data document
+     * @returns {Object} Plan: { data, folders: [...], definitions: [...], extras: {...} }
+     */
+    function buildPlan(data) {
+        var folders = [];
+        var definitions = [];
+
+        DEFINITION_COLLECTIONS.forEach(function(collection) {
+            (data[collection.name] || []).forEach(function(incoming) {
+                var target = collection.list().find(function(d) {
+                    return d.name.toLowerCase() === String(incoming.name).toLowerCase();
+                }) || null;
+
+                definitions.push({
+                    collection: collection,
+                    incoming: incoming,
+                    target: target,
+                    action: target ? 'skip' : 'add'
+                });
+            });
+        });
+
+        var map = mapIds(definitions);
+
+        FOLDER_COLLECTIONS.forEach(function(collection) {
+            (data[collection.name] || []).forEach(function(incoming) {
+                var target = collection.folders().find(function(f) {
+                    return f.name.toLowerCase() === String(incoming.name).toLowerCase();
+                }) || null;
+
+                var row = {
+                    collection: collection,
+                    incoming: incoming,
+                    target: target,
+                    action: target ? 'merge' : 'add'
+                };
+                count(row, map);
+                folders.push(row);
+            });
+        });
+
+        countOrphans(definitions, folders);
+
+        var historyIds = State.history.items.map(function(h) { return h.id + '|' + h.code; });
+        var sessionIds = State.sessions.items.map(function(s) { return s.id; });
+
+        return {
+            data: data,
+            folders: folders,
+            definitions: definitions,
+            extras: {
+                history: {
+                    include: false,
+                    items: (data.history || []).filter(function(h) {
+                        return historyIds.indexOf(h.id + '|' + h.code) === -1;
+                    })
+                },
+                sessions: {
+                    include: true,
+                    items: (data.sessions || []).filter(function(s) {
+                        return sessionIds.indexOf(s.id) === -1;
+                    })
+                },
+                serials: {
+                    include: true,
+                    items: Object.keys(data.serials || {}).filter(function(k) {
+                        return !(k in State.serials.registry);
+                    })
+                }
+            }
+        };
+    }
+
+    /**
+     * Open preview for backup data
+     *
+     * @description Invalid data gets an empty plan: only the report is shown
+     * and apply/replace are refused.
+     *
+     * @param {Object} data - Migrated data document
+     * @param {Object} report - Report of Schema.validate
+     */
+    function open(data, report) {
+        plan = report.valid ? buildPlan(data) : { data: null, folders: [], definitions: [], extras: {} };
+        plan.report = report;
+        UI.renderImportPreview(plan);
+    }
+
+    /**
+     * Close preview without changes
+     */
+    function cancel() {
+        plan = null;
+        UI.renderImportPreview(null);
+    }
+
+    /**
+     * Set action for folder row
+     *
+     * @param {number} index - Row index
+     * @param {string} action - 'add', 'merge', 'rename' or 'skip'
+     */
+    function setAction(index, action) {
+        if (!plan || !plan.folders[index]) return;
+
+        plan.folders[index].action = action;
+        countAll();
+        UI.renderImportPreview(plan);
+    }
+
+    /**
+     * Set action for template or layout row
+     *
+     * @param {number} index - Row index in plan.definitions
+     * @param {string} action - 'add', 'rename' or 'skip'
+     */
+    function setDefinitionAction(index, action) {
+        if (!plan || !plan.definitions[index]) return;
+
+        plan.definitions[index].action = action;
+        countAll();
+        UI.renderImportPreview(plan);
+    }
+
+    /**
+     * Include or exclude extra collection
+     *
+     * @param {string} name - 'history', 'sessions' or 'serials'
+     * @param {boolean} include - Include flag
+     */
+    function setExtra(name, include) {
+        if (!plan || !plan.extras[name]) return;
+
+        plan.extras[name].include = include;
+        UI.renderImportPreview(plan);
+    }
+
+    /**
+     * Copy object (incoming data must not be shared with state)
+     * @private
+     */
+    function copy(obj) {
+        return JSON.parse(JSON.stringify(obj));
+    }
+
+    /**
+     * Apply folder row to state
+     * @private
+     */
+    function applyFolder(row, map) {
+        var folders = row.collection.folders();
+        var incoming = copy(row.incoming);
+        var items = remapItems(row.collection.name, incoming.items || [], map);
+
+        if (row.action === 'merge') {
+            newItems(items, row.target.items, row.collection.key).forEach(function(item) {
+                item.id = freeId(String(item.id), row.target.items);
+                row.target.items.push(item);
+            });
+            return;
+        }
+
+        incoming.items = newItems(items, [], row.collection.key);
+        incoming.id = freeId(String(incoming.id), folders);
+        if (row.action === 'rename') {
+            incoming.name = freeName(incoming.name, folders);
+        }
+        folders.push(incoming);
+    }
+
+    /**
+     * Apply previewed plan (merge)
+     *
+     * @returns {Object|null} Counts: { folders, items } or null without plan
+     */
+    function apply() {
+        if (!plan || !plan.data) return null;
+
+        var result = { folders: 0, items: 0 };
+        var extras = plan.extras;
+        var map = mapIds(plan.definitions);
+
+        plan.definitions.forEach(function(row) {
+            if (row.action === 'skip') return;
+
+            var list = row.collection.list();
+            var definition = copy(row.incoming);
+
+            definition.id = map[row.collection.name][String(row.incoming.id)];
+            if (row.action === 'rename') {
+                definition.name = freeName(definition.name, list);
+            }
+            list.push(definition);
+        });
+
+        plan.folders.forEach(function(row) {
+            if (row.action === 'skip') return;
+
+            applyFolder(row, map);
+            result.items += row.added;
+            if (row.action !== 'merge') result.folders++;
+        });
+
+        if (extras.history.include) {
+            State.history.items = State.history.items.concat(copy(extras.history.items))
+                .sort(function(a, b) { return a.timestamp < b.timestamp ? 1 : -1; })
+                .slice(0, State.history.maxItems);
+        }
+
+        if (extras.sessions.include) {
+            State.sessions.items = State.sessions.items.concat(copy(extras.sessions.items))
+                .sort(function(a, b) { return a.startedAt < b.startedAt ? 1 : -1; })
+                .slice(0, Config.MAX_SESSIONS);
+        }
+
+        if (extras.serials.include) {
+            extras.serials.items.forEach(function(key) {
+                State.serials.registry[key] = plan.data.serials[key];
+            });
+        }
+
+        plan = null;
+
+        Storage.save();
+        Generators.syncCustomTemplates();
+        Generators.syncWeightLayouts();
+        UI.renderImportPreview(null);
+        UI.renderAll();
+
+        return result;
+    }
+
+    /**
+     * Replace all data with backup (previous behaviour of import)
+     */
+    function replaceAll() {
+        if (!plan || !plan.data) return;
+
+        var message = 'Заменить все текущие данные загруженным файлом?';
+        if (plan.report.missing.length > 0) {
+            message += '\n\nВ файле нет разделов, они будут очищены: ' + plan.report.missing.join(', ');
+        }
+        if (!confirm(message)) return;
+
+        var Controllers = global.BarGen.Controllers;
+        var data = plan.data;
+        plan = null;
+
+        // Rotations refer to folders that are about to disappear
+        if (State.dm.isRotating) Controllers.DM.stopRotation();
+        if (State.wc.isRotating) Controllers.WC.stopRotation();
+        if (State.gs1.isRotating) Controllers.GS1.stopRotation();
+
+        State.dm.selectedFolderId = null;
+        State.wc.selectedFolderId = null;
+        State.sg.selectedFolderId = null;
+        State.gs1.selectedFolderId = null;
+
+        Storage.replaceAll(data);
+        Generators.syncCustomTemplates();
+        Generators.syncWeightLayouts();
+        UI.renderImportPreview(null);
+        UI.renderAll();
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Import = {
+        buildPlan: buildPlan,
+        open: open,
+        cancel: cancel,
+        setAction: setAction,
+        setDefinitionAction: setDefinitionAction,
+        setExtra: setExtra,
+        apply: apply,
+        replaceAll: replaceAll
+    };
+
+})(window);
@@ -0,0 +1,365 @@
+/**
+ * BarGen Weight Layout Editor Controller
+ *
+ * @description Handles user-defined weight label layouts (scale label
+ * formats): prefix, ordered fields with widths and decimals, check digit
+ * algorithm and symbology. Edited in Barcode tab, used by Barcode tab and
+ * Weight Carousel, persisted with other data.
+ * @module Controllers.Layout
+ *
+ * @example
+ * // Start new layout from built-in CAS layout
+ * BarGen.Controllers.Layout.copy('code128_16_cas');
+ *
+ * // Save edited layout
+ * BarGen.Controllers.Layout.save();
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Config = global.BarGen.Config;
+    var Utils = global.BarGen.Utils;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var UI = global.BarGen.UI;
+    var Generators = global.BarGen.Generators;
+
+    /**
+     * Sample values for preview (weight in kg, price in roubles)
+     * @type {Object}
+     * @private
+     */
+    var SAMPLE = { plu: '123', weight: 1.5, discount: 10, quantity: 2, price: 99.9 };
+
+    /**
+     * Layout being edited (copy of definition) or null when editor is closed
+     * @type {Object|null}
+     */
+    var draft = null;
+
+    /**
+     * Refresh lists that show layouts
+     * @private
+     */
+    function renderLayouts() {
+        UI.renderWeightLayouts();
+        UI.renderBarcodeFields();
+        UI.renderWcLayouts();
+    }
+
+    /**
+     * Open editor with a new EAN-13 weight layout
+     */
+    function startNew() {
+        draft = {
+            id: null,
+            name: '',
+            prefix: '2',
+            fields: [
+                { name: 'plu', length: 6 },
+                { name: 'weight', length: 5, decimals: 3 }
+            ],
+            check: 'ean13',
+            format: 'EAN13'
+        };
+        UI.renderLayoutEditor(draft);
+    }
+
+    /**
+     * Open editor with a new layout copied from existing one
+     *
+     * @param {string} id - Layout ID (built-in or user-defined)
+     */
+    function copy(id) {
+        var layout = Config.WEIGHT_LAYOUTS[id];
+        if (!layout) return;
+
+        draft = {
+            id: null,
+            name: layout.name + ' (копия)',
+            prefix: layout.prefix,
+            fields: JSON.parse(JSON.stringify(layout.fields)),
+            check: layout.check,
+            control: layout.control,
+            format: layout.format
+        };
+        UI.renderLayoutEditor(draft);
+    }
+
+    /**
+     * Open editor for user-defined layout
+     *
+     * @param {string} id - Layout ID
+     */
+    function edit(id) {
+        var definition = State.wc.customLayouts.find(function(l) { return l.id === id; });
+        if (!definition) return;
+
+        draft = JSON.parse(JSON.stringify(definition));
+        UI.renderLayoutEditor(draft);
+    }
+
+    /**
+     * Close editor without saving
+     */
+    function cancel() {
+        draft = null;
+        UI.renderLayoutEditor(null);
+    }
+
+    /**
+     * Append field to draft
+     */
+    function addField() {
+        if (!draft) return;
+        draft.fields.push({ name: 'plu', length: 5 });
+        UI.renderLayoutEditor(draft);
+    }
+
+    /**
+     * Remove field from draft
+     *
+     * @param {number} index - Field index
+     */
+    function removeField(index) {
+        if (!draft) return;
+        draft.fields.splice(index, 1);
+        UI.renderLayoutEditor(draft);
+    }
+
+    /**
+     * Move field up or down
+     *
+     * @param {number} index - Field index
+     * @param {number} direction - -1 (up) or 1 (down)
+     */
+    function moveField(index, direction) {
+        if (!draft) return;
+
+        var target = index + direction;
+        if (target < 0 || target >= draft.fields.length) return;
+
+        var field = draft.fields[index];
+        draft.fields[index] = draft.fields[target];
+        draft.fields[target] = field;
+        UI.renderLayoutEditor(draft);
+    }
+
+    /**
+     * Update field of draft
+     *
+     * @description Changing the field sets its decimals to the default of
+     * that field (weight - grams, price - kopecks) and re-renders the row.
+     * Price check digit (verifier) is one digit of price field by default.
+     *
+     * @param {number} index - Field index
+     * @param {string} key - 'name', 'length', 'decimals' or 'of' (verifier)
+     * @param {*} value - New value
+     */
+    function updateField(index, key, value) {
+        if (!draft || !draft.fields[index]) return;
+
+        var field = draft.fields[index];
+
+        if (key === 'name') {
+            field.name = value;
+            if (Config.WEIGHT_FIELDS[value].decimals !== undefined) {
+                field.decimals = Config.WEIGHT_FIELDS[value].decimals;
+            } else {
+                delete field.decimals;
+            }
+            if (value === 'verifier') {
+                field.length = 1;
+                field.of = 'price';
+            } else {
+                delete field.of;
+            }
+            UI.renderLayoutEditor(draft);
+            return;
+        }
+
+        if (key === 'of') {
+            field.of = value;
+            UI.renderLayoutPreview(draft);
+            return;
+        }
+
+        field[key] = parseInt(value, 10) || 0;
+        UI.renderLayoutPreview(draft);
+    }
+
+    /**
+     * Update layout-level property (name, prefix, format, check, control)
+     *
+     * @param {string} key - Property name
+     * @param {string} value - New value
+     */
+    function updateProp(key, value) {
+        if (!draft) return;
+
+        draft[key] = key === 'prefix' || key === 'control' ? String(value).replace(/\D/g, '') : value;
+
+        if (key === 'check') {
+            UI.renderLayoutEditor(draft);
+        } else {
+            UI.renderLayoutPreview(draft);
+        }
+    }
+
+    /**
+     * Build preview code for layout from sample values
+     *
+     * @param {Object} definition - Layout definition
+     * @returns {Object} { code, format, errors }
+     */
+    function preview(definition) {
+        var values = {};
+
+        definition.fields.forEach(function(field) {
+            var sample = SAMPLE[field.name];
+            values[field.name] = field.decimals !== undefined ?
+                Math.round(sample * Math.pow(10, field.decimals)) : sample;
+        });
+
+        return Generators.buildWeightCode(definition, values);
+    }
+
+    /**
+     * Validate draft
+     *
+     * @returns {string|null} Error message or null if valid
+     * @private
+     */
+    function validate() {
+        if (!draft.name || !draft.name.trim()) {
+            return 'Укажите название формата!';
+        }
+        if (!/^\d{1,4}$/.test(draft.prefix)) {
+            return 'Префикс должен состоять из 1-4 цифр';
+        }
+        if (draft.fields.length === 0) {
+            return 'Добавьте хотя бы одно поле!';
+        }
+        for (var i = 0; i < draft.fields.length; i++) {
+            var field = draft.fields[i];
+
+            if (!(field.length > 0 && field.length <= 12)) {
+                return 'Поле ' + (i + 1) + ': длина от 1 до 12 цифр';
+            }
+            if (field.decimals !== undefined && !(field.decimals >= 0 && field.decimals <= 3)) {
+                return 'Поле ' + (i + 1) + ': знаков после запятой от 0 до 3';
+            }
+            if (field.name === 'verifier') {
+                var target = draft.fields.find(function(f) { return f.name === field.of; });
+                if (!target || (target.length !== 4 && target.length !== 5)) {
+                    return 'Поле ' + (i + 1) + ': контрольная цифра цены считается от поля «' +
+                        Config.WEIGHT_FIELDS[field.of].name + '» длиной 4 или 5 цифр';
+                }
+            }
+        }
+        if (draft.check === 'fixed' && !/^\d$/.test(draft.control || '')) {
+            return 'Укажите фиксированную контрольную цифру';
+        }
+        if (draft.format === 'EAN13') {
+            var length = draft.prefix.length + (draft.check === 'none' ? 0 : 1) +
+                draft.fields.reduce(function(sum, f) { return sum + f.length; }, 0);
+
+            if (length !== 13 || draft.check !== 'ean13') {
+                return 'EAN-13: префикс и поля - 12 цифр, контрольная цифра GTIN (сейчас ' + length + ' цифр)';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Save draft to State.wc.customLayouts
+     */
+    function save() {
+        if (!draft) return;
+
+        var error = validate();
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        draft.name = draft.name.trim();
+        if (draft.check !== 'fixed') delete draft.control;
+
+        if (draft.id) {
+            State.wc.customLayouts = State.wc.customLayouts.map(function(l) {
+                return l.id === draft.id ? draft : l;
+            });
+        } else {
+            draft.id = Utils.generateId('wl');
+            State.wc.customLayouts.push(draft);
+        }
+
+        Generators.syncWeightLayouts();
+        Storage.save();
+
+        draft = null;
+        UI.renderLayoutEditor(null);
+        renderLayouts();
+    }
+
+    /**
+     * Delete user-defined layout
+     *
+     * @description Items created with the layout keep their codes.
+     *
+     * @param {string} id - Layout ID
+     */
+    function remove(id) {
+        var definition = State.wc.customLayouts.find(function(l) { return l.id === id; });
+        if (!definition || !confirm('Удалить формат "' + definition.name + '"?')) return;
+
+        State.wc.customLayouts = State.wc.customLayouts.filter(function(l) {
+            return l.id !== id;
+        });
+
+        Generators.syncWeightLayouts();
+        Storage.save();
+
+        if (draft && draft.id === id) {
+            cancel();
+        }
+
+        renderLayouts();
+    }
+
+    /**
+     * Toggle layout used by Weight Carousel addItems
+     *
+     * @param {string} id - Layout ID
+     * @param {boolean} selected - Use layout
+     */
+    function select(id, selected) {
+        State.wc.selectedLayouts = State.wc.selectedLayouts.filter(function(x) { return x !== id; });
+        if (selected) State.wc.selectedLayouts.push(id);
+        Storage.save();
+        UI.renderWcLayouts();
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Layout = {
+        startNew: startNew,
+        copy: copy,
+        edit: edit,
+        cancel: cancel,
+        addField: addField,
+        removeField: removeField,
+        moveField: moveField,
+        updateField: updateField,
+        updateProp: updateProp,
+        preview: preview,
+        save: save,
+        remove: remove,
+        select: select
+    };
+
+})(window);
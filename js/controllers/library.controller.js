@@ -197,6 +197,25 @@
         }
     }
 
+    /**
+     * Set DataMatrix encoding mode of current folder
+     *
+     * @param {string} mode - 'gs1', 'raw' or '' to follow the template
+     */
+    function setFolderMode(mode) {
+        var folder = State.getDmFolder();
+        if (!folder) return;
+
+        if (mode) {
+            folder.dmMode = mode;
+        } else {
+            delete folder.dmMode;
+        }
+
+        Storage.save();
+        UI.renderDmFolders();
+    }
+
     // Export to namespace
     global.BarGen.Controllers.Library = {
         addBarcodes: addBarcodes,
@@ -205,7 +224,8 @@
         deselectAll: deselectAll,
         clearSelected: clearSelected,
         deleteFolder: deleteFolder,
-        renameFolder: renameFolder
+        renameFolder: renameFolder,
+        setFolderMode: setFolderMode
     };
 
 })(window);
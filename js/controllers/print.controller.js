@@ -0,0 +1,185 @@
+/**
+ * BarGen Print Controller
+ *
+ * @description Printable label sheets: selected items of a folder laid out
+ * on A4 grids or thermal-roll labels with human-readable text, product name,
+ * weight and discount. Printed through the browser dialog (or saved as PDF).
+ * @module Controllers.Print
+ *
+ * @example
+ * // Print active items of folder selected in Library tab
+ * BarGen.Controllers.Print.printFolder(folderId);
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Config = global.BarGen.Config;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var Utils = global.BarGen.Utils;
+    var UI = global.BarGen.UI;
+    var Generators = global.BarGen.Generators;
+
+    var GS = Config.GS1_CONSTANTS.GS_CHAR;
+
+    /**
+     * Format discount line
+     * @private
+     */
+    function discountText(discount) {
+        return discount > 0 ? 'Скидка ' + discount + '%' : null;
+    }
+
+    /**
+     * Label content per module: label(item, folder) → { symbol, title, lines }
+     *
+     * @description symbol is the argument of Generators.renderSymbol; the
+     * sheet renders it with renderDM / renderBarcode / renderGS1QR.
+     * @type {Object}
+     * @private
+     */
+    var LABELS = {
+        dm: function(item, folder) {
+            var code = Generators.issueDM(item.barcode, item.template);
+            var template = Config.TEMPLATES[item.template];
+
+            return {
+                symbol: { kind: 'datamatrix', code: code, mode: Generators.getDMMode(item.template, folder) },
+                title: folder.name,
+                lines: [item.barcode, template ? template.name : null,
+                    Generators.toGS1Bracketed(code) || code.split(GS).join(State.table.gsEscape)]
+            };
+        },
+        wc: function(item, folder) {
+            return {
+                symbol: { kind: 'linear', code: item.code, format: item.format },
+                title: folder.name,
+                lines: ['PLU ' + item.plu, Utils.formatWeight(item.weight), discountText(item.discount),
+                    item.price !== undefined ? Utils.formatPrice(item.price) : null]
+            };
+        },
+        sg: function(item) {
+            return {
+                symbol: item.type === 'QRCODE' ? { kind: 'qrcode', code: item.code } :
+                    { kind: 'linear', code: item.code, format: item.type },
+                title: item.name,
+                lines: []
+            };
+        },
+        gs1: function(item, folder) {
+            return {
+                symbol: { kind: 'qrcode', code: item.code },
+                title: folder.name,
+                lines: [
+                    'GoodsId ' + item.goodsId,
+                    item.type === 'weight' ? Utils.formatWeight(item.weight) : UI.formatGs1Quantity(item),
+                    discountText(item.discount),
+                    Generators.toGS1Bracketed(item.code)
+                ]
+            };
+        }
+    };
+
+    /**
+     * Build labels of folder
+     *
+     * @description Only items marked active are printed (SG items have no
+     * flag - all of them are printed). DataMatrix codes are issued on a
+     * separate random sequence, like in table export.
+     *
+     * @param {string} module - Module key ('dm', 'wc', 'sg', 'gs1')
+     * @param {Object} folder - Folder
+     * @returns {Array} Labels: [{ symbol, title, lines }]
+     */
+    function buildLabels(module, folder) {
+        return Utils.rng.isolate(function() {
+            return folder.items.filter(function(item) {
+                return item.active !== false;
+            }).map(function(item) {
+                var label = LABELS[module](item, folder);
+                label.lines = label.lines.filter(function(line) { return !!line; });
+                return label;
+            });
+        });
+    }
+
+    /**
+     * Split labels into pages of layout
+     *
+     * @param {Array} labels - Labels
+     * @param {Object} layout - Layout from Config.PRINT_LAYOUTS
+     * @returns {Array[]} Pages of labels
+     */
+    function paginate(labels, layout) {
+        var perPage = layout.cols * layout.rows;
+        var pages = [];
+
+        for (var i = 0; i < labels.length; i += perPage) {
+            pages.push(labels.slice(i, i + perPage));
+        }
+        return pages;
+    }
+
+    /**
+     * Print folder of module selected in Library tab
+     *
+     * @param {string} folderId - Folder ID
+     */
+    function printFolder(folderId) {
+        var module = State.table.module;
+        var layout = Config.PRINT_LAYOUTS[State.print.layout];
+        var Table = global.BarGen.Controllers.Table;
+        var folder = Table.MODULES[module].folders().find(function(f) { return f.id === folderId; });
+
+        if (!folder) {
+            alert('Выберите папку!');
+            return;
+        }
+
+        var labels = buildLabels(module, folder);
+        if (labels.length === 0) {
+            alert('В папке нет отмеченных записей!');
+            return;
+        }
+
+        UI.renderPrintSheet(layout, paginate(labels, layout));
+
+        // DataMatrix codes were issued for the labels
+        if (module === 'dm') {
+            Storage.save();
+            UI.renderSerials();
+        }
+
+        // print() does not block in every browser: remove sheet once printing is done
+        var cleanup = function() {
+            global.removeEventListener('afterprint', cleanup);
+            UI.renderPrintSheet(null);
+        };
+        global.addEventListener('afterprint', cleanup);
+        global.print();
+    }
+
+    /**
+     * Set print layout
+     *
+     * @param {string} layoutId - Key of Config.PRINT_LAYOUTS
+     */
+    function setLayout(layoutId) {
+        if (Config.PRINT_LAYOUTS[layoutId]) {
+            State.print.layout = layoutId;
+        }
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Print = {
+        buildLabels: buildLabels,
+        paginate: paginate,
+        printFolder: printFolder,
+        setLayout: setLayout
+    };
+
+})(window);
@@ -0,0 +1,444 @@
+/**
+ * BarGen Printer Controller
+ *
+ * @description Export of folder labels as label printer commands: ZPL
+ * (Zebra), TSPL (TSC) and EPL (older Zebra). The file can be sent to the
+ * printer as is (raw spooler queue, `copy /b file.zpl \\host\printer`,
+ * `lp -o raw`). Label content is the same as on printed sheets.
+ * @module Controllers.Printer
+ *
+ * @example
+ * // Download commands for folder selected in Library tab
+ * BarGen.Controllers.Printer.exportFolder(folderId);
+ *
+ * // Commands of one label
+ * BarGen.Controllers.Printer.buildLabel('zpl', label, [40, 30]);
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Config = global.BarGen.Config;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var Utils = global.BarGen.Utils;
+    var UI = global.BarGen.UI;
+    var Generators = global.BarGen.Generators;
+
+    var GS = Config.GS1_CONSTANTS.GS_CHAR;
+
+    /**
+     * Label margin and text line height, mm
+     * @private
+     */
+    var MARGIN = 2;
+    var LINE_HEIGHT = 3;
+
+    /**
+     * Replace characters with escape sequences
+     *
+     * @param {string} text - Text
+     * @param {RegExp} pattern - Characters to replace (global)
+     * @param {Function} escape - escape(charCode) → sequence
+     * @returns {string} Escaped text
+     * @private
+     */
+    function escapeChars(text, pattern, escape) {
+        return String(text).replace(pattern, function(ch) {
+            return escape(ch.charCodeAt(0));
+        });
+    }
+
+    /**
+     * Pad number to 3 digits (~dNNN / _dNNN sequences)
+     * @private
+     */
+    function dec3(code) {
+        return Utils.padZeros(code, 3);
+    }
+
+    /**
+     * Hex byte for ZPL ^FH sequences
+     * @private
+     */
+    function hex2(code) {
+        return (code < 16 ? '0' : '') + code.toString(16).toUpperCase();
+    }
+
+    /**
+     * Check if DataMatrix symbol is encoded as GS1 (same fallback as screen)
+     * @private
+     */
+    function isGS1(symbol) {
+        return symbol.mode === 'gs1' && !!Generators.toGS1Bracketed(symbol.code);
+    }
+
+    /**
+     * Estimate width of linear barcode in modules (chooses bar width)
+     * @private
+     */
+    function linearModules(format, code) {
+        switch (format) {
+            case 'EAN13':
+            case 'UPC':
+                return 113;
+            case 'EAN8':
+                return 81;
+            case 'ITF14':
+                return 14 * 9 + 30;
+            case 'CODE39':
+                return 16 * (code.length + 2);
+            default:
+                // Code128: digits are packed in pairs (code set C)
+                return 11 * ((/^\d+$/.test(code) ? Math.ceil(code.length / 2) : code.length) + 3) + 22;
+        }
+    }
+
+    /**
+     * Linear formats with printer commands in every language (other
+     * Constructor formats are printed through the label sheet only)
+     * @type {string[]}
+     * @private
+     */
+    var LINEAR_FORMATS = ['CODE128', 'EAN13', 'EAN8', 'UPC', 'ITF14', 'CODE39'];
+
+    /**
+     * Full code lengths of formats whose check digit the printer computes itself
+     * @type {Object}
+     * @private
+     */
+    var CHECKED_LENGTHS = { EAN13: 13, EAN8: 8, UPC: 12, ITF14: 14 };
+
+    /**
+     * Check if linear code has a check digit the printer would replace
+     *
+     * @description Deliberately wrong check digits (Weight Carousel error
+     * copies, Barcode tab error simulation) and weight layouts with
+     * non-GS1 check digit would be printed as a different, valid code.
+     *
+     * @param {Object} symbol - Label symbol: { kind, format, code }
+     * @returns {boolean} True if check digit does not match
+     * @private
+     */
+    function hasForeignCheckDigit(symbol) {
+        var length = CHECKED_LENGTHS[symbol.format];
+        var code = symbol.code;
+
+        return symbol.kind === 'linear' && !!length && code.length === length &&
+            String(Utils.calcControlGTIN(code.substring(0, length - 1))) !== code.charAt(length - 1);
+    }
+
+    /**
+     * Printer languages
+     *
+     * @description Each language turns label parts into commands; sizes
+     * and coordinates are in dots.
+     * @type {Object}
+     * @private
+     */
+    var LANGUAGES = {
+        zpl: {
+            extension: 'zpl',
+            begin: function(width, height) {
+                return ['^XA', '^CI28', '^PW' + width, '^LL' + height];
+            },
+            // '_' is escape character of ^BX: _1 = FNC1, _dNNN = character
+            // ('^' and '~' too, they would end the field or start a command)
+            dataMatrix: function(x, y, dot, symbol) {
+                var escape = function(text) {
+                    return escapeChars(text, /[_^~\x00-\x1f]/g, function(code) { return '_d' + dec3(code); });
+                };
+                var data = isGS1(symbol) ?
+                    '_1' + symbol.code.split(GS).map(escape).join('_1') :
+                    escape(symbol.code);
+                return ['^FO' + x + ',' + y + '^BXN,' + dot + ',200,,,,_^FD' + data + '^FS'];
+            },
+            qrcode: function(x, y, dot, symbol) {
+                return ['^FO' + x + ',' + y + '^BQN,2,' + dot + '^FH^FDMA,' + zplText(symbol.code) + '^FS'];
+            },
+            // Code128: '>' is invocation character, >8 = FNC1; other special
+            // characters go as ^FH hex (_5E, _7E)
+            linear: function(x, y, bar, height, symbol) {
+                var code = symbol.code;
+                var commands = {
+                    EAN13: '^BEN,' + height + ',Y,N^FD' + code.substring(0, 12),
+                    EAN8: '^B8N,' + height + ',Y,N^FD' + code.substring(0, 7),
+                    UPC: '^BUN,' + height + ',Y,N,Y^FD' + code.substring(0, 11),
+                    ITF14: '^B2N,' + height + ',Y,N,N^FD' + code,
+                    CODE39: '^B3N,N,' + height + ',Y,N^FD' + code
+                };
+                var command = commands[symbol.format] ||
+                    '^BCN,' + height + ',Y,N,N^FH^FD' + code.split(GS).map(function(part) {
+                        return zplText(part.replace(/>/g, '><'));
+                    }).join('>8');
+                return ['^BY' + bar + '^FO' + x + ',' + y + command + '^FS'];
+            },
+            text: function(x, y, size, text) {
+                return ['^FO' + x + ',' + y + '^A0N,' + size + ',' + size + '^FH^FD' + zplText(text) + '^FS'];
+            },
+            end: function() {
+                return ['^PQ1', '^XZ'];
+            }
+        },
+
+        tspl: {
+            extension: 'tspl',
+            begin: function(width, height, mm) {
+                return ['SIZE ' + mm[0] + ' mm, ' + mm[1] + ' mm', 'GAP 2 mm, 0 mm',
+                    'CODEPAGE UTF-8', 'DIRECTION 1', 'CLS'];
+            },
+            // c126 sets '~' as escape character: ~1 = FNC1, ~dNNN = character
+            dataMatrix: function(x, y, dot, symbol, side) {
+                var escape = function(text) {
+                    return escapeChars(text, /[~"\x00-\x1f]/g, function(code) { return '~d' + dec3(code); });
+                };
+                var data = isGS1(symbol) ?
+                    '~1' + symbol.code.split(GS).map(escape).join('~1') :
+                    escape(symbol.code);
+                return ['DMATRIX ' + x + ',' + y + ',' + side + ',' + side + ',c126,x' + dot + ',"' + data + '"'];
+            },
+            qrcode: function(x, y, dot, symbol) {
+                return ['QRCODE ' + x + ',' + y + ',M,' + dot + ',A,0,"' + tsplText(symbol.code) + '"'];
+            },
+            // Code128 with GS: manual mode 128M, !102 = FNC1, !104 = start B
+            linear: function(x, y, bar, height, symbol) {
+                var types = { EAN13: 'EAN13', EAN8: 'EAN8', UPC: 'UPCA', ITF14: 'ITF14', CODE39: '39' };
+                var type = types[symbol.format] || '128';
+                var data = symbol.code;
+
+                if (symbol.format === 'EAN13') data = data.substring(0, 12);
+                if (symbol.format === 'EAN8') data = data.substring(0, 7);
+                if (symbol.format === 'UPC') data = data.substring(0, 11);
+                if (symbol.format === 'ITF14') data = data.substring(0, 13);
+                if (type === '128' && data.indexOf(GS) !== -1) {
+                    type = '128M';
+                    data = '!104' + data.replace(/!/g, '!033').split(GS).join('!102');
+                }
+
+                return ['BARCODE ' + x + ',' + y + ',"' + type + '",' + height + ',1,0,' + bar + ',' + bar + ',"' +
+                    tsplText(data) + '"'];
+            },
+            // Font "0" is scalable, size in points
+            text: function(x, y, size, text) {
+                var points = Math.max(6, Math.round(size / Config.PRINTER.DPMM / 0.3528));
+                return ['TEXT ' + x + ',' + y + ',"0",0,' + points + ',' + points + ',"' + tsplText(text) + '"'];
+            },
+            end: function() {
+                return ['PRINT 1,1'];
+            }
+        },
+
+        epl: {
+            extension: 'epl',
+            begin: function(width, height) {
+                return ['', 'N', 'q' + width, 'Q' + height + ',' + (2 * Config.PRINTER.DPMM)];
+            },
+            // EPL has no FNC1 for DataMatrix: GS1 codes are printed as plain
+            // DataMatrix with GS characters, symbol size is chosen by printer
+            dataMatrix: function(x, y, dot, symbol) {
+                return ['b' + x + ',' + y + ',D,"' + eplText(symbol.code) + '"'];
+            },
+            qrcode: function(x, y, dot, symbol) {
+                return ['b' + x + ',' + y + ',Q,m2,s' + dot + ',eM,"' + eplText(symbol.code) + '"'];
+            },
+            linear: function(x, y, bar, height, symbol) {
+                var types = { EAN13: 'E30', EAN8: 'E80', UPC: 'UA0', ITF14: '2', CODE39: '3' };
+                var data = symbol.code;
+
+                if (symbol.format === 'EAN13') data = data.substring(0, 12);
+                if (symbol.format === 'EAN8') data = data.substring(0, 7);
+                if (symbol.format === 'UPC') data = data.substring(0, 11);
+
+                return ['B' + x + ',' + y + ',0,' + (types[symbol.format] || '1') + ',' + bar + ',' + (bar * 2) + ',' +
+                    height + ',B,"' + eplText(data) + '"'];
+            },
+            text: function(x, y, size, text) {
+                return ['A' + x + ',' + y + ',0,' + (size < 20 ? 2 : 3) + ',1,1,N,"' + eplText(text) + '"'];
+            },
+            end: function() {
+                return ['P1'];
+            }
+        }
+    };
+
+    /**
+     * Escape ZPL field data (^FH: _XX = hex byte)
+     * @private
+     */
+    function zplText(text) {
+        return escapeChars(text, /[_^~\x00-\x1f]/g, function(code) { return '_' + hex2(code); });
+    }
+
+    /**
+     * Escape TSPL string (quote is written as \["])
+     * @private
+     */
+    function tsplText(text) {
+        return String(text).replace(/"/g, '\\["]');
+    }
+
+    /**
+     * Escape EPL string
+     * @private
+     */
+    function eplText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    /**
+     * Build commands of one label
+     *
+     * @description 2D codes are placed on the left (square of label height),
+     * text to the right; linear codes on top with text below.
+     *
+     * @param {string} language - Key of Config.PRINTER.LANGUAGES
+     * @param {Object} label - Label from Print.buildLabels: { symbol, title, lines }
+     * @param {number[]} size - Label size [width, height], mm
+     * @returns {string[]} Command lines
+     * @throws {Error} If linear format has no printer command or the printer
+     * would replace the check digit of code (see hasForeignCheckDigit)
+     */
+    function buildLabel(language, label, size) {
+        var lang = LANGUAGES[language];
+        var dpmm = Config.PRINTER.DPMM;
+        var width = Math.round(size[0] * dpmm);
+        var height = Math.round(size[1] * dpmm);
+        var margin = MARGIN * dpmm;
+        var lineHeight = LINE_HEIGHT * dpmm;
+        var symbol = label.symbol;
+        var commands = lang.begin(width, height, size);
+        var textX = margin;
+        var textY;
+
+        if (symbol.kind === 'linear' && LINEAR_FORMATS.indexOf(symbol.format || 'CODE128') === -1) {
+            throw new Error('Формат ' + Config.SIMPLE_FORMATS[symbol.format].name +
+                ' нельзя выгрузить командами принтера, используйте «Печать этикеток»');
+        }
+
+        if (hasForeignCheckDigit(symbol)) {
+            throw new Error('У кода ' + symbol.code + ' неверная контрольная цифра, принтер напечатает ' +
+                'другой код, используйте «Печать этикеток»');
+        }
+
+        if (symbol.kind === 'linear') {
+            var barHeight = Math.max(8 * dpmm, Math.round(height * 0.4));
+            var bar = Math.max(1, Math.min(4, Math.floor((width - 2 * margin) / linearModules(symbol.format, symbol.code))));
+
+            commands = commands.concat(lang.linear(margin, margin, bar, barHeight, symbol));
+            // Room for human-readable line printed under bars
+            textY = margin + barHeight + lineHeight;
+        } else {
+            var side = Math.min(height - 2 * margin, Math.round(width / 2));
+            // Typical symbols: DataMatrix up to 26 modules, QR version 3 (29)
+            var dot = Math.max(1, Math.min(10, Math.floor(side / (symbol.kind === 'datamatrix' ? 26 : 29))));
+
+            commands = commands.concat(symbol.kind === 'datamatrix' ?
+                lang.dataMatrix(margin, margin, dot, symbol, side) :
+                lang.qrcode(margin, margin, dot, symbol));
+            textX = margin * 2 + side;
+            textY = margin;
+        }
+
+        [label.title].concat(label.lines).forEach(function(line) {
+            if (!line || textY + lineHeight > height) return;
+            commands = commands.concat(lang.text(textX, textY, lineHeight - dpmm / 2, line));
+            textY += lineHeight;
+        });
+
+        return commands.concat(lang.end());
+    }
+
+    /**
+     * Build printer file of folder
+     *
+     * @param {string} language - Key of Config.PRINTER.LANGUAGES
+     * @param {Array} labels - Labels from Print.buildLabels
+     * @param {number[]} size - Label size [width, height], mm
+     * @returns {string} Commands, CRLF line breaks
+     */
+    function buildFile(language, labels, size) {
+        return labels.map(function(label) {
+            return buildLabel(language, label, size).join('\r\n');
+        }).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Download printer commands of folder selected in Library tab
+     *
+     * @description Active items of folder, label size of selected print
+     * layout. DataMatrix codes are issued at export time.
+     *
+     * @param {string} folderId - Folder ID
+     */
+    function exportFolder(folderId) {
+        var module = State.table.module;
+        var language = State.print.language;
+        var Controllers = global.BarGen.Controllers;
+        var folder = Controllers.Table.MODULES[module].folders().find(function(f) { return f.id === folderId; });
+
+        if (!folder) {
+            alert('Выберите папку!');
+            return;
+        }
+
+        var labels = Controllers.Print.buildLabels(module, folder);
+        if (labels.length === 0) {
+            alert('В папке нет отмеченных записей!');
+            return;
+        }
+
+        // Printer would print such codes with a valid check digit
+        var skipped = labels.filter(function(label) { return hasForeignCheckDigit(label.symbol); });
+        labels = labels.filter(function(label) { return !hasForeignCheckDigit(label.symbol); });
+
+        if (labels.length === 0) {
+            alert('У всех кодов папки неверная контрольная цифра, принтер напечатает другие коды. ' +
+                'Используйте «Печать этикеток»');
+            return;
+        }
+
+        var text;
+        try {
+            text = buildFile(language, labels, Config.PRINT_LAYOUTS[State.print.layout].label);
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+        var name = Controllers.Images.fileName('{folder}', { folder: folder.name, n: module });
+
+        Utils.downloadFile(text, 'bargen_' + module + '_' + name + '.' + LANGUAGES[language].extension);
+
+        if (module === 'dm') {
+            Storage.save();
+            UI.renderSerials();
+        }
+
+        if (skipped.length > 0) {
+            alert('Пропущено этикеток: ' + skipped.length + ' — у кодов неверная контрольная цифра, ' +
+                'принтер напечатал бы другие коды. Для них используйте «Печать этикеток»');
+        }
+    }
+
+    /**
+     * Set printer language
+     *
+     * @param {string} language - Key of Config.PRINTER.LANGUAGES
+     */
+    function setLanguage(language) {
+        if (LANGUAGES[language]) {
+            State.print.language = language;
+        }
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Printer = {
+        buildLabel: buildLabel,
+        buildFile: buildFile,
+        exportFolder: exportFolder,
+        setLanguage: setLanguage
+    };
+
+})(window);
@@ -0,0 +1,86 @@
+/**
+ * BarGen Seed Controller
+ *
+ * @description Handles pinning of random seed so a scan session can be
+ * replayed with exactly the same codes
+ * @module Controllers.Seed
+ *
+ * @example
+ * // Replay session from bug report
+ * BarGen.Controllers.Seed.pin('3141592653');
+ *
+ * // Back to fresh seed for every run
+ * BarGen.Controllers.Seed.unpin();
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Utils = global.BarGen.Utils;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var UI = global.BarGen.UI;
+
+    /**
+     * Restart random sequence and DataMatrix output from the beginning
+     *
+     * @description Demo GTIN cycle and rotation start over too, so the first
+     * code after restart is the first code of the replayed session.
+     * @private
+     */
+    function restart() {
+        var Controllers = global.BarGen.Controllers;
+        var dm = State.dm;
+        var seed = Utils.rng.start(State.rng.fixedSeed);
+
+        State.resetDemoIndex();
+
+        if (dm.isRotating) {
+            var folder = State.getDmFolder(dm.rotationFolderId);
+            if (folder) {
+                folder.seed = seed;
+                Storage.save();
+                UI.renderDmFolders();
+            }
+        }
+
+        if (Controllers.Tab.getCurrent() === 'datamatrix') {
+            Controllers.DM.replay();
+        } else {
+            dm.rotationIndex = 0;
+            dm.generatedCodes = [];
+            dm.codeHistoryIndex = -1;
+        }
+
+        UI.renderSeed();
+    }
+
+    /**
+     * Pin seed: every generation run starts from it
+     *
+     * @param {string} value - Seed (number or any text); empty pins current seed
+     */
+    function pin(value) {
+        var text = (value || '').trim();
+        State.rng.fixedSeed = text ? Utils.rng.seed(text) : Utils.rng.getSeed();
+        restart();
+    }
+
+    /**
+     * Unpin seed: every generation run gets a fresh seed
+     */
+    function unpin() {
+        State.rng.fixedSeed = null;
+        restart();
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Seed = {
+        pin: pin,
+        unpin: unpin
+    };
+
+})(window);
@@ -0,0 +1,393 @@
+/**
+ * BarGen Test Session Controller
+ *
+ * @description Records a test session per rotation run (settings, codes shown,
+ * scanner results) and exports it as JSON, CSV or HTML report
+ * @module Controllers.Session
+ *
+ * @example
+ * // Rotation started / stopped
+ * BarGen.Controllers.Session.start('WC', folder, carousel);
+ * BarGen.Controllers.Session.stop('WC');
+ *
+ * // Download report
+ * BarGen.Controllers.Session.exportReport(id, 'html');
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Config = global.BarGen.Config;
+    var Utils = global.BarGen.Utils;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var UI = global.BarGen.UI;
+
+    /**
+     * Running sessions by source ('DM', 'WC', 'GS1')
+     * @type {Object}
+     */
+    var active = {};
+
+    /**
+     * Start session for rotation run
+     *
+     * @description Running session of the same source is finished first.
+     *
+     * @param {string} source - 'DM', 'WC' or 'GS1'
+     * @param {Object} folder - Rotated folder
+     * @param {Object} carousel - Carousel instance (interval, mode, order)
+     * @param {Array} [templates] - Template names (DataMatrix)
+     * @returns {Object} Session
+     */
+    function start(source, folder, carousel, templates) {
+        stop(source);
+
+        var session = {
+            id: Utils.generateId('ses'),
+            source: source,
+            folderId: folder.id,
+            folderName: folder.name,
+            templates: templates || [],
+            interval: carousel.getInterval(),
+            mode: carousel.getMode(),
+            shuffle: carousel.isShuffled(),
+            seed: folder.seed !== undefined ? folder.seed : Utils.rng.getSeed(),
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            shown: [],
+            scans: [],
+            truncated: false
+        };
+
+        State.sessions.items.unshift(session);
+        if (State.sessions.items.length > Config.MAX_SESSIONS) {
+            State.sessions.items.length = Config.MAX_SESSIONS;
+        }
+
+        active[source] = session;
+        Storage.save();
+        UI.renderSessions();
+        return session;
+    }
+
+    /**
+     * Finish running session
+     *
+     * @param {string} source - 'DM', 'WC' or 'GS1'
+     */
+    function stop(source) {
+        var session = active[source];
+        if (!session) return;
+
+        session.endedAt = new Date().toISOString();
+        delete active[source];
+
+        Storage.save();
+        UI.renderSessions();
+    }
+
+    /**
+     * Add event to session respecting size limit
+     *
+     * @param {Object} session - Session
+     * @param {Array} list - session.shown or session.scans
+     * @param {Object} event - Event
+     * @private
+     */
+    function push(session, list, event) {
+        if (list.length >= Config.MAX_SESSION_EVENTS) {
+            session.truncated = true;
+            return;
+        }
+        list.push(event);
+    }
+
+    /**
+     * Record displayed code
+     *
+     * @param {string} source - 'DM', 'WC' or 'GS1'
+     * @param {Array} codes - Displayed codes (second one for DM double scan)
+     * @param {Object|null} [broken] - { method, reason } if first code is intentionally broken
+     */
+    function recordShown(source, codes, broken) {
+        var session = active[source];
+        if (!session) return;
+
+        var event = { at: Date.now(), code: codes[0] };
+        if (codes[1]) event.secondary = codes[1];
+        if (broken) event.broken = broken;
+
+        push(session, session.shown, event);
+    }
+
+    /**
+     * Record scanner verification result
+     *
+     * @param {Object} entry - Verification log entry (see Controllers.Verify)
+     */
+    function recordScan(entry) {
+        var session = active[entry.source];
+        if (!session) return;
+
+        push(session, session.scans, {
+            at: entry.timestamp,
+            code: entry.scanned,
+            expected: entry.expected,
+            pass: entry.pass,
+            late: entry.late,
+            missingSuffix: entry.missingSuffix,
+            diffAt: entry.diffAt,
+            latency: entry.latency,
+            duration: entry.duration
+        });
+
+        Storage.save();
+        UI.renderSessions();
+    }
+
+    /**
+     * Check whether session is still running
+     *
+     * @param {Object} session - Session
+     * @returns {boolean} True if rotation of this session is running
+     */
+    function isActive(session) {
+        return active[session.source] === session;
+    }
+
+    /**
+     * Calculate session statistics
+     *
+     * @param {Object} session - Session
+     * @returns {Object} Summary: shown, broken (intentionally), scans, passed, failed,
+     * latency (min/avg/max, ms), durationSec
+     */
+    function summarize(session) {
+        var latencies = session.scans
+            .map(function(s) { return s.latency; })
+            .filter(function(l) { return l !== null && l !== undefined; });
+        var passed = session.scans.filter(function(s) { return s.pass; }).length;
+        var end = session.endedAt ? new Date(session.endedAt) : new Date();
+
+        return {
+            shown: session.shown.length,
+            broken: session.shown.filter(function(s) { return s.broken; }).length,
+            scans: session.scans.length,
+            passed: passed,
+            failed: session.scans.length - passed,
+            latency: latencies.length ? {
+                min: Math.min.apply(null, latencies),
+                avg: Math.round(latencies.reduce(function(a, b) { return a + b; }, 0) / latencies.length),
+                max: Math.max.apply(null, latencies)
+            } : null,
+            durationSec: Math.round((end - new Date(session.startedAt)) / 1000)
+        };
+    }
+
+    /**
+     * Make GS separators visible for text reports
+     * @private
+     */
+    function visibleGS(code) {
+        return (code || '').split(Config.GS1_CONSTANTS.GS_CHAR).join('<GS>');
+    }
+
+    /**
+     * Merge shown codes and scans into one time-ordered event list
+     * @private
+     */
+    function timeline(session) {
+        var events = session.shown.map(function(s) {
+            return { at: s.at, event: 'shown', code: s.code, secondary: s.secondary, broken: s.broken };
+        }).concat(session.scans.map(function(s) {
+            return {
+                at: s.at, event: 'scan', code: s.code, expected: s.expected, pass: s.pass,
+                late: s.late, missingSuffix: s.missingSuffix, latency: s.latency, duration: s.duration
+            };
+        }));
+
+        return events.sort(function(a, b) { return a.at - b.at; });
+    }
+
+    /**
+     * Build JSON report
+     *
+     * @param {Object} session - Session
+     * @returns {string} JSON text
+     */
+    function buildJson(session) {
+        var report = JSON.parse(JSON.stringify(session));
+        report.summary = summarize(session);
+        report.generator = 'BarGen v' + Config.VERSION;
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * Build CSV report (one row per shown code / scan, ';' separated)
+     *
+     * @param {Object} session - Session
+     * @returns {string} CSV text
+     */
+    function buildCsv(session) {
+        var rows = [['time', 'event', 'code', 'expected', 'result', 'latency_ms', 'duration_ms', 'note']];
+
+        timeline(session).forEach(function(e) {
+            var notes = [];
+            if (e.secondary) notes.push('secondary ' + visibleGS(e.secondary));
+            if (e.broken) notes.push('broken: ' + e.broken.method);
+            if (e.late) notes.push('previous code');
+            if (e.missingSuffix) notes.push('no suffix');
+
+            rows.push([
+                new Date(e.at).toISOString(),
+                e.event,
+                visibleGS(e.code),
+                e.event === 'scan' ? visibleGS(e.expected) : '',
+                e.event === 'scan' ? (e.pass ? 'PASS' : 'FAIL') : '',
+                e.latency,
+                e.duration,
+                notes.join(', ')
+            ]);
+        });
+
+        return Utils.buildCsv(rows, ';');
+    }
+
+    /**
+     * Build standalone HTML report
+     *
+     * @param {Object} session - Session
+     * @returns {string} HTML document
+     */
+    function buildHtml(session) {
+        var esc = function(text) {
+            return Utils.escapeHtml(visibleGS(text));
+        };
+        var time = function(at) {
+            return new Date(at).toLocaleString('ru-RU');
+        };
+        var summary = summarize(session);
+        var title = 'Сессия ' + session.source + ' — ' + session.folderName;
+
+        var params = [
+            ['Вкладка', session.source],
+            ['Папка', session.folderName],
+            ['Шаблоны', session.templates.join(', ') || '-'],
+            ['Интервал, сек', session.interval],
+            ['Режим', (session.mode === 'once' ? 'один раз' : 'по кругу') + (session.shuffle ? ', перемешано' : '')],
+            ['Seed', session.seed],
+            ['Начало', time(session.startedAt)],
+            ['Конец', session.endedAt ? time(session.endedAt) : 'не завершена'],
+            ['Длительность, сек', summary.durationSec],
+            ['Показано кодов', summary.shown + (session.truncated ? ' (журнал обрезан)' : '')],
+            ['Из них сломано намеренно', summary.broken],
+            ['Сканов', summary.scans],
+            ['Совпало / не совпало', summary.passed + ' / ' + summary.failed],
+            ['Задержка мин / сред / макс, мс', summary.latency ?
+                summary.latency.min + ' / ' + summary.latency.avg + ' / ' + summary.latency.max : '-']
+        ];
+
+        var rows = timeline(session).map(function(e) {
+            var cls = e.event === 'scan' ? (e.pass ? 'pass' : 'fail') : '';
+            var result = e.event === 'scan' ?
+                (e.pass ? '✓' : '✗') + (e.late ? ' (пред.)' : '') + (e.missingSuffix ? ' (нет суффикса)' : '') :
+                (e.broken ? 'сломан: ' + Utils.escapeHtml(e.broken.reason) : '');
+
+            return '<tr class="' + cls + '"><td>' + time(e.at) + '</td>' +
+                '<td>' + (e.event === 'scan' ? 'скан' : 'показ') + '</td>' +
+                '<td><code>' + esc(e.code) + (e.secondary ? '<br>' + esc(e.secondary) : '') + '</code></td>' +
+                '<td>' + (e.event === 'scan' && !e.pass ? '<code>' + esc(e.expected) + '</code>' : '') + '</td>' +
+                '<td>' + result + '</td>' +
+                '<td>' + (e.latency !== undefined && e.latency !== null ? e.latency : '') + '</td>' +
+                '<td>' + (e.duration !== undefined ? e.duration : '') + '</td></tr>';
+        });
+
+        return '<!DOCTYPE html>\n<html lang="ru"><head><meta charset="utf-8">' +
+            '<title>' + Utils.escapeHtml(title) + '</title><style>' +
+            'body{font-family:sans-serif;margin:20px;color:#222}' +
+            'table{border-collapse:collapse;margin-bottom:20px}' +
+            'td,th{border:1px solid #ccc;padding:4px 8px;text-align:left;vertical-align:top}' +
+            'code{word-break:break-all}' +
+            'tr.pass td{background:#ecfdf5}tr.fail td{background:#fef2f2}' +
+            '</style></head><body>' +
+            '<h1>' + Utils.escapeHtml(title) + '</h1>' +
+            '<table>' + params.map(function(p) {
+                return '<tr><th>' + p[0] + '</th><td>' + Utils.escapeHtml(String(p[1])) + '</td></tr>';
+            }).join('') + '</table>' +
+            '<h2>Журнал</h2><table><tr><th>Время</th><th>Событие</th><th>Код</th><th>Ожидалось</th>' +
+            '<th>Результат</th><th>Задержка, мс</th><th>Ввод, мс</th></tr>' + rows.join('') + '</table>' +
+            '<p><small>BarGen v' + Config.VERSION + '</small></p></body></html>';
+    }
+
+    /**
+     * Download session report
+     *
+     * @param {string} id - Session ID
+     * @param {string} format - 'json', 'csv' or 'html'
+     */
+    function exportReport(id, format) {
+        var session = State.sessions.items.find(function(s) { return s.id === id; });
+        if (!session) return;
+
+        var filename = 'bargen_session_' + session.source.toLowerCase() + '_' +
+            session.startedAt.slice(0, 19).replace(/[T:]/g, '-') + '.' + format;
+
+        switch (format) {
+            case 'csv':
+                // BOM so Excel opens UTF-8 correctly
+                Utils.downloadFile('\uFEFF' + buildCsv(session), filename, 'text/csv');
+                break;
+            case 'html':
+                Utils.downloadFile(buildHtml(session), filename, 'text/html');
+                break;
+            default:
+                Utils.downloadFile(buildJson(session), filename, 'application/json');
+        }
+    }
+
+    /**
+     * Delete session
+     *
+     * @param {string} id - Session ID
+     */
+    function remove(id) {
+        State.sessions.items = State.sessions.items.filter(function(s) {
+            if (s.id === id && isActive(s)) delete active[s.source];
+            return s.id !== id;
+        });
+        Storage.save();
+        UI.renderSessions();
+    }
+
+    /**
+     * Delete all finished sessions
+     */
+    function clearAll() {
+        if (!confirm('Удалить все завершённые сессии?')) return;
+
+        State.sessions.items = State.sessions.items.filter(isActive);
+        Storage.save();
+        UI.renderSessions();
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Session = {
+        start: start,
+        stop: stop,
+        recordShown: recordShown,
+        recordScan: recordScan,
+        isActive: isActive,
+        summarize: summarize,
+        buildJson: buildJson,
+        buildCsv: buildCsv,
+        buildHtml: buildHtml,
+        exportReport: exportReport,
+        remove: remove,
+        clearAll: clearAll
+    };
+
+})(window);
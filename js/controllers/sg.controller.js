@@ -18,6 +18,7 @@
     global.BarGen = global.BarGen || {};
     global.BarGen.Controllers = global.BarGen.Controllers || {};
 
+    var Config = global.BarGen.Config;
     var Utils = global.BarGen.Utils;
     var State = global.BarGen.State;
     var Storage = global.BarGen.Storage;
@@ -211,6 +212,11 @@
 
         var result = Generators.generateSimple(value, type);
 
+        if (result.error) {
+            alert(result.error);
+            return;
+        }
+
         // Find or create folder
         var folder = State.sg.folders.find(function(f) {
             return f.name.toLowerCase() === folderName.toLowerCase();
@@ -256,18 +262,31 @@
 
     /**
      * Update barcode preview
+     *
+     * @description Shows completed code (check digit, UPC-E expansion) or
+     * why the value does not fit the format under the input.
      */
     function updatePreview() {
         var type = Utils.$('sgType').value;
         var value = Utils.$('sgValue').value.trim();
         var svg = Utils.$('sgSvg');
+        var hint = Utils.$('sgHint');
+
+        Utils.$('sgValue').placeholder = Config.SIMPLE_FORMATS[type].placeholder;
 
         if (!value) {
             svg.style.display = 'none';
+            hint.textContent = '';
             return;
         }
 
         var result = Generators.generateSimple(value, type);
+
+        hint.style.color = result.error ? '#ef4444' : '';
+        hint.textContent = result.error ||
+            (result.code !== value ? 'Код: ' + result.code : '') +
+            (result.upca ? ' UPC-A: ' + result.upca : '');
+
         svg.style.display = 'block';
         Generators.renderBarcode(svg, result.code, result.format);
     }
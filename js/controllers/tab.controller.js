@@ -28,7 +28,7 @@
      * Switch to specified tab
      *
      * @description Handles tab switching with proper lifecycle:
-     * - Stops timers when leaving tabs
+     * - Holds running carousels when leaving tabs and resumes them on return
      * - Initializes content when entering tabs
      *
      * @param {string} tabName - Tab name to switch to
@@ -51,13 +51,17 @@
         if (btn) btn.classList.add('active');
         if (content) content.classList.add('active');
 
-        // Lifecycle: leaving current tab
+        // Lifecycle: leaving current tab (playing carousel is held, not reset)
         if (currentTab === 'datamatrix') {
-            Controllers.DM.stopTimer();
+            Controllers.DM.carousel.hold();
         }
 
-        if (currentTab === 'weightcarousel' && State.wc.isRotating) {
-            Controllers.WC.stopRotation();
+        if (currentTab === 'weightcarousel') {
+            Controllers.WC.carousel.hold();
+        }
+
+        if (currentTab === 'gs1pack') {
+            Controllers.GS1.carousel.hold();
         }
 
         // Lifecycle: entering new tab
@@ -71,6 +75,9 @@
                 UI.renderDmFolders();
                 UI.renderDmItems();
                 UI.renderHistory();
+                UI.renderSerials();
+                UI.renderSessions();
+                Controllers.Table.refresh();
                 break;
 
             case 'barcode':
@@ -80,12 +87,22 @@
             case 'weightcarousel':
                 UI.renderWcFolders();
                 UI.renderWcItems();
+                Controllers.WC.carousel.release();
+                break;
+
+            case 'gs1pack':
+                Controllers.GS1.carousel.release();
                 break;
 
             case 'simplegen':
                 UI.renderSgFolders();
                 Controllers.SG.closeFolder();
                 break;
+
+            case 'validate':
+                // Ready for scanner input
+                document.getElementById('validate-input').focus();
+                break;
         }
 
         currentTab = tabName;
@@ -0,0 +1,655 @@
+/**
+ * BarGen Table Controller
+ *
+ * @description CSV/TSV import of GTIN, PLU and GoodsId lists into DM, WC, SG
+ * and GS1 folders (with column mapping) and CSV export of folder contents
+ * including generated codes
+ * @module Controllers.Table
+ *
+ * @example
+ * // Spreadsheet chosen: parse, auto-map columns, show mapping panel
+ * BarGen.Controllers.Table.open(file);
+ *
+ * // Export selected folder of current module
+ * BarGen.Controllers.Table.exportFolder(folderId);
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Config = global.BarGen.Config;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var Utils = global.BarGen.Utils;
+    var UI = global.BarGen.UI;
+    var Generators = global.BarGen.Generators;
+
+    var GS = Config.GS1_CONSTANTS.GS_CHAR;
+
+    /**
+     * Importable fields with header names recognized by auto-mapping
+     * (lowercase, earlier alias wins when several columns match)
+     * @type {Object}
+     */
+    var FIELDS = {
+        barcode: {
+            label: 'Код',
+            aliases: ['barcode', 'gtin', 'ean', 'plu', 'goodsid', 'value', 'штрихкод', 'баркод', 'code', 'код']
+        },
+        template: {
+            label: 'Шаблон / формат / тип',
+            aliases: ['template', 'layout', 'prefix', 'type', 'шаблон', 'формат', 'префикс', 'тип']
+        },
+        name: {
+            label: 'Название',
+            aliases: ['name', 'название', 'наименование', 'товар']
+        },
+        weight: {
+            label: 'Вес, г',
+            aliases: ['weight', 'вес']
+        },
+        discount: {
+            label: 'Скидка, %',
+            aliases: ['discount', 'скидка']
+        },
+        price: {
+            label: 'Цена, руб',
+            aliases: ['price', 'цена', 'стоимость']
+        },
+        quantity: {
+            label: 'Количество',
+            aliases: ['quantity', 'qty', 'количество', 'кол-во']
+        },
+        measureDiv: {
+            label: 'Коэффициент фасовки',
+            aliases: ['measurediv', 'коэффициент', 'фасовка']
+        }
+    };
+
+    /**
+     * Parse number cell (decimal comma allowed)
+     *
+     * @param {string} value - Cell value
+     * @param {string} field - Field name (for error message)
+     * @returns {number|null} Number or null for empty cell
+     * @throws {Error} If cell is not a number
+     * @private
+     */
+    function parseNumber(value, field) {
+        if (!value) return null;
+
+        var number = Number(value.replace(/\s/g, '').replace(',', '.'));
+        if (isNaN(number) || number < 0) {
+            throw new Error(FIELDS[field].label + ': «' + value + '» не число');
+        }
+        return number;
+    }
+
+    /**
+     * Find DataMatrix template by ID or name
+     * @private
+     */
+    function resolveTemplate(value) {
+        if (!value) return State.dm.selectedTemplate;
+        if (Config.TEMPLATES[value]) return value;
+
+        var id = Object.keys(Config.TEMPLATES).find(function(key) {
+            return Config.TEMPLATES[key].name.toLowerCase() === value.toLowerCase();
+        });
+        if (!id) throw new Error('неизвестный шаблон «' + value + '»');
+        return id;
+    }
+
+    /**
+     * Find weight label layout with weight field by ID, name or prefix
+     *
+     * @description Prefix 77, 22 and 49 mean the layouts of these prefixes
+     * before layouts were configurable; other prefixes - first layout with
+     * that prefix.
+     * @private
+     */
+    function resolveWeightLayout(value) {
+        var layouts = Config.WEIGHT_LAYOUTS;
+        var id = Generators.getWeightLayoutId(value) || Object.keys(layouts).find(function(key) {
+            return layouts[key].name.toLowerCase() === value.toLowerCase() ||
+                layouts[key].prefix === value && hasWeightOrPrice(layouts[key]);
+        });
+
+        if (!id) throw new Error('неизвестный формат «' + value + '»');
+        if (!hasWeightOrPrice(layouts[id])) throw new Error('в формате «' + value + '» нет веса и цены');
+        return id;
+    }
+
+    /**
+     * Find Constructor format by key or name ('EAN-8', 'gs1 128', 'UPC-E')
+     * @private
+     */
+    function resolveSimpleFormat(value) {
+        var normalize = function(text) { return text.toUpperCase().replace(/[\s\-_]/g, ''); };
+        var formats = Config.SIMPLE_FORMATS;
+        var type = Object.keys(formats).find(function(key) {
+            return normalize(key) === normalize(value) || normalize(formats[key].name) === normalize(value);
+        });
+
+        if (!type) throw new Error('тип «' + value + '» (ожидается ' + Object.keys(formats).join(', ') + ')');
+        return type;
+    }
+
+    /**
+     * Check if weight label layout can be used by Weight Carousel
+     * @private
+     */
+    function hasWeightOrPrice(layout) {
+        return Generators.hasWeightField(layout, 'weight') || Generators.hasWeightField(layout, 'price');
+    }
+
+    /**
+     * Replace GS in code with chosen escape
+     * @private
+     */
+    function escapeGS(code, escape) {
+        return String(code || '').split(GS).join(escape);
+    }
+
+    /**
+     * Module definitions: folders in state, used fields, row → item and
+     * item → row conversion
+     *
+     * @description toItem(values, id) gets trimmed cell values by field name
+     * and throws Error with a readable message for bad rows.
+     * @type {Object}
+     */
+    var MODULES = {
+        dm: {
+            label: 'DataMatrix',
+            idPrefix: 'dmf',
+            fields: ['barcode', 'template'],
+            folders: function() { return State.dm.folders; },
+            toItem: function(values, id) {
+                var barcode = values.barcode.replace(/\D/g, '');
+                if (barcode.length < 8) throw new Error('нет GTIN (минимум 8 цифр)');
+                if (barcode.length > 14) throw new Error('GTIN длиннее 14 цифр');
+
+                return {
+                    id: id,
+                    barcode: barcode,
+                    template: resolveTemplate(values.template),
+                    active: true
+                };
+            },
+            columns: ['barcode', 'template', 'active', 'code'],
+            toRow: function(item, escape) {
+                return [item.barcode, item.template, item.active ? 1 : 0,
+                    escapeGS(Generators.issueDM(item.barcode, item.template), escape)];
+            }
+        },
+        wc: {
+            label: 'Весовая карусель',
+            idPrefix: 'wcf',
+            seeded: true,
+            fields: ['barcode', 'template', 'weight', 'discount', 'price'],
+            folders: function() { return State.wc.folders; },
+            toItem: function(values, id) {
+                var plu = values.barcode.replace(/\D/g, '');
+                var layoutId = resolveWeightLayout(values.template || '22');
+                var weight = parseNumber(values.weight, 'weight');
+                var discount = parseNumber(values.discount, 'discount') || 0;
+                var price = parseNumber(values.price, 'price');
+
+                if (!plu) throw new Error('нет PLU');
+                if (!weight || weight !== Math.round(weight)) throw new Error('вес в граммах обязателен (целое число)');
+                if (discount >= 100) throw new Error('скидка больше 99%');
+                if (price === null && Generators.hasWeightField(Config.WEIGHT_LAYOUTS[layoutId], 'price')) {
+                    throw new Error('в формате с ценой цена обязательна');
+                }
+
+                // Values must fit field widths of layout
+                var errors = Generators.generateWeightBarcode(layoutId, plu, weight, Math.round(discount), price).errors;
+                if (errors.length > 0) {
+                    throw new Error(Config.WEIGHT_FIELDS[errors[0].field].name + ': ' + errors[0].message.toLowerCase());
+                }
+
+                return global.BarGen.Controllers.WC.createItem(id, layoutId, plu, weight, Math.round(discount),
+                    price === null ? undefined : price);
+            },
+            columns: ['plu', 'layout', 'weight', 'discount', 'price', 'active', 'code'],
+            toRow: function(item, escape) {
+                return [item.plu, item.layout || item.prefix, item.weight, item.discount, item.price,
+                    item.active ? 1 : 0, escapeGS(item.code, escape)];
+            }
+        },
+        sg: {
+            label: 'Конструктор',
+            idPrefix: 'sgf',
+            fields: ['barcode', 'template', 'name'],
+            folders: function() { return State.sg.folders; },
+            toItem: function(values, id) {
+                var type = resolveSimpleFormat(values.template || 'CODE128');
+
+                if (!values.barcode) throw new Error('нет значения штрихкода');
+
+                var result = Generators.generateSimple(values.barcode, type);
+                if (result.error) throw new Error(result.error);
+
+                return {
+                    id: id,
+                    code: result.code,
+                    type: type,
+                    name: values.name || 'Без названия'
+                };
+            },
+            columns: ['name', 'type', 'code'],
+            toRow: function(item, escape) {
+                return [item.name, item.type, escapeGS(item.code, escape)];
+            }
+        },
+        gs1: {
+            label: 'Фасовка GS1',
+            idPrefix: 'gs1f',
+            seeded: true,
+            fields: ['barcode', 'template', 'quantity', 'weight', 'discount', 'measureDiv'],
+            folders: function() { return State.gs1.folders; },
+            toItem: function(values, id) {
+                var goodsId = values.barcode.replace(/\D/g, '');
+                var quantity = parseNumber(values.quantity, 'quantity');
+                var weight = parseNumber(values.weight, 'weight');
+                var type = (values.template || '').toLowerCase();
+
+                if (!goodsId || goodsId.length > 8) throw new Error('GoodsId должен содержать 1-8 цифр');
+
+                if (!type) {
+                    type = weight !== null && quantity === null ? 'weight' : 'piece';
+                } else if (type === 'штучный') {
+                    type = 'piece';
+                } else if (type === 'весовой') {
+                    type = 'weight';
+                }
+
+                var params = {
+                    goodsId: goodsId,
+                    type: type,
+                    discount: Math.round(parseNumber(values.discount, 'discount') || 0)
+                };
+
+                if (type === 'piece') {
+                    if (!quantity) throw new Error('нет количества для штучного товара');
+                    params.quantity = Math.round(quantity * 1000) / 1000;
+                    params.measureDiv = parseNumber(values.measureDiv, 'measureDiv') || 1;
+                    params.legacyDecimal = false;
+                } else if (type === 'weight') {
+                    if (!weight) throw new Error('нет веса для весового товара');
+                    params.weight = Math.round(weight);
+                } else {
+                    throw new Error('тип «' + values.template + '» (ожидается piece или weight)');
+                }
+
+                return global.BarGen.Controllers.GS1.createItem(id, params);
+            },
+            columns: ['goodsId', 'type', 'quantity', 'weight', 'discount', 'measureDiv', 'uniqueId', 'active', 'code'],
+            toRow: function(item, escape) {
+                return [
+                    item.goodsId,
+                    item.type,
+                    item.desiredQuantity !== undefined ? item.desiredQuantity : item.quantity,
+                    item.weight,
+                    item.discount,
+                    item.measureDiv,
+                    item.uniqueId,
+                    item.active ? 1 : 0,
+                    escapeGS(item.code, escape)
+                ];
+            }
+        }
+    };
+
+    /**
+     * Import being mapped: { fileName, rows, header, mapping, folderName } or null
+     * @type {Object|null}
+     */
+    var draft = null;
+
+    /**
+     * Normalize header cell for alias lookup
+     * @private
+     */
+    function headerKey(text) {
+        return String(text).trim().toLowerCase().replace(/[\s_]/g, '');
+    }
+
+    /**
+     * Map fields to columns by header names
+     *
+     * @param {string[]} header - Header cells
+     * @returns {Object} Field → column index (-1 if not found)
+     * @private
+     */
+    function autoMap(header) {
+        var mapping = {};
+        var taken = {};
+
+        Object.keys(FIELDS).forEach(function(field) {
+            var aliases = FIELDS[field].aliases;
+            var best = -1;
+            var bestRank = Infinity;
+
+            header.forEach(function(cell, index) {
+                var rank = aliases.indexOf(headerKey(cell));
+                if (rank !== -1 && rank < bestRank && !taken[index]) {
+                    best = index;
+                    bestRank = rank;
+                }
+            });
+
+            mapping[field] = best;
+            if (best !== -1) taken[best] = true;
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Get column names of draft
+     *
+     * @returns {string[]} Header cells or "Столбец N"
+     */
+    function getColumns() {
+        if (!draft) return [];
+        if (draft.header) return draft.rows[0];
+
+        var count = draft.rows.reduce(function(max, row) { return Math.max(max, row.length); }, 0);
+        var columns = [];
+        for (var i = 0; i < count; i++) columns.push('Столбец ' + (i + 1));
+        return columns;
+    }
+
+    /**
+     * Get data rows of draft (without header)
+     *
+     * @returns {Array[]} Rows
+     */
+    function getDataRows() {
+        if (!draft) return [];
+        return draft.header ? draft.rows.slice(1) : draft.rows;
+    }
+
+    /**
+     * Open spreadsheet file for import
+     *
+     * @description The first row is taken as header if any of its cells is a
+     * known field name; without header the first column is the code.
+     *
+     * @param {File} file - CSV/TSV file
+     */
+    function open(file) {
+        var reader = new FileReader();
+
+        reader.onload = function(e) {
+            var rows = Utils.parseCsv(e.target.result);
+
+            if (rows.length === 0) {
+                alert('Файл пустой');
+                return;
+            }
+
+            var mapping = autoMap(rows[0]);
+            var header = Object.keys(mapping).some(function(field) { return mapping[field] !== -1; });
+
+            draft = {
+                fileName: file.name,
+                rows: rows,
+                header: header,
+                mapping: header ? mapping : { barcode: 0 },
+                folderName: file.name.replace(/\.[^.]+$/, '')
+            };
+            UI.renderTable(draft);
+        };
+
+        reader.onerror = function() {
+            alert('Ошибка чтения файла');
+        };
+
+        reader.readAsText(file);
+    }
+
+    /**
+     * Re-render table section (folder lists may have changed in other tabs)
+     */
+    function refresh() {
+        UI.renderTable(draft);
+    }
+
+    /**
+     * Close import panel without changes
+     */
+    function cancel() {
+        draft = null;
+        UI.renderTable(null);
+    }
+
+    /**
+     * Set table option
+     *
+     * @param {string} name - 'module', 'delimiter' or 'gsEscape'
+     * @param {string} value - New value
+     */
+    function setOption(name, value) {
+        State.table[name] = value;
+        UI.renderTable(draft);
+    }
+
+    /**
+     * Treat first row as header or as data
+     *
+     * @param {boolean} header - Header flag
+     */
+    function setHeader(header) {
+        if (!draft) return;
+
+        draft.header = header;
+        draft.mapping = header ? autoMap(draft.rows[0]) : { barcode: 0 };
+        UI.renderTable(draft);
+    }
+
+    /**
+     * Map field to column
+     *
+     * @param {string} field - Field name from FIELDS
+     * @param {number} column - Column index (-1 = not imported)
+     */
+    function setMapping(field, column) {
+        if (!draft) return;
+
+        draft.mapping[field] = column;
+        UI.renderTable(draft);
+    }
+
+    /**
+     * Set target folder name of import
+     *
+     * @param {string} name - Folder name (existing folder gets rows appended)
+     */
+    function setFolderName(name) {
+        if (draft) draft.folderName = name;
+    }
+
+    /**
+     * Convert draft rows to items of module
+     *
+     * @param {string} module - Module key
+     * @returns {Object} { items: [...], errors: [{ line, message }] }
+     * @private
+     */
+    function convert(module) {
+        var definition = MODULES[module];
+        var baseId = Date.now();
+        var firstLine = draft.header ? 2 : 1;
+        var result = { items: [], errors: [] };
+
+        getDataRows().forEach(function(row, index) {
+            var values = {};
+            definition.fields.forEach(function(field) {
+                var column = draft.mapping[field];
+                values[field] = column >= 0 && row[column] !== undefined ? row[column].trim() : '';
+            });
+
+            try {
+                result.items.push(definition.toItem(values, baseId + '_' + index));
+            } catch (e) {
+                result.errors.push({ line: firstLine + index, message: e.message });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Import mapped rows into folder of current module
+     *
+     * @returns {Object|null} Conversion result or null if nothing imported
+     */
+    function apply() {
+        if (!draft) return null;
+
+        var module = State.table.module;
+        var definition = MODULES[module];
+        var folderName = draft.folderName.trim();
+
+        if (!folderName) {
+            alert('Укажите название папки!');
+            return null;
+        }
+
+        if (!(draft.mapping.barcode >= 0)) {
+            alert('Выберите столбец с кодом!');
+            return null;
+        }
+
+        // Weight codes and GS1 UniqueIDs use random generator: a run of their own
+        // (seed remembered on folder), a running DataMatrix rotation keeps its sequence
+        var seed;
+        var result = !definition.seeded ? convert(module) :
+            Utils.rng.run(State.rng.fixedSeed, function(runSeed) {
+                seed = runSeed;
+                return convert(module);
+            });
+
+        var report = result.errors.slice(0, 10).map(function(error) {
+            return 'строка ' + error.line + ': ' + error.message;
+        });
+        if (result.errors.length > 10) report.push('… и ещё ' + (result.errors.length - 10));
+
+        if (result.items.length === 0) {
+            alert('Нет строк для импорта.\n' + report.join('\n'));
+            return null;
+        }
+
+        var folders = definition.folders();
+        var folder = folders.find(function(f) {
+            return f.name.toLowerCase() === folderName.toLowerCase();
+        });
+
+        if (!folder) {
+            folder = {
+                id: Utils.generateId(definition.idPrefix),
+                name: folderName,
+                items: []
+            };
+            folders.push(folder);
+        }
+
+        folder.items = folder.items.concat(result.items);
+        if (seed !== undefined) folder.seed = seed;
+
+        draft = null;
+
+        Storage.save();
+        UI.renderTable(null);
+        UI.renderAll();
+
+        alert('Импортировано в «' + folder.name + '»: ' + result.items.length +
+            (result.errors.length ? '\nПропущено ' + result.errors.length + ':\n' + report.join('\n') : ''));
+
+        return result;
+    }
+
+    /**
+     * Build table of folder contents
+     *
+     * @description DataMatrix codes are issued on a separate random sequence
+     * (Utils.rng.isolate), so export does not shift codes of a running session.
+     *
+     * @param {string} module - Module key
+     * @param {Object} folder - Folder
+     * @param {string} [delimiter=';'] - Column delimiter
+     * @param {string} [gsEscape='<GS>'] - Text written instead of GS in codes
+     * @returns {string} CSV/TSV text
+     *
+     * @example
+     * buildTable('wc', folder, '\t', '<GS>')
+     * // 'plu\tlayout\tweight\tdiscount\tactive\tcode\r\n123\tean13_weight\t500\t\t1\t2200123005004'
+     */
+    function buildTable(module, folder, delimiter, gsEscape) {
+        var definition = MODULES[module];
+        var escape = gsEscape !== undefined ? gsEscape : '<GS>';
+
+        var rows = Utils.rng.isolate(function() {
+            return [definition.columns].concat(folder.items.map(function(item) {
+                return definition.toRow(item, escape);
+            }));
+        });
+
+        return Utils.buildCsv(rows, delimiter || ';');
+    }
+
+    /**
+     * Download folder of current module as CSV/TSV
+     *
+     * @description DataMatrix items keep GTIN only, so their codes are issued
+     * at export time (serials are registered as issued).
+     *
+     * @param {string} folderId - Folder ID
+     */
+    function exportFolder(folderId) {
+        var module = State.table.module;
+        var folder = MODULES[module].folders().find(function(f) { return f.id === folderId; });
+
+        if (!folder || folder.items.length === 0) {
+            alert('Выберите папку с записями!');
+            return;
+        }
+
+        var text = buildTable(module, folder, State.table.delimiter, State.table.gsEscape);
+        var extension = State.table.delimiter === '\t' ? 'tsv' : 'csv';
+        var filename = 'bargen_' + module + '_' + folder.name.replace(/[^\wа-яё-]+/gi, '_') + '.' + extension;
+
+        // BOM: Excel opens UTF-8 with Cyrillic correctly
+        Utils.downloadFile('\uFEFF' + text, filename, extension === 'tsv' ? 'text/tab-separated-values' : 'text/csv');
+
+        if (module === 'dm') {
+            Storage.save();
+            UI.renderSerials();
+        }
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Table = {
+        FIELDS: FIELDS,
+        MODULES: MODULES,
+        getColumns: getColumns,
+        getDataRows: getDataRows,
+        open: open,
+        refresh: refresh,
+        cancel: cancel,
+        setOption: setOption,
+        setHeader: setHeader,
+        setMapping: setMapping,
+        setFolderName: setFolderName,
+        apply: apply,
+        buildTable: buildTable,
+        exportFolder: exportFolder
+    };
+
+})(window);
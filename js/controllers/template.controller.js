@@ -0,0 +1,301 @@
+/**
+ * BarGen Template Editor Controller
+ *
+ * @description Handles user-defined DataMatrix templates: an ordered list of
+ * AI segments edited in the Library tab and persisted with other data
+ * @module Controllers.Template
+ *
+ * @example
+ * // Open editor for a new template
+ * BarGen.Controllers.Template.startNew();
+ *
+ * // Save edited template
+ * BarGen.Controllers.Template.save();
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Config = global.BarGen.Config;
+    var Utils = global.BarGen.Utils;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var UI = global.BarGen.UI;
+    var Generators = global.BarGen.Generators;
+
+    /**
+     * Template being edited (copy of definition) or null when editor is closed
+     * @type {Object|null}
+     */
+    var draft = null;
+
+    /**
+     * Check whether AI is variable length (needs GS after it)
+     *
+     * @param {string} ai - Application Identifier
+     * @returns {boolean} True if AI is not a known fixed-length AI
+     * @private
+     */
+    function isVariableAI(ai) {
+        var def = Config.GS1_AI[ai];
+        return !def || !def.length;
+    }
+
+    /**
+     * Open editor with a new template prefilled with Type 1 like segments
+     */
+    function startNew() {
+        draft = {
+            id: null,
+            name: '',
+            mode: 'gs1',
+            segments: [
+                { ai: '01', source: 'gtin', gs: false },
+                { ai: '21', source: 'alnum', length: 13, gs: true },
+                { ai: '93', source: 'base64', length: 4, gs: false }
+            ]
+        };
+        UI.renderTemplateEditor(draft);
+    }
+
+    /**
+     * Open editor for existing template
+     *
+     * @param {string} id - Template ID
+     */
+    function edit(id) {
+        var definition = State.dm.customTemplates.find(function(t) { return t.id === id; });
+        if (!definition) return;
+
+        draft = JSON.parse(JSON.stringify(definition));
+        UI.renderTemplateEditor(draft);
+    }
+
+    /**
+     * Close editor without saving
+     */
+    function cancel() {
+        draft = null;
+        UI.renderTemplateEditor(null);
+    }
+
+    /**
+     * Append segment to draft
+     */
+    function addSegment() {
+        if (!draft) return;
+        draft.segments.push({ ai: '', source: 'fixed', value: '', gs: true });
+        UI.renderTemplateEditor(draft);
+    }
+
+    /**
+     * Remove segment from draft
+     *
+     * @param {number} index - Segment index
+     */
+    function removeSegment(index) {
+        if (!draft) return;
+        draft.segments.splice(index, 1);
+        UI.renderTemplateEditor(draft);
+    }
+
+    /**
+     * Move segment up or down
+     *
+     * @param {number} index - Segment index
+     * @param {number} direction - -1 (up) or 1 (down)
+     */
+    function moveSegment(index, direction) {
+        if (!draft) return;
+
+        var target = index + direction;
+        if (target < 0 || target >= draft.segments.length) return;
+
+        var seg = draft.segments[index];
+        draft.segments[index] = draft.segments[target];
+        draft.segments[target] = seg;
+        UI.renderTemplateEditor(draft);
+    }
+
+    /**
+     * Update segment field
+     *
+     * @description Changing the AI sets GS placement to the default for that AI
+     * (GS after variable-length AIs); changing the source re-renders the row
+     * since the parameter input changes meaning.
+     *
+     * @param {number} index - Segment index
+     * @param {string} field - Field name (ai, source, value, length, offset, gs)
+     * @param {*} value - New value
+     */
+    function updateSegment(index, field, value) {
+        if (!draft || !draft.segments[index]) return;
+
+        var seg = draft.segments[index];
+        seg[field] = value;
+
+        if (field === 'ai') {
+            seg.ai = String(value).replace(/\D/g, '');
+            seg.gs = isVariableAI(seg.ai);
+        }
+
+        if (field === 'source' || field === 'ai') {
+            UI.renderTemplateEditor(draft);
+        } else {
+            UI.renderTemplatePreview(draft);
+        }
+    }
+
+    /**
+     * Update template-level field (name, mode)
+     *
+     * @param {string} field - Field name
+     * @param {string} value - New value
+     */
+    function updateField(field, value) {
+        if (!draft) return;
+        draft[field] = value;
+    }
+
+    /**
+     * Build preview code for draft using first demo GTIN
+     *
+     * @param {Object} definition - Template definition
+     * @returns {Object} Preview result
+     * @returns {string} result.code - Sample code
+     * @returns {Array} result.errors - GS1 parser errors
+     */
+    function preview(definition) {
+        // Work on a copy so the preview does not advance the real counter
+        var copy = JSON.parse(JSON.stringify(definition));
+        var code = Generators.buildTemplateCode(copy, Config.DEMO_GTINS[0]);
+        return {
+            code: code,
+            errors: Generators.parseGS1(code).errors
+        };
+    }
+
+    /**
+     * Validate draft
+     *
+     * @description Only AIs known to Config.GS1_AI are accepted and a
+     * variable-length segment must end with GS unless it is the last one:
+     * otherwise the code does not parse as GS1 (GS1 mode falls back to raw
+     * DataMatrix, the serial registry does not find AI 21).
+     *
+     * @returns {string|null} Error message or null if valid
+     * @private
+     */
+    function validate() {
+        if (!draft.name || !draft.name.trim()) {
+            return 'Укажите название шаблона!';
+        }
+        if (draft.segments.length === 0) {
+            return 'Добавьте хотя бы один сегмент!';
+        }
+        for (var i = 0; i < draft.segments.length; i++) {
+            var seg = draft.segments[i];
+            var param = Config.TEMPLATE_SOURCES[seg.source].param;
+
+            if (!/^\d{2,4}$/.test(seg.ai || '')) {
+                return 'Сегмент ' + (i + 1) + ': AI должен состоять из 2-4 цифр';
+            }
+            if (!Config.GS1_AI[seg.ai]) {
+                return 'Сегмент ' + (i + 1) + ': неизвестный AI ' + seg.ai +
+                    ' (допустимы: ' + Object.keys(Config.GS1_AI).join(', ') + ')';
+            }
+            if (isVariableAI(seg.ai) && !seg.gs && i < draft.segments.length - 1) {
+                return 'Сегмент ' + (i + 1) + ': после AI ' + seg.ai + ' переменной длины нужен GS';
+            }
+            if (param === 'length' && !(parseInt(seg.length) > 0)) {
+                return 'Сегмент ' + (i + 1) + ': укажите длину';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Save draft to State.dm.customTemplates
+     *
+     * @description The serial counter is taken from the live definition: it
+     * may have advanced (rotation, export) while the draft was edited.
+     */
+    function save() {
+        if (!draft) return;
+
+        var error = validate();
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        draft.name = draft.name.trim();
+
+        if (draft.id) {
+            State.dm.customTemplates = State.dm.customTemplates.map(function(t) {
+                if (t.id !== draft.id) return t;
+                draft.counter = t.counter;
+                return draft;
+            });
+        } else {
+            draft.id = Utils.generateId('tpl');
+            draft.counter = 0;
+            State.dm.customTemplates.push(draft);
+        }
+
+        State.dm.selectedTemplate = draft.id;
+
+        Generators.syncCustomTemplates();
+        Storage.save();
+
+        draft = null;
+        UI.renderTemplateEditor(null);
+        UI.renderCustomTemplates();
+        UI.renderTemplateButtons();
+        UI.renderDmItems();
+    }
+
+    /**
+     * Delete template
+     *
+     * @param {string} id - Template ID
+     */
+    function remove(id) {
+        var definition = State.dm.customTemplates.find(function(t) { return t.id === id; });
+        if (!definition || !confirm('Удалить шаблон "' + definition.name + '"?')) return;
+
+        State.dm.customTemplates = State.dm.customTemplates.filter(function(t) {
+            return t.id !== id;
+        });
+
+        Generators.syncCustomTemplates();
+        Storage.save();
+
+        if (draft && draft.id === id) {
+            cancel();
+        }
+
+        UI.renderCustomTemplates();
+        UI.renderTemplateButtons();
+        UI.renderDmItems();
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Template = {
+        startNew: startNew,
+        edit: edit,
+        cancel: cancel,
+        addSegment: addSegment,
+        removeSegment: removeSegment,
+        moveSegment: moveSegment,
+        updateSegment: updateSegment,
+        updateField: updateField,
+        preview: preview,
+        save: save,
+        remove: remove
+    };
+
+})(window);
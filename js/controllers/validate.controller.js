@@ -0,0 +1,47 @@
+/**
+ * BarGen Validate Controller
+ *
+ * @description Handles Validate tab: a pasted or scanned code is identified
+ * and checked by BarGen.Validator, the report is shown under the input
+ * @module Controllers.Validate
+ *
+ * @example
+ * // Check code from a store
+ * BarGen.Controllers.Validate.check('2200123015004');
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Validator = global.BarGen.Validator;
+    var UI = global.BarGen.UI;
+
+    /**
+     * Check code and show report
+     *
+     * @param {string} text - Pasted or scanned code
+     * @returns {Object} Report of Validator.validate
+     */
+    function check(text) {
+        var report = Validator.validate(text);
+        UI.renderValidation(report);
+        return report;
+    }
+
+    /**
+     * Hide report
+     */
+    function clear() {
+        UI.renderValidation(null);
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Validate = {
+        check: check,
+        clear: clear
+    };
+
+})(window);
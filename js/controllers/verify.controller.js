@@ -0,0 +1,258 @@
+/**
+ * BarGen Scanner Verification Controller
+ *
+ * @description Captures keyboard-wedge scanner input, compares it with the
+ * code currently shown by DM, WC or GS1 carousel and logs pass/fail with timing
+ * @module Controllers.Verify
+ *
+ * @example
+ * // Carousel reports every displayed code
+ * BarGen.Controllers.Verify.show('WC', ['7700123400500']);
+ *
+ * // Keydown handler feeds scanner keystrokes
+ * document.onkeydown = function(e) {
+ *     if (BarGen.Controllers.Verify.handleKey(e)) return;
+ * };
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+    global.BarGen.Controllers = global.BarGen.Controllers || {};
+
+    var Config = global.BarGen.Config;
+    var State = global.BarGen.State;
+    var Storage = global.BarGen.Storage;
+    var UI = global.BarGen.UI;
+
+    var GS = Config.GS1_CONSTANTS.GS_CHAR;
+
+    /**
+     * Code on screen: { source, codes, shownAt } or null
+     * @type {Object|null}
+     */
+    var expected = null;
+
+    /**
+     * Code shown before current one (scan may finish right after rotation)
+     * @type {Object|null}
+     */
+    var previous = null;
+
+    /**
+     * Scan being typed: { text, startedAt, lastKeyAt } or null
+     * @type {Object|null}
+     */
+    var buffer = null;
+
+    /**
+     * Idle timer closing scan without suffix
+     * @type {number|null}
+     */
+    var idleTimer = null;
+
+    /**
+     * Register code displayed by a carousel
+     *
+     * @param {string} source - 'DM', 'WC' or 'GS1'
+     * @param {Array} codes - Displayed codes (DM double scan shows two)
+     */
+    function show(source, codes) {
+        previous = expected;
+        expected = {
+            source: source,
+            codes: codes.filter(function(code) { return !!code; }),
+            shownAt: Date.now()
+        };
+    }
+
+    /**
+     * Check whether key event goes to a text field (not scanner input)
+     *
+     * @param {Element} target - Event target
+     * @returns {boolean} True for text inputs, textareas and selects
+     * @private
+     */
+    function isTextField(target) {
+        if (!target || !target.tagName) return false;
+
+        var tag = target.tagName;
+        if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+        return tag === 'INPUT' && target.type !== 'checkbox' && target.type !== 'radio';
+    }
+
+    /**
+     * Handle keydown event
+     *
+     * @description Printable keys are collected into scan buffer, Ctrl+] is
+     * the GS keystroke of most scanners, suffix key closes the scan.
+     * Navigation keys pass through while no scan is being typed.
+     *
+     * @param {KeyboardEvent} e - Keydown event
+     * @returns {boolean} True if key was consumed as scanner input
+     */
+    function handleKey(e) {
+        if (!State.verify.enabled || isTextField(e.target)) return false;
+
+        var suffix = Config.WEDGE.SUFFIXES[State.verify.suffix] || Config.WEDGE.SUFFIXES.enter;
+        var char = null;
+
+        if (suffix.key && e.key === suffix.key) {
+            if (!buffer) return false;
+            e.preventDefault();
+            finish();
+            return true;
+        }
+
+        if (e.key === GS || (e.ctrlKey && e.key === ']')) {
+            char = GS;
+        } else if (e.key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey) {
+            char = e.key;
+        }
+
+        if (char === null) return false;
+
+        e.preventDefault();
+
+        var now = Date.now();
+        if (!buffer) {
+            buffer = { text: '', startedAt: now, lastKeyAt: now };
+        }
+        buffer.text += char;
+        buffer.lastKeyAt = now;
+
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(function() {
+            finish(!!suffix.key);
+        }, Config.WEDGE.IDLE_MS);
+
+        return true;
+    }
+
+    /**
+     * Convert raw scanner text to code: strip prefix, restore GS
+     *
+     * @param {string} raw - Typed text
+     * @returns {string} Normalized code
+     */
+    function normalize(raw) {
+        var text = raw;
+        var prefix = State.verify.prefix;
+        var token = State.verify.gsToken;
+
+        if (prefix && text.indexOf(prefix) === 0) {
+            text = text.substring(prefix.length);
+        }
+        if (token) {
+            text = text.split(token).join(GS);
+        }
+        return text;
+    }
+
+    /**
+     * Find first differing character position
+     *
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Index of first difference
+     * @private
+     */
+    function diffIndex(a, b) {
+        var i = 0;
+        while (i < a.length && i < b.length && a[i] === b[i]) i++;
+        return i;
+    }
+
+    /**
+     * Close current scan, compare and log result
+     *
+     * @param {boolean} [missingSuffix=false] - Scan closed by pause although suffix is expected
+     * @private
+     */
+    function finish(missingSuffix) {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+
+        if (!buffer) return;
+
+        var scan = buffer;
+        buffer = null;
+
+        var scanned = normalize(scan.text);
+        var target = expected;
+        var late = false;
+
+        if (previous && (!target || target.codes.indexOf(scanned) === -1) &&
+            previous.codes.indexOf(scanned) !== -1) {
+            // Carousel rotated while scanner was typing
+            target = previous;
+            late = true;
+        }
+
+        var pass = !!target && target.codes.indexOf(scanned) !== -1 && !missingSuffix;
+        var reference = target ? target.codes[0] : '';
+
+        var entry = {
+            timestamp: Date.now(),
+            source: target ? target.source : '-',
+            expected: reference,
+            scanned: scanned,
+            pass: pass,
+            late: late,
+            missingSuffix: !!missingSuffix,
+            diffAt: pass ? -1 : diffIndex(scanned, reference),
+            latency: target ? scan.startedAt - target.shownAt : null,
+            duration: scan.lastKeyAt - scan.startedAt
+        };
+
+        State.verify.log.unshift(entry);
+        if (State.verify.log.length > Config.MAX_VERIFY_LOG) {
+            State.verify.log.length = Config.MAX_VERIFY_LOG;
+        }
+
+        global.BarGen.Controllers.Session.recordScan(entry);
+        UI.renderVerify(entry);
+    }
+
+    /**
+     * Enable or disable verification mode
+     *
+     * @param {boolean} enabled - Verification flag
+     */
+    function setEnabled(enabled) {
+        State.verify.enabled = !!enabled;
+        buffer = null;
+        UI.renderVerify();
+    }
+
+    /**
+     * Update capture setting
+     *
+     * @param {string} field - 'prefix', 'suffix' or 'gsToken'
+     * @param {string} value - New value
+     */
+    function setOption(field, value) {
+        State.verify[field] = value;
+        Storage.save();
+    }
+
+    /**
+     * Clear results log
+     */
+    function clearLog() {
+        State.verify.log = [];
+        UI.renderVerify();
+    }
+
+    // Export to namespace
+    global.BarGen.Controllers.Verify = {
+        show: show,
+        handleKey: handleKey,
+        normalize: normalize,
+        setEnabled: setEnabled,
+        setOption: setOption,
+        clearLog: clearLog
+    };
+
+})(window);
@@ -18,16 +18,97 @@
     global.BarGen = global.BarGen || {};
     global.BarGen.Controllers = global.BarGen.Controllers || {};
 
+    var Config = global.BarGen.Config;
     var Utils = global.BarGen.Utils;
     var State = global.BarGen.State;
     var Storage = global.BarGen.Storage;
     var UI = global.BarGen.UI;
     var Generators = global.BarGen.Generators;
+    var Carousel = global.BarGen.Carousel;
+
+    /**
+     * Rotation engine for selected barcodes
+     * @type {Object}
+     */
+    var carousel = Carousel.create({ interval: State.wc.timerValue });
+
+    carousel.on('show', displayBarcode);
+
+    // 'once' mode: last item shown, rotation is over
+    carousel.on('end', stopRotation);
+
+    /**
+     * Create carousel item with generated weight barcode
+     *
+     * @param {string} id - Item ID
+     * @param {string} layoutId - Key of Config.WEIGHT_LAYOUTS (or legacy prefix '77', '22', '49')
+     * @param {string} plu - PLU code
+     * @param {number} weight - Weight in grams
+     * @param {number} [discount=0] - Discount percentage (layouts with discount field)
+     * @param {number} [price=0] - Price in roubles (layouts with price field)
+     * @param {string} [error] - Deliberate error, key of Config.WEIGHT_ERRORS
+     * @returns {Object} Folder item
+     */
+    function createItem(id, layoutId, plu, weight, discount, price, error) {
+        if (error === 'zeroWeight') {
+            weight = 0;
+            price = 0;
+        }
+
+        var bc = Generators.generateWeightBarcode(layoutId, plu, weight, discount, price, {
+            wrongVerifier: error === 'wrongVerifier',
+            wrongCheck: error === 'wrongCheck',
+            wrongPrefix: error === 'wrongPrefix',
+            overweight: error === 'overweight'
+        });
+        var layout = Config.WEIGHT_LAYOUTS[bc.layout];
+
+        return {
+            id: id,
+            code: bc.code,
+            format: bc.format,
+            plu: bc.plu,
+            weight: bc.weight,
+            prefix: bc.prefix,
+            layout: bc.layout,
+            active: true,
+            discount: Generators.hasWeightField(layout, 'discount') ? discount : undefined,
+            price: Generators.hasWeightField(layout, 'price') ? bc.price : undefined,
+            error: error
+        };
+    }
+
+    /**
+     * Check whether deliberate error can be made in layout
+     *
+     * @param {Object} layout - Layout from Config.WEIGHT_LAYOUTS
+     * @param {string} error - Key of Config.WEIGHT_ERRORS
+     * @returns {boolean} True if error applies
+     * @private
+     */
+    function errorApplies(layout, error) {
+        switch (error) {
+            case 'wrongVerifier':
+                return Generators.hasWeightField(layout, 'verifier');
+            case 'wrongCheck':
+                return layout.check === 'ean13' || layout.check === 'sum';
+            case 'wrongPrefix':
+                return Generators.freeWeightPrefixes(layout.prefix.length).length > 0;
+            case 'overweight':
+            case 'zeroWeight':
+                // Price-only layouts: zero price is a valid code, the checker would accept it
+                return Generators.hasWeightField(layout, 'weight');
+            default:
+                return true;
+        }
+    }
 
     /**
      * Add items to weight carousel
      *
-     * @description Generates weight barcodes based on form inputs and adds to folder
+     * @description Generates weight barcodes based on form inputs and adds to folder.
+     * For every error checked in the form (Config.WEIGHT_ERRORS) each valid code
+     * gets a copy with that error, flagged with item.error.
      */
     function addItems() {
         var folderName = Utils.$('wcFolderName').value.trim();
@@ -38,21 +119,16 @@
         var modeEl = document.querySelector('input[name="weightMode"]:checked');
         var mode = modeEl ? modeEl.value : 'random';
 
-        // Get selected prefixes
-        var use77 = Utils.$('wcPrefix77').checked;
-        var use22 = Utils.$('wcPrefix22').checked;
-        var use49 = Utils.$('wcPrefix49').checked;
+        // Selected weight label layouts (in registry order)
+        var layouts = Object.keys(Config.WEIGHT_LAYOUTS).filter(function(id) {
+            return State.wc.selectedLayouts.indexOf(id) !== -1;
+        });
 
-        if (!use77 && !use22 && !use49) {
-            alert('Выберите хотя бы один префикс!');
+        if (layouts.length === 0) {
+            alert('Выберите хотя бы один формат!');
             return;
         }
 
-        var prefixes = [];
-        if (use77) prefixes.push('77');
-        if (use22) prefixes.push('22');
-        if (use49) prefixes.push('49');
-
         // Parse PLU codes
         var pluList = pluRaw.split('\n')
             .map(function(l) { return l.trim().replace(/\D/g, ''); })
@@ -91,32 +167,57 @@
             }
         }
 
-        // Generate items
+        // Get price settings (price-embedded layouts)
+        var pricePerKg = parseFloat(Utils.$('wcPricePerKg').value) || 0;
+
+        // Deliberate errors: copies of each code the scanner should reject
+        var errors = Array.prototype.map.call(
+            document.querySelectorAll('input[name="wcErrors"]:checked'),
+            function(el) { return el.value; }
+        );
+
+        // Generate items on a run of their own (fresh or pinned seed, remembered
+        // on folder for replay), a running DataMatrix rotation keeps its sequence
+        var seed;
         var items = [];
+        var skipped = 0;
         var baseId = Date.now();
 
-        pluList.forEach(function(plu, pluIdx) {
-            for (var i = 0; i < variations; i++) {
-                var weight = mode === 'fixed' ? fixedWeight : Utils.randomWeight(weightMin, weightMax);
-                var discount = discMode === 'fixed' ? fixedDisc : Utils.randomWeight(discMin, discMax);
-
-                prefixes.forEach(function(prefix) {
-                    var bc = Generators.generateWeightBarcode(prefix, plu, weight, discount);
-
-                    items.push({
-                        id: baseId + '_' + pluIdx + '_' + i + '_' + prefix,
-                        code: bc.code,
-                        format: bc.format,
-                        plu: bc.plu,
-                        weight: weight,
-                        prefix: prefix,
-                        active: true,
-                        discount: prefix === '49' ? discount : undefined
+        Utils.rng.run(State.rng.fixedSeed, function(runSeed) {
+            seed = runSeed;
+
+            pluList.forEach(function(plu, pluIdx) {
+                for (var i = 0; i < variations; i++) {
+                    var weight = mode === 'fixed' ? fixedWeight : Utils.randomWeight(weightMin, weightMax);
+                    var discount = discMode === 'fixed' ? fixedDisc : Utils.randomWeight(discMin, discMax);
+                    var price = Math.round(weight * pricePerKg / 10) / 100;
+
+                    layouts.forEach(function(layoutId) {
+                        var id = baseId + '_' + pluIdx + '_' + i + '_' + layoutId;
+
+                        // Values must fit field widths of layout (price grows with weight)
+                        if (Generators.generateWeightBarcode(layoutId, plu, weight, discount, price).errors.length > 0) {
+                            skipped++;
+                            return;
+                        }
+
+                        items.push(createItem(id, layoutId, plu, weight, discount, price));
+
+                        errors.forEach(function(error) {
+                            if (errorApplies(Config.WEIGHT_LAYOUTS[layoutId], error)) {
+                                items.push(createItem(id + '_' + error, layoutId, plu, weight, discount, price, error));
+                            }
+                        });
                     });
-                });
-            }
+                }
+            });
         });
 
+        if (items.length === 0) {
+            alert('Значения не помещаются в поля выбранных форматов!');
+            return;
+        }
+
         // Find or create folder
         var folder;
 
@@ -148,9 +249,11 @@
 
         // Add items to folder
         folder.items = folder.items.concat(items);
+        folder.seed = seed;
         State.wc.selectedFolderId = folder.id;
 
         Storage.save();
+        UI.renderSeed();
         UI.renderWcFolders();
         UI.renderWcItems();
 
@@ -158,7 +261,8 @@
         Utils.$('wcFolderName').value = '';
         Utils.$('wcProductCode').value = '';
 
-        alert('Добавлено ' + items.length + ' штрихкодов');
+        alert('Добавлено ' + items.length + ' штрихкодов' +
+            (skipped > 0 ? '\nПропущено (не помещаются в поля формата): ' + skipped : ''));
     }
 
     /**
@@ -180,7 +284,7 @@
         }
 
         State.wc.rotationItems = active;
-        State.wc.rotationIndex = 0;
+        State.wc.rotationSeed = folder.seed;
         State.wc.isRotating = true;
 
         // Update UI
@@ -189,8 +293,10 @@
         Utils.$('wcCarouselDisplay').style.display = 'block';
 
         UI.updateWcStatus();
-        displayBarcode();
-        startTimer();
+        global.BarGen.Controllers.Session.start('WC', folder, carousel);
+
+        carousel.setItems(active);
+        carousel.start();
 
         // Scroll to carousel
         setTimeout(function() {
@@ -203,7 +309,8 @@
      */
     function stopRotation() {
         State.wc.isRotating = false;
-        stopTimer();
+        carousel.pause();
+        global.BarGen.Controllers.Session.stop('WC');
 
         Utils.$('wc-start-btn').style.display = 'inline-flex';
         Utils.$('wc-stop-btn').style.display = 'none';
@@ -219,24 +326,32 @@
     }
 
     /**
-     * Display barcode with fly-through animation (auto-rotation)
+     * Display barcode shown by carousel
+     *
+     * @description Auto-rotation uses fly-through animation and is written to
+     * history, manual navigation uses slide animation.
+     *
+     * @param {Object} item - Barcode item
+     * @param {number} index - Item index in rotation list
+     * @param {Object} info - Carousel info
+     * @param {boolean} info.manual - Navigation by user
+     * @param {number} info.position - Position in play order
+     * @param {number} info.total - Item count
      */
-    function displayBarcode() {
-        var items = State.wc.rotationItems;
-        if (items.length === 0) return;
-
-        var item = items[State.wc.rotationIndex % items.length];
-
+    function displayBarcode(item, index, info) {
         // Update info display
         var weight = Utils.formatWeight(item.weight);
-        var discountText = item.prefix === '49' && item.discount !== undefined ?
+        var discountText = item.discount !== undefined ?
             ' | Скидка: ' + item.discount + '%' : '';
+        var priceText = item.price !== undefined ?
+            ' | <b>Цена:</b> ' + Utils.formatPrice(item.price) : '';
+        var errorText = item.error ?
+            ' | <b style="color:#ef4444">' + Config.WEIGHT_ERRORS[item.error] + '</b>' : '';
 
         Utils.$('wcBarcodeInfo').innerHTML =
-            '<b>PLU:</b> ' + item.plu + ' | <b>Вес:</b> ' + weight + discountText;
+            '<b>PLU:</b> ' + item.plu + ' | <b>Вес:</b> ' + weight + discountText + priceText + errorText;
         Utils.$('wcBarcodeText').textContent = item.code;
-        Utils.$('wcCarouselCounter').textContent =
-            ((State.wc.rotationIndex % items.length) + 1) + '/' + items.length;
+        Utils.$('wcCarouselCounter').textContent = (info.position + 1) + '/' + info.total;
 
         // Render barcode
         var svg = Utils.$('wcBarcodeSvg');
@@ -244,51 +359,23 @@
 
         Generators.renderBarcode(svg, item.code, item.format);
 
-        // Fly-through animation
+        // Fly-through animation for auto-rotation, slide for manual nav
         if (wrapper) {
             wrapper.classList.remove('barcode-pulse', 'barcode-static', 'barcode-slide');
             void wrapper.offsetWidth; // Force reflow
-            wrapper.classList.add('barcode-pulse');
+            wrapper.classList.add(info.manual ? 'barcode-slide' : 'barcode-pulse');
         }
 
-        State.wc.rotationIndex++;
-
-        // Add to history
-        State.addToHistory({ type: 'WC', code: item.code });
-    }
-
-    /**
-     * Display barcode with slide animation (manual navigation)
-     */
-    function displayBarcodeManual() {
-        var items = State.wc.rotationItems;
-        if (items.length === 0) return;
-
-        var item = items[State.wc.rotationIndex % items.length];
-
-        var weight = Utils.formatWeight(item.weight);
-        var discountText = item.prefix === '49' && item.discount !== undefined ?
-            ' | Скидка: ' + item.discount + '%' : '';
-
-        Utils.$('wcBarcodeInfo').innerHTML =
-            '<b>PLU:</b> ' + item.plu + ' | <b>Вес:</b> ' + weight + discountText;
-        Utils.$('wcBarcodeText').textContent = item.code;
-        Utils.$('wcCarouselCounter').textContent =
-            ((State.wc.rotationIndex % items.length) + 1) + '/' + items.length;
-
-        var svg = Utils.$('wcBarcodeSvg');
-        var wrapper = document.querySelector('.barcode-svg-wrapper');
+        // Deliberate-error copy is marked as broken in session and history
+        var broken = item.error ? { method: item.error, reason: Config.WEIGHT_ERRORS[item.error] } : null;
 
-        Generators.renderBarcode(svg, item.code, item.format);
+        global.BarGen.Controllers.Verify.show('WC', [item.code]);
+        global.BarGen.Controllers.Session.recordShown('WC', [item.code], broken);
 
-        // Simple slide animation for manual nav
-        if (wrapper) {
-            wrapper.classList.remove('barcode-pulse', 'barcode-static', 'barcode-slide');
-            void wrapper.offsetWidth;
-            wrapper.classList.add('barcode-slide');
+        // Add to history
+        if (!info.manual) {
+            State.addToHistory({ type: 'WC', code: item.code, broken: broken, seed: State.wc.rotationSeed });
         }
-
-        State.wc.rotationIndex++;
     }
 
     /**
@@ -296,7 +383,7 @@
      */
     function manualNext() {
         if (State.wc.rotationItems.length > 0) {
-            displayBarcodeManual();
+            carousel.next();
         }
     }
 
@@ -305,38 +392,7 @@
      */
     function manualPrev() {
         if (State.wc.rotationItems.length > 0) {
-            var len = State.wc.rotationItems.length;
-            // Декремент с учётом того, что displayBarcodeManual() увеличивает индекс
-            State.wc.rotationIndex = (State.wc.rotationIndex - 2 + len * 100) % len;
-            displayBarcodeManual();
-        }
-    }
-
-    /**
-     * Start automatic timer
-     */
-    function startTimer() {
-        stopTimer();
-
-        State.wc.remaining = State.wc.timerValue;
-
-        State.wc.timerInterval = window.setInterval(function() {
-            State.wc.remaining -= 0.1;
-
-            if (State.wc.remaining <= 0.05) {
-                displayBarcode();
-                State.wc.remaining = State.wc.timerValue;
-            }
-        }, 100);
-    }
-
-    /**
-     * Stop automatic timer
-     */
-    function stopTimer() {
-        if (State.wc.timerInterval) {
-            window.clearInterval(State.wc.timerInterval);
-            State.wc.timerInterval = null;
+            carousel.prev();
         }
     }
 
@@ -349,10 +405,18 @@
         if (isNaN(value) || value <= 0) return;
 
         State.wc.timerValue = value;
+        carousel.setInterval(value);
+    }
 
-        if (State.wc.isRotating) {
-            startTimer();
-        }
+    /**
+     * Set playback mode and order of rotation
+     *
+     * @param {string} mode - 'loop' or 'once'
+     * @param {boolean} shuffle - Random order
+     */
+    function setPlayback(mode, shuffle) {
+        carousel.setMode(mode);
+        carousel.setShuffle(shuffle);
     }
 
     /**
@@ -425,16 +489,15 @@
 
     // Export to namespace
     global.BarGen.Controllers.WC = {
+        createItem: createItem,
         addItems: addItems,
         startRotation: startRotation,
         stopRotation: stopRotation,
-        displayBarcode: displayBarcode,
-        displayBarcodeManual: displayBarcodeManual,
         manualNext: manualNext,
         manualPrev: manualPrev,
-        startTimer: startTimer,
-        stopTimer: stopTimer,
         setInterval: setInterval,
+        setPlayback: setPlayback,
+        carousel: carousel,
         selectAll: selectAll,
         deselectAll: deselectAll,
         clearSelected: clearSelected,
@@ -0,0 +1,372 @@
+/**
+ * BarGen Damage Module
+ *
+ * @description Raster damage of rendered DataMatrix and QR images for
+ * testing scanner decode robustness (the encoded data stays valid).
+ * Effects and their order are listed in Config.DAMAGE_EFFECTS.
+ * Damage is pseudo-random but derived from the encoded text only, so the
+ * same code with the same settings is always damaged the same way and the
+ * Utils.rng sequence (seed replay) is not affected.
+ * @module Damage
+ *
+ * @example
+ * // Damage canvas rendered by bwip-js (module size 4 px)
+ * var damaged = BarGen.Damage.apply(canvas, { scratches: 40, blur: 20 }, {
+ *     module: 4,
+ *     seed: code
+ * });
+ * container.appendChild(damaged);
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+
+    var Config = global.BarGen.Config;
+
+    /**
+     * Create pseudo-random generator seeded from text
+     *
+     * @param {string} text - Seed text (FNV-1a hashed)
+     * @returns {Function} Generator returning floats in range [0, 1)
+     * @private
+     */
+    function createRandom(text) {
+        var state = 2166136261;
+        for (var i = 0; i < text.length; i++) {
+            state ^= text.charCodeAt(i);
+            state = Math.imul(state, 16777619);
+        }
+
+        // mulberry32, same as Utils.rng
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            var t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Create canvas filled with white
+     *
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {HTMLCanvasElement} Canvas
+     * @private
+     */
+    function createCanvas(width, height) {
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        var ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, width, height);
+        return canvas;
+    }
+
+    /**
+     * Find bounding box of dark pixels (the symbol without quiet zone)
+     *
+     * @param {HTMLCanvasElement} canvas - Canvas with white background
+     * @returns {Object} { x, y, width, height }
+     * @private
+     */
+    function symbolBounds(canvas) {
+        var data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+        var left = canvas.width, top = canvas.height, right = -1, bottom = -1;
+
+        for (var y = 0; y < canvas.height; y++) {
+            for (var x = 0; x < canvas.width; x++) {
+                if (data[(y * canvas.width + x) * 4] < 128) {
+                    if (x < left) left = x;
+                    if (x > right) right = x;
+                    if (y < top) top = y;
+                    if (y > bottom) bottom = y;
+                }
+            }
+        }
+
+        if (right < 0) {
+            return { x: 0, y: 0, width: canvas.width, height: canvas.height };
+        }
+        return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+    }
+
+    /**
+     * Clear random modules (ink not printed)
+     *
+     * @description Module grid starts at the symbol corner, so whole modules
+     * are cleared. Up to 30% of modules at full severity.
+     * @private
+     */
+    function missingModules(ctx, bounds, module, severity, random) {
+        var cols = Math.round(bounds.width / module);
+        var rows = Math.round(bounds.height / module);
+        var count = Math.round(cols * rows * 0.3 * severity);
+
+        ctx.fillStyle = '#fff';
+        for (var i = 0; i < count; i++) {
+            ctx.fillRect(
+                bounds.x + Math.floor(random() * cols) * module,
+                bounds.y + Math.floor(random() * rows) * module,
+                module, module
+            );
+        }
+    }
+
+    /**
+     * Draw scratches across the symbol (mostly white, every third dark)
+     * @private
+     */
+    function scratches(ctx, bounds, module, severity, random) {
+        var count = 1 + Math.round(severity * 7);
+
+        ctx.lineCap = 'round';
+        for (var i = 0; i < count; i++) {
+            var vertical = random() < 0.5;
+            var from = random(), to = random();
+
+            ctx.strokeStyle = i % 3 === 2 ? '#000' : '#fff';
+            ctx.lineWidth = Math.max(1, module * (0.3 + random() * severity));
+            ctx.beginPath();
+            if (vertical) {
+                ctx.moveTo(bounds.x + from * bounds.width, bounds.y - module);
+                ctx.lineTo(bounds.x + to * bounds.width, bounds.y + bounds.height + module);
+            } else {
+                ctx.moveTo(bounds.x - module, bounds.y + from * bounds.height);
+                ctx.lineTo(bounds.x + bounds.width + module, bounds.y + to * bounds.height);
+            }
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Draw dark marks in the quiet zone (print of neighbouring text or frame)
+     *
+     * @description Marks come closer to the symbol with severity and touch
+     * it at full severity.
+     * @private
+     */
+    function quietZone(ctx, bounds, module, severity, random) {
+        var sides = 1 + Math.round(severity * 3);
+        var gap = Math.round((1 - severity) * 3 * module);
+        var thickness = Math.max(1, Math.round(module * (1 + 2 * severity)));
+
+        ctx.fillStyle = '#000';
+        for (var side = 0; side < sides; side++) {
+            var along = side % 2 === 0 ? bounds.width : bounds.height;
+            var length = Math.round(along * (0.3 + random() * 0.7));
+            var offset = Math.floor(random() * (along - length + 1));
+
+            if (side === 0) {
+                ctx.fillRect(bounds.x + offset, bounds.y - gap - thickness, length, thickness);
+            } else if (side === 1) {
+                ctx.fillRect(bounds.x + bounds.width + gap, bounds.y + offset, thickness, length);
+            } else if (side === 2) {
+                ctx.fillRect(bounds.x + offset, bounds.y + bounds.height + gap, length, thickness);
+            } else {
+                ctx.fillRect(bounds.x - gap - thickness, bounds.y + offset, thickness, length);
+            }
+        }
+    }
+
+    /**
+     * Perspective (keystone): top or bottom edge narrowed up to 40%
+     *
+     * @returns {HTMLCanvasElement} New canvas
+     * @private
+     */
+    function skew(canvas, severity, random) {
+        var out = createCanvas(canvas.width, canvas.height);
+        var ctx = out.getContext('2d');
+        var narrowTop = random() < 0.5;
+
+        for (var y = 0; y < canvas.height; y++) {
+            var position = y / canvas.height;
+            var factor = 1 - 0.4 * severity * (narrowTop ? 1 - position : position);
+            var width = canvas.width * factor;
+            ctx.drawImage(canvas, 0, y, canvas.width, 1, (canvas.width - width) / 2, y, width, 1);
+        }
+        return out;
+    }
+
+    /**
+     * Rotate up to 45 degrees in random direction
+     *
+     * @returns {HTMLCanvasElement} New canvas
+     * @private
+     */
+    function rotate(canvas, severity, random) {
+        var out = createCanvas(canvas.width, canvas.height);
+        var ctx = out.getContext('2d');
+        var angle = (random() < 0.5 ? -1 : 1) * severity * Math.PI / 4;
+
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.rotate(angle);
+        ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+        return out;
+    }
+
+    /**
+     * Box blur of grey values (two passes in each direction)
+     *
+     * @param {Float32Array} grey - Grey values, changed in place
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} radius - Blur radius in pixels
+     * @private
+     */
+    function blur(grey, width, height, radius) {
+        var line = new Float32Array(Math.max(width, height));
+
+        function pass(count, length, index) {
+            for (var n = 0; n < count; n++) {
+                for (var i = 0; i < length; i++) line[i] = grey[index(n, i)];
+
+                // Running sum over window, edge pixels repeated
+                var sum = line[0] * (radius + 1);
+                for (var k = 1; k <= radius; k++) sum += line[Math.min(length - 1, k)];
+
+                for (var j = 0; j < length; j++) {
+                    grey[index(n, j)] = sum / (2 * radius + 1);
+                    sum += line[Math.min(length - 1, j + radius + 1)] - line[Math.max(0, j - radius)];
+                }
+            }
+        }
+
+        for (var repeat = 0; repeat < 2; repeat++) {
+            pass(height, width, function(y, x) { return y * width + x; });
+            pass(width, height, function(x, y) { return y * width + x; });
+        }
+    }
+
+    /**
+     * Crumpled label: dark creases, shaded sides of folds and print noise
+     * @private
+     */
+    function crumple(grey, width, height, module, severity, random) {
+        var folds = [];
+        var count = 1 + Math.round(severity * 4);
+
+        for (var i = 0; i < count; i++) {
+            var angle = random() * Math.PI;
+            folds.push({
+                x: random() * width,
+                y: random() * height,
+                nx: Math.cos(angle),
+                ny: Math.sin(angle),
+                shade: random() < 0.5
+            });
+        }
+
+        for (var y = 0; y < height; y++) {
+            for (var x = 0; x < width; x++) {
+                var value = grey[y * width + x];
+
+                for (var f = 0; f < folds.length; f++) {
+                    var fold = folds[f];
+                    var distance = (x - fold.x) * fold.nx + (y - fold.y) * fold.ny;
+                    value -= 90 * severity * Math.exp(-Math.abs(distance) / module);
+                    if (fold.shade && distance > 0) value *= 1 - 0.2 * severity;
+                }
+
+                grey[y * width + x] = value + (random() - 0.5) * 120 * severity;
+            }
+        }
+    }
+
+    /**
+     * Apply damage effects to canvas
+     *
+     * @description Source canvas is not changed. Effects with severity 0
+     * are skipped; if all are 0 the source canvas is returned. The result
+     * has a white background and a margin for rotated and intruding parts.
+     *
+     * @param {HTMLCanvasElement} source - Rendered symbol (transparent or white background)
+     * @param {Object} effects - Severity 0-100 by key of Config.DAMAGE_EFFECTS
+     * @param {Object} options - Options
+     * @param {number} options.module - Module size in pixels
+     * @param {string} options.seed - Text the damage is derived from (usually the code)
+     * @returns {HTMLCanvasElement} Damaged canvas
+     *
+     * @example
+     * BarGen.Damage.apply(canvas, { rotation: 50 }, { module: 3, seed: code })
+     * // canvas rotated by 22.5 degrees
+     */
+    function apply(source, effects, options) {
+        var severity = {};
+        var any = false;
+
+        Object.keys(Config.DAMAGE_EFFECTS).forEach(function(name) {
+            severity[name] = Math.max(0, Math.min(100, Number(effects[name]) || 0)) / 100;
+            if (severity[name] > 0) any = true;
+        });
+
+        if (!any) return source;
+
+        var random = createRandom(String(options.seed || ''));
+        var module = options.module || 1;
+        var margin = Math.ceil(Math.max(source.width, source.height) * (0.05 + 0.21 * severity.rotation)) +
+            Math.ceil(module * 4 * severity.quietZone);
+
+        var canvas = createCanvas(source.width + 2 * margin, source.height + 2 * margin);
+        var ctx = canvas.getContext('2d');
+        ctx.drawImage(source, margin, margin);
+
+        // Module level
+        var bounds = symbolBounds(canvas);
+        if (severity.missingModules) missingModules(ctx, bounds, module, severity.missingModules, random);
+        if (severity.scratches) scratches(ctx, bounds, module, severity.scratches, random);
+        if (severity.quietZone) quietZone(ctx, bounds, module, severity.quietZone, random);
+
+        // Geometry
+        if (severity.skew) canvas = skew(canvas, severity.skew, random);
+        if (severity.rotation) canvas = rotate(canvas, severity.rotation, random);
+
+        if (!severity.blur && !severity.crumple && !severity.lowContrast) return canvas;
+
+        // Pixels (grey)
+        ctx = canvas.getContext('2d');
+        var width = canvas.width, height = canvas.height;
+        var image = ctx.getImageData(0, 0, width, height);
+        var data = image.data;
+        var grey = new Float32Array(width * height);
+
+        for (var i = 0; i < grey.length; i++) {
+            grey[i] = (data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / 3;
+        }
+
+        if (severity.blur) {
+            blur(grey, width, height, Math.max(1, Math.round(severity.blur * module)));
+        }
+        if (severity.crumple) {
+            crumple(grey, width, height, module, severity.crumple, random);
+        }
+        if (severity.lowContrast) {
+            // Dark modules lightened up to grey 200 of white 255
+            var low = 200 * severity.lowContrast;
+            for (var j = 0; j < grey.length; j++) {
+                grey[j] = low + grey[j] * (255 - low) / 255;
+            }
+        }
+
+        for (var p = 0; p < grey.length; p++) {
+            var value = Math.max(0, Math.min(255, Math.round(grey[p])));
+            data[p * 4] = data[p * 4 + 1] = data[p * 4 + 2] = value;
+            data[p * 4 + 3] = 255;
+        }
+        ctx.putImageData(image, 0, 0);
+
+        return canvas;
+    }
+
+    // Export to namespace
+    global.BarGen.Damage = {
+        apply: apply
+    };
+
+})(window);
@@ -4,7 +4,7 @@
  * @description Barcode and DataMatrix code generation functions
  * @module Generators
  *
- * @requires bwip-js (external) - for DataMatrix rendering
+ * @requires bwip-js (external) - for DataMatrix, QR and other symbologies missing in JsBarcode
  * @requires JsBarcode (external) - for linear barcode rendering
  *
  * @example
@@ -12,7 +12,7 @@
  * var result = BarGen.Generators.generateDM('4810099003310', 'type1');
  *
  * // Generate weight barcode
- * var barcode = BarGen.Generators.generateWeightBarcode('77', '12345', 1500);
+ * var barcode = BarGen.Generators.generateWeightBarcode('code128_16_cas', '12345', 1500);
  */
 (function(global) {
     'use strict';
@@ -32,17 +32,24 @@
      *
      * @param {string} [barcode] - GTIN barcode (optional, uses demo if empty)
      * @param {string} [templateId='type1'] - Template ID ('type1' or 'type2')
+     * @param {Object} [folder] - Folder the barcode comes from (for its dmMode)
      * @returns {Object} Result object
      * @returns {string} result.code - Generated DataMatrix code
      * @returns {string} result.barcode - Used GTIN barcode
      * @returns {string} result.templateName - Template display name
+     * @returns {string} result.mode - Encoding mode ('gs1' or 'raw')
      *
      * @example
      * var result = generateDM('4810099003310', 'type1');
-     * // { code: '010481009900331021...', barcode: '4810099003310', templateName: 'Тип 1' }
+     * // { code: '010481009900331021...', barcode: '4810099003310', templateName: 'Тип 1', mode: 'gs1' }
      */
-    function generateDM(barcode, templateId) {
-        var template = Config.TEMPLATES[templateId || State.dm.selectedTemplate];
+    function generateDM(barcode, templateId, folder) {
+        var usedTemplateId = templateId || State.dm.selectedTemplate;
+        if (!Config.TEMPLATES[usedTemplateId]) {
+            // Template was deleted (custom) - fall back to Type 1
+            usedTemplateId = 'type1';
+        }
+        var template = Config.TEMPLATES[usedTemplateId];
         var usedBarcode = barcode;
 
         // Use demo GTIN if no barcode provided
@@ -50,119 +57,698 @@
             usedBarcode = State.getNextDemoGtin();
         }
 
-        var code = template.generate(usedBarcode);
+        var code = issueDM(usedBarcode, usedTemplateId);
+        var mode = getDMMode(usedTemplateId, folder);
 
         // Add to history
-        State.addToHistory({ type: 'DM', code: code });
+        State.addToHistory({ type: 'DM', code: code, mode: mode });
 
         return {
             code: code,
             templateName: template.name,
-            barcode: usedBarcode
+            barcode: usedBarcode,
+            mode: mode
         };
     }
 
+    /**
+     * Issue DataMatrix code for GTIN without adding it to history
+     *
+     * @description Serial (AI 21) is claimed in the serial registry like in
+     * generateDM. Used for codes that go to files rather than to the screen.
+     *
+     * @param {string} barcode - GTIN barcode
+     * @param {string} templateId - Template ID (unknown → 'type1')
+     * @returns {string} Generated code
+     *
+     * @example
+     * issueDM('4810099003310', 'type1') // '0104810099003310215...'
+     */
+    function issueDM(barcode, templateId) {
+        var template = Config.TEMPLATES[templateId] || Config.TEMPLATES.type1;
+
+        return issueDMCode(function() {
+            return template.generate(barcode);
+        });
+    }
+
+    /**
+     * Maximum attempts to generate a not yet issued serial
+     * @type {number}
+     * @private
+     */
+    var MAX_SERIAL_ATTEMPTS = 20;
+
+    /**
+     * Generate DataMatrix code with serial (AI 21) not issued before
+     *
+     * @description Regenerates the code while GTIN + serial is already in the
+     * serial registry. With State.serials.reuseDm the serial of the last code
+     * for the same GTIN is put back into the code instead (duplicate-sale test).
+     * Codes without AI 01/21 are returned as is.
+     *
+     * @param {Function} generate - Returns a fresh code on each call
+     * @returns {string} Generated code
+     * @private
+     */
+    function issueDMCode(generate) {
+        var code;
+
+        for (var attempt = 0; attempt < MAX_SERIAL_ATTEMPTS; attempt++) {
+            code = generate();
+
+            var parsed = parseGS1(code);
+            var gtin = parsed.values['01'];
+            var serial = parsed.values['21'];
+            if (!gtin || !serial) return code;
+
+            if (State.serials.reuseDm) {
+                var used = State.findUsedSerial(gtin + '|');
+                if (used !== null) {
+                    var element = parsed.elements.filter(function(el) { return el.ai === '21'; })[0];
+                    var start = element.position + 2;
+                    return code.substring(0, start) + used + code.substring(start + serial.length);
+                }
+            }
+
+            if (State.claimSerial(gtin + '|' + serial)) return code;
+        }
+
+        console.warn('[BarGen Generators] No free serial after ' + MAX_SERIAL_ATTEMPTS + ' attempts, duplicate issued');
+        return code;
+    }
+
+    /**
+     * Generate GS1 UniqueID not issued before
+     *
+     * @description With State.serials.reuseGs1 returns the last issued UniqueID.
+     *
+     * @returns {string} UniqueID
+     * @private
+     */
+    function issueUniqueId() {
+        if (State.serials.reuseGs1) {
+            var used = State.findUsedSerial('uid|');
+            if (used !== null) return used;
+        }
+
+        var id;
+        for (var attempt = 0; attempt < MAX_SERIAL_ATTEMPTS; attempt++) {
+            id = generateUniqueId();
+            if (State.claimSerial('uid|' + id)) return id;
+        }
+
+        console.warn('[BarGen Generators] No free UniqueID after ' + MAX_SERIAL_ATTEMPTS + ' attempts, duplicate issued');
+        return id;
+    }
+
+    /**
+     * Build code from user-defined template
+     *
+     * @description Concatenates segments as AI + value, placing GS after every
+     * segment that has `gs` set (except the last one). Counter segments
+     * advance `definition.counter`.
+     *
+     * @param {Object} definition - Custom template definition
+     * @param {Array} definition.segments - [{ ai, source, value, length, offset, gs }]
+     * @param {string} barcode - GTIN barcode
+     * @returns {string} Generated code
+     *
+     * @example
+     * buildTemplateCode({ segments: [
+     *   { ai: '01', source: 'gtin', gs: false },
+     *   { ai: '21', source: 'alnum', length: 7, gs: true },
+     *   { ai: '93', source: 'base64', length: 4 }
+     * ] }, '4810099003310')
+     * // '010481009900331021aB3xYz9<GS>93dGz1'
+     */
+    function buildTemplateCode(definition, barcode) {
+        var GS = Config.GS1_CONSTANTS.GS_CHAR;
+        var segments = definition.segments || [];
+        var code = '';
+
+        segments.forEach(function(seg, idx) {
+            var length = parseInt(seg.length) || 1;
+            var value;
+
+            switch (seg.source) {
+                case 'gtin':
+                    value = Utils.padBarcode(barcode);
+                    break;
+                case 'alnum':
+                    value = Utils.generateSerial('', length);
+                    break;
+                case 'digits':
+                    value = Utils.randomDigits(length);
+                    break;
+                case 'hex':
+                    value = Utils.randomHex(length);
+                    break;
+                case 'base64':
+                    value = Utils.randomBase64(length);
+                    break;
+                case 'date':
+                case 'datetime':
+                    value = Utils.formatGS1Date(Utils.addDays(parseInt(seg.offset) || 0), seg.source === 'datetime');
+                    break;
+                case 'counter':
+                    definition.counter = (definition.counter || 0) + 1;
+                    value = Utils.padZeros(definition.counter, length);
+                    break;
+                default:
+                    value = seg.value || '';
+            }
+
+            code += (seg.ai || '') + value;
+            if (seg.gs && idx < segments.length - 1) {
+                code += GS;
+            }
+        });
+
+        return code;
+    }
+
+    /**
+     * Register user-defined templates in Config.TEMPLATES
+     *
+     * @description Makes templates from State.dm.customTemplates selectable
+     * everywhere built-in templates are (library items, rotation, selector).
+     * Removes previously registered custom templates that no longer exist.
+     */
+    function syncCustomTemplates() {
+        Object.keys(Config.TEMPLATES).forEach(function(id) {
+            if (Config.TEMPLATES[id].custom) {
+                delete Config.TEMPLATES[id];
+            }
+        });
+
+        State.dm.customTemplates.forEach(function(definition) {
+            Config.TEMPLATES[definition.id] = {
+                name: definition.name,
+                description: definition.description || 'Пользовательский шаблон',
+                mode: definition.mode,
+                custom: true,
+                generate: function(barcode) {
+                    return buildTemplateCode(definition, barcode);
+                }
+            };
+        });
+
+        if (!Config.TEMPLATES[State.dm.selectedTemplate]) {
+            State.dm.selectedTemplate = 'type1';
+        }
+    }
+
+    /**
+     * Resolve DataMatrix encoding mode
+     *
+     * @description Folder `dmMode` wins over template `mode`; defaults to 'raw'
+     * for templates that do not declare one.
+     *
+     * @param {string} [templateId] - Template ID
+     * @param {Object} [folder] - DataMatrix folder
+     * @returns {string} 'gs1' or 'raw'
+     */
+    function getDMMode(templateId, folder) {
+        if (folder && Config.DM_MODES[folder.dmMode]) {
+            return folder.dmMode;
+        }
+        var template = Config.TEMPLATES[templateId || State.dm.selectedTemplate];
+        return template && Config.DM_MODES[template.mode] ? template.mode : 'raw';
+    }
+
+    /**
+     * Convert raw GS1 string to AI bracket notation
+     *
+     * @description Builds bwip-js gs1datamatrix input, e.g. '(01)...(21)...(93)...'.
+     * Returns null when the string does not parse cleanly (broken codes) or a
+     * value contains brackets, so the caller can fall back to raw encoding.
+     *
+     * @param {string} code - Raw GS1 string with GS separators
+     * @returns {string|null} Bracketed string or null
+     *
+     * @example
+     * toGS1Bracketed('0104810099003310210LUYBFs<GS>93TWog')
+     * // '(01)04810099003310(21)0LUYBFs(93)TWog'
+     */
+    function toGS1Bracketed(code) {
+        var parsed = parseGS1(code);
+        if (!parsed.valid) return null;
+
+        var text = '';
+        for (var i = 0; i < parsed.elements.length; i++) {
+            var el = parsed.elements[i];
+            if (/[()]/.test(el.value)) return null;
+            text += '(' + el.ai + ')' + el.value;
+        }
+        return text;
+    }
+
+    /**
+     * Get bwip-js symbology and text for DataMatrix code
+     *
+     * @param {string} code - DataMatrix code
+     * @param {string} [mode='raw'] - Encoding mode ('gs1' or 'raw')
+     * @returns {Object} { bcid, text } (GS1 codes in bracketed form)
+     * @private
+     */
+    function dmSymbol(code, mode) {
+        if (mode === 'gs1') {
+            var bracketed = toGS1Bracketed(code);
+            if (bracketed) {
+                return { bcid: Config.DM_MODES.gs1.bcid, text: bracketed };
+            }
+            console.warn('[BarGen Generators] Code is not valid GS1, rendering raw DataMatrix without FNC1:', code);
+        }
+        return { bcid: Config.DM_MODES.raw.bcid, text: code };
+    }
+
+    /**
+     * Get encoding DataMatrix code is actually rendered with
+     *
+     * @description A code in 'gs1' mode that does not parse as GS1 (e.g.
+     * intentionally broken) falls back to raw DataMatrix without FNC1.
+     *
+     * @param {string} code - DataMatrix code
+     * @param {string} [mode='raw'] - Requested encoding mode ('gs1' or 'raw')
+     * @returns {string} 'gs1' or 'raw'
+     *
+     * @example
+     * getDMEncoding('0104810099003310215Ab3xYz\x1d93dGz1', 'gs1') // 'gs1'
+     * getDMEncoding('broken', 'gs1') // 'raw'
+     */
+    function getDMEncoding(code, mode) {
+        return mode === 'gs1' && toGS1Bracketed(code) ? 'gs1' : 'raw';
+    }
+
+    /**
+     * Apply raster damage from State.damage to rendered canvas
+     *
+     * @param {HTMLCanvasElement} canvas - Rendered symbol
+     * @param {number} module - Module size in pixels (bwip-js scale)
+     * @param {string} code - Encoded text (damage is derived from it)
+     * @returns {HTMLCanvasElement} Damaged canvas or the same canvas if damage is off
+     * @private
+     */
+    function damaged(canvas, module, code) {
+        if (!State.damage.enabled || !global.BarGen.Damage) return canvas;
+        return global.BarGen.Damage.apply(canvas, State.damage.effects, { module: module, seed: code });
+    }
+
     /**
      * Render DataMatrix code to canvas
      *
-     * @description Uses bwip-js library to render DataMatrix
+     * @description Uses bwip-js library to render DataMatrix.
+     * In 'gs1' mode the code is rendered as GS1 DataMatrix (leading FNC1,
+     * FNC1 as separator); codes that do not parse as GS1 are rendered raw.
+     * Raster damage is applied when enabled in State.damage.
      *
      * @param {HTMLElement} container - Container element for canvas
      * @param {string} code - DataMatrix code to render
+     * @param {string} [mode='raw'] - Encoding mode ('gs1' or 'raw')
      */
-    function renderDM(container, code) {
+    function renderDM(container, code, mode) {
         if (!container) return;
 
         container.innerHTML = '';
 
+        var symbol = dmSymbol(code, mode);
+
         try {
             var canvas = document.createElement('canvas');
             // @ts-ignore - bwipjs is loaded externally
             bwipjs.toCanvas(canvas, {
-                bcid: 'datamatrix',
-                text: code,
+                bcid: symbol.bcid,
+                text: symbol.text,
                 scale: 4,
                 padding: 2
             });
-            container.appendChild(canvas);
+            container.appendChild(damaged(canvas, 4, code));
         } catch (e) {
             container.innerHTML = '<div style="color:red">Ошибка генерации</div>';
             console.error('[BarGen Generators] DataMatrix render error:', e);
         }
     }
 
+    /**
+     * Resolve weight label layout ID
+     *
+     * @description Accepts layout ID or prefix of items created before
+     * layouts were configurable ('77', '22', '49').
+     *
+     * @param {string} idOrPrefix - Layout ID or legacy prefix
+     * @returns {string|null} Key of Config.WEIGHT_LAYOUTS or null if unknown
+     *
+     * @example
+     * getWeightLayoutId('77') // 'code128_16_cas'
+     */
+    function getWeightLayoutId(idOrPrefix) {
+        if (Config.WEIGHT_LAYOUTS[idOrPrefix]) return idOrPrefix;
+        return Config.WEIGHT_LEGACY_PREFIXES[idOrPrefix] || null;
+    }
+
+    /**
+     * Calculate check digit of weight label code
+     *
+     * @param {Object} layout - Weight label layout
+     * @param {string} code - Code without check digit
+     * @returns {string} Check digit ('' for layouts without check digit)
+     * @private
+     */
+    function weightCheckDigit(layout, code) {
+        switch (layout.check) {
+            case 'ean13':
+                return Utils.calcControlGTIN(code).toString();
+            case 'sum':
+                return Utils.calcControlCore(code).toString();
+            case 'fixed':
+                return String(layout.control || '0');
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Pick random digit different from given one
+     * @private
+     */
+    function wrongDigit(digit) {
+        var bad = Utils.rng.int(10).toString();
+        while (bad === digit) {
+            bad = Utils.rng.int(10).toString();
+        }
+        return bad;
+    }
+
+    /**
+     * Get prefixes of given length that no weight layout uses
+     *
+     * @description Empty when user layouts take every prefix of that length
+     * (possible for 1-digit prefixes), then a wrong-prefix code cannot be made.
+     *
+     * @param {number} length - Prefix length
+     * @returns {string[]} Free prefixes
+     *
+     * @example
+     * freeWeightPrefixes(2) // ['00', '01', ..., '98', '99'] without '20', '22', ...
+     */
+    function freeWeightPrefixes(length) {
+        var used = {};
+        Object.keys(Config.WEIGHT_LAYOUTS).forEach(function(id) {
+            used[Config.WEIGHT_LAYOUTS[id].prefix] = true;
+        });
+
+        var free = [];
+        for (var i = 0; i < Math.pow(10, length); i++) {
+            var prefix = Utils.padZeros(i, length);
+            if (!used[prefix]) free.push(prefix);
+        }
+        return free;
+    }
+
+    /**
+     * Pick random prefix of same length that no weight layout uses
+     *
+     * @returns {string|null} Prefix or null if every prefix of that length is used
+     * @private
+     */
+    function unusedWeightPrefix(prefix) {
+        var free = freeWeightPrefixes(prefix.length);
+        return free.length > 0 ? free[Utils.rng.int(free.length)] : null;
+    }
+
+    /**
+     * Build code of weight label layout
+     *
+     * @description Values are written as given (digits only) and zero padded
+     * to field length. A value longer than its field is written in full and
+     * reported in errors, so callers decide whether to refuse the code.
+     * Verifier fields get the price check digit of the field named in 'of'
+     * (which must be 4 or 5 digits long).
+     *
+     * @param {Object} layout - Layout from Config.WEIGHT_LAYOUTS
+     * @param {Object} values - Field values by field name
+     * @param {Object} [options] - Deliberate errors
+     * @param {boolean} [options.wrongCheck=false] - Wrong check digit (not for fixed/none)
+     * @param {boolean} [options.wrongVerifier=false] - Wrong price check digit
+     * @param {boolean} [options.wrongPrefix=false] - Prefix of no weight layout
+     * (check digit is computed for it, so the code is a valid EAN; reported in
+     * errors if every prefix of that length is used)
+     * @returns {Object} { code, format, errors: [{ field, message }] }
+     *
+     * @example
+     * buildWeightCode(Config.WEIGHT_LAYOUTS.ean13_weight, { plu: '123', weight: 1500 });
+     * // { code: '2200123015008', format: 'EAN13', errors: [] }
+     *
+     * buildWeightCode(Config.WEIGHT_LAYOUTS.ean13_price4, { plu: '123', price: 2875 });
+     * // { code: '2000123928753', format: 'EAN13', errors: [] }
+     */
+    function buildWeightCode(layout, values, options) {
+        options = options || {};
+
+        var errors = [];
+        var parts = {};
+
+        var digits = layout.fields.map(function(field) {
+            if (field.name === 'verifier') return '';
+
+            var value = values[field.name];
+            value = value === undefined || value === null ? '' : String(value).replace(/\D/g, '');
+
+            if (value.length > field.length) {
+                errors.push({ field: field.name, message: 'Максимум ' + field.length + ' цифр' });
+            }
+
+            parts[field.name] = Utils.padZeros(value, field.length);
+            return parts[field.name];
+        });
+
+        layout.fields.forEach(function(field, i) {
+            if (field.name !== 'verifier') return;
+
+            var check = Utils.calcPriceCheck(parts[field.of] || '');
+            if (check === null) {
+                errors.push({ field: field.of, message: 'Для контрольной цифры цены поле должно быть 4 или 5 цифр' });
+                check = 0;
+            }
+
+            digits[i] = options.wrongVerifier ? wrongDigit(check.toString()) : check.toString();
+        });
+
+        var prefix = layout.prefix;
+        if (options.wrongPrefix) {
+            prefix = unusedWeightPrefix(layout.prefix);
+            if (prefix === null) {
+                errors.push({ field: 'prefix', message: 'Все префиксы этой длины заняты форматами' });
+                prefix = layout.prefix;
+            }
+        }
+        var code = prefix + digits.join('');
+        var ctrl = weightCheckDigit(layout, code);
+
+        if (options.wrongCheck && (layout.check === 'ean13' || layout.check === 'sum')) {
+            ctrl = wrongDigit(ctrl);
+        }
+
+        return {
+            code: code + ctrl,
+            format: layout.format,
+            errors: errors
+        };
+    }
+
     /**
      * Generate weight barcode
      *
-     * @description Generates barcode with weight data for different systems:
-     * - 77: CAS scale format (Code128, 16 chars)
-     * - 49: Code128 with discount (19 chars)
-     * - 22: EAN-13 weight format (13 chars)
+     * @description Builds code of weight label layout (Config.WEIGHT_LAYOUTS)
+     * from Weight Carousel values. Weight in grams is converted to the
+     * decimals of layout weight field (3 - grams, 2 - tens of grams), price
+     * in roubles to the decimals of price field (0 - roubles, 2 - kopecks).
      *
-     * @param {string} prefix - Barcode prefix ('77', '49', or '22')
+     * @param {string} layoutId - Layout ID or legacy prefix ('77', '22', '49')
      * @param {string} plu - Product lookup code
      * @param {number} weight - Weight in grams
-     * @param {number} [discount=0] - Discount percentage (for prefix 49)
+     * @param {number} [discount=0] - Discount percentage (layouts with discount field)
+     * @param {number} [price=0] - Price in roubles (layouts with price field)
+     * @param {Object} [options] - Deliberate errors, see buildWeightCode
+     * @param {boolean} [options.overweight=false] - Weight one digit longer than
+     * its field (code is longer than layout, rendered as CODE128)
      * @returns {Object} Generated barcode data
      * @returns {string} result.code - Full barcode with check digit
      * @returns {string} result.format - Barcode format ('CODE128' or 'EAN13')
-     * @returns {number} result.weight - Weight in grams
+     * @returns {number} result.weight - Weight in grams (as encoded)
      * @returns {string} result.plu - PLU code
-     * @returns {string} result.prefix - Prefix used
+     * @returns {string} result.prefix - Prefix of layout
+     * @returns {string} result.layout - Layout ID
      * @returns {number} result.discount - Discount if applicable
+     * @returns {number} result.price - Price if applicable (as encoded)
+     * @returns {Array} result.errors - Values longer than their fields
+     * @throws {Error} If layout is unknown
      *
      * @example
-     * var bc = generateWeightBarcode('77', '12345', 1500);
-     * // { code: '770001234500150000', format: 'CODE128', ... }
-     */
-    function generateWeightBarcode(prefix, plu, weight, discount) {
-        var code, ctrl, format;
-
-        if (prefix === '77') {
-            // CAS format: 77 + PLU(6) + Weight(7) + Control(1) = 16
-            code = '77' + Utils.padZeros(plu, 6) + Utils.padZeros(weight, 7);
-            ctrl = '0'; // Fixed control for CAS
-            format = 'CODE128';
-        } else if (prefix === '49') {
-            // Code128 weight with discount: 49 + PLU(9) + Disc(2) + Weight(5) + Control(1) = 19
-            code = '49' + Utils.padZeros(plu, 9) + Utils.padZeros(discount || 0, 2) + Utils.padZeros(weight, 5);
-            ctrl = Utils.calcControlCore(code).toString();
-            format = 'CODE128';
-        } else {
-            // EAN-13 weight: 22 + PLU(5) + Weight(5) + Control(1) = 13
-            code = '22' + Utils.padZeros(plu, 5) + Utils.padZeros(weight, 5);
-            ctrl = Utils.calcControlEAN13(code).toString();
-            format = 'EAN13';
+     * var bc = generateWeightBarcode('code128_16_cas', '12345', 1500);
+     * // { code: '7701234500015000', format: 'CODE128', ... }
+     *
+     * var priced = generateWeightBarcode('ean13_price5', '12', 1500, 0, 146.85);
+     * // { code: '2400126146855', ... } - 6 is price check digit of 14685
+     */
+    function generateWeightBarcode(layoutId, plu, weight, discount, price, options) {
+        var id = getWeightLayoutId(layoutId);
+        if (!id) {
+            throw new Error('Неизвестный формат весовой этикетки: ' + layoutId);
         }
 
+        var layout = Config.WEIGHT_LAYOUTS[id];
+        var values = { plu: plu, discount: discount || 0 };
+        var overweight = options && options.overweight && hasWeightField(layout, 'weight');
+
+        layout.fields.forEach(function(field) {
+            var decimals = field.decimals !== undefined ? field.decimals : Config.WEIGHT_FIELDS[field.name].decimals;
+
+            if (field.name === 'weight') {
+                if (overweight) {
+                    // Smallest weight that does not fit the field
+                    values.weight = Math.pow(10, field.length);
+                    weight = values.weight * Math.pow(10, 3 - decimals);
+                } else {
+                    values.weight = Math.round(weight * Math.pow(10, decimals - 3));
+                }
+            } else if (field.name === 'price') {
+                values.price = Math.round((price || 0) * Math.pow(10, decimals));
+                // Roubles field drops kopecks: keep the price that is encoded
+                price = values.price / Math.pow(10, decimals);
+            }
+        });
+
+        var bc = buildWeightCode(layout, values, options);
+
         return {
-            code: code + ctrl,
-            format: format,
+            code: bc.code,
+            format: overweight ? 'CODE128' : bc.format,
             weight: weight,
             plu: plu,
-            prefix: prefix,
-            discount: discount
+            prefix: layout.prefix,
+            layout: id,
+            discount: discount,
+            price: price,
+            errors: bc.errors
         };
     }
 
+    /**
+     * Check if layout has field
+     *
+     * @param {Object} layout - Weight label layout
+     * @param {string} name - Field name
+     * @returns {boolean} True if layout has field
+     */
+    function hasWeightField(layout, name) {
+        return layout.fields.some(function(field) { return field.name === name; });
+    }
+
+    /**
+     * Register user-defined weight label layouts in Config.WEIGHT_LAYOUTS
+     *
+     * @description Makes layouts from State.wc.customLayouts available in
+     * Barcode tab and Weight Carousel. Removes previously registered custom
+     * layouts that no longer exist.
+     */
+    function syncWeightLayouts() {
+        Object.keys(Config.WEIGHT_LAYOUTS).forEach(function(id) {
+            if (Config.WEIGHT_LAYOUTS[id].custom) {
+                delete Config.WEIGHT_LAYOUTS[id];
+            }
+        });
+
+        State.wc.customLayouts.forEach(function(definition) {
+            Config.WEIGHT_LAYOUTS[definition.id] = {
+                name: definition.name,
+                short: definition.prefix + ' ' + definition.name,
+                prefix: definition.prefix,
+                fields: definition.fields,
+                check: definition.check,
+                control: definition.control,
+                format: definition.format,
+                description: 'Пользовательский формат',
+                custom: true
+            };
+        });
+
+        State.wc.selectedLayouts = State.wc.selectedLayouts.filter(function(id) {
+            return !!Config.WEIGHT_LAYOUTS[id];
+        });
+    }
+
+    /**
+     * Get bwip-js options of simple format
+     *
+     * @param {string} code - Barcode value
+     * @param {string} format - Key of Config.SIMPLE_FORMATS
+     * @returns {Object|null} bwip-js options or null for JsBarcode formats
+     * @private
+     */
+    function simpleBwip(code, format) {
+        var definition = Config.SIMPLE_FORMATS[format];
+        if (!definition || !definition.bwip) return null;
+
+        var options = { text: code, includetext: !definition.twoD };
+        Object.keys(definition.bwip).forEach(function(key) {
+            options[key] = definition.bwip[key];
+        });
+        return options;
+    }
+
+    /**
+     * Draw bwip-js symbol into existing SVG element
+     * @private
+     */
+    function renderBwipSvg(svg, options) {
+        // @ts-ignore - bwipjs is loaded externally
+        var markup = bwipjs.toSVG(options);
+        var viewBox = /viewBox="([^"]+)"/.exec(markup)[1].split(' ');
+
+        svg.setAttribute('viewBox', viewBox.join(' '));
+        svg.setAttribute('width', viewBox[2]);
+        svg.setAttribute('height', viewBox[3]);
+        svg.innerHTML = markup.replace(/^[\s\S]*?<svg[^>]*>/, '').replace(/<\/svg>\s*$/, '');
+    }
+
     /**
      * Render linear barcode to SVG element
      *
-     * @description Uses JsBarcode library to render barcode
+     * @description Uses JsBarcode library to render barcode; Constructor
+     * formats missing in JsBarcode (Code 93, GS1-128, DataBar, PDF417,
+     * Aztec, QR) are drawn by bwip-js.
      *
      * @param {SVGElement} svg - SVG element to render to
      * @param {string} code - Barcode value
-     * @param {string} [format='CODE128'] - Barcode format
+     * @param {string} [format='CODE128'] - Barcode format (key of Config.SIMPLE_FORMATS)
      */
     function renderBarcode(svg, code, format) {
         if (!svg) return;
 
         svg.innerHTML = '';
 
+        var bwipOptions = simpleBwip(code, format);
+        if (bwipOptions) {
+            try {
+                bwipOptions.scale = Config.SIMPLE_FORMATS[format].twoD ? 4 : 2;
+                renderBwipSvg(svg, bwipOptions);
+            } catch (e) {
+                console.error('[BarGen Generators] Barcode render error:', e);
+            }
+            return;
+        }
+
+        // Left by bwip-js symbol drawn before
+        svg.removeAttribute('viewBox');
+
+        var definition = Config.SIMPLE_FORMATS[format];
+
         try {
             // @ts-ignore - JsBarcode is loaded externally
             JsBarcode(svg, code, {
-                format: format || 'CODE128',
+                format: definition ? definition.jsbarcode : format || 'CODE128',
                 height: 70,
                 displayValue: true,
                 fontSize: 14,
@@ -185,34 +771,201 @@
         }
     }
 
+    /**
+     * Expand UPC-E to UPC-A
+     *
+     * @param {string} upce - 8 digits: number system (0/1), 6 digits, check digit
+     * @returns {string|null} 12-digit UPC-A or null if input is not UPC-E
+     *
+     * @example
+     * expandUPCE('01234565') // '012345000065'
+     */
+    function expandUPCE(upce) {
+        if (!/^[01]\d{7}$/.test(upce)) return null;
+
+        var d = upce.substring(1, 7);
+        var last = d.charAt(5);
+        var body;
+
+        if (last <= '2') {
+            body = d.substring(0, 2) + last + '0000' + d.substring(2, 5);
+        } else if (last === '3') {
+            body = d.substring(0, 3) + '00000' + d.substring(3, 5);
+        } else if (last === '4') {
+            body = d.substring(0, 4) + '00000' + d.charAt(4);
+        } else {
+            body = d.substring(0, 5) + '0000' + last;
+        }
+
+        return upce.charAt(0) + body + upce.charAt(7);
+    }
+
+    /**
+     * Compress UPC-A to UPC-E (zero suppression)
+     *
+     * @param {string} upca - 11 or 12 digits (check digit is recalculated)
+     * @returns {string|null} 8-digit UPC-E or null if code cannot be compressed
+     *
+     * @example
+     * compressUPCA('012345000065') // '01234565'
+     * compressUPCA('012345678905') // null
+     */
+    function compressUPCA(upca) {
+        if (!/^[01]\d{10,11}$/.test(upca)) return null;
+
+        var m = upca.substring(1, 6);
+        var p = upca.substring(6, 11);
+        var check = Utils.calcControlGTIN(upca.substring(0, 11));
+        var d = null;
+
+        if (m.charAt(2) <= '2' && m.substring(3) === '00' && p.substring(0, 2) === '00') {
+            d = m.substring(0, 2) + p.substring(2) + m.charAt(2);
+        } else if (m.substring(3) === '00' && p.substring(0, 3) === '000') {
+            d = m.substring(0, 3) + p.substring(3) + '3';
+        } else if (m.charAt(4) === '0' && p.substring(0, 4) === '0000') {
+            d = m.substring(0, 4) + p.charAt(4) + '4';
+        } else if (p.substring(0, 4) === '0000' && p.charAt(4) >= '5') {
+            d = m + p.charAt(4);
+        }
+
+        return d ? upca.charAt(0) + d + check : null;
+    }
+
+    /**
+     * Append GTIN check digit when value has digits only and given length
+     * @private
+     */
+    function withCheck(code, length) {
+        if (code.length === length && /^\d+$/.test(code)) {
+            code += Utils.calcControlGTIN(code);
+        }
+        return { code: code };
+    }
+
+    /**
+     * AI 01 element from GTIN-8/12/13/14 (checked) or '(01)' + 13 digits
+     * (check digit is completed)
+     * @private
+     */
+    function gtinElement(code) {
+        var match = /^\(01\)(\d{13})$/.exec(code);
+        if (match) {
+            return { code: '(01)' + match[1] + Utils.calcControlGTIN(match[1]) };
+        }
+
+        var digits = code.replace(/^\(01\)/, '');
+        if (!/^(\d{8}|\d{12,14})$/.test(digits)) {
+            return { code: code, error: 'Ожидается GTIN (8, 12, 13 или 14 цифр)' };
+        }
+
+        var gtin = Utils.padZeros(digits, 14);
+        if (Utils.calcControlGTIN(gtin.substring(0, 13)) !== parseInt(gtin.charAt(13))) {
+            return { code: '(01)' + gtin, error: 'Неверная контрольная цифра GTIN' };
+        }
+        return { code: '(01)' + gtin };
+    }
+
+    /**
+     * GS1 element string in bracket notation for GS1-128 / DataBar Expanded
+     *
+     * @description GTIN alone is taken as AI 01, raw strings with GS are
+     * converted, (01) with 13 digits gets check digit.
+     * @private
+     */
+    function gs1Elements(code) {
+        if (/^(\(01\))?\d+$/.test(code)) {
+            return gtinElement(code);
+        }
+        if (code.charAt(0) !== '(') {
+            var bracketed = toGS1Bracketed(code);
+            if (!bracketed) return { code: code, error: 'Ожидается строка вида (01)…(10)…' };
+            code = bracketed;
+        }
+        return {
+            code: code.replace(/^\(01\)(\d{13})(?=\()/, function(match, digits) {
+                return '(01)' + digits + Utils.calcControlGTIN(digits);
+            })
+        };
+    }
+
+    /**
+     * Value completion of simple formats: complete(value) → { code, error?, upca? }
+     * @type {Object}
+     * @private
+     */
+    var SIMPLE_COMPLETION = {
+        EAN13: function(code) { return withCheck(code, 12); },
+        EAN8: function(code) { return withCheck(code, 7); },
+        UPC: function(code) { return withCheck(code, 11); },
+        ITF14: function(code) { return withCheck(code, 13); },
+        UPCE: function(code) {
+            if (!/^\d+$/.test(code)) return { code: code, error: 'UPC-E состоит из цифр' };
+
+            if (code.length === 6) code = '0' + code;
+            if (code.length === 7 && expandUPCE(code + '0')) {
+                // Check digit of UPC-E is the one of expanded UPC-A
+                code += Utils.calcControlGTIN(expandUPCE(code + '0').substring(0, 11));
+            } else if (code.length === 11 || code.length === 12) {
+                var upce = compressUPCA(code);
+                if (!upce) return { code: code, error: 'Этот UPC-A не сжимается в UPC-E' };
+                code = upce;
+            }
+
+            var upca = expandUPCE(code);
+            if (!upca) return { code: code, error: 'Ожидается 6-8 цифр, система счисления 0 или 1' };
+            if (Utils.calcControlGTIN(upca.substring(0, 11)) !== parseInt(code.charAt(7))) {
+                return { code: code, upca: upca, error: 'Неверная контрольная цифра' };
+            }
+            return { code: code, upca: upca };
+        },
+        CODE39: function(code) { return { code: code.toUpperCase() }; },
+        CODE93: function(code) { return { code: code.toUpperCase() }; },
+        CODABAR: function(code) {
+            code = code.toUpperCase();
+            return { code: /^[A-D].*[A-D]$/.test(code) ? code : 'A' + code + 'A' };
+        },
+        GS1_128: gs1Elements,
+        DATABAR_EXPANDED: gs1Elements,
+        DATABAR: gtinElement,
+        DATABAR_LIMITED: function(code) {
+            var result = gtinElement(code);
+            if (!result.error && result.code.charAt(4) > '1') {
+                result.error = 'GTIN-14 для DataBar Limited начинается с 0 или 1';
+            }
+            return result;
+        }
+    };
+
     /**
      * Generate simple barcode
      *
-     * @description Generates barcode for SimpleGen module.
-     * Automatically calculates EAN-13 check digit if needed.
+     * @description Generates barcode for SimpleGen module. Completes check
+     * digits (EAN-13/8, UPC-A, ITF-14, '(01)' + 13 digits in GS1 formats), compresses
+     * UPC-A into UPC-E, adds Codabar start/stop characters. Result has
+     * error when value does not fit the format (code is returned as is).
      *
      * @param {string} value - Barcode value
-     * @param {string} type - Barcode type ('CODE128', 'EAN13', 'UPC', 'ITF14')
+     * @param {string} type - Key of Config.SIMPLE_FORMATS
      * @returns {Object} Result object
      * @returns {string} result.code - Generated barcode
      * @returns {string} result.format - Barcode format
+     * @returns {string} [result.error] - Value does not fit format
+     * @returns {string} [result.upca] - UPC-A of UPC-E code
      *
      * @example
      * var bc = generateSimple('590123412345', 'EAN13');
      * // { code: '5901234123457', format: 'EAN13' }
+     *
+     * generateSimple('012345000065', 'UPCE');
+     * // { code: '01234565', format: 'UPCE', upca: '012345000065' }
      */
     function generateSimple(value, type) {
         var code = value.trim();
+        var complete = SIMPLE_COMPLETION[type];
+        var result = complete ? complete(code) : { code: code };
 
-        // Auto-calculate EAN-13 check digit if 12 digits provided
-        if (type === 'EAN13' && code.length === 12 && /^\d+$/.test(code)) {
-            code += Utils.calcControlEAN13(code);
-        }
-
-        return {
-            code: code,
-            format: type
-        };
+        result.format = type;
+        return result;
     }
 
     /**
@@ -228,11 +981,127 @@
         var chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
         var id = '';
         for (var i = 0; i < 8; i++) {
-            id += chars.charAt(Math.floor(Math.random() * chars.length));
+            id += chars.charAt(Utils.rng.int(chars.length));
         }
         return id;
     }
 
+    /**
+     * Find Application Identifier at position
+     *
+     * @description Tries 2, 3 and 4 digit prefixes against Config.GS1_AI
+     * @param {string} code - Raw GS1 string
+     * @param {number} pos - Position to look at
+     * @returns {string|null} Matched AI or null
+     * @private
+     */
+    function findAI(code, pos) {
+        for (var len = 2; len <= 4; len++) {
+            var candidate = code.substr(pos, len);
+            if (candidate.length === len && Config.GS1_AI[candidate]) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse GS1 string into AI/value pairs
+     *
+     * @description Counterpart to generateGS1Code and the DataMatrix templates.
+     * Splits a raw string with GS (ASCII 29) separators into elements using
+     * Config.GS1_AI: fixed-length AIs consume exactly their length, variable-length
+     * AIs run until GS or end of data. Structural problems (unknown AI, short
+     * fixed field, over-long or empty variable field, non-digits in numeric AI,
+     * bad GTIN check digit, repeated AI) are collected in `errors`.
+     * Parsing stops at the first unknown AI since the rest cannot be delimited.
+     *
+     * @param {string} code - Raw GS1 string
+     * @returns {Object} Parse result
+     * @returns {Array} result.elements - [{ ai, name, value, position }]
+     * @returns {Object} result.values - Map of AI to value (first occurrence)
+     * @returns {Array} result.errors - [{ position, ai, message }]
+     * @returns {boolean} result.valid - True if no errors
+     *
+     * @example
+     * parseGS1('0104810099003310215Ab3xYz<GS>93dGz1').values
+     * // { '01': '04810099003310', '21': '5Ab3xYz', '93': 'dGz1' }
+     */
+    function parseGS1(code) {
+        var GS = Config.GS1_CONSTANTS.GS_CHAR;
+        var result = { elements: [], values: {}, errors: [], valid: false };
+
+        function addError(position, ai, message) {
+            result.errors.push({ position: position, ai: ai, message: message });
+        }
+
+        if (!code) {
+            addError(0, null, 'Пустой код');
+            return result;
+        }
+
+        var pos = 0;
+
+        while (pos < code.length) {
+            if (code.charAt(pos) === GS) {
+                if (pos === 0 || code.charAt(pos - 1) === GS) {
+                    addError(pos, null, 'Лишний разделитель GS');
+                }
+                pos++;
+                continue;
+            }
+
+            var ai = findAI(code, pos);
+            if (!ai) {
+                addError(pos, null, 'Неизвестный AI: "' + code.substr(pos, 4) + '"');
+                break;
+            }
+
+            var def = Config.GS1_AI[ai];
+            var start = pos + ai.length;
+            var value;
+
+            if (def.length) {
+                value = code.substr(start, def.length);
+                var gsIdx = value.indexOf(GS);
+                if (gsIdx !== -1) value = value.substring(0, gsIdx);
+
+                if (value.length < def.length) {
+                    addError(start, ai, 'AI ' + ai + ': ожидается ' + def.length + ' символов, получено ' + value.length);
+                }
+            } else {
+                var end = code.indexOf(GS, start);
+                if (end === -1) end = code.length;
+                value = code.substring(start, end);
+
+                if (value.length === 0) {
+                    addError(start, ai, 'AI ' + ai + ': пустое значение');
+                } else if (value.length > def.maxLength) {
+                    addError(start, ai, 'AI ' + ai + ': максимум ' + def.maxLength + ' символов, получено ' + value.length);
+                }
+            }
+
+            if (def.numeric && !/^\d*$/.test(value)) {
+                addError(start, ai, 'AI ' + ai + ': допускаются только цифры');
+            } else if (ai === '01' && value.length === 14 &&
+                Utils.calcControlGTIN(value.substring(0, 13)) !== parseInt(value.charAt(13))) {
+                addError(start, ai, 'AI 01: неверная контрольная цифра GTIN');
+            }
+
+            if (result.values[ai] !== undefined) {
+                addError(pos, ai, 'AI ' + ai + ' повторяется');
+            } else {
+                result.values[ai] = value;
+            }
+
+            result.elements.push({ ai: ai, name: def.name, value: value, position: pos });
+            pos = start + value.length;
+        }
+
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+
     /**
      * Extract EAN13 from GTIN used in DataMatrix
      *
@@ -245,10 +1114,9 @@
      */
     function extractEAN13FromDM(dmCode) {
         // Extract GTIN from AI 01 (14 digits)
-        var ai01Match = dmCode.match(/01(\d{14})/);
-        if (!ai01Match) return null;
+        var gtin14 = parseGS1(dmCode).values['01'];
+        if (!gtin14 || !/^\d{14}$/.test(gtin14)) return null;
 
-        var gtin14 = ai01Match[1];
         // Convert GTIN-14 to EAN-13 (remove first digit, recalculate check)
         var ean12 = gtin14.substring(1, 13);
         var checkDigit = Utils.calcControlEAN13(ean12);
@@ -257,42 +1125,258 @@
     }
 
     /**
-     * Break DataMatrix code by corrupting data
-     * 
-     * @description Creates a broken DataMatrix code for testing scanner error handling.
-     * Supports multiple break methods to simulate different types of damage.
-     * 
-     * @param {string} code - Original DataMatrix code
-     * @param {string} [method='removeChars'] - Break method: 
-     *   'removeChars' - Remove 5-10 random characters
-     *   'wrongChecksum' - Corrupt multiple GTIN digits (30% of digits)
-     *   'replaceGS' - Replace GS separators with ||| symbols
-     *   'addJunk' - Add 10-15 random junk characters
-     *   'random' - Use random method each time
-     * @returns {string} Broken code
-     * 
-     * @example
-     * breakDataMatrix('010481009900331021...', 'removeChars')
-     * // Returns code with 5-10 characters removed
+     * Characters outside GS1 AI character set (ISO 646 subset)
+     * @type {string}
+     * @private
      */
-    function breakDataMatrix(code, method) {
-        if (!code) return code;
-        
-        var brokenCode = code;
+    var NON_GS1_CHARS = ' #$@[]^`{|}~';
+
+    /**
+     * Cyrillic look-alikes of Latin letters
+     * @type {Object}
+     * @private
+     */
+    var CYRILLIC_LOOKALIKES = {
+        A: 'А', B: 'В', C: 'С', E: 'Е', H: 'Н', K: 'К', M: 'М', O: 'О', P: 'Р', T: 'Т', X: 'Х',
+        a: 'а', c: 'с', e: 'е', o: 'о', p: 'р', x: 'х', y: 'у'
+    };
+
+    /**
+     * Split GS1 string into element segments
+     *
+     * @description Segment is AI, value and GS separators after it, so
+     * joining head and segments gives the code back.
+     *
+     * @param {string} code - Raw GS1 string
+     * @returns {Object} { head, elements, segments }
+     * @private
+     */
+    function splitSegments(code) {
+        var elements = parseGS1(code).elements;
+        var segments = elements.map(function(element, i) {
+            var end = i + 1 < elements.length ? elements[i + 1].position : code.length;
+            return code.substring(element.position, end);
+        });
+
+        return {
+            head: elements.length ? code.substring(0, elements[0].position) : code,
+            elements: elements,
+            segments: segments
+        };
+    }
+
+    /**
+     * Join segments back into code
+     * @private
+     */
+    function joinSegments(split) {
+        return split.head + split.segments.join('');
+    }
+
+    /**
+     * Replace value of element in its segment (GS after value is kept)
+     * @private
+     */
+    function replaceValue(split, index, value) {
+        var element = split.elements[index];
+        var segment = split.segments[index];
+        split.segments[index] = element.ai + value + segment.substring(element.ai.length + element.value.length);
+    }
+
+    /**
+     * Find index of first element with one of AIs
+     * @private
+     */
+    function findElement(split, ais) {
+        for (var i = 0; i < split.elements.length; i++) {
+            if (ais.indexOf(split.elements[i].ai) !== -1) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Apply targeted corruption of GS1 elements
+     *
+     * @param {string} code - Valid code
+     * @param {string} method - Key of Config.CORRUPTIONS (element-level ones)
+     * @param {boolean} pack - GS1 Pack code (99MPUC...) instead of DataMatrix
+     * @returns {string|null} Corrupted code or null if code has no element to corrupt
+     * @private
+     */
+    function corruptElements(code, method, pack) {
+        var GS = Config.GS1_CONSTANTS.GS_CHAR;
+        var split = splitSegments(code);
+        var elements = split.elements;
+        var index, value;
+
+        switch (method) {
+            case 'truncatedCrypto':
+                // Crypto tail of DataMatrix, last element of GS1 Pack code that can be cut
+                index = -1;
+                elements.forEach(function(element, i) {
+                    if ((pack && element.value.length > 1) || ['91', '92', '93'].indexOf(element.ai) !== -1) index = i;
+                });
+                if (index === -1 || elements[index].value.length < 2) return null;
+
+                value = elements[index].value;
+                replaceValue(split, index, value.substring(0, Math.max(1, Math.floor(value.length / 2))));
+                return joinSegments(split);
+
+            case 'missingGS':
+                // GS before crypto tail, or before random element of GS1 Pack code
+                var candidates = [];
+                elements.forEach(function(element, i) {
+                    if (i > 0 && split.segments[i - 1].slice(-1) === GS &&
+                        (pack || ['91', '92', '93'].indexOf(element.ai) !== -1)) {
+                        candidates.push(i);
+                    }
+                });
+                if (candidates.length === 0) return null;
+
+                index = candidates[Utils.rng.int(candidates.length)];
+                split.segments[index - 1] = split.segments[index - 1].replace(/\x1D+$/, '');
+                return joinSegments(split);
+
+            case 'swappedAI':
+                // First two elements swapped; variable-length element keeps GS after it
+                if (elements.length < 2) return null;
+
+                var first = split.segments[0];
+                var second = split.segments[1];
+                if (!Config.GS1_AI[elements[1].ai].length && second.slice(-1) !== GS) second += GS;
+                split.segments[0] = second;
+                split.segments[1] = first;
+                return joinSegments(split);
+
+            case 'wrongGtinLength':
+                if (pack) {
+                    index = findElement(split, ['3103']);
+                    if (index !== -1) {
+                        // Fixed 6 digits: one digit short
+                        replaceValue(split, index, elements[index].value.slice(0, -1));
+                        return joinSegments(split);
+                    }
+                    index = findElement(split, ['37']);
+                    if (index === -1) return null;
+
+                    // Maximum 8 digits: one digit more
+                    replaceValue(split, index, '0' + elements[index].value);
+                    return joinSegments(split);
+                }
+                index = findElement(split, ['01']);
+                if (index === -1) return null;
+
+                replaceValue(split, index, elements[index].value.slice(0, -1));
+                return joinSegments(split);
+
+            case 'badSerialCharset':
+                index = findElement(split, ['21']);
+                if (index === -1) return null;
+
+                value = elements[index].value;
+                var position = Utils.rng.int(value.length);
+                var badChar = NON_GS1_CHARS.charAt(Utils.rng.int(NON_GS1_CHARS.length));
+                replaceValue(split, index, value.substring(0, position) + badChar + value.substring(position + 1));
+                return joinSegments(split);
+
+            case 'duplicateSerial':
+                // Second AI 21 with another serial right after the first one
+                index = findElement(split, ['21']);
+                if (index === -1) return null;
+
+                if (split.segments[index].slice(-1) !== GS) split.segments[index] += GS;
+                value = Utils.generateSerial('', elements[index].value.length);
+                split.segments.splice(index + 1, 0, '21' + value + (index + 1 < elements.length ? GS : ''));
+                return joinSegments(split);
+
+            case 'cyrillic':
+                // 1-3 Latin letters replaced by Cyrillic look-alikes
+                var positions = [];
+                for (var i = 0; i < code.length; i++) {
+                    if (CYRILLIC_LOOKALIKES[code.charAt(i)]) positions.push(i);
+                }
+                if (positions.length === 0) return null;
+
+                var chars = code.split('');
+                var count = Math.min(positions.length, Utils.rng.int(3) + 1);
+                for (var n = 0; n < count; n++) {
+                    var pick = positions.splice(Utils.rng.int(positions.length), 1)[0];
+                    chars[pick] = CYRILLIC_LOOKALIKES[chars[pick]];
+                }
+                return chars.join('');
+
+            case 'unknownGtin':
+                if (pack) {
+                    index = findElement(split, ['240']);
+                    if (index === -1) return null;
+
+                    do {
+                        value = '9' + Utils.randomDigits(7);
+                    } while (value === elements[index].value);
+                    replaceValue(split, index, value);
+                    return joinSegments(split);
+                }
+                index = findElement(split, ['01']);
+                if (index === -1) return null;
+
+                // Valid GTIN with Russian prefix 46x that is not in demo list or library
+                do {
+                    value = '046' + Utils.randomDigits(10);
+                    value += Utils.calcControlGTIN(value);
+                } while (value === elements[index].value);
+                replaceValue(split, index, value);
+                return joinSegments(split);
+        }
+        return null;
+    }
+
+    /**
+     * Break code by corrupting data
+     *
+     * @description Applies one corruption of Config.CORRUPTIONS. String-level
+     * corruptions (removeChars, wrongChecksum, replaceGS, addJunk) work on
+     * any code; the others change GS1 elements and fall back to removeChars
+     * when the code has no element to corrupt.
+     *
+     * @param {string} code - Valid code
+     * @param {string} method - Key of Config.CORRUPTIONS or 'random'
+     * @param {boolean} pack - GS1 Pack code (99MPUC...) instead of DataMatrix
+     * @returns {Object} { code, method, reason }
+     * @private
+     */
+    function corrupt(code, method, pack) {
         var breakMethod = method || 'removeChars';
-        
-        // If random method selected, pick one randomly
+        var brokenCode = code;
+
+        // If random method selected, pick one of applicable randomly
         if (breakMethod === 'random') {
-            var methods = ['removeChars', 'wrongChecksum', 'replaceGS', 'addJunk'];
-            breakMethod = methods[Math.floor(Math.random() * methods.length)];
+            var methods = Object.keys(Config.CORRUPTIONS).filter(function(key) {
+                return !pack || Config.CORRUPTIONS[key].gs1;
+            });
+            breakMethod = methods[Utils.rng.int(methods.length)];
+        }
+
+        if (!Config.CORRUPTIONS[breakMethod] || (pack && !Config.CORRUPTIONS[breakMethod].gs1)) {
+            console.warn('[BarGen Generators] Unknown break method: ' + breakMethod);
+            return { code: code, method: null, reason: null };
+        }
+
+        if (['removeChars', 'wrongChecksum', 'replaceGS', 'addJunk'].indexOf(breakMethod) === -1) {
+            brokenCode = corruptElements(code, breakMethod, pack);
+            if (brokenCode === null) {
+                console.log('[BarGen Generators] Breaking code: ' + breakMethod + ' does not apply, removing chars');
+                breakMethod = 'removeChars';
+            } else {
+                console.log('[BarGen Generators] Breaking code: ' + breakMethod);
+            }
         }
-        
+
         switch (breakMethod) {
             case 'removeChars':
                 // Remove 5-10 random characters for more visible damage
-                var removeCount = Math.floor(Math.random() * 6) + 5; // 5-10 chars
+                var removeCount = Utils.rng.int(6) + 5; // 5-10 chars
                 var maxPos = Math.max(0, code.length - removeCount);
-                var position = Math.floor(Math.random() * maxPos);
+                var position = Utils.rng.int(maxPos);
                 brokenCode = code.slice(0, position) + code.slice(position + removeCount);
                 console.log('[BarGen Generators] Breaking DM: removed ' + removeCount + ' chars at pos ' + position);
                 console.log('[BarGen Generators] Original length: ' + code.length + ', New length: ' + brokenCode.length);
@@ -305,8 +1389,8 @@
                     var gtinPart = code.substring(2, 16);
                     var corruptedGtin = '';
                     for (var k = 0; k < gtinPart.length; k++) {
-                        if (Math.random() < 0.3 && /\d/.test(gtinPart[k])) {
-                            corruptedGtin += (parseInt(gtinPart[k]) + Math.floor(Math.random() * 9) + 1) % 10;
+                        if (Utils.rng.random() < 0.3 && /\d/.test(gtinPart[k])) {
+                            corruptedGtin += (parseInt(gtinPart[k]) + Utils.rng.int(9) + 1) % 10;
                         } else {
                             corruptedGtin += gtinPart[k];
                         }
@@ -319,7 +1403,7 @@
                     // If no AI 01 found, change multiple random digits
                     brokenCode = '';
                     for (var i = 0; i < code.length; i++) {
-                        if (/\d/.test(code[i]) && Math.random() < 0.2) {
+                        if (/\d/.test(code[i]) && Utils.rng.random() < 0.2) {
                             brokenCode += (parseInt(code[i]) + 5) % 10;
                         } else {
                             brokenCode += code[i];
@@ -340,23 +1424,68 @@
             case 'addJunk':
                 // Add 10-15 random junk characters at random position for more visible damage
                 var junkChars = 'XYZQW!@#$%&*';
-                var junkCount = Math.floor(Math.random() * 6) + 10; // 10-15 chars
+                var junkCount = Utils.rng.int(6) + 10; // 10-15 chars
                 var junk = '';
                 for (var j = 0; j < junkCount; j++) {
-                    junk += junkChars.charAt(Math.floor(Math.random() * junkChars.length));
+                    junk += junkChars.charAt(Utils.rng.int(junkChars.length));
                 }
-                var insertPos = Math.floor(Math.random() * code.length);
+                var insertPos = Utils.rng.int(code.length);
                 brokenCode = code.slice(0, insertPos) + junk + code.slice(insertPos);
                 console.log('[BarGen Generators] Breaking DM: added "' + junk + '" at pos ' + insertPos);
                 console.log('[BarGen Generators] Original length: ' + code.length + ', New length: ' + brokenCode.length);
                 break;
-                
-            default:
-                console.warn('[BarGen Generators] Unknown break method: ' + breakMethod);
-                brokenCode = code;
         }
-        
-        return brokenCode;
+
+        var definition = Config.CORRUPTIONS[breakMethod];
+        return {
+            code: brokenCode,
+            method: breakMethod,
+            reason: pack ? definition.gs1.reason || definition.reason : definition.reason
+        };
+    }
+
+    /**
+     * Break DataMatrix code by corrupting data
+     *
+     * @description Creates a broken DataMatrix code for testing scanner and
+     * cash register error handling. Corruptions and the rejection reason
+     * expected for each are listed in Config.CORRUPTIONS.
+     *
+     * @param {string} code - Original DataMatrix code
+     * @param {string} [method='removeChars'] - Key of Config.CORRUPTIONS, e.g.
+     *   'removeChars' - Remove 5-10 random characters
+     *   'truncatedCrypto' - Cut crypto tail (AI 93/92) in half
+     *   'unknownGtin' - Replace GTIN with valid GTIN of unknown product
+     *   'random' - Use random method each time
+     * @returns {Object} { code, method, reason } - method actually applied
+     *   (random resolved, fallback to removeChars) and its expected rejection reason
+     *
+     * @example
+     * breakDataMatrix('0104810099003310215Ab3xYz<GS>93dGz1', 'missingGS')
+     * // { code: '0104810099003310215Ab3xYz93dGz1', method: 'missingGS', reason: '...' }
+     */
+    function breakDataMatrix(code, method) {
+        if (!code) return { code: code, method: null, reason: null };
+        return corrupt(code, method, false);
+    }
+
+    /**
+     * Break GS1 Pack code by corrupting data
+     *
+     * @description Same catalogue as breakDataMatrix, with GS1 Pack variants
+     * (Config.CORRUPTIONS[method].gs1); 'random' picks only those.
+     *
+     * @param {string} code - Original GS1 Pack code
+     * @param {string} [method='removeChars'] - Key of Config.CORRUPTIONS or 'random'
+     * @returns {Object} { code, method, reason }
+     *
+     * @example
+     * breakGS1Code('99MPUC<GS>240123<GS>3700000005<GS>', 'swappedAI').code
+     * // '240123<GS>99MPUC<GS>3700000005<GS>'
+     */
+    function breakGS1Code(code, method) {
+        if (!code) return { code: code, method: null, reason: null };
+        return corrupt(code, method, true);
     }
 
     /**
@@ -377,6 +1506,26 @@
         return str.length - dotIndex - 1;
     }
 
+    /**
+     * Convert quantity to number of portions
+     *
+     * @description Portion size is the packing coefficient (measureDiv) configured
+     * in the cash register: the register multiplies AI 37 by it.
+     *
+     * @param {number} quantity - Desired quantity
+     * @param {number} measureDiv - Packing coefficient (portion size)
+     * @returns {number|null} Portions, or null if quantity is not an exact multiple
+     *
+     * @example
+     * calculatePortions(0.5, 0.25) // 2
+     * calculatePortions(0.3, 0.25) // null
+     */
+    function calculatePortions(quantity, measureDiv) {
+        var portions = Math.round(quantity / measureDiv);
+        if (Math.abs(portions * measureDiv - quantity) > 1e-9) return null;
+        return portions;
+    }
+
     /**
      * Generate GS1 code
      *
@@ -387,10 +1536,18 @@
      * @param {string} params.goodsId - Product ID (1-8 digits)
      * @param {string} params.type - Product type ('piece' or 'weight')
      * @param {number} [params.quantity] - Quantity for piece goods
+     * @param {number} [params.measureDiv=1] - Packing coefficient: AI 37 carries
+     *   quantity / measureDiv portions and AI 97 is omitted
+     * @param {boolean} [params.legacyDecimal=false] - Ignore measureDiv and encode
+     *   quantity with AI 97 (old behaviour, for comparison tests)
      * @param {number} [params.weight] - Weight in grams for weight goods
      * @param {number} [params.discount=0] - Discount percentage (0-99)
-     * @param {string} [params.uniqueId] - Unique ID (auto-generated if discount > 0)
+     * @param {string} [params.uniqueId] - Unique ID (if discount > 0; issued via
+     *   serial registry and written back to params when not given)
      * @param {number} [params.decimalPosition] - Decimal position (auto-calculated)
+     * @param {Object} [options] - Deliberate errors (Config.GS1_ERRORS)
+     * @param {boolean} [options.noUniqueId=false] - Omit AI 21 after discount
+     * @param {boolean} [options.longGoodsId=false] - Keep GoodsId longer than 8 digits
      * @returns {string} GS1 format code
      *
      * @example
@@ -402,12 +1559,15 @@
      * })
      * // '99MPUC<GS>240123<GS>3700001245<GS>9810<GS>21ABC12345<GS>972<GS>'
      */
-    function generateGS1Code(params) {
+    function generateGS1Code(params, options) {
+        options = options || {};
+
         var GS = Config.GS1_CONSTANTS.GS_CHAR;
         var code = Config.GS1_CONSTANTS.PREFIX + GS;
 
         // AI 240 - GoodsId (1-8 символов, только цифры)
-        var goodsId = (params.goodsId || '').replace(/\D/g, '').substring(0, 8);
+        var goodsId = (params.goodsId || '').replace(/\D/g, '');
+        if (!options.longGoodsId) goodsId = goodsId.substring(0, 8);
         if (!goodsId) {
             throw new Error('GoodsId is required');
         }
@@ -416,16 +1576,26 @@
         // Определение типа товара и добавление соответствующего AI
         if (params.type === 'piece') {
             // AI 37 - Quantity (8 цифр с ведущими нулями)
-            // По ТЗ: передаём фактическое количество, используем AI 97 для дробной части
             var quantity = params.quantity || 0;
-            
-            // Вычисляем позицию десятичной точки
-            var decimalPosition = params.decimalPosition !== undefined 
-                ? params.decimalPosition 
-                : calculateDecimalPosition(quantity);
-            
-            // Преобразуем в сырое значение: quantity * 10^decimalPosition
-            var qtyRaw = Math.round(quantity * Math.pow(10, decimalPosition));
+            var measureDiv = params.measureDiv || 1;
+            var decimalPosition, qtyRaw;
+
+            if (measureDiv !== 1 && !params.legacyDecimal) {
+                // Товар с коэффициентом фасовки: передаём количество порций, без AI 97
+                qtyRaw = calculatePortions(quantity, measureDiv);
+                if (qtyRaw === null) {
+                    throw new Error('Quantity ' + quantity + ' is not a multiple of measureDiv ' + measureDiv);
+                }
+                decimalPosition = 0;
+            } else {
+                // По ТЗ: передаём фактическое количество, используем AI 97 для дробной части
+                decimalPosition = params.decimalPosition !== undefined
+                    ? params.decimalPosition
+                    : calculateDecimalPosition(quantity);
+
+                // Преобразуем в сырое значение: quantity * 10^decimalPosition
+                qtyRaw = Math.round(quantity * Math.pow(10, decimalPosition));
+            }
             code += Config.GS1_CONSTANTS.AI_QUANTITY + Utils.padZeros(qtyRaw, 8) + GS;
             
             // AI 98 - Discount (опционально)
@@ -433,8 +1603,10 @@
                 code += Config.GS1_CONSTANTS.AI_DISCOUNT + Utils.padZeros(params.discount, 2) + GS;
                 
                 // AI 21 - UniqueID (обязателен при скидке)
-                var uniqueId = params.uniqueId || generateUniqueId();
-                code += Config.GS1_CONSTANTS.AI_UNIQUE_ID + uniqueId + GS;
+                if (!options.noUniqueId) {
+                    params.uniqueId = params.uniqueId || issueUniqueId();
+                    code += Config.GS1_CONSTANTS.AI_UNIQUE_ID + params.uniqueId + GS;
+                }
             }
             
             // AI 97 - Decimal position (только если есть дробная часть)
@@ -451,8 +1623,10 @@
                 code += Config.GS1_CONSTANTS.AI_DISCOUNT + Utils.padZeros(params.discount, 2) + GS;
                 
                 // AI 21 - UniqueID (обязателен при скидке)
-                var uniqueId2 = params.uniqueId || generateUniqueId();
-                code += Config.GS1_CONSTANTS.AI_UNIQUE_ID + uniqueId2 + GS;
+                if (!options.noUniqueId) {
+                    params.uniqueId = params.uniqueId || issueUniqueId();
+                    code += Config.GS1_CONSTANTS.AI_UNIQUE_ID + params.uniqueId + GS;
+                }
             }
         } else {
             throw new Error('Invalid type: must be "piece" or "weight"');
@@ -464,7 +1638,8 @@
     /**
      * Render GS1 QR code
      *
-     * @description Renders QR code using bwip-js library
+     * @description Renders QR code using bwip-js library, with raster
+     * damage when enabled in State.damage
      * @param {HTMLElement} container - Container element for canvas
      * @param {string} code - GS1 code to encode
      */
@@ -482,7 +1657,7 @@
                 scale: 3,
                 eclevel: 'M'
             });
-            container.appendChild(canvas);
+            container.appendChild(damaged(canvas, 3, code));
         } catch (e) {
             container.innerHTML = '<div style="color:red">Ошибка генерации QR</div>';
             console.error('[BarGen Generators] QR code render error:', e);
@@ -490,74 +1665,123 @@
     }
 
     /**
-     * Generate barcode from config
+     * Render code as image file content
      *
-     * @description Used by Barcode tab to generate codes based on BARCODE_CONFIGS
+     * @description 2D symbols and Constructor formats missing in JsBarcode
+     * are drawn by bwip-js (toSVG / toCanvas), other linear ones by
+     * JsBarcode. Scale is module size in pixels, padding is quiet zone in
+     * modules.
      *
-     * @param {string} typeId - Config type ID (e.g., 'code128_19_piece')
-     * @param {Object} values - Field values
-     * @param {boolean} [simulateError=false] - Generate wrong check digit
-     * @returns {Object|null} Generated barcode or null on error
+     * @param {Object} symbol - Symbol: { kind, code, mode, format }
+     * @param {string} symbol.kind - 'datamatrix', 'qrcode' or 'linear'
+     * @param {string} [symbol.mode] - DataMatrix encoding mode ('gs1' or 'raw')
+     * @param {string} [symbol.format] - Format of linear codes (key of Config.SIMPLE_FORMATS)
+     * @param {string} type - 'svg' or 'png'
+     * @param {Object} options - { scale, padding }
+     * @returns {string} SVG markup or PNG data URL
+     * @throws {Error} If code cannot be encoded
+     *
+     * @example
+     * renderSymbol({ kind: 'linear', code: '2200123005007', format: 'EAN13' }, 'svg', { scale: 2, padding: 10 })
+     * // '<svg ...>...</svg>'
      */
-    function generateFromConfig(typeId, values, simulateError) {
-        var cfg = Config.BARCODE_CONFIGS[typeId];
-        if (!cfg) return null;
-
-        var code = cfg.prefix;
-        var hasError = false;
+    function renderSymbol(symbol, type, options) {
+        var simple = symbol.kind === 'linear' ? simpleBwip(symbol.code, symbol.format) : null;
 
-        // Build code from fields
-        cfg.fields.forEach(function(field) {
-            var value = values[field.name] || '';
-            value = value.replace(/\D/g, '');
+        if (symbol.kind === 'linear' && !simple) {
+            var definition = Config.SIMPLE_FORMATS[symbol.format];
+            var settings = {
+                format: definition ? definition.jsbarcode : symbol.format || 'CODE128',
+                width: options.scale,
+                height: 35 * options.scale,
+                margin: options.padding * options.scale,
+                fontSize: 7 * options.scale,
+                displayValue: true
+            };
 
-            if (value.length > field.length) {
-                hasError = true;
+            if (type === 'svg') {
+                var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+                // @ts-ignore - JsBarcode is loaded externally
+                JsBarcode(svg, symbol.code, settings);
+                svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+                return new XMLSerializer().serializeToString(svg);
             }
 
-            code += Utils.padZeros(value, field.length);
-        });
+            var linearCanvas = document.createElement('canvas');
+            // @ts-ignore
+            JsBarcode(linearCanvas, symbol.code, settings);
+            return linearCanvas.toDataURL('image/png');
+        }
 
-        if (hasError) return null;
+        var bwipOptions = simple || (symbol.kind === 'datamatrix' ? dmSymbol(symbol.code, symbol.mode) :
+            { bcid: 'qrcode', text: symbol.code, eclevel: 'M' });
+        bwipOptions.scale = options.scale;
+        bwipOptions.padding = options.padding;
 
-        // Calculate control digit
-        var ctrl;
-        if (cfg.fixedControl !== undefined) {
-            ctrl = cfg.fixedControl;
-        } else if (typeId === 'ean13_weight') {
-            ctrl = Utils.calcControlEAN13(code).toString();
-        } else {
-            ctrl = Utils.calcControlCore(code).toString();
+        if (type === 'svg') {
+            // @ts-ignore - bwipjs is loaded externally
+            return bwipjs.toSVG(bwipOptions);
         }
 
-        // Simulate error if requested
-        if (simulateError && cfg.fixedControl === undefined) {
-            var badCtrl = Math.floor(Math.random() * 10).toString();
-            while (badCtrl === ctrl) {
-                badCtrl = Math.floor(Math.random() * 10).toString();
-            }
-            ctrl = badCtrl;
-        }
+        var canvas = document.createElement('canvas');
+        // @ts-ignore
+        bwipjs.toCanvas(canvas, bwipOptions);
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Generate barcode from layout
+     *
+     * @description Used by Barcode tab: values are entered field digits
+     *
+     * @param {string} typeId - Layout ID (e.g., 'code128_19_piece')
+     * @param {Object} values - Field values
+     * @param {Object} [options] - Deliberate errors, see buildWeightCode
+     * @returns {Object|null} Generated barcode or null on error
+     */
+    function generateFromConfig(typeId, values, options) {
+        var layout = Config.WEIGHT_LAYOUTS[typeId];
+        if (!layout) return null;
+
+        var bc = buildWeightCode(layout, values, options);
+        if (bc.errors.length > 0) return null;
 
         return {
-            code: code + ctrl,
-            format: cfg.format
+            code: bc.code,
+            format: bc.format
         };
     }
 
     // Export to namespace
     global.BarGen.Generators = {
         generateDM: generateDM,
+        issueDM: issueDM,
+        getDMMode: getDMMode,
+        getDMEncoding: getDMEncoding,
+        buildTemplateCode: buildTemplateCode,
+        syncCustomTemplates: syncCustomTemplates,
+        toGS1Bracketed: toGS1Bracketed,
         renderDM: renderDM,
         breakDataMatrix: breakDataMatrix,
+        breakGS1Code: breakGS1Code,
         generateWeightBarcode: generateWeightBarcode,
+        getWeightLayoutId: getWeightLayoutId,
+        buildWeightCode: buildWeightCode,
+        freeWeightPrefixes: freeWeightPrefixes,
+        hasWeightField: hasWeightField,
+        syncWeightLayouts: syncWeightLayouts,
         renderBarcode: renderBarcode,
         generateSimple: generateSimple,
+        expandUPCE: expandUPCE,
+        compressUPCA: compressUPCA,
         generateFromConfig: generateFromConfig,
         generateGS1Code: generateGS1Code,
         renderGS1QR: renderGS1QR,
+        renderSymbol: renderSymbol,
         generateUniqueId: generateUniqueId,
         calculateDecimalPosition: calculateDecimalPosition,
+        calculatePortions: calculatePortions,
+        parseGS1: parseGS1,
         extractEAN13FromDM: extractEAN13FromDM
     };
 
@@ -0,0 +1,534 @@
+/**
+ * BarGen Validator Module
+ *
+ * @description Identifies a pasted or scanned code and checks it, so support
+ * can tell why a register rejected a code from a store:
+ * - DataMatrix of marking (01 GTIN + 21 serial + 93 or 91/92): AI structure,
+ *   GTIN check digit, serial charset, crypto tail length
+ * - GS1 Pack (99MPUC...): GoodsId, quantity / weight, discount rules
+ * - Weight labels of Config.WEIGHT_LAYOUTS (prefix and length): field values,
+ *   check digit and price check digit
+ * - EAN-13, EAN-8, UPC-A, UPC-E, ITF-14 / GTIN-14: check digit
+ * Reasons are worded as in Config.CORRUPTIONS, Config.WEIGHT_ERRORS and
+ * Config.GS1_ERRORS, so a deliberately broken code reads the same here.
+ * @module Validator
+ *
+ * @example
+ * var report = BarGen.Validator.validate('2200123015006');
+ * // { type: 'weight', name: '22-EAN-13: весовой (13)', valid: true,
+ * //   fields: [{ name: 'Код товара (PLU)', value: '00123' }, ...],
+ * //   checks: [{ name: 'Контрольная цифра', ok: true, message: '6' }] }
+ */
+(function(global) {
+    'use strict';
+
+    // Initialize namespace
+    global.BarGen = global.BarGen || {};
+
+    var Config = global.BarGen.Config;
+    var Utils = global.BarGen.Utils;
+    var Generators = global.BarGen.Generators;
+
+    var GS = Config.GS1_CONSTANTS.GS_CHAR;
+
+    /**
+     * Characters allowed in GS1 alphanumeric AIs (set 82)
+     * @type {RegExp}
+     * @private
+     */
+    var GS1_CHARSET = /^[!"%-?A-Z_a-z]*$/;
+
+    /**
+     * Crypto tail elements of marking DataMatrix and their lengths
+     * @type {Object}
+     * @private
+     */
+    var DM_CRYPTO_LENGTHS = { '91': 4, '92': 44, '93': 4 };
+
+    /**
+     * Restore GS and raw form of pasted code
+     *
+     * @description Trims whitespace, replaces GS notations of scanners and
+     * exports (Config.WEDGE.GS_TOKENS) with GS and converts bracketed AI
+     * notation '(01)...(21)...' to raw form.
+     *
+     * @param {string} text - Pasted or scanned text
+     * @returns {string} Code
+     *
+     * @example
+     * normalize('(01)04810099003310(21)5Ab3xYz(93)dGz1')
+     * // '0104810099003310215Ab3xYz<GS>93dGz1'
+     */
+    function normalize(text) {
+        var code = (text || '').replace(/^\s+|\s+$/g, '');
+
+        Config.WEDGE.GS_TOKENS.forEach(function(token) {
+            code = code.split(token).join(GS);
+        });
+
+        return /^\(\d{2,4}\)/.test(code) ? fromBracketed(code) : code;
+    }
+
+    /**
+     * Convert bracketed AI notation to raw form with GS after variable-length values
+     * @private
+     */
+    function fromBracketed(code) {
+        var raw = '';
+        var variable = false;
+        var re = /\((\d{2,4})\)([^(]*)/g;
+        var match;
+
+        while ((match = re.exec(code)) !== null) {
+            var def = Config.GS1_AI[match[1]];
+            raw += (variable ? GS : '') + match[1] + match[2];
+            variable = !def || !def.length;
+        }
+        return raw;
+    }
+
+    /**
+     * Create empty report
+     * @private
+     */
+    function createReport(code, type, name) {
+        return { code: code, type: type, name: name, fields: [], checks: [], valid: false };
+    }
+
+    /**
+     * Add decoded field to report
+     * @private
+     */
+    function addField(report, name, value) {
+        report.fields.push({ name: name, value: value });
+    }
+
+    /**
+     * Add check result to report
+     * @private
+     */
+    function addCheck(report, name, ok, message) {
+        report.checks.push({ name: name, ok: !!ok, message: message || '' });
+    }
+
+    /**
+     * Compare check digit of code with expected one
+     * @private
+     */
+    function checkDigit(report, code, expected) {
+        var actual = code.charAt(code.length - 1);
+        addCheck(report, 'Контрольная цифра', actual === String(expected),
+            actual === String(expected) ? actual : 'ожидается ' + expected + ', в коде ' + actual);
+    }
+
+    /**
+     * Check cyrillic look-alikes in code
+     * @private
+     */
+    function checkCyrillic(report, pack) {
+        if (/[А-Яа-яЁё]/.test(report.code)) {
+            var definition = Config.CORRUPTIONS.cyrillic;
+            addCheck(report, 'Символы', false, pack ? definition.gs1.reason : definition.reason);
+        }
+    }
+
+    /**
+     * Add AI structure errors of parser (except those of skipped AIs)
+     * @private
+     */
+    function checkStructure(report, parsed, skip) {
+        var errors = parsed.errors.filter(function(error) {
+            return !skip || skip.indexOf(error.ai) === -1;
+        });
+
+        addCheck(report, 'Структура AI', errors.length === 0, errors.length === 0 ?
+            parsed.elements.map(function(el) { return el.ai; }).join(', ') :
+            errors.map(function(error) { return error.message; }).join('; '));
+    }
+
+    /**
+     * Check GTIN-14 of AI 01
+     * @private
+     */
+    function checkGtin(report, gtin) {
+        if (gtin === undefined) {
+            addCheck(report, 'GTIN (AI 01)', false, Config.CORRUPTIONS.swappedAI.reason);
+        } else if (!/^\d{14}$/.test(gtin)) {
+            addCheck(report, 'GTIN (AI 01)', false, Config.CORRUPTIONS.wrongGtinLength.reason);
+        } else {
+            var expected = Utils.calcControlGTIN(gtin.substring(0, 13));
+            addCheck(report, 'GTIN (AI 01)', String(expected) === gtin.charAt(13), String(expected) === gtin.charAt(13) ?
+                gtin : Config.CORRUPTIONS.wrongChecksum.reason + ': ожидается ' + expected + ', в коде ' + gtin.charAt(13));
+        }
+    }
+
+    /**
+     * Validate marking DataMatrix (01 + 21 + crypto tail)
+     * @private
+     */
+    function validateDM(code) {
+        var parsed = Generators.parseGS1(code);
+        var values = parsed.values;
+        var type = values['92'] !== undefined || values['91'] !== undefined ? 'Тип 2 (91 + 92)' :
+            values['93'] !== undefined ? 'Тип 1 (93)' : 'без кода проверки';
+        var report = createReport(code, 'dm', 'DataMatrix маркировки, ' + type);
+
+        parsed.elements.forEach(function(el) {
+            addField(report, el.name + ' (' + el.ai + ')', el.value);
+        });
+        if (values['01'] && values['01'].charAt(0) === '0') {
+            addField(report, 'EAN-13', values['01'].substring(1));
+        }
+
+        checkStructure(report, parsed, ['01']);
+
+        if (parsed.elements.length > 0 && parsed.elements[0].ai !== '01') {
+            addCheck(report, 'Порядок AI', false, Config.CORRUPTIONS.swappedAI.reason);
+        }
+        checkGtin(report, values['01']);
+
+        var serial = values['21'];
+        if (serial === undefined) {
+            addCheck(report, 'Серийный номер (AI 21)', false, 'Нет серийного номера');
+        } else {
+            addCheck(report, 'Серийный номер (AI 21)', GS1_CHARSET.test(serial),
+                GS1_CHARSET.test(serial) ? serial.length + ' симв.' : Config.CORRUPTIONS.badSerialCharset.reason);
+        }
+
+        var crypto = Object.keys(DM_CRYPTO_LENGTHS).filter(function(ai) {
+            return values[ai] !== undefined;
+        });
+
+        if (crypto.length === 0) {
+            // Crypto tail without GS stays inside serial
+            var merged = serial && /9[123]/.test(serial.substring(1));
+            addCheck(report, 'Код проверки (AI 91/92, 93)', false,
+                merged ? Config.CORRUPTIONS.missingGS.reason : 'Нет кода проверки');
+        } else {
+            crypto.forEach(function(ai) {
+                var ok = values[ai].length === DM_CRYPTO_LENGTHS[ai];
+                addCheck(report, 'Код проверки (AI ' + ai + ')', ok, ok ? values[ai].length + ' симв.' :
+                    Config.CORRUPTIONS.truncatedCrypto.reason + ': ' + values[ai].length + ' симв. вместо ' + DM_CRYPTO_LENGTHS[ai]);
+            });
+        }
+
+        checkCyrillic(report, false);
+        return report;
+    }
+
+    /**
+     * Validate GS1 Pack code (99MPUC...)
+     * @private
+     */
+    function validatePack(code) {
+        var parsed = Generators.parseGS1(code);
+        var values = parsed.values;
+        var C = Config.GS1_CONSTANTS;
+        var report = createReport(code, 'gs1pack', 'Фасовка GS1 (99MPUC)');
+
+        checkStructure(report, parsed);
+
+        if (code.indexOf(C.PREFIX) !== 0) {
+            addCheck(report, 'Префикс (AI 99)', false, Config.CORRUPTIONS.swappedAI.gs1.reason);
+        }
+
+        // GoodsId
+        var goodsId = values[C.AI_GOODS_ID];
+        if (goodsId === undefined) {
+            addCheck(report, 'GoodsId (AI 240)', false, 'Нет GoodsId');
+        } else {
+            addField(report, 'GoodsId', goodsId);
+            var idOk = /^\d{1,8}$/.test(goodsId);
+            addCheck(report, 'GoodsId (AI 240)', idOk, idOk ? goodsId.length + ' цифр' :
+                goodsId.length > 8 ? Config.GS1_ERRORS.longGoodsId : 'Допускаются только цифры');
+        }
+
+        // Quantity (piece) or weight
+        var qty = values[C.AI_QUANTITY];
+        var weight = values[C.AI_WEIGHT];
+        var decimal = values[C.AI_DECIMAL_POS];
+
+        if ((qty === undefined) === (weight === undefined)) {
+            addCheck(report, 'Количество / вес', false, qty === undefined ?
+                'Нет количества (AI 37) или веса (AI 3103)' : 'Одновременно количество (AI 37) и вес (AI 3103)');
+        } else if (weight !== undefined) {
+            var grams = parseInt(weight, 10) || 0;
+            addField(report, 'Вес', Utils.formatWeight(grams));
+            addCheck(report, 'Вес (AI 3103)', /^\d{6}$/.test(weight) && grams > 0,
+                /^\d{6}$/.test(weight) ? (grams > 0 ? weight : 'Нулевой вес') : Config.CORRUPTIONS.wrongGtinLength.gs1.reason);
+            if (decimal !== undefined) {
+                addCheck(report, 'Позиция запятой (AI 97)', false, 'AI 97 только для штучного товара');
+            }
+        } else {
+            var qtyOk = /^\d{1,8}$/.test(qty);
+            addCheck(report, 'Количество (AI 37)', qtyOk, qtyOk ? qty : Config.CORRUPTIONS.wrongGtinLength.gs1.reason);
+
+            var places = decimal !== undefined ? parseInt(decimal, 10) : 0;
+            if (decimal !== undefined) {
+                var decimalOk = /^[1-3]$/.test(decimal);
+                var whole = decimalOk && parseInt(qty, 10) % Math.pow(10, places) === 0;
+                addCheck(report, 'Позиция запятой (AI 97)', decimalOk && !whole,
+                    !decimalOk ? 'Ожидается 1-3 знака после запятой' : whole ? Config.GS1_ERRORS.wholeDecimalPos : decimal);
+            }
+            addField(report, 'Количество', qtyOk ? String(parseInt(qty, 10) / Math.pow(10, places || 0)) + ' шт' : qty);
+        }
+
+        // Discount requires UniqueID
+        var discount = values[C.AI_DISCOUNT];
+        var uniqueId = values[C.AI_UNIQUE_ID];
+
+        if (discount !== undefined) {
+            addField(report, 'Скидка', discount + '%');
+            var discountOk = /^\d{1,2}$/.test(discount);
+            addCheck(report, 'Скидка (AI 98)', discountOk, discountOk ? discount + '%' : Config.GS1_ERRORS.discountOver99);
+            if (parseInt(discount, 10) > 0 && uniqueId === undefined) {
+                addCheck(report, 'UniqueID (AI 21)', false, Config.GS1_ERRORS.noUniqueId);
+            }
+        }
+        if (uniqueId !== undefined) {
+            addField(report, 'UniqueID', uniqueId);
+            var uniqueOk = /^[A-Z0-9]{8}$/.test(uniqueId);
+            addCheck(report, 'UniqueID (AI 21)', uniqueOk, uniqueOk ? uniqueId :
+                uniqueId.length > 8 ? Config.CORRUPTIONS.missingGS.gs1.reason : Config.CORRUPTIONS.truncatedCrypto.gs1.reason);
+        }
+
+        checkCyrillic(report, true);
+        return report;
+    }
+
+    /**
+     * Weight layouts whose prefix starts the code
+     * @private
+     */
+    function weightLayoutsByPrefix(code) {
+        return Object.keys(Config.WEIGHT_LAYOUTS).filter(function(id) {
+            return code.indexOf(Config.WEIGHT_LAYOUTS[id].prefix) === 0;
+        });
+    }
+
+    /**
+     * Full code length of weight layout
+     * @private
+     */
+    function weightLength(layout) {
+        var length = layout.prefix.length + (layout.check === 'none' ? 0 : 1);
+        layout.fields.forEach(function(field) {
+            length += field.length;
+        });
+        return length;
+    }
+
+    /**
+     * Validate code of weight label layout
+     * @private
+     */
+    function validateWeight(code, id) {
+        var layout = Config.WEIGHT_LAYOUTS[id];
+        var report = createReport(code, 'weight', layout.name);
+        var length = weightLength(layout);
+
+        if (code.length !== length) {
+            var overflow = code.length === length + 1 && Generators.hasWeightField(layout, 'weight');
+            addCheck(report, 'Длина', false, (overflow ? Config.WEIGHT_ERRORS.overweight + ': ' : '') +
+                'ожидается ' + length + ', в коде ' + code.length +
+                (code.length > length && !overflow ? ' (' + Config.WEIGHT_ERRORS.overweight.toLowerCase() + '?)' : ''));
+            return report;
+        }
+        addCheck(report, 'Длина', true, length + ' цифр');
+
+        var parts = {};
+        var pos = layout.prefix.length;
+
+        layout.fields.forEach(function(field) {
+            var value = code.substr(pos, field.length);
+            var decimals = field.decimals !== undefined ? field.decimals :
+                (Config.WEIGHT_FIELDS[field.name] || {}).decimals;
+            var number = parseInt(value, 10) || 0;
+
+            parts[field.name] = value;
+            pos += field.length;
+
+            switch (field.name) {
+                case 'weight':
+                    var grams = Math.round(number * Math.pow(10, 3 - decimals));
+                    addField(report, 'Вес', Utils.formatWeight(grams));
+                    if (grams === 0) addCheck(report, 'Вес', false, Config.WEIGHT_ERRORS.zeroWeight);
+                    break;
+                case 'price':
+                    addField(report, 'Цена', Utils.formatPrice(number / Math.pow(10, decimals)));
+                    break;
+                case 'discount':
+                    addField(report, 'Скидка', number + '%');
+                    break;
+                case 'verifier':
+                    break;
+                default:
+                    addField(report, (Config.WEIGHT_FIELDS[field.name] || {}).name || field.name, value);
+            }
+        });
+
+        // Price check digit of 4/5-digit price (or weight) field
+        pos = layout.prefix.length;
+        layout.fields.forEach(function(field) {
+            if (field.name === 'verifier') {
+                var expected = Utils.calcPriceCheck(parts[field.of] || '');
+                var actual = code.charAt(pos);
+                addCheck(report, Config.WEIGHT_FIELDS.verifier.name, String(expected) === actual,
+                    String(expected) === actual ? actual : Config.WEIGHT_ERRORS.wrongVerifier + ': ожидается ' + expected + ', в коде ' + actual);
+            }
+            pos += field.length;
+        });
+
+        var body = code.substring(0, code.length - 1);
+        switch (layout.check) {
+            case 'ean13':
+                checkDigit(report, code, code.length === 13 ? Utils.calcControlEAN13(body) : Utils.calcControlGTIN(body));
+                break;
+            case 'sum':
+                checkDigit(report, code, Utils.calcControlCore(body));
+                break;
+            case 'fixed':
+                checkDigit(report, code, layout.control || '0');
+                break;
+        }
+
+        return report;
+    }
+
+    /**
+     * Validate GTIN family code by length (EAN-8 / UPC-E, UPC-A, EAN-13, ITF-14)
+     * @private
+     */
+    function validateRetail(code) {
+        var body = code.substring(0, code.length - 1);
+        var report;
+
+        switch (code.length) {
+            case 8:
+                var upca = Generators.expandUPCE(code);
+                if (String(Utils.calcControlGTIN(body)) !== code.charAt(7) && upca &&
+                    String(Utils.calcControlGTIN(upca.substring(0, 11))) === code.charAt(7)) {
+                    report = createReport(code, 'retail', 'UPC-E');
+                    addField(report, 'UPC-A', upca);
+                    checkDigit(report, code, upca.charAt(11));
+                    return report;
+                }
+                report = createReport(code, 'retail', 'EAN-8');
+                checkDigit(report, code, Utils.calcControlGTIN(body));
+                return report;
+            case 12:
+                report = createReport(code, 'retail', 'UPC-A');
+                break;
+            case 13:
+                report = createReport(code, 'retail', 'EAN-13');
+                checkDigit(report, code, Utils.calcControlEAN13(body));
+                if (code.charAt(0) === '2') {
+                    addField(report, 'Префикс ' + code.substring(0, 2), 'Внутренний код магазина (20-29), формат весовой этикетки не найден');
+                }
+                return report;
+            case 14:
+                report = createReport(code, 'retail', 'ITF-14 / GTIN-14');
+                addField(report, 'Индикатор упаковки', code.charAt(0));
+                break;
+            default:
+                return null;
+        }
+
+        checkDigit(report, code, Utils.calcControlGTIN(body));
+        return report;
+    }
+
+    /**
+     * Identify and check code
+     *
+     * @description Detection order: GS1 Pack prefix 99MPUC, digits only (weight
+     * layout by prefix and length, then EAN/UPC/ITF by length; a code with
+     * weight prefix one digit longer than a layout with weight field is an
+     * overflowed weight code even if it is a valid GTIN-14, other wrong lengths
+     * are reported as weight code unless it is a valid GTIN), then by AI:
+     * GS1 Pack (AI 99), marking DataMatrix (AI 01), other GS1 strings.
+     *
+     * @param {string} text - Pasted or scanned code (GS as in Config.WEDGE.GS_TOKENS
+     *   or bracketed AI notation are accepted)
+     * @returns {Object} Report
+     * @returns {string} result.code - Normalized code
+     * @returns {string} result.type - 'dm', 'gs1pack', 'weight', 'retail', 'gs1' or 'unknown'
+     * @returns {string} result.name - Identified format
+     * @returns {Array} result.fields - Decoded fields [{ name, value }]
+     * @returns {Array} result.checks - [{ name, ok, message }]
+     * @returns {boolean} result.valid - True if all checks passed
+     *
+     * @example
+     * validate('99MPUC<GS>240123<GS>3700000012<GS>9810<GS>').checks
+     * // [..., { name: 'UniqueID (AI 21)', ok: false, message: 'Скидка без UniqueID' }]
+     */
+    function validate(text) {
+        var code = normalize(text);
+        var report;
+
+        if (!code) {
+            report = createReport(code, 'unknown', 'Пустой код');
+            addCheck(report, 'Код', false, 'Вставьте или отсканируйте код');
+        } else if (code.indexOf(Config.GS1_CONSTANTS.PREFIX) === 0) {
+            report = validatePack(code);
+        } else if (/^\d+$/.test(code)) {
+            var layouts = weightLayoutsByPrefix(code);
+            var exact = layouts.filter(function(id) {
+                return weightLength(Config.WEIGHT_LAYOUTS[id]) === code.length;
+            });
+            // Weight one digit longer than its field (Weight Carousel error copies)
+            var overflowed = layouts.filter(function(id) {
+                var layout = Config.WEIGHT_LAYOUTS[id];
+                return weightLength(layout) === code.length - 1 && Generators.hasWeightField(layout, 'weight');
+            });
+            var retail = validateRetail(code);
+
+            if (exact.length > 0) {
+                report = validateWeight(code, exact[0]);
+            } else if (overflowed.length > 0) {
+                report = validateWeight(code, overflowed[0]);
+            } else if (layouts.length > 0 && !(retail && retail.checks.every(function(c) { return c.ok; }))) {
+                report = validateWeight(code, layouts[0]);
+            } else {
+                report = retail;
+                if (report && layouts.length > 0) {
+                    var layout = Config.WEIGHT_LAYOUTS[layouts[0]];
+                    addField(report, 'Префикс ' + layout.prefix, layout.name + ': ожидается ' +
+                        weightLength(layout) + ' цифр, в коде ' + code.length);
+                }
+            }
+        }
+
+        if (!report && code) {
+            var parsed = Generators.parseGS1(code);
+
+            if (code.indexOf('99') === 0 || parsed.values['99'] !== undefined) {
+                report = validatePack(code);
+            } else if (code.indexOf('01') === 0 || parsed.values['01'] !== undefined) {
+                report = validateDM(code);
+            } else if (!/^\d+$/.test(code) && parsed.elements.length > 0) {
+                report = createReport(code, 'gs1', 'Строка GS1');
+                parsed.elements.forEach(function(el) {
+                    addField(report, el.name + ' (' + el.ai + ')', el.value);
+                });
+                checkStructure(report, parsed);
+            }
+        }
+
+        if (!report) {
+            report = createReport(code, 'unknown', 'Формат не распознан');
+            addCheck(report, 'Формат', false,
+                'Ожидается DataMatrix (01...), фасовка (99MPUC...), весовой код или EAN/UPC/ITF (8, 12, 13, 14 цифр)');
+        }
+
+        report.valid = report.checks.every(function(check) { return check.ok; });
+        return report;
+    }
+
+    // Export to namespace
+    global.BarGen.Validator = {
+        normalize: normalize,
+        validate: validate
+    };
+
+})(window);
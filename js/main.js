@@ -50,7 +50,7 @@
      * Initialize application
      *
      * @description Main initialization function:
-     * 1. Load stored data
+     * 1. Load stored data (asynchronous, IndexedDB)
      * 2. Bind all event handlers
      * 3. Render initial UI
      * 4. Start DataMatrix timer
@@ -58,29 +58,33 @@
     function init() {
         console.log('[BarGen v' + BarGen.Config.VERSION + '] Initializing...');
 
-        // Load stored data
-        Storage.load();
+        // Load stored data, then start
+        Storage.load(start);
+    }
+
+    /**
+     * Start application after stored data is loaded
+     */
+    function start() {
+        BarGen.Generators.syncCustomTemplates();
+        BarGen.Generators.syncWeightLayouts();
 
         // Bind events
         bindTabEvents();
+        bindSeedEvents();
+        bindVerifyEvents();
+        bindDamageEvents();
         bindDataMatrixEvents();
         bindLibraryEvents();
         bindBarcodeEvents();
         bindWeightCarouselEvents();
         bindSimpleGenEvents();
         bindGs1Events();
+        bindValidateEvents();
         bindGlobalEvents();
 
         // Render initial UI
-        UI.renderDmFolders();
-        UI.renderDmItems();
-        UI.renderBarcodeFields();
-        UI.renderWcFolders();
-        UI.renderWcItems();
-        UI.renderSgFolders();
-        UI.renderGs1Folders();
-        UI.renderGs1Items();
-        UI.renderHistory();
+        UI.renderAll();
 
         // Start DataMatrix with library check
         waitForBwipJs(function() {
@@ -88,7 +92,7 @@
             Controllers.DM.startTimer();
         });
 
-        console.log('[BarGen v' + BarGen.Config.VERSION + '] Ready');
+        console.log('[BarGen v' + BarGen.Config.VERSION + '] Ready (' + Storage.getBackend() + ')');
     }
 
     /**
@@ -102,6 +106,93 @@
         });
     }
 
+    /**
+     * Bind random seed bar events
+     */
+    function bindSeedEvents() {
+        Utils.on(Utils.$('seed-pin-btn'), 'click', function() {
+            Controllers.Seed.pin(Utils.$('seed-input').value);
+        });
+
+        Utils.on(Utils.$('seed-input'), 'keydown', function(e) {
+            if (e.key === 'Enter') {
+                Controllers.Seed.pin(e.target.value);
+            }
+        });
+
+        Utils.on(Utils.$('seed-new-btn'), 'click', function() {
+            Controllers.Seed.unpin();
+        });
+    }
+
+    /**
+     * Bind scanner verification panel events
+     */
+    function bindVerifyEvents() {
+        Utils.on(Utils.$('verify-enabled'), 'change', function(e) {
+            Controllers.Verify.setEnabled(e.target.checked);
+            e.target.blur(); // focused checkbox would catch Space/Enter from scanner
+        });
+
+        ['prefix', 'suffix', 'gsToken'].forEach(function(field) {
+            Utils.on(Utils.$('verify-' + field), 'change', function(e) {
+                Controllers.Verify.setOption(field, e.target.value);
+            });
+        });
+
+        Utils.on(Utils.$('verify-clear-btn'), 'click', function() {
+            Controllers.Verify.clearLog();
+        });
+    }
+
+    /**
+     * Bind image damage panel events (sliders are bound by UI.renderDamage)
+     */
+    function bindDamageEvents() {
+        Utils.on(Utils.$('damage-enabled'), 'change', function(e) {
+            Controllers.Damage.setEnabled(e.target.checked);
+        });
+
+        Utils.on(Utils.$('damage-reset-btn'), 'click', function() {
+            Controllers.Damage.reset();
+        });
+    }
+
+    /**
+     * Bind Validate tab events
+     */
+    function bindValidateEvents() {
+        var input = Utils.$('validate-input');
+
+        var check = function() {
+            Controllers.Validate.check(input.value);
+            input.select(); // next scan replaces checked code
+        };
+
+        Utils.on(Utils.$('validate-btn'), 'click', check);
+
+        Utils.on(input, 'keydown', function(e) {
+            // Enter is the suffix of scanner, Shift+Enter adds a line
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                check();
+            } else if (e.ctrlKey && e.key === ']') {
+                // GS keystroke of scanner is not typed by browser
+                e.preventDefault();
+                var start = input.selectionStart;
+                input.value = input.value.substring(0, start) + BarGen.Config.GS1_CONSTANTS.GS_CHAR +
+                    input.value.substring(input.selectionEnd);
+                input.selectionStart = input.selectionEnd = start + 1;
+            }
+        });
+
+        Utils.on(Utils.$('validate-clear-btn'), 'click', function() {
+            input.value = '';
+            Controllers.Validate.clear();
+            input.focus();
+        });
+    }
+
     /**
      * Bind DataMatrix tab events
      */
@@ -146,15 +237,13 @@
             Controllers.DM.setInterval(parseFloat(e.target.value));
         });
 
-        // Template selection
-        Utils.$$$('.tmpl-btn').forEach(function(btn) {
-            btn.onclick = function() {
-                Utils.$$$('.tmpl-btn').forEach(function(b) {
-                    b.classList.remove('active');
-                });
-                btn.classList.add('active');
-                State.dm.selectedTemplate = btn.dataset.template;
-            };
+        // Playback mode and order
+        Utils.on(Utils.$('dmShuffle'), 'change', function() {
+            Controllers.DM.setPlayback(Utils.$('dmPlayMode').value, Utils.$('dmShuffle').checked);
+        });
+
+        Utils.on(Utils.$('dmPlayMode'), 'change', function() {
+            Controllers.DM.setPlayback(Utils.$('dmPlayMode').value, Utils.$('dmShuffle').checked);
         });
 
         // Double scan checkboxes - ensure only one is selected at a time
@@ -218,18 +307,24 @@
             };
         }
 
-        // Broken DataMatrix method radio buttons - regenerate on change
-        var brokenDmRadios = document.getElementsByName('brokenDmType');
-        if (brokenDmRadios) {
-            for (var i = 0; i < brokenDmRadios.length; i++) {
-                brokenDmRadios[i].onchange = function() {
-                    // Only regenerate if checkbox is checked
-                    if (brokenDmCheckbox && brokenDmCheckbox.checked) {
-                        Controllers.DM.generateAndDisplay();
-                    }
-                };
+        // Broken DataMatrix method radio buttons (rendered by UI) - regenerate on change
+        Utils.on(Utils.$('brokenDmTypes'), 'change', function() {
+            // Only regenerate if checkbox is checked
+            if (brokenDmCheckbox && brokenDmCheckbox.checked) {
+                Controllers.DM.generateAndDisplay();
             }
-        }
+        });
+
+        // Broken ratio - applies from next code
+        Utils.on(Utils.$('brokenDmEvery'), 'change', function(e) {
+            e.target.value = Math.max(1, parseInt(e.target.value, 10) || 1);
+        });
+
+        // Reuse serial checkbox - next code repeats an issued serial
+        Utils.on(Utils.$('reuseSerialDm'), 'change', function(e) {
+            State.serials.reuseDm = e.target.checked;
+            Controllers.DM.generateAndDisplay();
+        });
     }
 
     /**
@@ -279,6 +374,35 @@
             Controllers.Library.deleteFolder();
         });
 
+        Utils.on(Utils.$('dmFolderMode'), 'change', function(e) {
+            Controllers.Library.setFolderMode(e.target.value);
+        });
+
+        // Custom templates
+        Utils.on(Utils.$('template-new-btn'), 'click', function() {
+            Controllers.Template.startNew();
+        });
+
+        Utils.on(Utils.$('template-add-segment-btn'), 'click', function() {
+            Controllers.Template.addSegment();
+        });
+
+        Utils.on(Utils.$('template-save-btn'), 'click', function() {
+            Controllers.Template.save();
+        });
+
+        Utils.on(Utils.$('template-cancel-btn'), 'click', function() {
+            Controllers.Template.cancel();
+        });
+
+        Utils.on(Utils.$('templateName'), 'input', function(e) {
+            Controllers.Template.updateField('name', e.target.value);
+        });
+
+        Utils.on(Utils.$('templateMode'), 'change', function(e) {
+            Controllers.Template.updateField('mode', e.target.value);
+        });
+
         // Rotation controls
         Utils.on(Utils.$('start-btn'), 'click', function() {
             Controllers.DM.startRotation();
@@ -299,17 +423,115 @@
 
         Utils.on(Utils.$('importFile'), 'change', function(e) {
             if (e.target.files[0]) {
-                Storage.importData(e.target.files[0]);
+                Storage.readBackup(e.target.files[0], Controllers.Import.open);
             }
             e.target.value = '';
         });
 
+        Utils.on(Utils.$('import-apply-btn'), 'click', function() {
+            var result = Controllers.Import.apply();
+            if (result) {
+                alert('Импорт завершён: папок добавлено ' + result.folders + ', записей ' + result.items);
+            }
+        });
+
+        Utils.on(Utils.$('import-replace-btn'), 'click', function() {
+            Controllers.Import.replaceAll();
+        });
+
+        Utils.on(Utils.$('import-cancel-btn'), 'click', function() {
+            Controllers.Import.cancel();
+        });
+
+        // CSV/TSV tables
+        Utils.on(Utils.$('table-module'), 'change', function(e) {
+            Controllers.Table.setOption('module', e.target.value);
+        });
+
+        Utils.on(Utils.$('table-delimiter'), 'change', function(e) {
+            Controllers.Table.setOption('delimiter', e.target.value);
+        });
+
+        Utils.on(Utils.$('table-gs'), 'change', function(e) {
+            Controllers.Table.setOption('gsEscape', e.target.value);
+        });
+
+        Utils.on(Utils.$('table-export-btn'), 'click', function() {
+            Controllers.Table.exportFolder(Utils.$('table-folder').value);
+        });
+
+        Utils.on(Utils.$('table-import-btn'), 'click', function() {
+            Utils.$('tableFile').click();
+        });
+
+        Utils.on(Utils.$('tableFile'), 'change', function(e) {
+            if (e.target.files[0]) {
+                Controllers.Table.open(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        Utils.on(Utils.$('table-header'), 'change', function(e) {
+            Controllers.Table.setHeader(e.target.checked);
+        });
+
+        Utils.on(Utils.$('table-folder-name'), 'input', function(e) {
+            Controllers.Table.setFolderName(e.target.value);
+        });
+
+        Utils.on(Utils.$('table-import-apply-btn'), 'click', function() {
+            Controllers.Table.apply();
+        });
+
+        Utils.on(Utils.$('table-import-cancel-btn'), 'click', function() {
+            Controllers.Table.cancel();
+        });
+
+        // Images (PNG/SVG ZIP)
+        ['scale', 'padding', 'pattern', 'formats'].forEach(function(name) {
+            Utils.on(Utils.$('images-' + name), 'change', function(e) {
+                Controllers.Images.setOption(name, e.target.value);
+            });
+        });
+
+        Utils.on(Utils.$('images-export-btn'), 'click', function() {
+            Controllers.Images.exportFolder(Utils.$('table-folder').value);
+        });
+
+        // Label sheets
+        Utils.on(Utils.$('print-layout'), 'change', function(e) {
+            Controllers.Print.setLayout(e.target.value);
+        });
+
+        Utils.on(Utils.$('print-btn'), 'click', function() {
+            Controllers.Print.printFolder(Utils.$('table-folder').value);
+        });
+
+        Utils.on(Utils.$('printer-language'), 'change', function(e) {
+            Controllers.Printer.setLanguage(e.target.value);
+        });
+
+        Utils.on(Utils.$('printer-export-btn'), 'click', function() {
+            Controllers.Printer.exportFolder(Utils.$('table-folder').value);
+        });
+
         // History
+        Utils.on(Utils.$('clearSerialsBtn'), 'click', function() {
+            if (confirm('Сбросить реестр серийных номеров? Выданные номера смогут повториться.')) {
+                State.clearSerials();
+                UI.renderSerials();
+            }
+        });
+
         Utils.on(Utils.$('clearHistoryBtn'), 'click', function() {
             if (confirm('Очистить историю?')) {
                 State.clearHistory();
             }
         });
+
+        Utils.on(Utils.$('clearSessionsBtn'), 'click', function() {
+            Controllers.Session.clearAll();
+        });
     }
 
     /**
@@ -323,6 +545,43 @@
         Utils.on(Utils.$('generateBarcodeBtn'), 'click', function() {
             Controllers.Barcode.generate();
         });
+
+        // Weight label layout editor
+        Utils.on(Utils.$('layout-new-btn'), 'click', function() {
+            Controllers.Layout.startNew();
+        });
+
+        Utils.on(Utils.$('layout-add-field-btn'), 'click', function() {
+            Controllers.Layout.addField();
+        });
+
+        Utils.on(Utils.$('layout-save-btn'), 'click', function() {
+            Controllers.Layout.save();
+        });
+
+        Utils.on(Utils.$('layout-cancel-btn'), 'click', function() {
+            Controllers.Layout.cancel();
+        });
+
+        Utils.on(Utils.$('layoutName'), 'input', function(e) {
+            Controllers.Layout.updateProp('name', e.target.value);
+        });
+
+        Utils.on(Utils.$('layoutPrefix'), 'input', function(e) {
+            Controllers.Layout.updateProp('prefix', e.target.value);
+        });
+
+        Utils.on(Utils.$('layoutControl'), 'input', function(e) {
+            Controllers.Layout.updateProp('control', e.target.value);
+        });
+
+        Utils.on(Utils.$('layoutFormat'), 'change', function(e) {
+            Controllers.Layout.updateProp('format', e.target.value);
+        });
+
+        Utils.on(Utils.$('layoutCheck'), 'change', function(e) {
+            Controllers.Layout.updateProp('check', e.target.value);
+        });
     }
 
     /**
@@ -398,6 +657,15 @@
             Controllers.WC.setInterval(parseFloat(e.target.value));
         });
 
+        // Playback mode and order
+        Utils.on(Utils.$('wcShuffle'), 'change', function() {
+            Controllers.WC.setPlayback(Utils.$('wcPlayMode').value, Utils.$('wcShuffle').checked);
+        });
+
+        Utils.on(Utils.$('wcPlayMode'), 'change', function() {
+            Controllers.WC.setPlayback(Utils.$('wcPlayMode').value, Utils.$('wcShuffle').checked);
+        });
+
         // Weight mode toggle
         Utils.$$$('input[name="weightMode"]').forEach(function(radio) {
             radio.onchange = function() {
@@ -421,11 +689,6 @@
                 Utils.$('disc-random-group').classList.toggle('d-none', mode === 'fixed');
             };
         });
-
-        // Prefix 49 discount section toggle
-        Utils.on(Utils.$('wcPrefix49'), 'change', function() {
-            Utils.$('group-discount-section').classList.toggle('d-none', !Utils.$('wcPrefix49').checked);
-        });
     }
 
     /**
@@ -495,6 +758,15 @@
             Controllers.GS1.addItems();
         });
 
+        Utils.on(Utils.$('reuseSerialGs1'), 'change', function(e) {
+            State.serials.reuseGs1 = e.target.checked;
+        });
+
+        // Broken code checkbox - toggle nested options (applies to next shown code)
+        Utils.on(Utils.$('brokenGs1'), 'change', function(e) {
+            Utils.$('brokenGs1Options').style.display = e.target.checked ? 'block' : 'none';
+        });
+
         // Folder management
         Utils.on(Utils.$('gs1-run-folder'), 'click', function() {
             Controllers.GS1.startRotation();
@@ -556,6 +828,15 @@
             Controllers.GS1.setInterval(parseFloat(e.target.value));
         });
 
+        // Playback mode and order
+        Utils.on(Utils.$('gs1Shuffle'), 'change', function() {
+            Controllers.GS1.setPlayback(Utils.$('gs1PlayMode').value, Utils.$('gs1Shuffle').checked);
+        });
+
+        Utils.on(Utils.$('gs1PlayMode'), 'change', function() {
+            Controllers.GS1.setPlayback(Utils.$('gs1PlayMode').value, Utils.$('gs1Shuffle').checked);
+        });
+
         // Product type toggle
         Utils.$$$('input[name="gs1Type"]').forEach(function(radio) {
             radio.onchange = function() {
@@ -629,9 +910,12 @@
     function bindGlobalEvents() {
         // Keyboard navigation
         document.onkeydown = function(e) {
+            // Scanner input in verification mode
+            if (Controllers.Verify.handleKey(e)) return;
+
             // DataMatrix - arrows when timer stopped
             var dmTab = Utils.$('tab-datamatrix');
-            if (dmTab && dmTab.classList.contains('active') && !State.dm.timerInterval) {
+            if (dmTab && dmTab.classList.contains('active') && !Controllers.DM.isPlaying()) {
                 if (e.key === 'ArrowLeft') Controllers.DM.manualPrev();
                 if (e.key === 'ArrowRight') Controllers.DM.manualNext();
             }
@@ -659,22 +943,19 @@
         }
     };
 
-        // Page visibility - pause/resume timers
+        // Page visibility - hold/resume carousels, write pending changes
         document.onvisibilitychange = function() {
             if (document.hidden) {
-                Controllers.DM.stopTimer();
-                Controllers.WC.stopTimer();
+                BarGen.Carousel.pauseAll();
+                Storage.flush();
             } else {
-                if (Controllers.Tab.current === 'datamatrix') {
-                    Controllers.DM.generateAndDisplay();
-                    Controllers.DM.startTimer();
-                }
-                if (State.wc.isRotating) {
-                    Controllers.WC.displayBarcode();
-                    Controllers.WC.startTimer();
-                }
+                BarGen.Carousel.resumeAll();
             }
         };
+
+        Utils.on(global, 'pagehide', function() {
+            Storage.flush();
+        });
     }
 
     // Start application when DOM is ready
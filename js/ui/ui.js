@@ -22,6 +22,332 @@
     var State = global.BarGen.State;
     var Generators = global.BarGen.Generators;
 
+    /**
+     * Format seed suffix for folder/history captions
+     *
+     * @param {Object} obj - Folder or history item
+     * @returns {string} ' · seed N' or empty string
+     * @private
+     */
+    function seedSuffix(obj) {
+        return obj.seed !== undefined && obj.seed !== null ? ' · seed ' + obj.seed : '';
+    }
+
+    /**
+     * Build per-item dwell button for carousel item lists
+     *
+     * @param {Object} item - Folder item
+     * @returns {string} Button HTML ('⏱' or '⏱ N')
+     * @private
+     */
+    function dwellButton(item) {
+        return '<button class="btn btn-sm ' + (item.dwell ? 'btn-primary' : 'btn-outline') +
+            '" data-action="dwell" title="Время показа, сек">⏱' + (item.dwell ? ' ' + item.dwell : '') + '</button>';
+    }
+
+    /**
+     * Ask for item dwell time and save it
+     *
+     * @description Empty input or 0 resets to the common carousel interval.
+     *
+     * @param {Object} item - Folder item
+     * @param {Function} onChange - Called after item was changed
+     * @private
+     */
+    function editDwell(item, onChange) {
+        var value = prompt('Время показа кода, сек (пусто — общий интервал):', item.dwell || '');
+        if (value === null) return;
+
+        var seconds = parseFloat(String(value).replace(',', '.'));
+        if (seconds > 0) {
+            item.dwell = seconds;
+        } else {
+            delete item.dwell;
+        }
+
+        global.BarGen.Storage.save();
+        onChange();
+    }
+
+    /* ==========================================================================
+       Random Seed UI
+       ========================================================================== */
+
+    /**
+     * Render seed bar
+     *
+     * @description Shows seed of current random sequence and pinned seed (if any)
+     */
+    function renderSeed() {
+        var currentEl = Utils.$('seed-current');
+        var inputEl = Utils.$('seed-input');
+        var fixed = State.rng.fixedSeed;
+
+        if (currentEl) {
+            currentEl.textContent = Utils.rng.getSeed() + (fixed !== null ? ' 📌' : '');
+        }
+        if (inputEl && document.activeElement !== inputEl) {
+            inputEl.value = fixed !== null ? fixed : '';
+        }
+    }
+
+    /* ==========================================================================
+       Scanner Verification UI
+       ========================================================================== */
+
+    /**
+     * Format scanned/expected code for display (GS as ␝, mismatch highlighted)
+     *
+     * @param {string} code - Code text
+     * @param {number} [diffAt=-1] - Index of first mismatching character
+     * @returns {string} HTML
+     * @private
+     */
+    function formatVerifyCode(code, diffAt) {
+        var visible = function(text) {
+            return Utils.escapeHtml(text.replace(/\x1D/g, '␝'));
+        };
+
+        if (diffAt === undefined || diffAt < 0) {
+            return visible(code);
+        }
+        return visible(code.substring(0, diffAt)) + '<mark>' + visible(code.substring(diffAt)) + '</mark>';
+    }
+
+    /**
+     * Build text of verification result
+     *
+     * @param {Object} entry - Log entry
+     * @returns {string} HTML
+     * @private
+     */
+    function verifyResultHtml(entry) {
+        var timing = (entry.latency !== null ? entry.latency + ' мс после показа, ' : '') +
+            'ввод ' + entry.duration + ' мс';
+        var notes = [];
+
+        if (entry.late) notes.push('предыдущий код');
+        if (entry.missingSuffix) notes.push('нет суффикса');
+
+        var html = '<b>' + (entry.pass ? '✓ Совпало' : '✗ Не совпало') + '</b> ' +
+            '<span class="verify-source">' + entry.source + '</span> ' +
+            '<span class="verify-timing">' + timing + (notes.length ? ' · ' + notes.join(', ') : '') + '</span>';
+
+        if (!entry.pass) {
+            html += '<div class="verify-code">Ожидалось: <code>' + formatVerifyCode(entry.expected, entry.diffAt) + '</code></div>' +
+                '<div class="verify-code">Считано: <code>' + formatVerifyCode(entry.scanned, entry.diffAt) + '</code></div>';
+        }
+        return html;
+    }
+
+    /**
+     * Render scanner verification panel
+     *
+     * @param {Object} [entry] - Result just logged (highlighted as latest)
+     */
+    function renderVerify(entry) {
+        var verify = State.verify;
+        var panel = Utils.$('verify-panel');
+        var checkbox = Utils.$('verify-enabled');
+
+        if (checkbox) checkbox.checked = verify.enabled;
+        if (!panel) return;
+
+        panel.style.display = verify.enabled ? 'block' : 'none';
+
+        ['prefix', 'suffix', 'gsToken'].forEach(function(field) {
+            var el = Utils.$('verify-' + field);
+            if (el && document.activeElement !== el) el.value = verify[field];
+        });
+
+        // Stats
+        var passed = verify.log.filter(function(x) { return x.pass; }).length;
+        var statsEl = Utils.$('verify-stats');
+        if (statsEl) {
+            statsEl.textContent = '✓ ' + passed + ' / ✗ ' + (verify.log.length - passed);
+        }
+
+        // Latest result
+        var resultEl = Utils.$('verify-result');
+        if (resultEl) {
+            var latest = entry || verify.log[0];
+            resultEl.className = 'verify-result' + (latest ? (latest.pass ? ' pass' : ' fail') : '');
+            resultEl.innerHTML = latest ? verifyResultHtml(latest) : 'Отсканируйте код с экрана';
+        }
+
+        // Log
+        var logEl = Utils.$('verify-log');
+        if (logEl) {
+            logEl.innerHTML = verify.log.slice(1, 21).map(function(item) {
+                return '<div class="verify-log-item ' + (item.pass ? 'pass' : 'fail') + '">' +
+                    '<span class="history-time">' + Utils.formatTime(item.timestamp) + '</span>' +
+                    '<span>' + (item.pass ? '✓' : '✗') + ' ' + item.source + '</span>' +
+                    '<span class="history-code">' + formatVerifyCode(item.scanned) + '</span>' +
+                    '<span class="verify-timing">' + (item.latency !== null ? item.latency + ' мс' : '-') + '</span>' +
+                    '</div>';
+            }).join('');
+        }
+    }
+
+    /* ==========================================================================
+       Code Validation UI
+       ========================================================================== */
+
+    /**
+     * Render report of Validate tab
+     *
+     * @param {Object|null} report - Result of BarGen.Validator.validate, null hides it
+     */
+    function renderValidation(report) {
+        var container = Utils.$('validate-result');
+        if (!container) return;
+
+        if (!report) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        var failed = report.checks.filter(function(check) { return !check.ok; }).length;
+
+        container.style.display = 'block';
+        container.className = 'verify-result validate-result ' + (report.valid ? 'pass' : 'fail');
+        container.innerHTML = '<b>' + (report.valid ? '✓ Ошибок не найдено' : '✗ Ошибок: ' + failed) + '</b> ' +
+            '<span class="verify-source">' + Utils.escapeHtml(report.name) + '</span>' +
+            (report.code ? '<div class="verify-code"><code>' + formatVerifyCode(report.code) + '</code></div>' : '') +
+            (report.fields.length ? '<table class="validate-fields">' + report.fields.map(function(field) {
+                return '<tr><th>' + Utils.escapeHtml(field.name) + '</th><td>' +
+                    formatVerifyCode(String(field.value)) + '</td></tr>';
+            }).join('') + '</table>' : '') +
+            '<ul class="validate-checks">' + report.checks.map(function(check) {
+                return '<li class="' + (check.ok ? 'pass' : 'fail') + '">' + (check.ok ? '✓ ' : '✗ ') +
+                    Utils.escapeHtml(check.name) + (check.message ? ' — ' + formatVerifyCode(check.message) : '') + '</li>';
+            }).join('') + '</ul>';
+    }
+
+    /* ==========================================================================
+       Broken codes UI
+       ========================================================================== */
+
+    /**
+     * Render corruption choice (radio buttons) from Config.CORRUPTIONS
+     *
+     * @description Built once, so the chosen corruption survives re-rendering.
+     * Each option shows the rejection reason expected from the cash register.
+     *
+     * @param {string} containerId - Container element ID
+     * @param {string} radioName - Name of radio group
+     * @param {boolean} pack - Only corruptions applicable to GS1 Pack codes
+     */
+    function renderCorruptions(containerId, radioName, pack) {
+        var container = Utils.$(containerId);
+        if (!container || container.children.length) return;
+
+        var options = Object.keys(Config.CORRUPTIONS).filter(function(key) {
+            return !pack || Config.CORRUPTIONS[key].gs1;
+        }).map(function(key) {
+            var definition = Config.CORRUPTIONS[key];
+            var variant = pack ? definition.gs1 : {};
+            return {
+                key: key,
+                name: variant.name || definition.name,
+                reason: variant.reason || definition.reason
+            };
+        });
+        options.push({ key: 'random', name: 'Случайный способ', reason: '' });
+
+        container.innerHTML = options.map(function(option, i) {
+            return '<label class="custom-checkbox-label radio-label" style="margin-bottom:5px;">' +
+                '<input type="radio" name="' + radioName + '" value="' + option.key + '"' + (i === 0 ? ' checked' : '') + '>' +
+                '<span class="custom-checkbox-checkmark"></span>' +
+                '<span class="custom-checkbox-text" style="font-size:0.9em;">' + Utils.escapeHtml(option.name) +
+                (option.reason ? '<span class="corruption-reason">' + Utils.escapeHtml(option.reason) + '</span>' : '') +
+                '</span></label>';
+        }).join('');
+    }
+
+    /**
+     * Show expected rejection reason of broken code
+     *
+     * @param {string} elementId - Element ID
+     * @param {Object|null} broken - { method, reason } or null for valid code
+     * @param {boolean} [pack=false] - GS1 Pack code (name of GS1 Pack variant)
+     */
+    function renderBrokenReason(elementId, broken, pack) {
+        var el = Utils.$(elementId);
+        if (!el) return;
+
+        el.style.display = broken ? 'block' : 'none';
+        if (!broken) return;
+
+        var definition = Config.CORRUPTIONS[broken.method];
+        var name = pack && definition.gs1.name || definition.name;
+        el.textContent = '✗ ' + name + ': ' + broken.reason;
+    }
+
+    /* ==========================================================================
+       Damage UI
+       ========================================================================== */
+
+    /**
+     * Sample code for damage preview (GS1 DataMatrix with GTIN, serial and crypto tail)
+     * @type {string}
+     * @private
+     */
+    var DAMAGE_SAMPLE = '0104810099003310215Sample' + Config.GS1_CONSTANTS.GS_CHAR + '93dGVz';
+
+    /**
+     * Render damage panel: severity sliders and sample preview
+     *
+     * @description Slider rows are built once; later calls only update values,
+     * so a slider being dragged keeps its pointer.
+     */
+    function renderDamage() {
+        var damage = State.damage;
+        var panel = Utils.$('damage-panel');
+        var checkbox = Utils.$('damage-enabled');
+
+        if (checkbox) checkbox.checked = damage.enabled;
+        if (!panel) return;
+
+        panel.style.display = damage.enabled ? 'block' : 'none';
+
+        var container = Utils.$('damage-effects');
+        var Damage = global.BarGen.Controllers.Damage;
+
+        if (container && !container.children.length) {
+            Object.keys(Config.DAMAGE_EFFECTS).forEach(function(name) {
+                var row = document.createElement('label');
+                row.className = 'damage-effect';
+                row.innerHTML = '<span>' + Config.DAMAGE_EFFECTS[name].name + '</span>' +
+                    '<input type="range" min="0" max="100" step="5" data-effect="' + name + '">' +
+                    '<b data-effect-value="' + name + '"></b>';
+
+                var slider = row.querySelector('input');
+                slider.oninput = function() {
+                    Damage.setSeverity(name, this.value);
+                };
+                slider.onchange = function() {
+                    Damage.save();
+                };
+                container.appendChild(row);
+            });
+        }
+
+        Object.keys(Config.DAMAGE_EFFECTS).forEach(function(name) {
+            var value = damage.effects[name] || 0;
+            var slider = document.querySelector('[data-effect="' + name + '"]');
+            var label = document.querySelector('[data-effect-value="' + name + '"]');
+
+            if (slider && document.activeElement !== slider) slider.value = value;
+            if (label) label.textContent = value ? value + '%' : '-';
+        });
+
+        if (damage.enabled) {
+            Generators.renderDM(Utils.$('damage-preview'), DAMAGE_SAMPLE, 'gs1');
+        }
+    }
+
     /* ==========================================================================
        DataMatrix UI
        ========================================================================== */
@@ -45,7 +371,7 @@
                 div.className = 'folder-item' + (folder.id === State.dm.selectedFolderId ? ' selected' : '');
 
                 var activeCount = folder.items.filter(function(x) { return x.active; }).length;
-                var countText = folder.items.length + ' шт' + (activeCount > 0 ? ' (' + activeCount + ' ✓)' : '');
+                var countText = folder.items.length + ' шт' + (activeCount > 0 ? ' (' + activeCount + ' ✓)' : '') + seedSuffix(folder);
 
                 div.innerHTML = '<div>📁</div><div style="flex:1"><b>' + Utils.escapeHtml(folder.name) +
                     '</b><div style="font-size:.8em;color:#666">' + countText + '</div></div>';
@@ -71,6 +397,13 @@
                 '<span class="current-folder-badge">📁 ' + Utils.escapeHtml(folder.name) + '</span>' : '';
         }
 
+        // Update folder encoding mode selector
+        var modeSelect = Utils.$('dmFolderMode');
+        if (modeSelect) {
+            modeSelect.value = folder && folder.dmMode ? folder.dmMode : '';
+            modeSelect.disabled = !folder;
+        }
+
         // Update folder selector dropdown
         var select = Utils.$('dmFolderSelect');
         if (select) {
@@ -112,7 +445,7 @@
                     '</div><div style="font-size:.8em;color:#666">' + template.name + '</div></div>' +
                     '<div style="display:flex;gap:8px">' +
                     '<button class="btn btn-sm ' + (item.active ? 'btn-success' : 'btn-outline') + '" data-action="toggle">' +
-                    (item.active ? '✓' : '○') + '</button>' +
+                    (item.active ? '✓' : '○') + '</button>' + dwellButton(item) +
                     '<button class="btn btn-sm btn-danger" data-action="delete">✕</button></div>';
 
                 div.querySelector('[data-action="toggle"]').onclick = function() {
@@ -122,6 +455,10 @@
                     renderDmFolders();
                 };
 
+                div.querySelector('[data-action="dwell"]').onclick = function() {
+                    editDwell(item, renderDmItems);
+                };
+
                 div.querySelector('[data-action="delete"]').onclick = function() {
                     var folder = State.getDmFolder();
                     if (folder) {
@@ -142,6 +479,193 @@
         updateRotationStatus();
     }
 
+    /**
+     * Render DataMatrix template selector buttons
+     *
+     * @description Builds one button per Config.TEMPLATES entry in Library tab
+     */
+    function renderTemplateButtons() {
+        var container = Utils.$('templateBtns');
+        if (!container) return;
+
+        var fragment = document.createDocumentFragment();
+
+        Object.keys(Config.TEMPLATES).forEach(function(id) {
+            var template = Config.TEMPLATES[id];
+            var div = document.createElement('div');
+            div.className = 'tmpl-btn' + (id === State.dm.selectedTemplate ? ' active' : '');
+            div.dataset.template = id;
+            div.title = template.description;
+            div.innerHTML = '<span class="tmpl-name">' + Utils.escapeHtml(template.name) + '</span>';
+
+            div.onclick = function() {
+                State.dm.selectedTemplate = id;
+                renderTemplateButtons();
+            };
+
+            fragment.appendChild(div);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(fragment);
+    }
+
+    /**
+     * Render list of user-defined templates in Library tab
+     */
+    function renderCustomTemplates() {
+        var container = Utils.$('customTemplateList');
+        if (!container) return;
+
+        var templates = State.dm.customTemplates;
+
+        if (templates.length === 0) {
+            container.innerHTML = '<div class="empty-state">Своих шаблонов нет</div>';
+            return;
+        }
+
+        var fragment = document.createDocumentFragment();
+
+        templates.forEach(function(t) {
+            var div = document.createElement('div');
+            div.className = 'saved-item';
+
+            var ais = t.segments.map(function(s) { return '(' + s.ai + ')'; }).join('');
+
+            div.innerHTML = '<div class="info"><div class="barcode">' + Utils.escapeHtml(t.name) +
+                '</div><div style="font-size:.8em;color:#666">' + Utils.escapeHtml(ais) + '</div></div>' +
+                '<div style="display:flex;gap:8px">' +
+                '<button class="btn btn-sm btn-outline" data-action="edit">✎</button>' +
+                '<button class="btn btn-sm btn-danger" data-action="delete">✕</button></div>';
+
+            div.querySelector('[data-action="edit"]').onclick = function() {
+                global.BarGen.Controllers.Template.edit(t.id);
+            };
+
+            div.querySelector('[data-action="delete"]').onclick = function() {
+                global.BarGen.Controllers.Template.remove(t.id);
+            };
+
+            fragment.appendChild(div);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(fragment);
+    }
+
+    /**
+     * Render template editor
+     *
+     * @description Shows one row per segment (AI, source, parameter, GS flag
+     * and reorder buttons). Hides the editor when draft is null.
+     *
+     * @param {Object|null} draft - Template being edited
+     */
+    function renderTemplateEditor(draft) {
+        var editor = Utils.$('templateEditor');
+        var container = Utils.$('templateSegments');
+        if (!editor || !container) return;
+
+        if (!draft) {
+            editor.style.display = 'none';
+            return;
+        }
+
+        editor.style.display = 'block';
+        Utils.$('templateName').value = draft.name;
+        Utils.$('templateMode').value = draft.mode;
+
+        var Template = global.BarGen.Controllers.Template;
+        var fragment = document.createDocumentFragment();
+
+        draft.segments.forEach(function(seg, i) {
+            var source = Config.TEMPLATE_SOURCES[seg.source];
+            var row = document.createElement('div');
+            row.className = 'segment-row';
+
+            var options = Object.keys(Config.TEMPLATE_SOURCES).map(function(key) {
+                return '<option value="' + key + '"' + (key === seg.source ? ' selected' : '') + '>' +
+                    Config.TEMPLATE_SOURCES[key].name + '</option>';
+            }).join('');
+
+            var param = source.param ?
+                '<input type="text" class="segment-param" data-field="param" placeholder="' +
+                    (source.param === 'value' ? 'Значение' : source.param === 'length' ? 'Длина' : 'Дни') +
+                    '" value="' + Utils.escapeHtml(seg[source.param] !== undefined ? String(seg[source.param]) : '') + '">' :
+                '<span class="segment-param-empty">—</span>';
+
+            row.innerHTML = '<input type="text" class="segment-ai" data-field="ai" maxlength="4" placeholder="AI" value="' +
+                Utils.escapeHtml(seg.ai) + '">' +
+                '<select class="segment-source" data-field="source">' + options + '</select>' +
+                param +
+                '<label class="segment-gs" title="Разделитель GS после сегмента"><input type="checkbox" data-field="gs"' +
+                (seg.gs ? ' checked' : '') + '> GS</label>' +
+                '<button class="btn btn-sm btn-outline" data-action="up">↑</button>' +
+                '<button class="btn btn-sm btn-outline" data-action="down">↓</button>' +
+                '<button class="btn btn-sm btn-danger" data-action="delete">✕</button>';
+
+            row.querySelector('[data-field="ai"]').onchange = function() {
+                Template.updateSegment(i, 'ai', this.value);
+            };
+            row.querySelector('[data-field="source"]').onchange = function() {
+                Template.updateSegment(i, 'source', this.value);
+            };
+            if (source.param) {
+                row.querySelector('[data-field="param"]').oninput = function() {
+                    var value = source.param === 'value' ? this.value : (parseInt(this.value) || 0);
+                    Template.updateSegment(i, source.param, value);
+                };
+            }
+            row.querySelector('[data-field="gs"]').onchange = function() {
+                Template.updateSegment(i, 'gs', this.checked);
+            };
+            row.querySelector('[data-action="up"]').onclick = function() {
+                Template.moveSegment(i, -1);
+            };
+            row.querySelector('[data-action="down"]').onclick = function() {
+                Template.moveSegment(i, 1);
+            };
+            row.querySelector('[data-action="delete"]').onclick = function() {
+                Template.removeSegment(i);
+            };
+
+            fragment.appendChild(row);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(fragment);
+
+        renderTemplatePreview(draft);
+    }
+
+    /**
+     * Render sample code for template being edited
+     *
+     * @description GS is shown as ␝; parser errors are listed below the code
+     *
+     * @param {Object} draft - Template being edited
+     */
+    function renderTemplatePreview(draft) {
+        var el = Utils.$('templatePreview');
+        if (!el) return;
+
+        if (draft.segments.length === 0) {
+            el.innerHTML = '<span style="color:#999">Нет сегментов</span>';
+            return;
+        }
+
+        var result = global.BarGen.Controllers.Template.preview(draft);
+        var html = '<code>' + Utils.escapeHtml(result.code.replace(/\x1D/g, '␝')) + '</code>';
+
+        if (result.errors.length > 0) {
+            html += '<div class="template-errors">' + result.errors.map(function(e) {
+                return '⚠ ' + Utils.escapeHtml((e.ai ? '(' + e.ai + ') ' : '') + e.message);
+            }).join('<br>') + '</div>';
+        }
+
+        el.innerHTML = html;
+    }
+
     /**
      * Update rotation status display
      */
@@ -195,7 +719,7 @@
                 div.className = 'folder-item' + (folder.id === State.wc.selectedFolderId ? ' selected' : '');
 
                 div.innerHTML = '<div>📁</div><div style="flex:1"><b>' + Utils.escapeHtml(folder.name) +
-                    '</b><div style="font-size:.8em;color:#666">' + folder.items.length + ' шт</div></div>';
+                    '</b><div style="font-size:.8em;color:#666">' + folder.items.length + ' шт' + seedSuffix(folder) + '</div></div>';
 
                 div.onclick = function() {
                     State.wc.selectedFolderId = folder.id;
@@ -240,15 +764,19 @@
                 div.className = 'weight-item' + (item.active ? ' active' : '');
 
                 var weight = Utils.formatWeight(item.weight);
-                var typeLabel = item.prefix === '77' ? 'CAS' : item.prefix === '49' ? 'C128' : 'EAN';
-                var discountText = item.prefix === '49' && item.discount !== undefined ? ' | ' + item.discount + '%' : '';
+                var layout = Config.WEIGHT_LAYOUTS[Generators.getWeightLayoutId(item.layout || item.prefix)];
+                var typeLabel = layout ? layout.short : item.prefix;
+                var discountText = item.discount !== undefined ? ' | ' + item.discount + '%' : '';
+                var priceText = item.price !== undefined ? ' | ' + Utils.formatPrice(item.price) : '';
+                var errorText = item.error ?
+                    ' | <span style="color:#ef4444">' + Config.WEIGHT_ERRORS[item.error] + '</span>' : '';
 
                 div.innerHTML = '<div class="info"><div class="code">' + item.code +
                     '</div><div style="font-size:.8em;color:#666">PLU: ' + item.plu + ' | ' +
-                    weight + ' | ' + typeLabel + discountText + '</div></div>' +
+                    weight + ' | ' + typeLabel + discountText + priceText + errorText + '</div></div>' +
                     '<div style="display:flex;gap:8px">' +
                     '<button class="btn btn-sm ' + (item.active ? 'btn-success' : 'btn-outline') +
-                    '" data-action="toggle">' + (item.active ? '✓' : '○') + '</button>' +
+                    '" data-action="toggle">' + (item.active ? '✓' : '○') + '</button>' + dwellButton(item) +
                     '<button class="btn btn-sm btn-danger" data-action="delete">✕</button></div>';
 
                 div.querySelector('[data-action="toggle"]').onclick = function() {
@@ -257,6 +785,10 @@
                     renderWcItems();
                 };
 
+                div.querySelector('[data-action="dwell"]').onclick = function() {
+                    editDwell(item, renderWcItems);
+                };
+
                 div.querySelector('[data-action="delete"]').onclick = function() {
                     var folder = State.getWcFolder();
                     if (folder) {
@@ -378,6 +910,9 @@
 
     /**
      * Render barcode configuration form fields
+     *
+     * @description Fills layout select from Config.WEIGHT_LAYOUTS (keeps
+     * selection) and shows one input per layout field.
      */
     function renderBarcodeFields() {
         var container = Utils.$('barcodeParams');
@@ -385,20 +920,261 @@
 
         if (!container || !typeSelect) return;
 
+        fillSelect(typeSelect, Object.keys(Config.WEIGHT_LAYOUTS).map(function(id) {
+            return [id, Config.WEIGHT_LAYOUTS[id].name];
+        }), typeSelect.value);
+
         var typeId = typeSelect.value;
-        var cfg = Config.BARCODE_CONFIGS[typeId];
+        var cfg = Config.WEIGHT_LAYOUTS[typeId];
 
         if (!cfg) return;
 
-        container.innerHTML = cfg.fields.map(function(field) {
+        // Price check digit is computed, only its wrong variant is offered
+        var priceErrorRow = Utils.$('simulatePriceErrorRow');
+        if (priceErrorRow) {
+            priceErrorRow.classList.toggle('d-none', !Generators.hasWeightField(cfg, 'verifier'));
+        }
+
+        container.innerHTML = cfg.fields.filter(function(field) {
+            return field.name !== 'verifier';
+        }).map(function(field) {
+            var label = Config.WEIGHT_FIELDS[field.name].name;
+            var unit = field.decimals ? ', знаков после запятой: ' + field.decimals : '';
+
             return '<div class="form-group">' +
-                '<label>' + field.label + '</label>' +
+                '<label>' + label + ' (' + field.length + unit + ')</label>' +
                 '<input type="text" id="' + field.name + '" placeholder="до ' + field.length + '">' +
                 '<div class="hint" id="' + field.name + '-error" style="color:#ef4444"></div>' +
                 '</div>';
         }).join('');
     }
 
+    /**
+     * Render weight label layout checkboxes of Weight Carousel form
+     *
+     * @description Only layouts with weight or price field; discount and
+     * price sections are shown when a selected layout has such fields.
+     */
+    function renderWcLayouts() {
+        var container = Utils.$('wcLayouts');
+        if (!container) return;
+
+        var selected = State.wc.selectedLayouts;
+        var withDiscount = false;
+        var withPrice = false;
+        var withVerifier = false;
+
+        container.innerHTML = '';
+
+        Object.keys(Config.WEIGHT_LAYOUTS).forEach(function(id) {
+            var layout = Config.WEIGHT_LAYOUTS[id];
+            if (!Generators.hasWeightField(layout, 'weight') && !Generators.hasWeightField(layout, 'price')) return;
+
+            var checked = selected.indexOf(id) !== -1;
+            if (checked && Generators.hasWeightField(layout, 'discount')) withDiscount = true;
+            if (checked && Generators.hasWeightField(layout, 'price')) withPrice = true;
+            if (checked && Generators.hasWeightField(layout, 'verifier')) withVerifier = true;
+
+            var label = document.createElement('label');
+            label.className = 'prefix-checkbox';
+            label.title = layout.name + (layout.description ? ' - ' + layout.description : '');
+            label.innerHTML = '<input type="checkbox"' + (checked ? ' checked' : '') + '><span>' +
+                Utils.escapeHtml(layout.short) + '</span>';
+
+            label.querySelector('input').onchange = function() {
+                global.BarGen.Controllers.Layout.select(id, this.checked);
+            };
+
+            container.appendChild(label);
+        });
+
+        var discountSection = Utils.$('group-discount-section');
+        if (discountSection) discountSection.classList.toggle('d-none', !withDiscount);
+
+        var priceSection = Utils.$('group-price-section');
+        if (priceSection) {
+            priceSection.classList.toggle('d-none', !withPrice && !withVerifier);
+            Utils.$('group-price-per-kg').classList.toggle('d-none', !withPrice);
+            Utils.$('group-wrong-verifier').classList.toggle('d-none', !withVerifier);
+        }
+    }
+
+    /**
+     * Render list of weight label layouts in Barcode tab
+     *
+     * @description Built-in layouts can be copied, user-defined ones also
+     * edited and deleted.
+     */
+    function renderWeightLayouts() {
+        var container = Utils.$('weightLayoutList');
+        if (!container) return;
+
+        var Layout = global.BarGen.Controllers.Layout;
+        var fragment = document.createDocumentFragment();
+
+        Object.keys(Config.WEIGHT_LAYOUTS).forEach(function(id) {
+            var layout = Config.WEIGHT_LAYOUTS[id];
+            var div = document.createElement('div');
+            div.className = 'saved-item';
+
+            var structure = layout.prefix + ' + ' + layout.fields.map(function(field) {
+                return Config.WEIGHT_FIELDS[field.name].name.split(',')[0].toLowerCase() + ' (' + field.length + ')';
+            }).join(' + ') + (layout.check !== 'none' ? ' + К' : '');
+
+            div.innerHTML = '<div class="info"><div class="barcode">' + Utils.escapeHtml(layout.name) +
+                '</div><div style="font-size:.8em;color:#666">' + Utils.escapeHtml(structure) + '</div></div>' +
+                '<div style="display:flex;gap:8px">' +
+                '<button class="btn btn-sm btn-outline" data-action="copy" title="Копировать">⎘</button>' +
+                (layout.custom ?
+                    '<button class="btn btn-sm btn-outline" data-action="edit">✎</button>' +
+                    '<button class="btn btn-sm btn-danger" data-action="delete">✕</button>' : '') +
+                '</div>';
+
+            div.querySelector('[data-action="copy"]').onclick = function() {
+                Layout.copy(id);
+            };
+
+            if (layout.custom) {
+                div.querySelector('[data-action="edit"]').onclick = function() {
+                    Layout.edit(id);
+                };
+                div.querySelector('[data-action="delete"]').onclick = function() {
+                    Layout.remove(id);
+                };
+            }
+
+            fragment.appendChild(div);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(fragment);
+    }
+
+    /**
+     * Render weight label layout editor
+     *
+     * @description Shows one row per field (field, length, decimals and
+     * reorder buttons). Hides the editor when draft is null.
+     *
+     * @param {Object|null} draft - Layout being edited
+     */
+    function renderLayoutEditor(draft) {
+        var editor = Utils.$('layoutEditor');
+        var container = Utils.$('layoutFields');
+        if (!editor || !container) return;
+
+        if (!draft) {
+            editor.style.display = 'none';
+            return;
+        }
+
+        editor.style.display = 'block';
+        Utils.$('layoutName').value = draft.name;
+        Utils.$('layoutPrefix').value = draft.prefix;
+        Utils.$('layoutControl').value = draft.control || '';
+        Utils.$('layoutControl').style.display = draft.check === 'fixed' ? '' : 'none';
+
+        fillSelect(Utils.$('layoutFormat'), [['CODE128', 'Code128'], ['EAN13', 'EAN-13']], draft.format);
+        fillSelect(Utils.$('layoutCheck'), Object.keys(Config.WEIGHT_CHECKS).map(function(key) {
+            return [key, Config.WEIGHT_CHECKS[key]];
+        }), draft.check);
+
+        var Layout = global.BarGen.Controllers.Layout;
+        var fragment = document.createDocumentFragment();
+
+        draft.fields.forEach(function(field, i) {
+            var row = document.createElement('div');
+            row.className = 'segment-row';
+
+            var options = Object.keys(Config.WEIGHT_FIELDS).map(function(key) {
+                return '<option value="' + key + '"' + (key === field.name ? ' selected' : '') + '>' +
+                    Config.WEIGHT_FIELDS[key].name + '</option>';
+            }).join('');
+
+            var verifier = field.name === 'verifier';
+            var decimals = field.decimals !== undefined ?
+                '<input type="number" class="segment-param" data-field="decimals" min="0" max="3" title="Знаков после запятой" value="' +
+                    field.decimals + '">' :
+                '<span class="segment-param-empty">—</span>';
+
+            // Price check digit: one digit of price or weight field
+            if (verifier) {
+                decimals = '<select class="segment-param" data-field="of" title="Поле, от которого считается цифра">' +
+                    ['price', 'weight'].map(function(key) {
+                        return '<option value="' + key + '"' + (key === field.of ? ' selected' : '') + '>' +
+                            Config.WEIGHT_FIELDS[key].name + '</option>';
+                    }).join('') + '</select>';
+            }
+
+            row.innerHTML = '<select class="segment-source" data-field="name">' + options + '</select>' +
+                '<input type="number" class="segment-param" data-field="length" min="1" max="12" title="Длина, цифр" value="' +
+                field.length + '"' + (verifier ? ' disabled' : '') + '>' +
+                decimals +
+                '<button class="btn btn-sm btn-outline" data-action="up">↑</button>' +
+                '<button class="btn btn-sm btn-outline" data-action="down">↓</button>' +
+                '<button class="btn btn-sm btn-danger" data-action="delete">✕</button>';
+
+            row.querySelector('[data-field="name"]').onchange = function() {
+                Layout.updateField(i, 'name', this.value);
+            };
+            row.querySelector('[data-field="length"]').oninput = function() {
+                Layout.updateField(i, 'length', this.value);
+            };
+            if (field.decimals !== undefined) {
+                row.querySelector('[data-field="decimals"]').oninput = function() {
+                    Layout.updateField(i, 'decimals', this.value);
+                };
+            }
+            if (verifier) {
+                row.querySelector('[data-field="of"]').onchange = function() {
+                    Layout.updateField(i, 'of', this.value);
+                };
+            }
+            row.querySelector('[data-action="up"]').onclick = function() {
+                Layout.moveField(i, -1);
+            };
+            row.querySelector('[data-action="down"]').onclick = function() {
+                Layout.moveField(i, 1);
+            };
+            row.querySelector('[data-action="delete"]').onclick = function() {
+                Layout.removeField(i);
+            };
+
+            fragment.appendChild(row);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(fragment);
+
+        renderLayoutPreview(draft);
+    }
+
+    /**
+     * Render sample code for layout being edited
+     *
+     * @param {Object} draft - Layout being edited
+     */
+    function renderLayoutPreview(draft) {
+        var el = Utils.$('layoutPreview');
+        if (!el) return;
+
+        if (draft.fields.length === 0) {
+            el.innerHTML = '<span style="color:#999">Нет полей</span>';
+            return;
+        }
+
+        var result = global.BarGen.Controllers.Layout.preview(draft);
+        var html = '<code>' + Utils.escapeHtml(result.code) + '</code> (' + result.code.length + ' цифр)';
+
+        if (result.errors.length > 0) {
+            html += '<div class="template-errors">' + result.errors.map(function(e) {
+                return '⚠ ' + Utils.escapeHtml(Config.WEIGHT_FIELDS[e.field].name + ': ' + e.message);
+            }).join('<br>') + '</div>';
+        }
+
+        el.innerHTML = html;
+    }
+
     /* ==========================================================================
        History UI
        ========================================================================== */
@@ -417,14 +1193,16 @@
 
             State.history.items.forEach(function(item) {
                 var div = document.createElement('div');
-                div.className = 'history-item';
+                div.className = 'history-item' + (item.broken ? ' broken' : '');
+                div.title = seedSuffix(item).replace(' · ', '') +
+                    (item.broken ? '\nСломан намеренно: ' + item.broken.reason : '');
 
                 var time = Utils.formatTime(item.timestamp);
                 var displayCode = item.code && item.code.length > 30 ?
                     item.code.substring(0, 30) + '...' : (item.code || '-');
 
                 div.innerHTML = '<span class="history-time">' + time + '</span>' +
-                    '<span class="history-type">' + (item.type || '?') + '</span>' +
+                    '<span class="history-type">' + (item.type || '?') + (item.broken ? ' ✗' : '') + '</span>' +
                     '<span class="history-code">' + Utils.escapeHtml(displayCode) + '</span>';
 
                 div.onclick = function() {
@@ -437,7 +1215,7 @@
                     if (item.type === 'DM') {
                         global.BarGen.Controllers.Tab.switchTo('datamatrix');
                         global.BarGen.Controllers.DM.stopTimer();
-                        Generators.renderDM(Utils.$('datamatrix-container'), item.code);
+                        Generators.renderDM(Utils.$('datamatrix-container'), item.code, item.mode);
 
                         var codeEl = Utils.$('current-code');
                         if (codeEl) codeEl.textContent = item.code;
@@ -459,6 +1237,408 @@
         }
     }
 
+    /**
+     * Render count of issued serial numbers
+     */
+    function renderSerials() {
+        var el = Utils.$('serials-count');
+        if (el) el.textContent = Object.keys(State.serials.registry).length;
+    }
+
+    /**
+     * Render test sessions list with report export buttons
+     */
+    function renderSessions() {
+        var container = Utils.$('sessionList');
+        if (!container) return;
+
+        var Session = global.BarGen.Controllers.Session;
+
+        if (State.sessions.items.length === 0) {
+            container.innerHTML = '<div class="empty-state">Сессий нет. Сессия записывается при запуске ротации</div>';
+            return;
+        }
+
+        var fragment = document.createDocumentFragment();
+
+        State.sessions.items.forEach(function(session) {
+            var summary = Session.summarize(session);
+            var running = Session.isActive(session);
+            var div = document.createElement('div');
+            div.className = 'session-item' + (running ? ' running' : '');
+            div.title = 'seed ' + session.seed;
+
+            div.innerHTML = '<div class="info">' +
+                '<div><span class="history-type">' + session.source + '</span> ' +
+                Utils.escapeHtml(session.folderName) + (running ? ' · идёт' : '') + '</div>' +
+                '<div class="session-stats">' + Utils.formatTime(session.startedAt) +
+                ' · показано ' + summary.shown +
+                ' · ✓ ' + summary.passed + ' / ✗ ' + summary.failed +
+                (summary.latency ? ' · ' + summary.latency.avg + ' мс' : '') + '</div></div>' +
+                '<div class="session-actions">' +
+                '<button class="btn btn-outline btn-sm" data-format="json">JSON</button>' +
+                '<button class="btn btn-outline btn-sm" data-format="csv">CSV</button>' +
+                '<button class="btn btn-outline btn-sm" data-format="html">HTML</button>' +
+                '<button class="btn btn-danger btn-sm" data-action="delete">✕</button></div>';
+
+            Utils.$$$('[data-format]', div).forEach(function(btn) {
+                btn.onclick = function() {
+                    Session.exportReport(session.id, btn.dataset.format);
+                };
+            });
+
+            div.querySelector('[data-action="delete"]').onclick = function() {
+                Session.remove(session.id);
+            };
+
+            fragment.appendChild(div);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(fragment);
+    }
+
+    /**
+     * Import actions offered for folder row
+     * @type {Object}
+     * @private
+     */
+    var IMPORT_ACTIONS = {
+        add: 'Добавить',
+        merge: 'Объединить',
+        rename: 'Добавить как копию',
+        skip: 'Пропустить'
+    };
+
+    /**
+     * Extra collections shown in import preview
+     * @type {Object}
+     * @private
+     */
+    var IMPORT_EXTRAS = {
+        history: 'История',
+        sessions: 'Сессии тестирования',
+        serials: 'Серийные номера'
+    };
+
+    /**
+     * Render validation report of imported file (errors and repairs with paths)
+     *
+     * @param {Object} report - Report of Schema.validate
+     * @returns {string} HTML
+     * @private
+     */
+    function importReportHtml(report) {
+        var line = function(problem) {
+            return '<li><code>' + Utils.escapeHtml(problem.path || '/') + '</code> ' +
+                Utils.escapeHtml(problem.message) + '</li>';
+        };
+
+        var html = '';
+        if (report.errors.length > 0) {
+            html += '<div class="import-report error">Файл не импортирован, ошибок: ' + report.errors.length +
+                '<ul>' + report.errors.map(line).join('') + '</ul></div>';
+        }
+        if (report.repaired.length > 0) {
+            html += '<div class="import-report repaired">Исправлено автоматически: ' + report.repaired.length +
+                '<ul>' + report.repaired.map(line).join('') + '</ul></div>';
+        }
+        return html;
+    }
+
+    /**
+     * Render import preview: validation report, folder, template and layout
+     * actions and counts of new items
+     *
+     * @param {Object|null} plan - Plan from Controllers.Import or null to hide
+     */
+    function renderImportPreview(plan) {
+        var panel = Utils.$('importPreview');
+        var container = Utils.$('importPlan');
+        if (!panel || !container) return;
+
+        if (!plan) {
+            panel.classList.remove('active');
+            container.innerHTML = '';
+            return;
+        }
+
+        var Import = global.BarGen.Controllers.Import;
+        var fragment = document.createDocumentFragment();
+
+        Utils.$('import-apply-btn').disabled = !plan.data;
+        Utils.$('import-replace-btn').disabled = !plan.data;
+        container.innerHTML = importReportHtml(plan.report);
+
+        if (plan.data && plan.folders.length === 0) {
+            container.innerHTML += '<div class="empty-state">В файле нет папок</div>';
+        }
+
+        plan.folders.forEach(function(row, index) {
+            var actions = row.target ? ['merge', 'rename', 'skip'] : ['add', 'skip'];
+            var div = document.createElement('div');
+            div.className = 'import-row' + (row.action === 'skip' ? ' skipped' : '');
+
+            div.innerHTML = '<div class="info">' +
+                '<div><span class="history-type">' + row.collection.label + '</span> ' +
+                Utils.escapeHtml(row.incoming.name) + (row.target ? ' <span class="import-clash">уже есть</span>' : '') + '</div>' +
+                '<div class="import-stats">+' + row.added + ' новых' +
+                (row.duplicates ? ' · ' + row.duplicates + ' повторов' : '') + '</div></div>' +
+                '<select>' + actions.map(function(action) {
+                    return '<option value="' + action + '"' + (action === row.action ? ' selected' : '') + '>' +
+                        IMPORT_ACTIONS[action] + '</option>';
+                }).join('') + '</select>';
+
+            div.querySelector('select').onchange = function() {
+                Import.setAction(index, this.value);
+            };
+
+            fragment.appendChild(div);
+        });
+
+        // Templates and layouts: items of imported folders are pointed to the result
+        plan.definitions.forEach(function(row, index) {
+            var actions = row.target ? ['skip', 'rename'] : ['add', 'skip'];
+            var div = document.createElement('div');
+            div.className = 'import-row' + (row.action === 'skip' ? ' skipped' : '');
+
+            div.innerHTML = '<div class="info">' +
+                '<div><span class="history-type">' + row.collection.label + '</span> ' +
+                Utils.escapeHtml(row.incoming.name) + (row.target ? ' <span class="import-clash">уже есть</span>' : '') + '</div>' +
+                (row.target && row.action === 'skip' ? '<div class="import-stats">записи папок используют существующий</div>' : '') +
+                (row.orphans ? '<div class="import-stats"><span class="import-clash">' + row.orphans +
+                    ' записей останутся без него</span></div>' : '') +
+                '</div>' +
+                '<select>' + actions.map(function(action) {
+                    return '<option value="' + action + '"' + (action === row.action ? ' selected' : '') + '>' +
+                        IMPORT_ACTIONS[action] + '</option>';
+                }).join('') + '</select>';
+
+            div.querySelector('select').onchange = function() {
+                Import.setDefinitionAction(index, this.value);
+            };
+
+            fragment.appendChild(div);
+        });
+
+        Object.keys(IMPORT_EXTRAS).forEach(function(name) {
+            var extra = plan.extras[name];
+            if (!extra || extra.items.length === 0) return;
+
+            var label = document.createElement('label');
+            label.className = 'import-extra';
+            label.innerHTML = '<input type="checkbox"' + (extra.include ? ' checked' : '') + '> ' +
+                IMPORT_EXTRAS[name] + ': +' + extra.items.length;
+
+            label.querySelector('input').onchange = function() {
+                Import.setExtra(name, this.checked);
+            };
+
+            fragment.appendChild(label);
+        });
+
+        container.appendChild(fragment);
+        panel.classList.add('active');
+    }
+
+    /**
+     * Fill select with options (keeps current value if still present)
+     * @private
+     */
+    function fillSelect(select, entries, value) {
+        select.innerHTML = entries.map(function(entry) {
+            return '<option value="' + Utils.escapeHtml(entry[0]) + '"' + (entry[0] === value ? ' selected' : '') + '>' +
+                Utils.escapeHtml(entry[1]) + '</option>';
+        }).join('');
+    }
+
+    /**
+     * Render CSV/TSV table section: module, folder and format selects,
+     * column mapping of file being imported
+     *
+     * @param {Object|null} [draft] - Import draft or null to hide mapping
+     */
+    function renderTable(draft) {
+        var panel = Utils.$('tableImport');
+        if (!panel) return;
+
+        var options = State.table;
+        var Table = global.BarGen.Controllers.Table;
+        var definition = Table.MODULES[options.module];
+        var pairs = function(obj) {
+            return Object.keys(obj).map(function(key) { return [key, obj[key]]; });
+        };
+
+        fillSelect(Utils.$('table-module'), Object.keys(Table.MODULES).map(function(key) {
+            return [key, Table.MODULES[key].label];
+        }), options.module);
+
+        var folderSelect = Utils.$('table-folder');
+        fillSelect(folderSelect, definition.folders().map(function(folder) {
+            return [folder.id, folder.name + ' (' + folder.items.length + ')'];
+        }), folderSelect.value);
+
+        fillSelect(Utils.$('table-delimiter'), pairs(Config.TABLE.DELIMITERS), options.delimiter);
+        fillSelect(Utils.$('table-gs'), pairs(Config.TABLE.GS_ESCAPES), options.gsEscape);
+        fillSelect(Utils.$('print-layout'), Object.keys(Config.PRINT_LAYOUTS).map(function(key) {
+            return [key, Config.PRINT_LAYOUTS[key].name];
+        }), State.print.layout);
+        fillSelect(Utils.$('printer-language'), pairs(Config.PRINTER.LANGUAGES), State.print.language);
+
+        if (!draft) {
+            panel.classList.remove('active');
+            return;
+        }
+
+        var columns = Table.getColumns();
+        var rows = Table.getDataRows();
+        var mapping = Utils.$('tableMapping');
+
+        Utils.$('table-header').checked = draft.header;
+        Utils.$('table-folder-name').value = draft.folderName;
+        Utils.$('table-file-info').textContent = draft.fileName + ': ' + rows.length + ' строк';
+
+        mapping.innerHTML = '';
+        definition.fields.forEach(function(field) {
+            var row = document.createElement('div');
+            row.className = 'table-mapping-row';
+            row.innerHTML = '<label>' + Table.FIELDS[field].label + '</label><select></select>';
+
+            var select = row.querySelector('select');
+            var column = draft.mapping[field] !== undefined ? draft.mapping[field] : -1;
+            fillSelect(select, [['-1', '—']].concat(columns.map(function(name, index) {
+                return [String(index), name];
+            })), String(column));
+
+            select.onchange = function() {
+                Table.setMapping(field, parseInt(this.value, 10));
+            };
+            mapping.appendChild(row);
+        });
+
+        // First rows as they will be read
+        var preview = rows.slice(0, 5).map(function(cells) {
+            return '<tr>' + definition.fields.map(function(field) {
+                var column = draft.mapping[field];
+                return '<td>' + Utils.escapeHtml(column >= 0 && cells[column] !== undefined ? cells[column] : '') + '</td>';
+            }).join('') + '</tr>';
+        }).join('');
+
+        Utils.$('tablePreview').innerHTML = '<table><tr>' + definition.fields.map(function(field) {
+            return '<th>' + Table.FIELDS[field].label + '</th>';
+        }).join('') + '</tr>' + preview + '</table>';
+
+        panel.classList.add('active');
+    }
+
+    /**
+     * Render image export progress
+     *
+     * @param {number|null} done - Rendered items or null when finished
+     * @param {number} [total] - Items in folder
+     */
+    function renderImagesProgress(done, total) {
+        var el = Utils.$('images-progress');
+        var btn = Utils.$('images-export-btn');
+        if (!el) return;
+
+        el.textContent = done === null ? '' : 'Рисую коды: ' + done + ' / ' + total;
+        if (btn) btn.disabled = done !== null;
+    }
+
+    /**
+     * Render label sheet for printing
+     *
+     * @description Pages are grids of layout labels sized in millimetres;
+     * the @page rule gets the page size of layout, so roll layouts print
+     * one label per page.
+     *
+     * @param {Object|null} layout - Layout from Config.PRINT_LAYOUTS or null to clear sheet
+     * @param {Array[]} [pages] - Pages of labels: [{ symbol, title, lines }]
+     */
+    function renderPrintSheet(layout, pages) {
+        var sheet = Utils.$('print-sheet');
+        var style = Utils.$('print-page-style');
+        if (!sheet) return;
+
+        sheet.innerHTML = '';
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'print-page-style';
+            document.head.appendChild(style);
+        }
+
+        if (!layout) {
+            style.textContent = '';
+            return;
+        }
+
+        style.textContent = '@page { size: ' + layout.page[0] + 'mm ' + layout.page[1] + 'mm; margin: 0; }';
+
+        pages.forEach(function(labels) {
+            var page = document.createElement('div');
+            page.className = 'print-page';
+            page.style.width = layout.page[0] + 'mm';
+            page.style.height = layout.page[1] + 'mm';
+            page.style.gridTemplateColumns = 'repeat(' + layout.cols + ', ' + layout.label[0] + 'mm)';
+            page.style.gridAutoRows = layout.label[1] + 'mm';
+            page.style.justifyContent = 'center';
+            page.style.alignContent = 'center';
+
+            labels.forEach(function(label) {
+                var el = document.createElement('div');
+                el.className = 'print-label';
+                el.innerHTML = '<div class="print-label-symbol"></div>' +
+                    '<div class="print-label-title">' + Utils.escapeHtml(label.title || '') + '</div>' +
+                    label.lines.map(function(line) {
+                        return '<div class="print-label-line">' + Utils.escapeHtml(line) + '</div>';
+                    }).join('');
+
+                var symbol = el.querySelector('.print-label-symbol');
+                if (label.symbol.kind === 'datamatrix') {
+                    Generators.renderDM(symbol, label.symbol.code, label.symbol.mode);
+                } else if (label.symbol.kind === 'qrcode') {
+                    Generators.renderGS1QR(symbol, label.symbol.code);
+                } else {
+                    var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+                    symbol.appendChild(svg);
+                    Generators.renderBarcode(svg, label.symbol.code, label.symbol.format);
+                }
+
+                page.appendChild(el);
+            });
+
+            sheet.appendChild(page);
+        });
+    }
+
+    /**
+     * Render every list and panel (startup, after import)
+     */
+    function renderAll() {
+        renderSeed();
+        renderVerify();
+        renderDamage();
+        renderCorruptions('brokenDmTypes', 'brokenDmType', false);
+        renderCorruptions('brokenGs1Types', 'brokenGs1Type', true);
+        renderTemplateButtons();
+        renderCustomTemplates();
+        renderDmFolders();
+        renderDmItems();
+        renderBarcodeFields();
+        renderWeightLayouts();
+        renderWcLayouts();
+        renderWcFolders();
+        renderWcItems();
+        renderSgFolders();
+        renderGs1Folders();
+        renderGs1Items();
+        renderHistory();
+        renderSerials();
+        renderSessions();
+        renderTable();
+    }
+
     /**
      * Render all saved lists (convenience method)
      */
@@ -484,7 +1664,7 @@
                 div.className = 'folder-item' + (folder.id === State.gs1.selectedFolderId ? ' selected' : '');
 
                 div.innerHTML = '<div>📦</div><div style="flex:1"><b>' + Utils.escapeHtml(folder.name) +
-                    '</b><div style="font-size:.8em;color:#666">' + folder.items.length + ' шт</div></div>';
+                    '</b><div style="font-size:.8em;color:#666">' + folder.items.length + ' шт' + seedSuffix(folder) + '</div></div>';
 
                 div.onclick = function() {
                     State.gs1.selectedFolderId = folder.id;
@@ -508,6 +1688,26 @@
         }
     }
 
+    /**
+     * Format quantity of GS1 piece item
+     *
+     * @param {Object} item - GS1 item
+     * @returns {string} '50 шт', '2 порц. (≈0.50 шт)' or '0.5 шт (AI 97)'
+     */
+    function formatGs1Quantity(item) {
+        if (item.measureDiv && item.measureDiv !== 1) {
+            if (item.legacyDecimal) {
+                // Старое кодирование для сравнения: количество с AI 97
+                return item.quantity + ' шт (AI 97)';
+            }
+            // Товар с коэффициентом фасовки
+            var actualQty = item.actualQuantity || (item.quantity * item.measureDiv);
+            return item.quantity + ' порц. (≈' + actualQty.toFixed(2) + ' шт)';
+        }
+        // Обычный товар
+        return item.quantity + ' шт';
+    }
+
     /**
      * Render GS1 Pack items list
      */
@@ -531,27 +1731,22 @@
                 var typeLabel = item.type === 'piece' ? 'Штучн' : 'Весов';
                 var valueText;
                 if (item.type === 'piece') {
-                    if (item.measureDiv && item.measureDiv !== 1) {
-                        // Товар с коэффициентом фасовки
-                        var actualQty = item.actualQuantity || (item.quantity * item.measureDiv);
-                        valueText = item.quantity + ' порц. (≈' + actualQty.toFixed(2) + ' шт)';
-                    } else {
-                        // Обычный товар
-                        valueText = item.quantity + ' шт';
-                    }
+                    valueText = formatGs1Quantity(item);
                 } else {
                     valueText = Utils.formatWeight(item.weight);
                 }
                 var discountText = item.discount > 0 ? ' | ' + item.discount + '%' : '';
                 var barcodeIcon = item.showBarcode ? ' 📊' : '';
+                var errorText = item.error ?
+                    ' | <span style="color:#ef4444">' + Config.GS1_ERRORS[item.error] + '</span>' : '';
 
                 div.innerHTML = '<div class="info"><div class="code" style="font-size:.7em">' + 
                     item.code.substring(0, 30) + '...' +
                     '</div><div style="font-size:.8em;color:#666">ID: ' + item.goodsId + ' | ' +
-                    valueText + ' | ' + typeLabel + discountText + barcodeIcon + '</div></div>' +
+                    valueText + ' | ' + typeLabel + discountText + barcodeIcon + errorText + '</div></div>' +
                     '<div style="display:flex;gap:8px">' +
                     '<button class="btn btn-sm ' + (item.active ? 'btn-success' : 'btn-outline') +
-                    '" data-action="toggle">' + (item.active ? '✓' : '○') + '</button>' +
+                    '" data-action="toggle">' + (item.active ? '✓' : '○') + '</button>' + dwellButton(item) +
                     '<button class="btn btn-sm btn-danger" data-action="delete">✕</button></div>';
 
                 div.querySelector('[data-action="toggle"]').onclick = function() {
@@ -560,6 +1755,10 @@
                     renderGs1Items();
                 };
 
+                div.querySelector('[data-action="dwell"]').onclick = function() {
+                    editDwell(item, renderGs1Items);
+                };
+
                 div.querySelector('[data-action="delete"]').onclick = function() {
                     var folder = State.getGs1Folder();
                     if (folder) {
@@ -604,9 +1803,27 @@
 
     // Export to namespace
     global.BarGen.UI = {
+        // Random seed
+        renderSeed: renderSeed,
+
+        // Scanner verification
+        renderVerify: renderVerify,
+        renderValidation: renderValidation,
+
+        // Broken codes
+        renderCorruptions: renderCorruptions,
+        renderBrokenReason: renderBrokenReason,
+
+        // Damage
+        renderDamage: renderDamage,
+
         // DataMatrix
         renderDmFolders: renderDmFolders,
         renderDmItems: renderDmItems,
+        renderTemplateButtons: renderTemplateButtons,
+        renderCustomTemplates: renderCustomTemplates,
+        renderTemplateEditor: renderTemplateEditor,
+        renderTemplatePreview: renderTemplatePreview,
         updateRotationStatus: updateRotationStatus,
         renderSavedList: renderSavedList,
 
@@ -622,13 +1839,27 @@
         // GS1 Pack
         renderGs1Folders: renderGs1Folders,
         renderGs1Items: renderGs1Items,
+        formatGs1Quantity: formatGs1Quantity,
         updateGs1Status: updateGs1Status,
 
         // Barcode
         renderBarcodeFields: renderBarcodeFields,
+        renderWcLayouts: renderWcLayouts,
+        renderWeightLayouts: renderWeightLayouts,
+        renderLayoutEditor: renderLayoutEditor,
+        renderLayoutPreview: renderLayoutPreview,
 
         // History
-        renderHistory: renderHistory
+        renderHistory: renderHistory,
+        renderSerials: renderSerials,
+        renderSessions: renderSessions,
+
+        // Backup
+        renderImportPreview: renderImportPreview,
+        renderTable: renderTable,
+        renderImagesProgress: renderImagesProgress,
+        renderPrintSheet: renderPrintSheet,
+        renderAll: renderAll
     };
 
 })(window);